@@ -11,6 +11,16 @@ const path = require('path');
 const connectDB = require('./src/config/database');
 const { errorHandler, notFound } = require('./src/middleware/errorHandler');
 const { verifyAccessToken } = require('./src/utils/jwtUtils');
+const {
+  userRoom,
+  roleRoom,
+  orderRoom,
+  canTrackOrder,
+  parseReplayCursor,
+  getMissedStatusEvents,
+  registerOrderStatusPush
+} = require('./src/utils/orderSocketUtils');
+const { USER_ROLES } = require('./src/models/User');
 
 // Import routes
 const authRoutes = require('./src/routes/authRoutes');
@@ -19,6 +29,8 @@ const customerRoutes = require('./src/routes/customerRoutes');
 const vendorRoutes = require('./src/routes/vendorRoutes');
 const deliveryRoutes = require('./src/routes/deliveryRoutes');
 const supportRoutes = require('./src/routes/supportRoutes');
+const contentRoutes = require('./src/routes/contentRoutes');
+const paymentRoutes = require('./src/routes/paymentRoutes');
 
 // Load Swagger documentation
 const swaggerDocument = YAML.load(path.join(__dirname, './src/docs/swagger.yaml'));
@@ -38,7 +50,12 @@ const PORT = process.env.PORT || 5000;
 connectDB();
 
 // Middleware
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so payment webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(cors());
 app.use(helmet());
@@ -57,6 +74,8 @@ app.use('/api/customer', customerRoutes);
 app.use('/api/vendor', vendorRoutes);
 app.use('/api/delivery', deliveryRoutes);
 app.use('/api/support', supportRoutes);
+app.use('/api/content', contentRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -92,6 +111,10 @@ io.on('connection', (socket) => {
         role: decoded.role
       };
       
+      // Personal and role rooms, so each user only gets the events meant for them
+      socket.join(userRoom(decoded.userId));
+      socket.join(roleRoom(decoded.role));
+      
       console.log(`Socket authenticated: ${socket.id} as ${decoded.role} (${decoded.userId})`);
       socket.emit('authenticated', { success: true });
     } catch (error) {
@@ -100,10 +123,52 @@ io.on('connection', (socket) => {
     }
   });
   
-  // Join a room for order tracking
-  socket.on('join-order-tracking', (orderId) => {
-    socket.join(`order-${orderId}`);
-    console.log(`Client joined tracking for order: ${orderId}`);
+  // Join a room for order tracking; only the order's own customer, vendor and agent, or an admin
+  socket.on('join-order-tracking', async (orderId) => {
+    try {
+      if (!socket.user || !(await canTrackOrder(socket.user, orderId))) {
+        socket.emit('order-tracking-denied', { orderId });
+        return;
+      }
+      
+      socket.join(orderRoom(orderId));
+      console.log(`Client joined tracking for order: ${orderId}`);
+    } catch (error) {
+      console.error('Order tracking join error:', error);
+      socket.emit('order-tracking-denied', { orderId });
+    }
+  });
+  
+  // Send a reconnecting client the order status changes it missed since a timestamp or replay cursor
+  socket.on('sync-order-events', async (data = {}) => {
+    try {
+      if (!socket.user) return;
+      
+      // A client paging through a long replay sends back the cursor it was given instead of since
+      const cursor = data.cursor ? parseReplayCursor(data.cursor) : null;
+      const since = new Date(data.since);
+      const valid = data.cursor ? Boolean(cursor) : !Number.isNaN(since.getTime());
+      if (!valid) {
+        socket.emit('order-events-synced', { success: false, error: 'Send a valid since timestamp or cursor' });
+        return;
+      }
+      
+      // Taken before reading, so nothing saved meanwhile is skipped by the next sync
+      const syncedAt = new Date();
+      const result = await getMissedStatusEvents(socket.user, { since, cursor });
+      
+      socket.emit('order-events-synced', {
+        success: true,
+        events: result.events,
+        hasMore: result.hasMore,
+        // With hasMore, sync again with this cursor; otherwise from syncedAt
+        cursor: result.cursor,
+        syncedAt
+      });
+    } catch (error) {
+      console.error('Order event sync error:', error);
+      socket.emit('order-events-synced', { success: false, error: 'Could not load missed order events' });
+    }
   });
   
   // Update delivery location
@@ -176,6 +241,112 @@ const cleanupInactiveChats = async () => {
 // Run cleanup every 15 minutes
 setInterval(cleanupInactiveChats, 15 * 60 * 1000);
 
+// Generate upcoming subscription orders
+const runSubscriptionOrders = async () => {
+  try {
+    const { processDueSubscriptions } = require('./src/utils/subscriptionUtils');
+    const result = await processDueSubscriptions();
+    
+    // Notify each vendor of their new order, as for orders customers place
+    result.orders.forEach(order => {
+      io.to(userRoom(order.vendor)).emit('new-order', { orderId: order._id, vendorId: order.vendor });
+    });
+    
+    // Tell customers about deliveries that were skipped or placed without some items
+    result.failures.forEach(({ subscription, deliveryDate, reason }) => {
+      io.to(userRoom(subscription.customer)).emit('subscription-order-failed', {
+        subscriptionId: subscription._id,
+        deliveryDate,
+        reason
+      });
+    });
+    result.leftOut.forEach(({ order, items }) => {
+      io.to(userRoom(order.customer)).emit('subscription-items-unavailable', {
+        subscriptionId: order.subscription,
+        orderId: order._id,
+        items
+      });
+    });
+    
+    if (result.created > 0 || result.failed > 0) {
+      console.log(`[${new Date().toISOString()}] Subscriptions: ${result.created} orders created, ${result.failed} failed`);
+    }
+  } catch (error) {
+    console.error('Error generating subscription orders:', error);
+  }
+};
+
+// Run subscription orders every 5 minutes
+setInterval(runSubscriptionOrders, 5 * 60 * 1000);
+
+// Cancel online orders that were never paid
+const expireUnpaidOrders = async () => {
+  try {
+    const { cancelUnpaidCheckouts } = require('./src/utils/orderUtils');
+    const result = await cancelUnpaidCheckouts();
+    
+    if (result.orders > 0) {
+      console.log(`[${new Date().toISOString()}] Payments: Cancelled ${result.orders} unpaid orders from ${result.checkouts} checkouts`);
+    }
+  } catch (error) {
+    console.error('Error cancelling unpaid orders:', error);
+  }
+};
+
+// Check for unpaid orders every minute
+setInterval(expireUnpaidOrders, 60 * 1000);
+
+// Retry gateway refunds that did not go through
+const retryRefunds = async () => {
+  try {
+    const { retryPendingRefunds } = require('./src/utils/refundUtils');
+    const result = await retryPendingRefunds();
+    
+    if (result.completed > 0 || result.failed > 0) {
+      console.log(`[${new Date().toISOString()}] Refunds: ${result.completed} completed, ${result.failed} gave up`);
+    }
+  } catch (error) {
+    console.error('Error retrying refunds:', error);
+  }
+};
+
+// Retry refunds every 5 minutes
+setInterval(retryRefunds, 5 * 60 * 1000);
+
+// Reject or escalate orders the vendor did not accept in time
+const enforceVendorSla = async () => {
+  try {
+    const { enforceAcceptanceSla } = require('./src/utils/orderSlaUtils');
+    const { rejected, escalated } = await enforceAcceptanceSla();
+    
+    // Let the customer know the order was rejected and what is being refunded
+    rejected.forEach(({ order, refund }) => {
+      io.to([orderRoom(order._id), userRoom(order.customer)]).emit('order-rejected', {
+        orderId: order._id,
+        reason: order.rejectionReason,
+        refundAmount: refund ? refund.amount : 0
+      });
+    });
+    
+    // Let admins follow up with the vendor
+    escalated.forEach(order => {
+      io.to(roleRoom(USER_ROLES.ADMIN)).emit('order-escalated', { orderId: order._id, vendorId: order.vendor });
+    });
+    
+    if (rejected.length > 0 || escalated.length > 0) {
+      console.log(`[${new Date().toISOString()}] Vendor SLA: ${rejected.length} orders rejected, ${escalated.length} escalated`);
+    }
+  } catch (error) {
+    console.error('Error enforcing the vendor acceptance SLA:', error);
+  }
+};
+
+// Check for overdue orders every minute
+setInterval(enforceVendorSla, 60 * 1000);
+
+// Push order status changes to the rooms of the order's parties
+registerOrderStatusPush(io);
+
 // Make io accessible to route handlers
 app.set('socketio', io);
 
@@ -1,15 +1,43 @@
 const { User, USER_ROLES, USER_STATUS } = require('../models/User');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
-const { Order, ORDER_STATUS, PAYMENT_STATUS } = require('../models/Order');
+const { Order, ORDER_STATUS, PAYMENT_STATUS, SLA_BREACH_ACTIONS } = require('../models/Order');
 const { sendSuccess, sendError, handleApiError } = require('../utils/responseUtils');
-const path = require('path');
-const fs = require('fs');
 const mongoose = require('mongoose');
 const FAQ = require('../models/FAQ');
 const Banner = require('../models/Banner');
 const AdminAuditLog = require('../models/AdminAuditLog');
 const SystemSetting = require('../models/SystemSetting');
+const { Promotion, PROMOTION_FUNDERS } = require('../models/Promotion');
+const { Refund, REFUND_STATUS } = require('../models/Refund');
+const { LedgerEntry } = require('../models/LedgerEntry');
+const { Withdrawal, WITHDRAWAL_STATUS } = require('../models/Withdrawal');
+const { validatePromotionDiscount } = require('../utils/promotionUtils');
+const {
+  getProductCountsByCategory,
+  buildCategoryTree,
+  getDescendantCategoryIds,
+  wouldCreateCategoryCycle
+} = require('../utils/categoryUtils');
+const { clearBannerCache, clearFaqCache } = require('../utils/contentCache');
+const { closeOrder, approveRefund, rejectRefund, retryFailedRefund } = require('../utils/refundUtils');
+const { ORDER_ACTORS } = require('../utils/orderStateMachine');
+const { getAcceptanceMetrics } = require('../utils/orderSlaUtils');
+const { getReconciliationReport } = require('../utils/ledgerUtils');
+const {
+  approveWithdrawal,
+  rejectWithdrawal,
+  markWithdrawalPaid,
+  markWithdrawalFailed,
+  createPayoutBatch,
+  getPayoutBatch
+} = require('../utils/withdrawalUtils');
+const { VERSIONED_CONTENT_TYPES, VERSION_ACTIONS } = require('../models/ContentVersion');
+const {
+  recordContentVersion,
+  getContentVersions,
+  restoreContentVersion
+} = require('../utils/contentVersioning');
 
 /**
  * Get all vendors with optional filtering
@@ -202,6 +230,37 @@ const findVendorByFormattedId = async (req, res) => {
   }
 };
 
+/**
+ * Get each vendor's order acceptance rate, response time and SLA breaches
+ * Defaults to the last 30 days.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getVendorAcceptanceMetrics = async (req, res) => {
+  try {
+    const { fromDate, toDate, vendorId } = req.query;
+    
+    const period = {
+      fromDate: fromDate ? new Date(fromDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+      toDate: toDate ? new Date(toDate) : new Date()
+    };
+    
+    if (isNaN(period.fromDate.getTime()) || isNaN(period.toDate.getTime())) {
+      return sendError(res, 400, 'Invalid date range');
+    }
+    
+    if (vendorId && !mongoose.Types.ObjectId.isValid(vendorId)) {
+      return sendError(res, 400, 'Invalid vendor ID');
+    }
+    
+    const vendors = await getAcceptanceMetrics({ ...period, vendorId });
+    
+    return sendSuccess(res, 200, 'Vendor acceptance metrics retrieved successfully', { ...period, vendors });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
 /**
  * Approve a vendor
  * @param {Object} req - Express request object
@@ -282,27 +341,27 @@ const rejectVendor = async (req, res) => {
       }
     }).save();
     
-    // Handle any pending orders from this vendor by cancelling them
-    const pendingOrders = await Order.updateMany(
-      { 
-        vendor: vendorId, 
-        status: { $in: [ORDER_STATUS.PENDING, ORDER_STATUS.ACCEPTED, ORDER_STATUS.PREPARING] }
-      },
-      { 
-        $set: { 
-          status: ORDER_STATUS.CANCELLED,
-          cancellationReason: `Vendor account was rejected by admin. Reason: ${reason}`
-        },
-        $push: { 
-          statusHistory: {
-            status: ORDER_STATUS.CANCELLED,
-            timestamp: Date.now(),
-            updatedBy: req.user._id,
-            notes: `Order cancelled due to vendor account rejection. Reason: ${reason}`
-          }
-        }
+    // Handle any pending orders from this vendor by cancelling and refunding them
+    const pendingOrders = await Order.find({
+      vendor: vendorId,
+      status: { $in: [ORDER_STATUS.PENDING, ORDER_STATUS.ACCEPTED, ORDER_STATUS.PREPARING] }
+    });
+    
+    let ordersCancelled = 0;
+    
+    for (const order of pendingOrders) {
+      const result = await closeOrder(order, {
+        status: ORDER_STATUS.CANCELLED,
+        actor: ORDER_ACTORS.ADMIN,
+        updatedBy: req.user._id,
+        notes: `Order cancelled due to vendor account rejection. Reason: ${reason}`,
+        fields: { cancellationReason: `Vendor account was rejected by admin. Reason: ${reason}` }
+      });
+      
+      if (!result.error) {
+        ordersCancelled += 1;
       }
-    );
+    }
     
     // Delete all products associated with this vendor
     const deletedProducts = await Product.deleteMany({ vendor: vendorId });
@@ -316,7 +375,7 @@ const rejectVendor = async (req, res) => {
     return sendSuccess(res, 200, 'Vendor rejected and deleted from the system', { 
       message: 'Vendor account has been completely removed from the system',
       productsRemoved: deletedProducts.deletedCount,
-      ordersCancelled: pendingOrders.modifiedCount
+      ordersCancelled
     });
   } catch (error) {
     return handleApiError(res, error);
@@ -675,7 +734,7 @@ const findCustomerById = async (req, res) => {
  */
 const getOrders = async (req, res) => {
   try {
-    const { status, fromDate, toDate, paymentStatus, limit = 10, page = 1 } = req.query;
+    const { status, fromDate, toDate, paymentStatus, escalated, limit = 10, page = 1 } = req.query;
     
     // Build query
     const query = {};
@@ -684,6 +743,12 @@ const getOrders = async (req, res) => {
       query.status = status;
     }
     
+    // Pending orders handed to admins after the vendor did not accept them in time
+    if (escalated === 'true') {
+      query.status = ORDER_STATUS.PENDING;
+      query['acceptance.slaAction'] = SLA_BREACH_ACTIONS.ESCALATE;
+    }
+    
     if (paymentStatus) {
       query.paymentStatus = paymentStatus;
     }
@@ -714,41 +779,498 @@ const getOrders = async (req, res) => {
     // Get total count for pagination
     const totalOrders = await Order.countDocuments(query);
     
-    return sendSuccess(res, 200, 'Orders retrieved successfully', {
-      orders,
-      pagination: {
-        totalOrders,
-        totalPages: Math.ceil(totalOrders / limit),
-        currentPage: parseInt(page),
-        limit: parseInt(limit)
-      }
-    });
+    return sendSuccess(res, 200, 'Orders retrieved successfully', {
+      orders,
+      pagination: {
+        totalOrders,
+        totalPages: Math.ceil(totalOrders / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get order details
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOrderDetails = async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    
+    // Get order details
+    const order = await Order.findById(orderId)
+      .populate('customer', 'firstName lastName phone email')
+      .populate('vendor', 'firstName lastName phone email')
+      .populate('deliveryAgent', 'firstName lastName phone')
+      .populate('items.product', 'name images');
+    
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    
+    // Settlement and refund lines posted for the order
+    const ledgerEntries = await LedgerEntry.find({ order: order._id }).sort({ createdAt: 1 });
+    
+    return sendSuccess(res, 200, 'Order details retrieved successfully', { order, ledgerEntries });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Cancel an order, e.g. one escalated after the vendor did not accept it in time
+ * Returns the stock and slot and refunds what the customer paid.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelOrder = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    if (!reason) {
+      return sendError(res, 400, 'Cancellation reason is required');
+    }
+    
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    
+    const result = await closeOrder(order, {
+      status: ORDER_STATUS.CANCELLED,
+      actor: ORDER_ACTORS.ADMIN,
+      updatedBy: req.user._id,
+      notes: `Cancelled by admin. Reason: ${reason}`,
+      fields: { cancellationReason: reason }
+    });
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    await new AdminAuditLog({
+      adminId: req.user._id,
+      action: 'UPDATE',
+      entity: 'ORDER',
+      entityId: order._id.toString(),
+      details: { status: ORDER_STATUS.CANCELLED, reason, refundId: result.refund && result.refund._id }
+    }).save();
+    
+    return sendSuccess(res, 200, 'Order cancelled successfully', {
+      order: result.order,
+      refund: result.refund
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get refunds, oldest first, e.g. the queue of reported issues waiting for review
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRefunds = async (req, res) => {
+  try {
+    const { status, reason, limit = 10, page = 1 } = req.query;
+    
+    const query = {};
+    
+    if (status) {
+      if (!Object.values(REFUND_STATUS).includes(status)) {
+        return sendError(res, 400, `Status must be one of: ${Object.values(REFUND_STATUS).join(', ')}`);
+      }
+      query.status = status;
+    }
+    
+    if (reason) {
+      query.reason = reason;
+    }
+    
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const refunds = await Refund.find(query)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('order', 'orderNumber total paymentMethod paymentStatus status')
+      .populate('checkout', 'total paymentStatus paymentDetails.intentId')
+      .populate('walletTopUp', 'amount status paymentDetails.intentId')
+      .populate('customer', 'firstName lastName phone')
+      .populate('vendor', 'firstName lastName');
+    
+    const totalRefunds = await Refund.countDocuments(query);
+    
+    return sendSuccess(res, 200, 'Refunds retrieved successfully', {
+      refunds,
+      pagination: {
+        totalRefunds,
+        totalPages: Math.ceil(totalRefunds / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Approve a reported issue and refund the customer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approveRefundRequest = async (req, res) => {
+  try {
+    const { notes } = req.body;
+    
+    const result = await approveRefund(req.params.id, req.user._id, notes);
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    const { refund } = result;
+    
+    await new AdminAuditLog({
+      adminId: req.user._id,
+      action: 'APPROVE',
+      entity: 'ORDER',
+      entityId: refund.order.toString(),
+      details: { refundId: refund._id, amount: refund.amount, notes }
+    }).save();
+    
+    return sendSuccess(res, 200, 'Refund approved successfully', { refund });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Reject a reported issue
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectRefundRequest = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    if (!reason) {
+      return sendError(res, 400, 'Rejection reason is required');
+    }
+    
+    const result = await rejectRefund(req.params.id, req.user._id, reason);
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    const { refund } = result;
+    
+    await new AdminAuditLog({
+      adminId: req.user._id,
+      action: 'REJECT',
+      entity: 'ORDER',
+      entityId: refund.order.toString(),
+      details: { refundId: refund._id, amount: refund.amount, rejectionReason: reason }
+    }).save();
+    
+    return sendSuccess(res, 200, 'Refund rejected successfully', { refund });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Retry a gateway refund that failed too many times
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const retryRefund = async (req, res) => {
+  try {
+    const result = await retryFailedRefund(req.params.id);
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    return sendSuccess(res, 200, 'Refund retried', { refund: result.refund });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Check that the settlement ledger balances for a period
+ * Every journal, and so every order, must add up to zero, and delivered
+ * orders must all have been settled.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLedgerReconciliation = async (req, res) => {
+  try {
+    const { fromDate, toDate } = req.query;
+    
+    const period = {
+      fromDate: fromDate ? new Date(fromDate) : undefined,
+      toDate: toDate ? new Date(toDate) : undefined
+    };
+    
+    if ((period.fromDate && isNaN(period.fromDate.getTime())) || (period.toDate && isNaN(period.toDate.getTime()))) {
+      return sendError(res, 400, 'Invalid date range');
+    }
+    
+    const report = await getReconciliationReport(period);
+    
+    return sendSuccess(res, 200, report.balanced ? 'Ledger is balanced' : 'Ledger has problems', { report });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get the audit log entity of a withdrawal's user
+ * @param {Object} withdrawal - Withdrawal document
+ * @returns {String} VENDOR or DELIVERY_AGENT
+ */
+const getWithdrawalAuditEntity = (withdrawal) => {
+  return withdrawal.role === USER_ROLES.VENDOR ? 'VENDOR' : 'DELIVERY_AGENT';
+};
+
+/**
+ * Get vendor and delivery agent withdrawals, oldest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWithdrawals = async (req, res) => {
+  try {
+    const { status, role, method, batchId, limit = 10, page = 1 } = req.query;
+    
+    const query = {};
+    
+    if (status) {
+      if (!Object.values(WITHDRAWAL_STATUS).includes(status)) {
+        return sendError(res, 400, `Status must be one of: ${Object.values(WITHDRAWAL_STATUS).join(', ')}`);
+      }
+      query.status = status;
+    }
+    
+    if (role) {
+      query.role = role;
+    }
+    
+    if (method) {
+      query.method = method;
+    }
+    
+    if (batchId) {
+      query.batchId = batchId;
+    }
+    
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const withdrawals = await Withdrawal.find(query)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('user', 'firstName lastName phone email storeDetails.storeName');
+    
+    const totalWithdrawals = await Withdrawal.countDocuments(query);
+    
+    return sendSuccess(res, 200, 'Withdrawals retrieved successfully', {
+      withdrawals,
+      pagination: {
+        totalWithdrawals,
+        totalPages: Math.ceil(totalWithdrawals / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Approve a withdrawal request for payout
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approveWithdrawalRequest = async (req, res) => {
+  try {
+    const { notes } = req.body;
+    
+    const result = await approveWithdrawal(req.params.id, req.user._id, notes);
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    const { withdrawal } = result;
+    
+    await new AdminAuditLog({
+      adminId: req.user._id,
+      action: 'APPROVE',
+      entity: getWithdrawalAuditEntity(withdrawal),
+      entityId: withdrawal.user.toString(),
+      details: { withdrawalId: withdrawal._id, amount: withdrawal.amount, notes }
+    }).save();
+    
+    return sendSuccess(res, 200, 'Withdrawal approved successfully', { withdrawal });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Reject a withdrawal request and return the amount to the user's balance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectWithdrawalRequest = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    if (!reason) {
+      return sendError(res, 400, 'Rejection reason is required');
+    }
+    
+    const result = await rejectWithdrawal(req.params.id, req.user._id, reason);
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    const { withdrawal } = result;
+    
+    await new AdminAuditLog({
+      adminId: req.user._id,
+      action: 'REJECT',
+      entity: getWithdrawalAuditEntity(withdrawal),
+      entityId: withdrawal.user.toString(),
+      details: { withdrawalId: withdrawal._id, amount: withdrawal.amount, rejectionReason: reason }
+    }).save();
+    
+    return sendSuccess(res, 200, 'Withdrawal rejected successfully', { withdrawal });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Mark an approved withdrawal as paid out
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const markWithdrawalAsPaid = async (req, res) => {
+  try {
+    const { transferReference } = req.body;
+    
+    const result = await markWithdrawalPaid(req.params.id, transferReference);
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    const { withdrawal } = result;
+    
+    await new AdminAuditLog({
+      adminId: req.user._id,
+      action: 'UPDATE',
+      entity: getWithdrawalAuditEntity(withdrawal),
+      entityId: withdrawal.user.toString(),
+      details: { withdrawalId: withdrawal._id, amount: withdrawal.amount, status: withdrawal.status, transferReference }
+    }).save();
+    
+    return sendSuccess(res, 200, 'Withdrawal marked as paid', { withdrawal });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Mark an approved withdrawal as failed and return the amount to the user's balance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const markWithdrawalAsFailed = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    const result = await markWithdrawalFailed(req.params.id, reason);
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    const { withdrawal } = result;
+    
+    await new AdminAuditLog({
+      adminId: req.user._id,
+      action: 'UPDATE',
+      entity: getWithdrawalAuditEntity(withdrawal),
+      entityId: withdrawal.user.toString(),
+      details: { withdrawalId: withdrawal._id, amount: withdrawal.amount, status: withdrawal.status, failureReason: reason }
+    }).save();
+    
+    return sendSuccess(res, 200, 'Withdrawal marked as failed', { withdrawal });
   } catch (error) {
     return handleApiError(res, error);
   }
 };
 
 /**
- * Get order details
+ * Send a payout batch as a NEFT bulk upload file
+ * @param {Object} res - Express response object
+ * @param {Object} batch - { batchId, csv } from withdrawalUtils
+ */
+const sendPayoutBatchFile = (res, batch) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${batch.batchId}.csv"`);
+  return res.status(200).send(batch.csv);
+};
+
+/**
+ * Export every approved bank-transfer withdrawal as a new NEFT payout batch
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const getOrderDetails = async (req, res) => {
+const createWithdrawalBatch = async (req, res) => {
   try {
-    const orderId = req.params.id;
+    const result = await createPayoutBatch();
     
-    // Get order details
-    const order = await Order.findById(orderId)
-      .populate('customer', 'firstName lastName phone email')
-      .populate('vendor', 'firstName lastName phone email')
-      .populate('deliveryAgent', 'firstName lastName phone')
-      .populate('items.product', 'name images');
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
     
-    if (!order) {
-      return sendError(res, 404, 'Order not found');
+    return sendPayoutBatchFile(res, result);
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Download the NEFT file of an earlier payout batch again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWithdrawalBatch = async (req, res) => {
+  try {
+    const result = await getPayoutBatch(req.params.batchId);
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
     }
     
-    return sendSuccess(res, 200, 'Order details retrieved successfully', { order });
+    return sendPayoutBatchFile(res, result);
   } catch (error) {
     return handleApiError(res, error);
   }
@@ -870,12 +1392,8 @@ const updateCategory = async (req, res) => {
       }
       
       // Check for circular reference
-      let currentParent = parentCategory;
-      while (currentParent && currentParent.parent) {
-        if (currentParent.parent.toString() === categoryId) {
-          return sendError(res, 400, 'Circular reference detected in category hierarchy');
-        }
-        currentParent = await Category.findById(currentParent.parent);
+      if (await wouldCreateCategoryCycle(categoryId, updateData.parent)) {
+        return sendError(res, 400, 'Circular reference detected in category hierarchy');
       }
     }
     
@@ -897,35 +1415,155 @@ const updateCategory = async (req, res) => {
   }
 };
 
+/**
+ * Get categories as a nested tree with product counts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCategoryTree = async (req, res) => {
+  try {
+    const { activeOnly } = req.query;
+    
+    const categories = await Category.find().lean();
+    const productCounts = await getProductCountsByCategory();
+    
+    const tree = buildCategoryTree(categories, productCounts, activeOnly === 'true');
+    
+    return sendSuccess(res, 200, 'Category tree retrieved successfully', { categories: tree });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Move a category under a new parent (or to the root)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const moveCategory = async (req, res) => {
+  try {
+    const categoryId = req.params.id;
+    const { parent, displayOrder } = req.body;
+    
+    if (parent === undefined) {
+      return sendError(res, 400, 'Parent category is required (use null to move to the root)');
+    }
+    
+    // Find category
+    const category = await Category.findById(categoryId);
+    
+    if (!category) {
+      return sendError(res, 404, 'Category not found');
+    }
+    
+    if (parent) {
+      const parentCategory = await Category.findById(parent);
+      
+      if (!parentCategory) {
+        return sendError(res, 404, 'Parent category not found');
+      }
+      
+      // Block moves that would put a category under itself or its own subtree
+      if (await wouldCreateCategoryCycle(categoryId, parent)) {
+        return sendError(res, 400, 'Circular reference detected in category hierarchy');
+      }
+    }
+    
+    category.parent = parent || null;
+    if (displayOrder !== undefined) category.displayOrder = displayOrder;
+    
+    await category.save();
+    await category.populate('parent', 'name');
+    
+    return sendSuccess(res, 200, 'Category moved successfully', { category });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
 /**
  * Delete a category
+ * Refuses to orphan subcategories or products unless the caller passes
+ * cascade=true (delete the subtree and its products) or reassignTo=<categoryId>
+ * (move direct subcategories and products to another category).
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const deleteCategory = async (req, res) => {
   try {
     const categoryId = req.params.id;
+    const { cascade, reassignTo } = req.query;
+    
+    if (cascade === 'true' && reassignTo) {
+      return sendError(res, 400, 'Use either cascade or reassignTo, not both');
+    }
+    
+    // Find category
+    const category = await Category.findById(categoryId);
+    
+    if (!category) {
+      return sendError(res, 404, 'Category not found');
+    }
+    
+    if (cascade === 'true') {
+      // Delete the whole subtree along with its products
+      const descendantIds = await getDescendantCategoryIds(categoryId);
+      const categoryIds = [category._id, ...descendantIds];
+      
+      const { deletedCount: deletedProducts } = await Product.deleteMany({ category: { $in: categoryIds } });
+      await Category.deleteMany({ _id: { $in: categoryIds } });
+      
+      return sendSuccess(res, 200, 'Category deleted successfully', {
+        deletedCategories: categoryIds.length,
+        deletedProducts
+      });
+    }
+    
+    if (reassignTo) {
+      const targetCategory = await Category.findById(reassignTo);
+      
+      if (!targetCategory) {
+        return sendError(res, 404, 'Reassignment category not found');
+      }
+      
+      // The target must survive the delete, so it cannot be inside the deleted subtree
+      if (await wouldCreateCategoryCycle(categoryId, reassignTo)) {
+        return sendError(res, 400, 'Cannot reassign to the category being deleted or one of its subcategories');
+      }
+      
+      const { modifiedCount: movedCategories } = await Category.updateMany(
+        { parent: categoryId },
+        { $set: { parent: targetCategory._id } }
+      );
+      const { modifiedCount: movedProducts } = await Product.updateMany(
+        { category: categoryId },
+        { $set: { category: targetCategory._id } }
+      );
+      
+      await Category.findByIdAndDelete(categoryId);
+      
+      return sendSuccess(res, 200, 'Category deleted successfully', {
+        movedCategories,
+        movedProducts
+      });
+    }
     
     // Check if category has children
     const hasChildren = await Category.exists({ parent: categoryId });
     
     if (hasChildren) {
-      return sendError(res, 400, 'Cannot delete category with subcategories');
+      return sendError(res, 400, 'Cannot delete category with subcategories. Pass cascade=true or reassignTo');
     }
     
     // Check if category is used in products
     const isUsedInProducts = await Product.exists({ category: categoryId });
     
     if (isUsedInProducts) {
-      return sendError(res, 400, 'Cannot delete category that is used in products');
+      return sendError(res, 400, 'Cannot delete category that is used in products. Pass cascade=true or reassignTo');
     }
     
     // Delete category
-    const category = await Category.findByIdAndDelete(categoryId);
-    
-    if (!category) {
-      return sendError(res, 404, 'Category not found');
-    }
+    await Category.findByIdAndDelete(categoryId);
     
     return sendSuccess(res, 200, 'Category deleted successfully');
   } catch (error) {
@@ -1136,6 +1774,8 @@ const createFaq = async (req, res) => {
     });
     
     await faq.save();
+    await recordContentVersion(VERSIONED_CONTENT_TYPES.FAQ, faq, VERSION_ACTIONS.CREATE, adminId);
+    await clearFaqCache();
     
     return sendSuccess(res, 201, 'FAQ created successfully', { faq });
   } catch (error) {
@@ -1171,6 +1811,8 @@ const updateFaq = async (req, res) => {
     faq.updatedBy = adminId;
     
     await faq.save();
+    await recordContentVersion(VERSIONED_CONTENT_TYPES.FAQ, faq, VERSION_ACTIONS.UPDATE, adminId);
+    await clearFaqCache();
     
     return sendSuccess(res, 200, 'FAQ updated successfully', { faq });
   } catch (error) {
@@ -1196,6 +1838,8 @@ const deleteFaq = async (req, res) => {
     
     // Delete FAQ
     await FAQ.findByIdAndDelete(faqId);
+    await recordContentVersion(VERSIONED_CONTENT_TYPES.FAQ, faq, VERSION_ACTIONS.DELETE, req.user._id);
+    await clearFaqCache();
     
     return sendSuccess(res, 200, 'FAQ deleted successfully');
   } catch (error) {
@@ -1298,6 +1942,8 @@ const createBanner = async (req, res) => {
     });
     
     await banner.save();
+    await recordContentVersion(VERSIONED_CONTENT_TYPES.BANNER, banner, VERSION_ACTIONS.CREATE, adminId);
+    await clearBannerCache();
     
     return sendSuccess(res, 201, 'Banner created successfully', { banner });
   } catch (error) {
@@ -1352,6 +1998,8 @@ const updateBanner = async (req, res) => {
     banner.updatedBy = adminId;
     
     await banner.save();
+    await recordContentVersion(VERSIONED_CONTENT_TYPES.BANNER, banner, VERSION_ACTIONS.UPDATE, adminId);
+    await clearBannerCache();
     
     return sendSuccess(res, 200, 'Banner updated successfully', { banner });
   } catch (error) {
@@ -1377,14 +2025,10 @@ const deleteBanner = async (req, res) => {
     
     // Delete banner
     await Banner.findByIdAndDelete(bannerId);
+    await recordContentVersion(VERSIONED_CONTENT_TYPES.BANNER, banner, VERSION_ACTIONS.DELETE, req.user._id);
+    await clearBannerCache();
     
-    // Remove banner image file
-    const imagePath = path.join(__dirname, '..', '..', banner.imageUrl);
-    try {
-      fs.unlinkSync(imagePath);
-    } catch (err) {
-      console.error('Error deleting banner image:', err);
-    }
+    // The image file is kept so the banner can be restored from its history
     
     return sendSuccess(res, 200, 'Banner deleted successfully');
   } catch (error) {
@@ -1392,6 +2036,286 @@ const deleteBanner = async (req, res) => {
   }
 };
 
+/**
+ * Get the version history of a FAQ
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getFaqVersions = async (req, res) => {
+  try {
+    const versions = await getContentVersions(VERSIONED_CONTENT_TYPES.FAQ, req.params.id);
+    
+    if (versions.length === 0) {
+      return sendError(res, 404, 'No history found for this FAQ');
+    }
+    
+    return sendSuccess(res, 200, 'FAQ history retrieved successfully', { versions });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Roll a FAQ back to an earlier version
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rollbackFaq = async (req, res) => {
+  try {
+    const adminId = req.user._id;
+    const { id, version } = req.params;
+    
+    const { content: faq, error } = await restoreContentVersion(
+      FAQ,
+      VERSIONED_CONTENT_TYPES.FAQ,
+      id,
+      parseInt(version),
+      adminId
+    );
+    
+    if (error) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    
+    await clearFaqCache();
+    
+    return sendSuccess(res, 200, `FAQ rolled back to version ${version}`, { faq });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get the version history of a banner
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBannerVersions = async (req, res) => {
+  try {
+    const versions = await getContentVersions(VERSIONED_CONTENT_TYPES.BANNER, req.params.id);
+    
+    if (versions.length === 0) {
+      return sendError(res, 404, 'No history found for this banner');
+    }
+    
+    return sendSuccess(res, 200, 'Banner history retrieved successfully', { versions });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Roll a banner back to an earlier version
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rollbackBanner = async (req, res) => {
+  try {
+    const adminId = req.user._id;
+    const { id, version } = req.params;
+    
+    const { content: banner, error } = await restoreContentVersion(
+      Banner,
+      VERSIONED_CONTENT_TYPES.BANNER,
+      id,
+      parseInt(version),
+      adminId
+    );
+    
+    if (error) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    
+    await clearBannerCache();
+    
+    return sendSuccess(res, 200, `Banner rolled back to version ${version}`, { banner });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get platform coupons
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCoupons = async (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    // Build query based on status
+    const query = { fundedBy: PROMOTION_FUNDERS.PLATFORM };
+    
+    if (status === 'active') {
+      query.isActive = true;
+      query.endDate = { $gte: new Date() };
+    } else if (status === 'expired') {
+      query.endDate = { $lt: new Date() };
+    } else if (status === 'inactive') {
+      query.isActive = false;
+    }
+    
+    const coupons = await Promotion.find(query).sort({ createdAt: -1 });
+    
+    return sendSuccess(res, 200, 'Coupons retrieved successfully', { coupons });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Create a platform-funded coupon valid at every store
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createCoupon = async (req, res) => {
+  try {
+    const adminId = req.user._id;
+    const {
+      title,
+      description,
+      discountType,
+      discountValue,
+      minOrderValue,
+      maxDiscount,
+      applicableCategories,
+      startDate,
+      endDate,
+      code,
+      usageLimit,
+      perCustomerLimit,
+      firstOrderOnly,
+      newUserOnly,
+      newUserWindowDays
+    } = req.body;
+    
+    const discountError = validatePromotionDiscount(discountType, discountValue);
+    if (discountError) {
+      return sendError(res, 400, discountError);
+    }
+    
+    // Check for duplicate coupon code if provided
+    if (code) {
+      const existingCoupon = await Promotion.findOne({
+        fundedBy: PROMOTION_FUNDERS.PLATFORM,
+        code: code.toUpperCase(),
+        isActive: true
+      });
+      
+      if (existingCoupon) {
+        return sendError(res, 409, 'Coupon code already exists');
+      }
+    }
+    
+    const coupon = new Promotion({
+      fundedBy: PROMOTION_FUNDERS.PLATFORM,
+      title,
+      description,
+      discountType,
+      discountValue,
+      minOrderValue: minOrderValue || 0,
+      maxDiscount: maxDiscount || null,
+      applicableCategories: applicableCategories || [],
+      startDate: startDate || new Date(),
+      endDate,
+      code: code ? code.toUpperCase() : null,
+      usageLimit: usageLimit || null,
+      perCustomerLimit: perCustomerLimit || null,
+      firstOrderOnly: Boolean(firstOrderOnly),
+      newUserOnly: Boolean(newUserOnly),
+      newUserWindowDays: newUserWindowDays || 30,
+      isActive: true,
+      createdBy: adminId
+    });
+    
+    await coupon.save();
+    
+    return sendSuccess(res, 201, 'Coupon created successfully', { coupon });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Update a platform coupon
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateCoupon = async (req, res) => {
+  try {
+    const couponId = req.params.id;
+    
+    const coupon = await Promotion.findOne({ _id: couponId, fundedBy: PROMOTION_FUNDERS.PLATFORM });
+    
+    if (!coupon) {
+      return sendError(res, 404, 'Coupon not found');
+    }
+    
+    const allowedFields = [
+      'title',
+      'description',
+      'discountType',
+      'discountValue',
+      'minOrderValue',
+      'maxDiscount',
+      'applicableCategories',
+      'startDate',
+      'endDate',
+      'usageLimit',
+      'perCustomerLimit',
+      'firstOrderOnly',
+      'newUserOnly',
+      'newUserWindowDays',
+      'isActive'
+    ];
+    
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    });
+    
+    const discountError = validatePromotionDiscount(coupon.discountType, coupon.discountValue);
+    if (discountError) {
+      return sendError(res, 400, discountError);
+    }
+    
+    await coupon.save();
+    
+    return sendSuccess(res, 200, 'Coupon updated successfully', { coupon });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Delete a platform coupon
+ * Coupons already used on orders are deactivated instead so order history keeps its reference.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteCoupon = async (req, res) => {
+  try {
+    const couponId = req.params.id;
+    
+    const coupon = await Promotion.findOne({ _id: couponId, fundedBy: PROMOTION_FUNDERS.PLATFORM });
+    
+    if (!coupon) {
+      return sendError(res, 404, 'Coupon not found');
+    }
+    
+    if (coupon.usageCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+      return sendSuccess(res, 200, 'Coupon has been used on orders and was deactivated instead', { coupon });
+    }
+    
+    await Promotion.findByIdAndDelete(couponId);
+    
+    return sendSuccess(res, 200, 'Coupon deleted successfully');
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
 // System Settings Controller
 const getSystemSettings = async (req, res) => {
   try {
@@ -1749,6 +2673,7 @@ const getVendorRegistrationDetails = async (req, res) => {
 
 module.exports = {
   getVendors,
+  getVendorAcceptanceMetrics,
   getVendorDetails,
   getVendorDocuments,
   approveVendor,
@@ -1763,10 +2688,25 @@ module.exports = {
   findCustomerById,
   getOrders,
   getOrderDetails,
+  cancelOrder,
+  getRefunds,
+  approveRefundRequest,
+  rejectRefundRequest,
+  retryRefund,
+  getLedgerReconciliation,
+  getWithdrawals,
+  approveWithdrawalRequest,
+  rejectWithdrawalRequest,
+  markWithdrawalAsPaid,
+  markWithdrawalAsFailed,
+  createWithdrawalBatch,
+  getWithdrawalBatch,
   createCategory,
   getCategories,
   updateCategory,
   deleteCategory,
+  getCategoryTree,
+  moveCategory,
   getDashboardStats,
   getFaqs,
   createFaq,
@@ -1776,6 +2716,14 @@ module.exports = {
   createBanner,
   updateBanner,
   deleteBanner,
+  getFaqVersions,
+  rollbackFaq,
+  getBannerVersions,
+  rollbackBanner,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
   getSystemSettings,
   updateSystemSettings,
   getAuditLogs,
@@ -0,0 +1,116 @@
+const Banner = require('../models/Banner');
+const FAQ = require('../models/FAQ');
+const { sendSuccess, sendError, handleApiError } = require('../utils/responseUtils');
+const {
+  CONTENT_CACHE_KEYS,
+  BANNER_PLATFORMS,
+  CONTENT_CACHE_TTL,
+  getCachedContent,
+  setCachedContent
+} = require('../utils/contentCache');
+
+/**
+ * Get banners that are live right now for a platform
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBanners = async (req, res) => {
+  try {
+    const { platform } = req.query;
+
+    if (!BANNER_PLATFORMS.includes(platform)) {
+      return sendError(res, 400, `Platform must be one of: ${BANNER_PLATFORMS.join(', ')}`);
+    }
+
+    const cacheKey = CONTENT_CACHE_KEYS.BANNERS(platform);
+    const cached = await getCachedContent(cacheKey);
+
+    if (cached) {
+      return sendSuccess(res, 200, 'Banners retrieved successfully', { banners: cached });
+    }
+
+    const now = new Date();
+    const platformField = platform === 'mobile' ? 'showOnMobile' : 'showOnWeb';
+
+    // Live banners: active, started, not yet ended and shown on this platform
+    const banners = await Banner.find({
+      isActive: true,
+      [platformField]: true,
+      startDate: { $lte: now },
+      $or: [{ endDate: null }, { endDate: { $gte: now } }]
+    })
+      .select('title subtitle imageUrl targetUrl targetType targetId order startDate endDate')
+      .sort({ order: 1, createdAt: -1 })
+      .lean();
+
+    // Expire the cache no later than the next scheduled start or end so
+    // banners appear and disappear on time
+    const nextStart = await Banner.findOne({
+      isActive: true,
+      [platformField]: true,
+      startDate: { $gt: now }
+    })
+      .sort({ startDate: 1 })
+      .select('startDate')
+      .lean();
+
+    const boundaries = banners
+      .filter(banner => banner.endDate)
+      .map(banner => new Date(banner.endDate).getTime());
+    if (nextStart) boundaries.push(new Date(nextStart.startDate).getTime());
+
+    const ttl = boundaries.length > 0
+      ? Math.min(CONTENT_CACHE_TTL, (Math.min(...boundaries) - now.getTime()) / 1000)
+      : CONTENT_CACHE_TTL;
+
+    await setCachedContent(cacheKey, banners, ttl);
+
+    return sendSuccess(res, 200, 'Banners retrieved successfully', { banners });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get active FAQs grouped by category
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getFaqs = async (req, res) => {
+  try {
+    const { category } = req.query;
+
+    let groups = await getCachedContent(CONTENT_CACHE_KEYS.FAQS);
+
+    if (!groups) {
+      const faqs = await FAQ.find({ isActive: true })
+        .select('question answer category order')
+        .sort({ order: 1, createdAt: 1 })
+        .lean();
+
+      // Group in the order categories are declared on the model
+      const categories = FAQ.schema.path('category').enumValues;
+      groups = categories
+        .map(name => ({
+          category: name,
+          faqs: faqs.filter(faq => faq.category === name)
+        }))
+        .filter(group => group.faqs.length > 0);
+
+      await setCachedContent(CONTENT_CACHE_KEYS.FAQS, groups);
+    }
+
+    if (category) {
+      groups = groups.filter(group => group.category === category.toUpperCase());
+    }
+
+    return sendSuccess(res, 200, 'FAQs retrieved successfully', { faqs: groups });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+module.exports = {
+  getBanners,
+  getFaqs
+};
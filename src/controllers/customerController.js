@@ -1,10 +1,32 @@
 const { User, USER_ROLES, USER_STATUS } = require('../models/User');
 const Address = require('../models/Address');
 const Cart = require('../models/Cart');
+const Category = require('../models/Category');
 const Product = require('../models/Product');
-const { Order, ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHOD } = require('../models/Order');
+const { Wishlist, WISHLIST_TYPES } = require('../models/Wishlist');
+const {
+  getProductCountsByCategory,
+  buildCategoryTree,
+  buildCategoryBreadcrumb,
+  getDescendantCategoryIds
+} = require('../utils/categoryUtils');
+const { Order, ORDER_STATUS } = require('../models/Order');
 const { sendSuccess, sendError, handleApiError } = require('../utils/responseUtils');
 const { getAddressFromCoordinates, calculateDistance } = require('../utils/locationUtils');
+const { getCartLineItems, resolveCheckoutPromotions } = require('../utils/promotionUtils');
+const { buildCheckoutQuote } = require('../utils/pricingUtils');
+const { getCheckoutCarts, placeOrders } = require('../utils/orderUtils');
+const { CART_CHANGE_TYPES, addItemToCart, revalidateCarts } = require('../utils/cartUtils');
+const { getAvailableSlots } = require('../utils/deliverySlotUtils');
+const { getPaymentClientOptions, startWalletTopUp, getTopUpClientOptions } = require('../utils/paymentUtils');
+const { getOrCreateWallet, getWalletTransactions } = require('../utils/walletUtils');
+const { TRANSACTION_TYPES, TRANSACTION_CATEGORIES } = require('../models/Wallet');
+const { WalletTopUp } = require('../models/WalletTopUp');
+const { Refund } = require('../models/Refund');
+const { closeOrder, reportOrderIssue } = require('../utils/refundUtils');
+const { ORDER_ACTORS } = require('../utils/orderStateMachine');
+const { modifyPendingOrder, respondToSubstitution } = require('../utils/orderModificationUtils');
+const { userRoom } = require('../utils/orderSocketUtils');
 const redisClient = require('../config/redis');
 const mongoose = require('mongoose');
 
@@ -259,6 +281,13 @@ const setDefaultAddress = async (req, res) => {
   }
 };
 
+/**
+ * Check an item quantity from the request body
+ * @param {*} quantity - Quantity as sent, possibly a string
+ * @returns {Boolean} True when it is a whole number of at least 1
+ */
+const isValidQuantity = (quantity) => Number.isInteger(Number(quantity)) && Number(quantity) >= 1;
+
 /**
  * Add a product to cart
  * @param {Object} req - Express request object
@@ -274,7 +303,11 @@ const addToCart = async (req, res) => {
       return sendError(res, 400, 'Product ID is required');
     }
     
-    const productQty = quantity || 1;
+    if (quantity !== undefined && !isValidQuantity(quantity)) {
+      return sendError(res, 400, 'Quantity must be a whole number of at least 1');
+    }
+    
+    const productQty = quantity !== undefined ? Number(quantity) : 1;
     
     // Get product details
     const product = await Product.findById(productId);
@@ -341,7 +374,7 @@ const addToCart = async (req, res) => {
 const removeFromCart = async (req, res) => {
   try {
     const customerId = req.user._id;
-    const { productId } = req.body;
+    const productId = req.params.productId || req.body.productId;
     
     // Validate required fields
     if (!productId) {
@@ -396,7 +429,8 @@ const removeFromCart = async (req, res) => {
 const updateCartItem = async (req, res) => {
   try {
     const customerId = req.user._id;
-    const { productId, quantity } = req.body;
+    const productId = req.params.productId || req.body.productId;
+    const { quantity } = req.body;
     
     // Validate required fields
     if (!productId || !quantity) {
@@ -457,6 +491,7 @@ const updateCartItem = async (req, res) => {
 
 /**
  * Get customer's cart
+ * Carts are revalidated on every read; changes lists what was repriced, reduced or removed.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -465,11 +500,14 @@ const getCart = async (req, res) => {
     const customerId = req.user._id;
     
     // Get all carts for customer
-    const carts = await Cart.find({ customer: customerId })
+    const allCarts = await Cart.find({ customer: customerId })
       .populate('vendor', 'firstName lastName')
       .populate('items.product');
     
-    return sendSuccess(res, 200, 'Carts retrieved successfully', { carts });
+    // Bring prices and quantities up to date with the catalog
+    const { carts, changes } = await revalidateCarts(allCarts);
+    
+    return sendSuccess(res, 200, 'Carts retrieved successfully', { carts, changes });
   } catch (error) {
     return handleApiError(res, error);
   }
@@ -499,678 +537,1761 @@ const clearCart = async (req, res) => {
   }
 };
 
+// Name of the list that holds items moved out of the cart
+const SAVED_FOR_LATER_NAME = 'Saved for later';
+
+/**
+ * Get the customer's saved-for-later list, creating it if needed
+ * @param {String} customerId - Customer user ID
+ * @returns {Promise<Object>} Wishlist document
+ */
+const getSavedForLaterList = (customerId) => {
+  return Wishlist.findOneAndUpdate(
+    { customer: customerId, type: WISHLIST_TYPES.SAVED_FOR_LATER },
+    { $setOnInsert: { name: SAVED_FOR_LATER_NAME, items: [] } },
+    { upsert: true, new: true }
+  );
+};
+
 /**
- * Create an order (checkout)
+ * Move a product from the cart to the saved-for-later list
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const createOrder = async (req, res) => {
+const saveCartItemForLater = async (req, res) => {
   try {
     const customerId = req.user._id;
-    const { cartId, addressId, paymentMethod } = req.body;
-    
-    // Validate required fields
-    if (!cartId || !addressId || !paymentMethod) {
-      return sendError(res, 400, 'Cart ID, address ID, and payment method are required');
-    }
+    const { productId } = req.params;
     
-    // Get cart details
-    const cart = await Cart.findOne({ _id: cartId, customer: customerId })
-      .populate('items.product');
+    // Find the cart holding the product
+    const cart = await Cart.findOne({ customer: customerId, 'items.product': productId });
     
     if (!cart) {
-      return sendError(res, 404, 'Cart not found');
+      return sendError(res, 404, 'Product not found in cart');
     }
     
-    if (cart.items.length === 0) {
-      return sendError(res, 400, 'Cart is empty');
-    }
+    const cartItem = cart.items.find(item => item.product.toString() === productId);
     
-    // Get address details
-    const address = await Address.findOne({ _id: addressId, user: customerId });
+    // Add to saved for later, merging with any quantity already saved
+    const savedList = await getSavedForLaterList(customerId);
+    const savedItem = savedList.items.find(item => item.product.toString() === productId);
     
-    if (!address) {
-      return sendError(res, 404, 'Address not found');
+    if (savedItem) {
+      savedItem.quantity += cartItem.quantity;
+    } else {
+      savedList.items.push({ product: productId, quantity: cartItem.quantity });
     }
     
-    // Calculate delivery fee based on distance
-    const vendorData = await User.findById(cart.vendor);
-    let deliveryFee = 40; // Base delivery fee
-    
-    if (vendorData && vendorData.location && address.location) {
-      const vendorCoords = vendorData.location.coordinates;
-      const customerCoords = address.location.coordinates;
-      
-      if (vendorCoords && customerCoords) {
-        const distance = calculateDistance(
-          customerCoords[1], // latitude
-          customerCoords[0], // longitude
-          vendorCoords[1],   // latitude
-          vendorCoords[0]    // longitude
-        );
-        
-        // Adjust delivery fee based on distance
-        // $40 base fee + $5 per km after first 2km
-        deliveryFee = 40 + (Math.max(0, distance - 2) * 5);
-        deliveryFee = Math.round(deliveryFee); // Round to nearest rupee
-      }
-    }
+    await savedList.save();
     
-    // Calculate tax (assumed as 5% of subtotal)
-    const tax = Math.round(cart.subtotal * 0.05);
-    
-    // Calculate total
-    const total = cart.subtotal + deliveryFee + tax;
-    
-    // Create order items
-    const orderItems = cart.items.map(item => ({
-      product: item.product._id,
-      quantity: item.quantity,
-      price: item.price,
-      name: item.product.name,
-      unit: item.product.unit
-    }));
-    
-    // Create new order
-    const order = new Order({
-      orderNumber: `OLV${Date.now()}`, // Will be auto-generated in pre-save hook
-      customer: customerId,
-      vendor: cart.vendor,
-      items: orderItems,
-      deliveryAddress: {
-        addressLine1: address.addressLine1,
-        addressLine2: address.addressLine2,
-        city: address.city,
-        state: address.state,
-        pincode: address.pincode,
-        location: address.location
-      },
-      subtotal: cart.subtotal,
-      deliveryFee,
-      tax,
-      discount: 0, // No discount in this basic implementation
-      total,
-      paymentMethod,
-      paymentStatus: paymentMethod === PAYMENT_METHOD.CASH_ON_DELIVERY 
-        ? PAYMENT_STATUS.PENDING 
-        : PAYMENT_STATUS.PAID, // Simplified for demo
-      status: ORDER_STATUS.PENDING,
-      statusHistory: [
-        {
-          status: ORDER_STATUS.PENDING,
-          timestamp: new Date(),
-          updatedBy: customerId
-        }
-      ]
-    });
+    // Remove from cart, deleting the cart once it is empty
+    cart.items = cart.items.filter(item => item.product.toString() !== productId);
     
-    await order.save();
+    if (cart.items.length === 0) {
+      await Cart.findByIdAndDelete(cart._id);
+    } else {
+      await cart.save();
+    }
     
-    // Delete the cart after order creation
-    await Cart.findByIdAndDelete(cart._id);
+    await savedList.populate('items.product');
     
-    return sendSuccess(res, 201, 'Order created successfully', { order });
+    return sendSuccess(res, 200, 'Product saved for later', { savedForLater: savedList });
   } catch (error) {
     return handleApiError(res, error);
   }
 };
 
 /**
- * Get customer's orders
+ * Get customer's wishlists, including the saved-for-later list
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const getOrders = async (req, res) => {
+const getWishlists = async (req, res) => {
   try {
     const customerId = req.user._id;
-    const { status, limit = 10, page = 1 } = req.query;
+    const { type } = req.query;
     
-    // Build query
     const query = { customer: customerId };
-    if (status) {
-      query.status = status;
+    if (type) {
+      query.type = type;
     }
     
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Get orders
-    const orders = await Order.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('vendor', 'firstName lastName')
-      .populate('items.product', 'name images');
-    
-    // Get total count for pagination
-    const totalOrders = await Order.countDocuments(query);
+    const wishlists = await Wishlist.find(query)
+      .sort({ type: -1, createdAt: 1 })
+      .populate('items.product', 'name images price discountPrice unit inStock vendor');
     
-    return sendSuccess(res, 200, 'Orders retrieved successfully', {
-      orders,
-      pagination: {
-        totalOrders,
-        totalPages: Math.ceil(totalOrders / limit),
-        currentPage: parseInt(page),
-        limit: parseInt(limit)
-      }
-    });
+    return sendSuccess(res, 200, 'Wishlists retrieved successfully', { wishlists });
   } catch (error) {
     return handleApiError(res, error);
   }
 };
 
 /**
- * Get order details
+ * Create a named wishlist
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const getOrderDetails = async (req, res) => {
+const createWishlist = async (req, res) => {
   try {
     const customerId = req.user._id;
-    const orderId = req.params.id;
+    const name = req.body.name ? req.body.name.trim() : '';
     
-    // Get order details
-    const order = await Order.findOne({ _id: orderId, customer: customerId })
-      .populate('vendor', 'firstName lastName phone location')
-      .populate('items.product', 'name images unit')
-      .populate('deliveryAgent', 'firstName lastName phone');
+    if (!name) {
+      return sendError(res, 400, 'Wishlist name is required');
+    }
     
-    if (!order) {
-      return sendError(res, 404, 'Order not found');
+    if (name.toLowerCase() === SAVED_FOR_LATER_NAME.toLowerCase()) {
+      return sendError(res, 400, `"${SAVED_FOR_LATER_NAME}" is a reserved list name`);
     }
     
-    return sendSuccess(res, 200, 'Order details retrieved successfully', { order });
+    if (await Wishlist.exists({ customer: customerId, name })) {
+      return sendError(res, 409, 'You already have a wishlist with this name');
+    }
+    
+    const wishlist = await Wishlist.create({ customer: customerId, name });
+    
+    return sendSuccess(res, 201, 'Wishlist created successfully', { wishlist });
   } catch (error) {
     return handleApiError(res, error);
   }
 };
 
 /**
- * Cancel an order
+ * Rename a wishlist
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const cancelOrder = async (req, res) => {
+const updateWishlist = async (req, res) => {
   try {
     const customerId = req.user._id;
-    const orderId = req.params.id;
-    const { reason } = req.body;
+    const name = req.body.name ? req.body.name.trim() : '';
     
-    // Get order
-    const order = await Order.findOne({ _id: orderId, customer: customerId });
-    
-    if (!order) {
-      return sendError(res, 404, 'Order not found');
+    if (!name) {
+      return sendError(res, 400, 'Wishlist name is required');
     }
     
-    // Check if order can be cancelled
-    const cancelableStatuses = [ORDER_STATUS.PENDING, ORDER_STATUS.ACCEPTED];
+    const wishlist = await Wishlist.findOne({ _id: req.params.id, customer: customerId });
     
-    if (!cancelableStatuses.includes(order.status)) {
-      return sendError(res, 400, `Cannot cancel order in ${order.status} status`);
+    if (!wishlist) {
+      return sendError(res, 404, 'Wishlist not found');
     }
     
-    // Update order status
-    order.status = ORDER_STATUS.CANCELLED;
-    order.cancellationReason = reason || 'Cancelled by customer';
+    if (wishlist.type === WISHLIST_TYPES.SAVED_FOR_LATER) {
+      return sendError(res, 400, 'The saved-for-later list cannot be renamed');
+    }
     
-    // Add status history entry
-    order.statusHistory.push({
-      status: ORDER_STATUS.CANCELLED,
-      timestamp: new Date(),
-      updatedBy: customerId,
-      notes: reason || 'Cancelled by customer'
-    });
+    if (name.toLowerCase() === SAVED_FOR_LATER_NAME.toLowerCase()) {
+      return sendError(res, 400, `"${SAVED_FOR_LATER_NAME}" is a reserved list name`);
+    }
     
-    await order.save();
+    if (await Wishlist.exists({ _id: { $ne: wishlist._id }, customer: customerId, name })) {
+      return sendError(res, 409, 'You already have a wishlist with this name');
+    }
     
-    return sendSuccess(res, 200, 'Order cancelled successfully', { order });
+    wishlist.name = name;
+    await wishlist.save();
+    
+    return sendSuccess(res, 200, 'Wishlist updated successfully', { wishlist });
   } catch (error) {
     return handleApiError(res, error);
   }
 };
 
 /**
- * Rate and review an order
+ * Delete a wishlist
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const rateOrder = async (req, res) => {
+const deleteWishlist = async (req, res) => {
   try {
     const customerId = req.user._id;
-    const orderId = req.params.id;
-    const { rating, review } = req.body;
-    
-    // Validate required fields
-    if (!rating || rating < 1 || rating > 5) {
-      return sendError(res, 400, 'Rating is required and must be between 1 and 5');
-    }
-    
-    // Get order
-    const order = await Order.findOne({ _id: orderId, customer: customerId });
-    
-    if (!order) {
-      return sendError(res, 404, 'Order not found');
-    }
-    
-    // Check if order is completed
-    if (order.status !== ORDER_STATUS.DELIVERED) {
-      return sendError(res, 400, 'Can only rate delivered orders');
-    }
     
-    // Update order with rating and review
-    order.rating = rating;
-    order.review = review;
-    await order.save();
+    const wishlist = await Wishlist.findOneAndDelete({ _id: req.params.id, customer: customerId });
     
-    // Update product ratings (assuming we rate all items in the order with the same rating)
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      
-      if (product) {
-        // Simple moving average for ratings
-        const newTotalReviews = product.totalReviews + 1;
-        const newAvgRating = ((product.avgRating * product.totalReviews) + rating) / newTotalReviews;
-        
-        product.totalReviews = newTotalReviews;
-        product.avgRating = newAvgRating;
-        await product.save();
-      }
+    if (!wishlist) {
+      return sendError(res, 404, 'Wishlist not found');
     }
     
-    return sendSuccess(res, 200, 'Order rated successfully', { order });
+    return sendSuccess(res, 200, 'Wishlist deleted successfully');
   } catch (error) {
     return handleApiError(res, error);
   }
 };
 
 /**
- * Checkout and create a new order
+ * Add a product to a wishlist
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const checkout = async (req, res) => {
+const addWishlistItem = async (req, res) => {
   try {
     const customerId = req.user._id;
-    const { addressId, paymentMethod, deliveryNote } = req.body;
+    const { productId, quantity } = req.body;
     
-    // Get customer's cart
-    const cart = await Cart.findOne({ customer: customerId })
-      .populate('items.product');
+    if (!productId) {
+      return sendError(res, 400, 'Product ID is required');
+    }
     
-    if (!cart || !cart.items || cart.items.length === 0) {
-      return sendError(res, 400, 'Your cart is empty');
+    if (quantity !== undefined && !isValidQuantity(quantity)) {
+      return sendError(res, 400, 'Quantity must be a whole number of at least 1');
     }
     
-    // Get delivery address
-    const address = await Address.findOne({
-      _id: addressId,
-      user: customerId
-    });
+    const wishlist = await Wishlist.findOne({ _id: req.params.id, customer: customerId });
     
-    if (!address) {
-      return sendError(res, 404, 'Delivery address not found');
+    if (!wishlist) {
+      return sendError(res, 404, 'Wishlist not found');
     }
     
-    // Validate products and calculate order details
-    const vendorId = cart.vendor;
-    const orderItems = [];
-    let subtotal = 0;
-    
-    for (const item of cart.items) {
-      const product = item.product;
-      
-      // Ensure product is in stock
-      if (!product.inStock || product.quantity < item.quantity) {
-        return sendError(res, 400, `${product.name} is out of stock or has insufficient quantity`);
-      }
-      
-      // Create order item
-      const orderItem = {
-        product: product._id,
-        quantity: item.quantity,
-        price: product.discountPrice > 0 ? product.discountPrice : product.price,
-        name: product.name,
-        unit: product.unit
-      };
-      
-      orderItems.push(orderItem);
-      subtotal += orderItem.price * orderItem.quantity;
+    if (!(await Product.exists({ _id: productId }))) {
+      return sendError(res, 404, 'Product not found');
     }
     
-    // Calculate delivery fee based on distance
-    const vendorData = await User.findById(vendorId).select('location');
-    const deliveryFee = calculateDeliveryFee(
-      address.location.coordinates,
-      vendorData.location.coordinates
-    );
+    const existingItem = wishlist.items.find(item => item.product.toString() === productId);
     
-    // Calculate tax (simplified for demo)
-    const taxRate = 0.05; // 5% tax
-    const tax = subtotal * taxRate;
-    
-    // Apply any applicable promotions (simplified)
-    const discount = 0; // Implement promotion logic here
-    
-    // Calculate total
-    const total = subtotal + deliveryFee + tax - discount;
-    
-    // Create a new order
-    const order = new Order({
-      customer: customerId,
-      vendor: vendorId,
-      items: orderItems,
-      deliveryAddress: {
-        addressLine1: address.addressLine1,
-        addressLine2: address.addressLine2 || '',
-        city: address.city,
-        state: address.state,
-        pincode: address.pincode,
-        location: address.location
-      },
-      subtotal,
-      deliveryFee,
-      tax,
-      discount,
-      total,
-      paymentMethod,
-      deliveryNote,
-      status: ORDER_STATUS.PENDING,
-      statusHistory: [{
-        status: ORDER_STATUS.PENDING,
-        timestamp: new Date(),
-        updatedBy: customerId
-      }]
-    });
+    if (existingItem) {
+      existingItem.quantity = quantity !== undefined ? Number(quantity) : existingItem.quantity;
+    } else {
+      wishlist.items.push({ product: productId, quantity: quantity !== undefined ? Number(quantity) : 1 });
+    }
     
-    // Save the order
-    await order.save();
+    await wishlist.save();
+    await wishlist.populate('items.product', 'name images price discountPrice unit inStock vendor');
     
-    // Update product quantities
-    for (const item of cart.items) {
-      await Product.findByIdAndUpdate(
-        item.product._id,
-        { $inc: { quantity: -item.quantity } }
-      );
-    }
+    return sendSuccess(res, 200, 'Product added to wishlist successfully', { wishlist });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Remove a product from a wishlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const removeWishlistItem = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const { id, productId } = req.params;
     
-    // Clear the customer's cart
-    await Cart.findByIdAndDelete(cart._id);
+    const wishlist = await Wishlist.findOneAndUpdate(
+      { _id: id, customer: customerId },
+      { $pull: { items: { product: productId } } },
+      { new: true }
+    ).populate('items.product', 'name images price discountPrice unit inStock vendor');
     
-    // Create a socket for real-time tracking
-    const io = req.app.get('socketio');
-    if (io) {
-      io.emit('new-order', { orderId: order._id, vendorId });
+    if (!wishlist) {
+      return sendError(res, 404, 'Wishlist not found');
     }
     
-    return sendSuccess(res, 201, 'Order placed successfully', { order });
+    return sendSuccess(res, 200, 'Product removed from wishlist successfully', { wishlist });
   } catch (error) {
     return handleApiError(res, error);
   }
 };
 
 /**
- * Get real-time order tracking
+ * Move a wishlist product into the cart
+ * Items leave the saved-for-later list once in the cart; named wishlists keep them.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const trackOrder = async (req, res) => {
+const moveWishlistItemToCart = async (req, res) => {
   try {
     const customerId = req.user._id;
-    const orderId = req.params.id;
+    const { id, productId } = req.params;
+    const { quantity } = req.body || {};
     
-    // Get order and ensure it belongs to this customer
-    const order = await Order.findOne({
-      _id: orderId,
-      customer: customerId
-    })
-    .populate('vendor', 'firstName lastName phone location')
-    .populate('deliveryAgent', 'firstName lastName phone');
+    if (quantity !== undefined && !isValidQuantity(quantity)) {
+      return sendError(res, 400, 'Quantity must be a whole number of at least 1');
+    }
     
-    if (!order) {
-      return sendError(res, 404, 'Order not found');
+    const wishlist = await Wishlist.findOne({ _id: id, customer: customerId });
+    
+    if (!wishlist) {
+      return sendError(res, 404, 'Wishlist not found');
     }
     
-    // Get latest delivery agent location from Redis if available
-    let agentLocation = null;
-    if (order.deliveryAgent) {
-      const locationData = await redisClient.get(`delivery_location:${order.deliveryAgent._id}`);
-      if (locationData) {
-        agentLocation = JSON.parse(locationData);
-      }
+    const wishlistItem = wishlist.items.find(item => item.product.toString() === productId);
+    
+    if (!wishlistItem) {
+      return sendError(res, 404, 'Product not found in wishlist');
     }
     
-    // Get tracking data
-    const trackingData = {
-      order,
-      status: order.status,
-      statusHistory: order.statusHistory,
-      estimatedDeliveryTime: order.estimatedDeliveryTime,
-      agentLocation,
-      vendor: {
-        location: order.vendor.location
-      }
-    };
+    const product = await Product.findById(productId);
     
-    return sendSuccess(res, 200, 'Order tracking data retrieved successfully', { tracking: trackingData });
+    if (!product) {
+      return sendError(res, 404, 'Product is no longer available');
+    }
+    
+    const { cart, added, change } = await addItemToCart({
+      customerId,
+      product,
+      quantity: quantity !== undefined ? Number(quantity) : wishlistItem.quantity
+    });
+    
+    if (added === 0) {
+      return sendError(res, 400, change.message, [change]);
+    }
+    
+    if (wishlist.type === WISHLIST_TYPES.SAVED_FOR_LATER) {
+      wishlist.items = wishlist.items.filter(item => item.product.toString() !== productId);
+      await wishlist.save();
+    }
+    
+    await cart.populate('items.product');
+    
+    return sendSuccess(res, 200, 'Product moved to cart successfully', {
+      cart,
+      changes: change ? [change] : []
+    });
   } catch (error) {
     return handleApiError(res, error);
   }
 };
 
 /**
- * Calculate delivery fee based on distance
- * @param {Array} customerCoords - Customer coordinates [lng, lat]
- * @param {Array} vendorCoords - Vendor coordinates [lng, lat]
- * @returns {Number} Delivery fee
+ * Read a list of vendor IDs given as an array or a comma-separated string
+ * @param {Array|String} value - Vendor IDs from the query or body
+ * @returns {Array} Vendor IDs
  */
-const calculateDeliveryFee = (customerCoords, vendorCoords) => {
-  // Calculate distance between customer and vendor
-  const distanceInKm = calculateDistance(
-    customerCoords[1], // latitude
-    customerCoords[0], // longitude
-    vendorCoords[1],   // latitude
-    vendorCoords[0]    // longitude
-  );
-  
-  // Base delivery fee
-  const baseFee = 30;
-  
-  // Additional fee per km
-  const perKmFee = 10;
-  
-  // Calculate total delivery fee
-  return Math.ceil(baseFee + (distanceInKm * perKmFee));
+const parseVendorIds = (value) => {
+  if (!value) return [];
+  const ids = Array.isArray(value) ? value : String(value).split(',');
+  return ids.map(id => String(id).trim()).filter(Boolean);
 };
 
 /**
- * Update customer location
+ * Preview the promotion discount for the customer's carts
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const updateLocation = async (req, res) => {
+const previewCartPromotion = async (req, res) => {
   try {
     const customerId = req.user._id;
-    const { coordinates } = req.body;
+    const { code } = req.query;
     
-    // Validate coordinates
-    if (!coordinates || !Array.isArray(coordinates) || coordinates.length !== 2) {
-      return sendError(res, 400, 'Valid coordinates are required [longitude, latitude]');
+    // Get customer's carts, repriced and clamped to current stock
+    const { carts, changes } = await getCheckoutCarts(customerId, parseVendorIds(req.query.vendorIds));
+    
+    if (carts.length === 0) {
+      return sendError(res, 400, 'Your cart is empty');
     }
     
-    // Get location name from coordinates
-    let locationName = '';
-    try {
-      const [longitude, latitude] = coordinates;
-      const addressInfo = await getAddressFromCoordinates(latitude, longitude);
-      locationName = addressInfo.fullAddress;
+    const promotionResult = await resolveCheckoutPromotions({ carts, customerId, code });
+    
+    if (promotionResult.error) {
+      return sendError(res, promotionResult.error.statusCode, promotionResult.error.message);
+    }
+    
+    // One entry per store cart
+    const stores = carts.map((cart, index) => {
+      const { promotion, discount, itemDiscounts } = promotionResult.results[index];
+      const subtotal = getCartLineItems(cart).reduce((sum, item) => sum + item.price * item.quantity, 0);
+      
+      return {
+        vendor: cart.vendor,
+        subtotal,
+        discount,
+        subtotalAfterDiscount: subtotal - discount,
+        promotion: promotion ? {
+          _id: promotion._id,
+          title: promotion.title,
+          description: promotion.description,
+          code: promotion.code,
+          discountType: promotion.discountType,
+          discountValue: promotion.discountValue,
+          fundedBy: promotion.fundedBy
+        } : null,
+        itemDiscounts
+      };
+    });
+    
+    const subtotal = stores.reduce((sum, store) => sum + store.subtotal, 0);
+    const discount = stores.reduce((sum, store) => sum + store.discount, 0);
+    const applied = stores.some(store => store.promotion);
+    
+    return sendSuccess(res, 200, applied ? 'Promotion applied' : 'No promotion applies to your cart', {
+      subtotal,
+      discount,
+      subtotalAfterDiscount: subtotal - discount,
+      stores,
+      changes
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get the exact price breakdown for checking out the customer's carts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCheckoutQuote = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const { addressId, promoCode } = req.query;
+    
+    if (!addressId) {
+      return sendError(res, 400, 'Address ID is required');
+    }
+    
+    // Get customer's carts, repriced and clamped to current stock
+    const { carts, changes } = await getCheckoutCarts(customerId, parseVendorIds(req.query.vendorIds));
+    
+    if (carts.length === 0) {
+      return sendError(res, 400, 'Your cart is empty');
+    }
+    
+    // Get delivery address
+    const address = await Address.findOne({
+      _id: addressId,
+      user: customerId
+    });
+    
+    if (!address) {
+      return sendError(res, 404, 'Delivery address not found');
+    }
+    
+    const quoteResult = await buildCheckoutQuote({ carts, address, customerId, promoCode });
+    
+    if (quoteResult.error) {
+      return sendError(res, quoteResult.error.statusCode, quoteResult.error.message);
+    }
+    
+    return sendSuccess(res, 200, 'Checkout quote calculated successfully', { quote: quoteResult.quote, changes });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Place orders for the customer's carts
+ * Each store's cart becomes its own order under one checkout with a combined
+ * payment. Accepts an Idempotency-Key header (or idempotencyKey in the body) so
+ * retried requests return the original checkout instead of placing duplicates.
+ * Stores can be given a delivery slot in deliverySlots; the others deliver ASAP.
+ * Online checkouts return the gateway payment to complete in payment. walletAmount
+ * pays part of the total from the wallet, with paymentMethod covering the rest.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const placeOrder = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const { addressId, paymentMethod, walletAmount, deliveryNote, deliverySlots, promoCode } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+    
+    const result = await placeOrders({
+      customerId,
+      vendorIds: parseVendorIds(req.body.vendorIds),
+      addressId,
+      paymentMethod,
+      walletAmount,
+      deliveryNote,
+      deliverySlots,
+      promoCode,
+      idempotencyKey
+    });
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message, result.error.errors);
+    }
+    
+    const { checkout, orders, created } = result;
+    const payment = getPaymentClientOptions(checkout);
+    
+    if (!created) {
+      return sendSuccess(res, 200, 'Order already placed', { checkout, orders, payment });
+    }
+    
+    // Notify each vendor of their new order; online orders are sent once paid
+    const io = req.app.get('socketio');
+    if (io) {
+      orders.filter(order => order.status === ORDER_STATUS.PENDING).forEach(order => {
+        io.to(userRoom(order.vendor)).emit('new-order', { orderId: order._id, vendorId: order.vendor });
+      });
+    }
+    
+    return sendSuccess(res, 201, payment ? 'Order placed. Complete the payment to confirm it' : 'Order placed successfully', {
+      checkout,
+      orders,
+      payment
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get customer's orders
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOrders = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const { status, limit = 10, page = 1 } = req.query;
+    
+    // Build query
+    const query = { customer: customerId };
+    if (status) {
+      query.status = status;
+    }
+    
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    // Get orders
+    const orders = await Order.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('vendor', 'firstName lastName')
+      .populate('items.product', 'name images');
+    
+    // Get total count for pagination
+    const totalOrders = await Order.countDocuments(query);
+    
+    return sendSuccess(res, 200, 'Orders retrieved successfully', {
+      orders,
+      pagination: {
+        totalOrders,
+        totalPages: Math.ceil(totalOrders / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get order details
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOrderDetails = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const orderId = req.params.id;
+    
+    // Get order details
+    const order = await Order.findOne({ _id: orderId, customer: customerId })
+      .populate('vendor', 'firstName lastName phone location')
+      .populate('items.product', 'name images unit')
+      .populate('deliveryAgent', 'firstName lastName phone');
+    
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    
+    return sendSuccess(res, 200, 'Order details retrieved successfully', { order });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Cancel an order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelOrder = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const orderId = req.params.id;
+    const { reason } = req.body;
+    
+    // Get order
+    const order = await Order.findOne({ _id: orderId, customer: customerId });
+    
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    
+    // Cancel, return the stock and slot, and refund what was paid
+    const result = await closeOrder(order, {
+      status: ORDER_STATUS.CANCELLED,
+      actor: ORDER_ACTORS.CUSTOMER,
+      updatedBy: customerId,
+      notes: reason || 'Cancelled by customer',
+      fields: { cancellationReason: reason || 'Cancelled by customer' }
+    });
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    return sendSuccess(res, 200, 'Order cancelled successfully', {
+      order: result.order,
+      refund: result.refund
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Change the items of an order the store has not accepted yet
+ * Takes the complete new list of items; the difference in price is refunded
+ * or, for orders paid up front, charged to the wallet.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const modifyOrderItems = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const orderId = req.params.id;
+    const { items } = req.body;
+    
+    const order = await Order.findOne({ _id: orderId, customer: customerId });
+    
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    
+    const result = await modifyPendingOrder(order, { items, customerId });
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    // Let the store know the order it is about to accept has changed
+    const io = req.app.get('socketio');
+    if (io) {
+      io.to(userRoom(result.order.vendor)).emit('order-updated', { orderId: result.order._id, vendorId: result.order.vendor });
+    }
+    
+    return sendSuccess(res, 200, 'Order updated successfully', {
+      order: result.order,
+      refund: result.refund
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Answer the store's substitution proposal for an order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Boolean} approved - Whether the customer takes the substitutes
+ */
+const answerSubstitution = async (req, res, approved) => {
+  try {
+    const customerId = req.user._id;
+    const orderId = req.params.id;
+    
+    const order = await Order.findOne({ _id: orderId, customer: customerId });
+    
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    
+    const result = await respondToSubstitution(order, { approved, customerId });
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    const io = req.app.get('socketio');
+    if (io) {
+      io.to(userRoom(result.order.vendor)).emit('order-updated', { orderId: result.order._id, vendorId: result.order.vendor });
+    }
+    
+    return sendSuccess(res, 200, approved ? 'Substitutions approved' : 'Substitutions declined', {
+      order: result.order,
+      refund: result.refund
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Approve the store's substitutions for unavailable items
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approveSubstitution = (req, res) => answerSubstitution(req, res, true);
+
+/**
+ * Decline the store's substitutions; the unavailable items are removed and refunded
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectSubstitution = (req, res) => answerSubstitution(req, res, false);
+
+/**
+ * Report missing or damaged items of a delivered order
+ * Creates a refund request for an admin to review.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reportIssue = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const orderId = req.params.id;
+    const { items, notes } = req.body;
+    
+    const order = await Order.findOne({ _id: orderId, customer: customerId });
+    
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    
+    const result = await reportOrderIssue(order, { items, notes, customerId });
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    return sendSuccess(res, 201, 'Issue reported successfully', { refund: result.refund });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get the refunds of an order, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOrderRefunds = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const orderId = req.params.id;
+    
+    const order = await Order.findOne({ _id: orderId, customer: customerId }).select('_id');
+    
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    
+    const refunds = await Refund.find({ order: order._id })
+      .select('-gatewayDetails.lockedUntil -gatewayDetails.attempts')
+      .sort({ createdAt: -1 });
+    
+    return sendSuccess(res, 200, 'Refunds retrieved successfully', { refunds });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Rebuild the cart from a past order
+ * Products that were deleted or are out of stock are skipped, and quantities
+ * are capped at the stock available; unavailable lists what could not be re-added.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reorder = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const orderId = req.params.id;
+    
+    const order = await Order.findOne({ _id: orderId, customer: customerId });
+    
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    
+    const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } });
+    const added = [];
+    const unavailable = [];
+    
+    for (const item of order.items) {
+      const product = products.find(candidate => candidate._id.toString() === item.product.toString());
+      
+      if (!product) {
+        unavailable.push({
+          vendor: order.vendor,
+          product: item.product,
+          name: item.name,
+          type: CART_CHANGE_TYPES.PRODUCT_REMOVED,
+          message: `${item.name} is no longer available`
+        });
+        continue;
+      }
+      
+      const result = await addItemToCart({ customerId, product, quantity: item.quantity });
+      
+      if (result.added > 0) {
+        added.push({ product: product._id, name: product.name, quantity: result.added });
+      }
+      
+      if (result.change) {
+        unavailable.push(result.change);
+      }
+    }
+    
+    if (added.length === 0) {
+      return sendError(res, 400, 'None of the products in this order are available', unavailable);
+    }
+    
+    const carts = await Cart.find({ customer: customerId })
+      .populate('vendor', 'firstName lastName')
+      .populate('items.product');
+    
+    return sendSuccess(res, 200, unavailable.length > 0
+      ? 'Some products could not be added to your cart'
+      : 'Order items added to your cart', { carts, added, unavailable });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Rate and review an order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rateOrder = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const orderId = req.params.id;
+    const { rating, review } = req.body;
+    
+    // Validate required fields
+    if (!rating || rating < 1 || rating > 5) {
+      return sendError(res, 400, 'Rating is required and must be between 1 and 5');
+    }
+    
+    // Get order
+    const order = await Order.findOne({ _id: orderId, customer: customerId });
+    
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    
+    // Check if order is completed
+    if (order.status !== ORDER_STATUS.DELIVERED) {
+      return sendError(res, 400, 'Can only rate delivered orders');
+    }
+    
+    // Update order with rating and review
+    order.rating = rating;
+    order.review = review;
+    await order.save();
+    
+    // Update product ratings (assuming we rate all items in the order with the same rating)
+    for (const item of order.items) {
+      const product = await Product.findById(item.product);
+      
+      if (product) {
+        // Simple moving average for ratings
+        const newTotalReviews = product.totalReviews + 1;
+        const newAvgRating = ((product.avgRating * product.totalReviews) + rating) / newTotalReviews;
+        
+        product.totalReviews = newTotalReviews;
+        product.avgRating = newAvgRating;
+        await product.save();
+      }
+    }
+    
+    return sendSuccess(res, 200, 'Order rated successfully', { order });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get real-time order tracking
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const trackOrder = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const orderId = req.params.id;
+    
+    // Get order and ensure it belongs to this customer
+    const order = await Order.findOne({
+      _id: orderId,
+      customer: customerId
+    })
+    .populate('vendor', 'firstName lastName phone location')
+    .populate('deliveryAgent', 'firstName lastName phone');
+    
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    
+    // Get latest delivery agent location from Redis if available
+    let agentLocation = null;
+    if (order.deliveryAgent) {
+      const locationData = await redisClient.get(`delivery_location:${order.deliveryAgent._id}`);
+      if (locationData) {
+        agentLocation = JSON.parse(locationData);
+      }
+    }
+    
+    // Get tracking data
+    const trackingData = {
+      order,
+      status: order.status,
+      statusHistory: order.statusHistory,
+      estimatedDeliveryTime: order.estimatedDeliveryTime,
+      agentLocation,
+      vendor: {
+        location: order.vendor.location
+      }
+    };
+    
+    return sendSuccess(res, 200, 'Order tracking data retrieved successfully', { tracking: trackingData });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Update customer location
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateLocation = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const { coordinates } = req.body;
+    
+    // Validate coordinates
+    if (!coordinates || !Array.isArray(coordinates) || coordinates.length !== 2) {
+      return sendError(res, 400, 'Valid coordinates are required [longitude, latitude]');
+    }
+    
+    // Get location name from coordinates
+    let locationName = '';
+    try {
+      const [longitude, latitude] = coordinates;
+      const addressInfo = await getAddressFromCoordinates(latitude, longitude);
+      locationName = addressInfo.fullAddress;
     } catch (error) {
       console.error('Error fetching location name:', error);
       // Continue with location update even if location name fetch fails
     }
     
-    // Update location
-    const customer = await User.findByIdAndUpdate(
-      customerId,
-      {
-        location: {
-          type: 'Point',
-          coordinates,
-          locationName
+    // Update location
+    const customer = await User.findByIdAndUpdate(
+      customerId,
+      {
+        location: {
+          type: 'Point',
+          coordinates,
+          locationName
+        }
+      },
+      { new: true }
+    ).select('-password -refreshToken');
+    
+    if (!customer) {
+      return sendError(res, 404, 'Customer not found');
+    }
+    
+    // Also update in Redis for real-time access
+    await redisClient.set(
+      `customer_location:${customerId}`,
+      JSON.stringify({
+        customerId,
+        coordinates,
+        locationName,
+        updatedAt: new Date()
+      }),
+      'EX',
+      300 // Expire in 5 minutes if not updated
+    );
+    
+    return sendSuccess(res, 200, 'Location updated successfully', { location: customer.location });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get customer location
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLocation = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    
+    // Try to get from Redis first (most up-to-date)
+    const redisLocation = await redisClient.get(`customer_location:${customerId}`);
+    if (redisLocation) {
+      const locationData = JSON.parse(redisLocation);
+      return sendSuccess(res, 200, 'Location retrieved successfully', { location: locationData });
+    }
+    
+    // If not in Redis, get from database
+    const customer = await User.findById(customerId).select('location');
+    
+    if (!customer) {
+      return sendError(res, 404, 'Customer not found');
+    }
+    
+    return sendSuccess(res, 200, 'Location retrieved successfully', { location: customer.location });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Resolve the customer's current coordinates
+ * Uses lat/lng from the query string first, then the Redis location cache, then the stored profile location.
+ * @param {Object} req - Express request object
+ * @returns {Promise<Array|null>} Coordinates [lng, lat] or null if unavailable
+ */
+const getCustomerCoordinates = async (req) => {
+  const customerId = req.user._id;
+  let customerCoords;
+  
+  // First check if customer provided location in query
+  if (req.query.lat && req.query.lng) {
+    customerCoords = [parseFloat(req.query.lng), parseFloat(req.query.lat)];
+  } else {
+    // Try to get from Redis first (most up-to-date)
+    const redisLocation = await redisClient.get(`customer_location:${customerId}`);
+    
+    if (redisLocation) {
+      customerCoords = JSON.parse(redisLocation).coordinates;
+    } else {
+      // If not in Redis, get from database
+      const customer = await User.findById(customerId).select('location');
+      customerCoords = customer && customer.location ? customer.location.coordinates : null;
+    }
+  }
+  
+  if (!customerCoords || customerCoords.length !== 2 || !customerCoords.every(Number.isFinite)) {
+    return null;
+  }
+  
+  return customerCoords;
+};
+
+/**
+ * Work out whether a vendor delivers to the customer's coordinates
+ * @param {Object} vendor - Vendor user with location and storeDetails
+ * @param {Array} customerCoords - Customer coordinates [lng, lat]
+ * @returns {Object} { distance, isDeliveryAvailable } - distance is null when the vendor has no location
+ */
+const getDeliveryAvailability = (vendor, customerCoords) => {
+  // Skip vendors without location or coordinates
+  if (!vendor.location || !vendor.location.coordinates || 
+      !vendor.location.coordinates[0] || !vendor.location.coordinates[1]) {
+    return { distance: null, isDeliveryAvailable: false };
+  }
+  
+  const vendorCoords = vendor.location.coordinates;
+  const distance = calculateDistance(
+    customerCoords[1], // latitude
+    customerCoords[0], // longitude
+    vendorCoords[1],   // latitude
+    vendorCoords[0]    // longitude
+  );
+  
+  // Get vendor's delivery radius (default to 5km if not set)
+  const vendorDeliveryRadius = 
+    (vendor.storeDetails && vendor.storeDetails.deliveryRadiusKm) 
+      ? vendor.storeDetails.deliveryRadiusKm 
+      : 5;
+  
+  return { distance, isDeliveryAvailable: distance <= vendorDeliveryRadius };
+};
+
+/**
+ * Build a product filter from catalog query parameters
+ * @param {Object} filters - Query parameters (category, inStock, minPrice, maxPrice, tags)
+ * @returns {Object} Mongoose query object
+ */
+const buildCatalogQuery = ({ category, inStock, minPrice, maxPrice, tags }) => {
+  const query = {};
+  
+  if (category) query.category = category;
+  if (inStock !== undefined) query.inStock = inStock === 'true';
+  
+  // Price range applies to the price the customer actually pays
+  const effectivePrice = {
+    $cond: [{ $gt: ['$discountPrice', 0] }, '$discountPrice', '$price']
+  };
+  const priceConditions = [];
+  if (minPrice !== undefined && !isNaN(parseFloat(minPrice))) {
+    priceConditions.push({ $gte: [effectivePrice, parseFloat(minPrice)] });
+  }
+  if (maxPrice !== undefined && !isNaN(parseFloat(maxPrice))) {
+    priceConditions.push({ $lte: [effectivePrice, parseFloat(maxPrice)] });
+  }
+  if (priceConditions.length > 0) {
+    query.$expr = { $and: priceConditions };
+  }
+  
+  // Tags can be passed as a comma-separated list or repeated query params
+  if (tags) {
+    const tagList = (Array.isArray(tags) ? tags : tags.split(','))
+      .map(tag => tag.trim())
+      .filter(Boolean);
+    if (tagList.length > 0) query.tags = { $in: tagList };
+  }
+  
+  return query;
+};
+
+// Fields customers may sort catalog listings by
+const CATALOG_SORT_FIELDS = ['createdAt', 'price', 'name', 'avgRating'];
+
+/**
+ * Find an active vendor that delivers to the customer
+ * @param {String} vendorId - Vendor user ID
+ * @param {Array} customerCoords - Customer coordinates [lng, lat]
+ * @returns {Promise<Object>} { vendor, distance, error } - error holds status and message when not servable
+ */
+const findServiceableStore = async (vendorId, customerCoords) => {
+  if (!mongoose.Types.ObjectId.isValid(vendorId)) {
+    return { error: { statusCode: 400, message: 'Invalid store ID' } };
+  }
+  
+  const vendor = await User.findOne({
+    _id: vendorId,
+    role: USER_ROLES.VENDOR,
+    status: USER_STATUS.ACTIVE
+  })
+    .select('fullName storeDetails location')
+    .lean();
+  
+  if (!vendor) {
+    return { error: { statusCode: 404, message: 'Store not found' } };
+  }
+  
+  const { distance, isDeliveryAvailable } = getDeliveryAvailability(vendor, customerCoords);
+  
+  if (!isDeliveryAvailable) {
+    return { error: { statusCode: 400, message: 'This store does not deliver to your location' } };
+  }
+  
+  return { vendor, distance };
+};
+
+/**
+ * Find active vendors that deliver to the customer's coordinates
+ * @param {Array} customerCoords - Customer coordinates [lng, lat]
+ * @returns {Promise<Array>} Vendors within their delivery radius, each with a distance in km
+ */
+const findServiceableVendors = async (customerCoords) => {
+  const vendors = await User.find({
+    role: USER_ROLES.VENDOR,
+    status: USER_STATUS.ACTIVE
+  })
+    .select('fullName storeDetails location')
+    .lean();
+  
+  return vendors.filter(vendor => {
+    const { distance, isDeliveryAvailable } = getDeliveryAvailability(vendor, customerCoords);
+    vendor.distance = distance;
+    return isDeliveryAvailable;
+  });
+};
+
+// Price bucket boundaries used for search facets
+const SEARCH_PRICE_BUCKETS = [0, 50, 100, 250, 500, 1000];
+
+/**
+ * Get nearby stores based on customer location
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getNearbyStores = async (req, res) => {
+  try {
+    const { maxDistance = 10, pinCode } = req.query; // Default to 10km if not specified
+    
+    // Get customer location
+    const customerCoords = await getCustomerCoordinates(req);
+    
+    if (!customerCoords) {
+      return sendError(res, 400, 'Customer location not available. Please update your location or provide lat/lng in the request.');
+    }
+    
+    // Find vendors based on pinCode if provided
+    let query = {
+      role: USER_ROLES.VENDOR,
+      status: USER_STATUS.ACTIVE
+    };
+    
+    if (pinCode) {
+      query['storeDetails.pinCode'] = pinCode;
+    }
+    
+    // Find active vendors
+    const vendors = await User.find(query)
+      .select('fullName storeDetails location')
+      .lean();
+    
+    // Filter vendors based on delivery radius
+    const nearbyStores = vendors.filter(vendor => {
+      const { distance, isDeliveryAvailable } = getDeliveryAvailability(vendor, customerCoords);
+      
+      if (distance === null) {
+        return false;
+      }
+      
+      // Add distance to vendor object for frontend
+      vendor.distance = distance.toFixed(2);
+      vendor.isDeliveryAvailable = isDeliveryAvailable;
+      
+      // Return vendors that are within the requested max distance
+      // We still return vendors outside their delivery radius, but mark them as unavailable
+      return distance <= parseFloat(maxDistance);
+    });
+    
+    // Sort by distance
+    nearbyStores.sort((a, b) => parseFloat(a.distance) - parseFloat(b.distance));
+    
+    return sendSuccess(res, 200, 'Nearby stores retrieved successfully', { 
+      stores: nearbyStores,
+      totalStores: nearbyStores.length,
+      availableForDelivery: nearbyStores.filter(store => store.isDeliveryAvailable).length
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get a store's products with filtering and pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getStoreProducts = async (req, res) => {
+  try {
+    const { vendorId } = req.params;
+    const { limit = 20, page = 1, sort = 'createdAt', order = 'desc' } = req.query;
+    
+    // Get customer location
+    const customerCoords = await getCustomerCoordinates(req);
+    
+    if (!customerCoords) {
+      return sendError(res, 400, 'Customer location not available. Please update your location or provide lat/lng in the request.');
+    }
+    
+    // Make sure the store is active and delivers to the customer
+    const { vendor, distance, error } = await findServiceableStore(vendorId, customerCoords);
+    
+    if (error) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    
+    if (req.query.category && !mongoose.Types.ObjectId.isValid(req.query.category)) {
+      return sendError(res, 400, 'Invalid category ID');
+    }
+    
+    // Build query
+    const query = buildCatalogQuery(req.query);
+    query.vendor = vendor._id;
+    
+    // A parent category also matches products in its subcategories
+    if (query.category) {
+      const descendantIds = await getDescendantCategoryIds(query.category);
+      query.category = { $in: [query.category, ...descendantIds] };
+    }
+    
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    // Build sort object
+    const sortField = CATALOG_SORT_FIELDS.includes(sort) ? sort : 'createdAt';
+    const sortObj = { [sortField]: order === 'asc' ? 1 : -1 };
+    
+    // Get products
+    const products = await Product.find(query)
+      .sort(sortObj)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('category', 'name');
+    
+    // Get total count for pagination
+    const totalProducts = await Product.countDocuments(query);
+    
+    return sendSuccess(res, 200, 'Store products retrieved successfully', {
+      store: {
+        _id: vendor._id,
+        fullName: vendor.fullName,
+        storeDetails: vendor.storeDetails,
+        distance: distance.toFixed(2)
+      },
+      products,
+      pagination: {
+        totalProducts,
+        totalPages: Math.ceil(totalProducts / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get the categories a store sells in, with product counts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getStoreCategories = async (req, res) => {
+  try {
+    const { vendorId } = req.params;
+    
+    // Get customer location
+    const customerCoords = await getCustomerCoordinates(req);
+    
+    if (!customerCoords) {
+      return sendError(res, 400, 'Customer location not available. Please update your location or provide lat/lng in the request.');
+    }
+    
+    // Make sure the store is active and delivers to the customer
+    const { vendor, error } = await findServiceableStore(vendorId, customerCoords);
+    
+    if (error) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    
+    // Count products per category for this store
+    const categories = await Product.aggregate([
+      { $match: { vendor: vendor._id } },
+      { $group: {
+          _id: '$category',
+          productCount: { $sum: 1 },
+          inStockCount: { $sum: { $cond: ['$inStock', 1, 0] } }
         }
       },
-      { new: true }
-    ).select('-password -refreshToken');
+      { $lookup: {
+          from: 'categories',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'category'
+        }
+      },
+      { $unwind: '$category' },
+      { $match: { 'category.isActive': true } },
+      { $sort: { 'category.displayOrder': 1, 'category.name': 1 } },
+      { $project: {
+          _id: '$category._id',
+          name: '$category.name',
+          image: '$category.image',
+          parent: '$category.parent',
+          productCount: 1,
+          inStockCount: 1
+        }
+      }
+    ]);
     
-    if (!customer) {
-      return sendError(res, 404, 'Customer not found');
+    return sendSuccess(res, 200, 'Store categories retrieved successfully', { categories });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get the delivery slots a store has open for booking
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getStoreDeliverySlots = async (req, res) => {
+  try {
+    const { vendorId } = req.params;
+    
+    // Get customer location
+    const customerCoords = await getCustomerCoordinates(req);
+    
+    if (!customerCoords) {
+      return sendError(res, 400, 'Customer location not available. Please update your location or provide lat/lng in the request.');
     }
     
-    // Also update in Redis for real-time access
-    await redisClient.set(
-      `customer_location:${customerId}`,
-      JSON.stringify({
-        customerId,
-        coordinates,
-        locationName,
-        updatedAt: new Date()
-      }),
-      'EX',
-      300 // Expire in 5 minutes if not updated
-    );
+    // Make sure the store is active and delivers to the customer
+    const { vendor, error } = await findServiceableStore(vendorId, customerCoords);
     
-    return sendSuccess(res, 200, 'Location updated successfully', { location: customer.location });
+    if (error) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    
+    const slots = await getAvailableSlots(vendor._id);
+    
+    return sendSuccess(res, 200, 'Delivery slots retrieved successfully', { slots });
   } catch (error) {
     return handleApiError(res, error);
   }
 };
 
 /**
- * Get customer location
+ * Get product details for a customer
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const getLocation = async (req, res) => {
+const getProductDetails = async (req, res) => {
   try {
-    const customerId = req.user._id;
+    const productId = req.params.id;
     
-    // Try to get from Redis first (most up-to-date)
-    const redisLocation = await redisClient.get(`customer_location:${customerId}`);
-    if (redisLocation) {
-      const locationData = JSON.parse(redisLocation);
-      return sendSuccess(res, 200, 'Location retrieved successfully', { location: locationData });
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return sendError(res, 400, 'Invalid product ID');
     }
     
-    // If not in Redis, get from database
-    const customer = await User.findById(customerId).select('location');
+    // Get customer location
+    const customerCoords = await getCustomerCoordinates(req);
     
-    if (!customer) {
-      return sendError(res, 404, 'Customer not found');
+    if (!customerCoords) {
+      return sendError(res, 400, 'Customer location not available. Please update your location or provide lat/lng in the request.');
     }
     
-    return sendSuccess(res, 200, 'Location retrieved successfully', { location: customer.location });
+    // Get product
+    const product = await Product.findById(productId)
+      .populate('category', 'name parent');
+    
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
+    }
+    
+    // Make sure the store is active and delivers to the customer
+    const { vendor, distance, error } = await findServiceableStore(product.vendor, customerCoords);
+    
+    if (error) {
+      // Products from inactive vendors are hidden from customers
+      return error.statusCode === 404
+        ? sendError(res, 404, 'Product not found')
+        : sendError(res, error.statusCode, error.message);
+    }
+    
+    return sendSuccess(res, 200, 'Product retrieved successfully', {
+      product,
+      store: {
+        _id: vendor._id,
+        fullName: vendor.fullName,
+        storeDetails: vendor.storeDetails,
+        distance: distance.toFixed(2)
+      }
+    });
   } catch (error) {
     return handleApiError(res, error);
   }
 };
 
 /**
- * Get nearby stores based on customer location
+ * Search products across nearby stores
+ * Results are ranked by text relevance. Facets are computed over every match in
+ * nearby stores, before the category/stock/price/tag refinements are applied.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const getNearbyStores = async (req, res) => {
+const searchProducts = async (req, res) => {
   try {
-    const customerId = req.user._id;
-    const { maxDistance = 10, pinCode } = req.query; // Default to 10km if not specified
+    const { q, limit = 20, page = 1, sort = 'relevance' } = req.query;
+    
+    if (!q || !q.trim()) {
+      return sendError(res, 400, 'Search query (q) is required');
+    }
+    
+    if (req.query.category && !mongoose.Types.ObjectId.isValid(req.query.category)) {
+      return sendError(res, 400, 'Invalid category ID');
+    }
     
     // Get customer location
-    let customerCoords;
+    const customerCoords = await getCustomerCoordinates(req);
     
-    // First check if customer provided location in query
-    if (req.query.lat && req.query.lng) {
-      customerCoords = [parseFloat(req.query.lng), parseFloat(req.query.lat)];
-    } else {
-      // Try to get from Redis first (most up-to-date)
-      const redisKey = `customer_location:${customerId}`;
-      const redisLocation = await redisClient.get(redisKey);
-      
-      if (redisLocation) {
-        const locationData = JSON.parse(redisLocation);
-        customerCoords = locationData.coordinates;
-      } else {
-        // If not in Redis, get from database
-        const customer = await User.findById(customerId).select('location');
-        
-        if (!customer || !customer.location || !customer.location.coordinates) {
-          return sendError(res, 400, 'Customer location not available. Please update your location or provide lat/lng in the request.');
+    if (!customerCoords) {
+      return sendError(res, 400, 'Customer location not available. Please update your location or provide lat/lng in the request.');
+    }
+    
+    // Only search stores that deliver to the customer
+    const vendors = await findServiceableVendors(customerCoords);
+    const vendorMap = new Map(vendors.map(vendor => [vendor._id.toString(), vendor]));
+    
+    if (vendors.length === 0) {
+      return sendSuccess(res, 200, 'Search results retrieved successfully', {
+        products: [],
+        facets: { categories: [], priceRanges: [], units: [] },
+        pagination: { totalProducts: 0, totalPages: 0, currentPage: parseInt(page), limit: parseInt(limit) }
+      });
+    }
+    
+    // Refinement filters (aggregation does not cast, so convert the category ID here;
+    // a parent category also matches products in its subcategories)
+    const refinements = buildCatalogQuery(req.query);
+    if (refinements.category) {
+      const descendantIds = await getDescendantCategoryIds(refinements.category);
+      refinements.category = {
+        $in: [new mongoose.Types.ObjectId(refinements.category), ...descendantIds]
+      };
+    }
+    
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    // Build sort object
+    let sortObj = { score: -1, avgRating: -1 };
+    if (sort === 'price_asc') sortObj = { effectivePrice: 1, score: -1 };
+    if (sort === 'price_desc') sortObj = { effectivePrice: -1, score: -1 };
+    if (sort === 'rating') sortObj = { avgRating: -1, score: -1 };
+    
+    const [result] = await Product.aggregate([
+      { $match: {
+          $text: { $search: q.trim() },
+          vendor: { $in: vendors.map(vendor => vendor._id) }
         }
-        
-        customerCoords = customer.location.coordinates;
+      },
+      { $addFields: {
+          score: { $meta: 'textScore' },
+          effectivePrice: { $cond: [{ $gt: ['$discountPrice', 0] }, '$discountPrice', '$price'] }
+        }
+      },
+      { $facet: {
+          products: [
+            { $match: refinements },
+            { $sort: sortObj },
+            { $skip: skip },
+            { $limit: parseInt(limit) },
+            { $lookup: {
+                from: 'categories',
+                localField: 'category',
+                foreignField: '_id',
+                as: 'category'
+              }
+            },
+            { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+            { $addFields: { category: { _id: '$category._id', name: '$category.name' } } }
+          ],
+          total: [
+            { $match: refinements },
+            { $count: 'count' }
+          ],
+          categories: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $lookup: {
+                from: 'categories',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'category'
+              }
+            },
+            { $unwind: '$category' },
+            { $project: { _id: 1, name: '$category.name', count: 1 } },
+            { $sort: { count: -1, name: 1 } }
+          ],
+          priceRanges: [
+            { $bucket: {
+                groupBy: '$effectivePrice',
+                boundaries: SEARCH_PRICE_BUCKETS,
+                default: 'above',
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ],
+          units: [
+            { $group: { _id: '$unit', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $project: { _id: 0, unit: '$_id', count: 1 } }
+          ]
+        }
+      }
+    ]);
+    
+    // Attach store name and distance to each result
+    const products = result.products.map(product => {
+      const vendor = vendorMap.get(product.vendor.toString());
+      return {
+        ...product,
+        store: {
+          _id: vendor._id,
+          storeName: vendor.storeDetails ? vendor.storeDetails.storeName : vendor.fullName,
+          distance: vendor.distance.toFixed(2)
+        }
+      };
+    });
+    
+    // Label price buckets with their bounds
+    const priceRanges = result.priceRanges.map(bucket => {
+      const index = SEARCH_PRICE_BUCKETS.indexOf(bucket._id);
+      return {
+        min: bucket._id === 'above' ? SEARCH_PRICE_BUCKETS[SEARCH_PRICE_BUCKETS.length - 1] : bucket._id,
+        max: bucket._id === 'above' ? null : SEARCH_PRICE_BUCKETS[index + 1],
+        count: bucket.count
+      };
+    });
+    
+    const totalProducts = result.total.length > 0 ? result.total[0].count : 0;
+    
+    return sendSuccess(res, 200, 'Search results retrieved successfully', {
+      products,
+      facets: {
+        categories: result.categories,
+        priceRanges,
+        units: result.units
+      },
+      pagination: {
+        totalProducts,
+        totalPages: Math.ceil(totalProducts / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
       }
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get the active category tree with in-stock product counts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCategoryTree = async (req, res) => {
+  try {
+    const categories = await Category.find().lean();
+    const productCounts = await getProductCountsByCategory({ inStock: true });
+    
+    const tree = buildCategoryTree(categories, productCounts, true);
+    
+    return sendSuccess(res, 200, 'Category tree retrieved successfully', { categories: tree });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get the breadcrumb path from the root down to a category
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCategoryBreadcrumb = async (req, res) => {
+  try {
+    const categoryId = req.params.id;
+    
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+      return sendError(res, 400, 'Invalid category ID');
     }
     
-    // Validate coordinates
-    if (!customerCoords || customerCoords.length !== 2) {
-      return sendError(res, 400, 'Invalid customer coordinates');
+    const breadcrumb = await buildCategoryBreadcrumb(categoryId);
+    
+    // Hide categories that are inactive themselves or sit under an inactive parent
+    if (!breadcrumb || breadcrumb.some(entry => !entry.isActive)) {
+      return sendError(res, 404, 'Category not found');
     }
     
-    // Find vendors based on pinCode if provided
-    let query = {
-      role: USER_ROLES.VENDOR,
-      status: USER_STATUS.ACTIVE
-    };
+    return sendSuccess(res, 200, 'Category breadcrumb retrieved successfully', {
+      breadcrumb: breadcrumb.map(({ _id, name }) => ({ _id, name }))
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get the customer's wallet balance and latest transactions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWallet = async (req, res) => {
+  try {
+    const customerId = req.user._id;
     
-    if (pinCode) {
-      query['storeDetails.pinCode'] = pinCode;
+    const wallet = await getOrCreateWallet(customerId);
+    const { transactions } = await getWalletTransactions(customerId, { limit: 10 });
+    
+    return sendSuccess(res, 200, 'Wallet retrieved successfully', {
+      wallet: {
+        balance: wallet.balance,
+        isActive: wallet.isActive,
+        recentTransactions: transactions
+      }
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get the customer's wallet transactions, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWalletTransactionHistory = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const { type, category, limit = 20, page = 1 } = req.query;
+    
+    if (type && !Object.values(TRANSACTION_TYPES).includes(type)) {
+      return sendError(res, 400, `Type must be one of: ${Object.values(TRANSACTION_TYPES).join(', ')}`);
     }
     
-    // Find active vendors
-    const vendors = await User.find(query)
-      .select('fullName storeDetails location walletBalance')
-      .lean();
+    if (category && !Object.values(TRANSACTION_CATEGORIES).includes(category)) {
+      return sendError(res, 400, `Category must be one of: ${Object.values(TRANSACTION_CATEGORIES).join(', ')}`);
+    }
     
-    // Filter vendors based on delivery radius
-    const nearbyStores = vendors.filter(vendor => {
-      // Skip vendors without location or coordinates
-      if (!vendor.location || !vendor.location.coordinates || 
-          !vendor.location.coordinates[0] || !vendor.location.coordinates[1]) {
-        return false;
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    
+    const { transactions, total } = await getWalletTransactions(customerId, {
+      page: pageNumber,
+      limit: pageSize,
+      type,
+      category
+    });
+    
+    return sendSuccess(res, 200, 'Wallet transactions retrieved successfully', {
+      transactions,
+      pagination: {
+        totalTransactions: total,
+        totalPages: Math.ceil(total / pageSize),
+        currentPage: pageNumber,
+        limit: pageSize
       }
-      
-      // Calculate distance between customer and vendor
-      const vendorCoords = vendor.location.coordinates;
-      const distance = calculateDistance(
-        customerCoords[1], // latitude
-        customerCoords[0], // longitude
-        vendorCoords[1],   // latitude
-        vendorCoords[0]    // longitude
-      );
-      
-      // Add distance to vendor object for frontend
-      vendor.distance = distance.toFixed(2);
-      
-      // Get vendor's delivery radius (default to 5km if not set)
-      const vendorDeliveryRadius = 
-        (vendor.storeDetails && vendor.storeDetails.deliveryRadiusKm) 
-          ? vendor.storeDetails.deliveryRadiusKm 
-          : 5;
-      
-      // Check if customer is within vendor's delivery radius
-      vendor.isDeliveryAvailable = distance <= vendorDeliveryRadius;
-      
-      // Return vendors that are within the requested max distance
-      // We still return vendors outside their delivery radius, but mark them as unavailable
-      return distance <= parseFloat(maxDistance);
     });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Start a wallet top-up through the payment gateway
+ * The wallet is credited once the gateway confirms the payment.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const topUpWallet = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const { amount } = req.body;
+    
+    const result = await startWalletTopUp(customerId, amount);
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    return sendSuccess(res, 201, 'Complete the payment to add money to your wallet', {
+      topUp: result.topUp,
+      payment: result.payment
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get the status of a wallet top-up
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWalletTopUp = async (req, res) => {
+  try {
+    const customerId = req.user._id;
     
-    // Sort by distance
-    nearbyStores.sort((a, b) => parseFloat(a.distance) - parseFloat(b.distance));
+    const topUp = await WalletTopUp.findOne({ _id: req.params.id, user: customerId });
     
-    return sendSuccess(res, 200, 'Nearby stores retrieved successfully', { 
-      stores: nearbyStores,
-      totalStores: nearbyStores.length,
-      availableForDelivery: nearbyStores.filter(store => store.isDeliveryAvailable).length
+    if (!topUp) {
+      return sendError(res, 404, 'Top-up not found');
+    }
+    
+    return sendSuccess(res, 200, 'Top-up retrieved successfully', {
+      topUp,
+      payment: getTopUpClientOptions(topUp)
     });
   } catch (error) {
     return handleApiError(res, error);
@@ -1190,14 +2311,40 @@ module.exports = {
   updateCartItem,
   getCart,
   clearCart,
-  createOrder,
+  saveCartItemForLater,
+  getWishlists,
+  createWishlist,
+  updateWishlist,
+  deleteWishlist,
+  addWishlistItem,
+  removeWishlistItem,
+  moveWishlistItemToCart,
+  previewCartPromotion,
+  getCheckoutQuote,
+  placeOrder,
   getOrders,
   getOrderDetails,
   cancelOrder,
+  modifyOrderItems,
+  approveSubstitution,
+  rejectSubstitution,
+  reportIssue,
+  getOrderRefunds,
+  reorder,
   rateOrder,
-  checkout,
   trackOrder,
   updateLocation,
   getLocation,
-  getNearbyStores
+  getNearbyStores,
+  getStoreProducts,
+  getStoreCategories,
+  getStoreDeliverySlots,
+  getProductDetails,
+  searchProducts,
+  getCategoryTree,
+  getCategoryBreadcrumb,
+  getWallet,
+  getWalletTransactionHistory,
+  topUpWallet,
+  getWalletTopUp
 }; 
\ No newline at end of file
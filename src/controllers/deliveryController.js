@@ -1,9 +1,13 @@
 const { User } = require('../models/User');
-const { Order, ORDER_STATUS } = require('../models/Order');
+const { Order, ORDER_STATUS, PAYMENT_METHOD, PAYMENT_STATUS } = require('../models/Order');
 const { sendSuccess, sendError, handleApiError } = require('../utils/responseUtils');
 const { calculateDistance } = require('../utils/locationUtils');
+const { buildSlotFilter, getOrderSort } = require('../utils/deliverySlotUtils');
 const redisClient = require('../config/redis');
-const { Wallet, TRANSACTION_TYPES, TRANSACTION_CATEGORIES } = require('../models/Wallet');
+const { LedgerEntry, LEDGER_ENTRY_TYPES } = require('../models/LedgerEntry');
+const { settleOrder, getLedgerBalance } = require('../utils/ledgerUtils');
+const { ORDER_ACTORS, changeOrderStatus, publishStatusChanges, transitionOrder, assignDeliveryAgent } = require('../utils/orderStateMachine');
+const { roundCurrency } = require('../utils/promotionUtils');
 const mongoose = require('mongoose');
 
 /**
@@ -112,13 +116,21 @@ const updateLocation = async (req, res) => {
 
 /**
  * Get nearby available orders
+ * Can be filtered by delivery type, slot and slot date, and sorted by slot with sortBy=slot.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const getNearbyOrders = async (req, res) => {
   try {
     const deliveryAgentId = req.user._id;
-    const { maxDistance = 5 } = req.query; // Default 5km radius
+    const { maxDistance = 5, sortBy } = req.query; // Default 5km radius
+    
+    // Filter by delivery slot
+    const { filter, error } = buildSlotFilter(req.query);
+    
+    if (error) {
+      return sendError(res, 400, error);
+    }
     
     // Get agent location from database
     const agent = await User.findById(deliveryAgentId);
@@ -129,6 +141,7 @@ const getNearbyOrders = async (req, res) => {
     
     // Find orders ready for pickup without assigned delivery agent
     const orders = await Order.find({
+      ...filter,
       status: ORDER_STATUS.READY_FOR_PICKUP,
       deliveryAgent: null
     }).populate('vendor', 'firstName lastName location');
@@ -158,8 +171,14 @@ const getNearbyOrders = async (req, res) => {
       return false;
     });
     
-    // Sort by distance
-    nearbyOrders.sort((a, b) => parseFloat(a._doc.distance) - parseFloat(b._doc.distance));
+    if (sortBy === 'slot') {
+      // ASAP orders first, then scheduled orders by slot start
+      const slotStart = order => (order.deliverySlot && order.deliverySlot.start ? order.deliverySlot.start.getTime() : 0);
+      nearbyOrders.sort((a, b) => slotStart(a) - slotStart(b));
+    } else {
+      // Sort by distance
+      nearbyOrders.sort((a, b) => parseFloat(a._doc.distance) - parseFloat(b._doc.distance));
+    }
     
     return sendSuccess(res, 200, 'Nearby orders retrieved successfully', { orders: nearbyOrders });
   } catch (error) {
@@ -169,16 +188,24 @@ const getNearbyOrders = async (req, res) => {
 
 /**
  * Get assigned orders
+ * Can be filtered by delivery type, slot and slot date, and sorted by slot with sortBy=slot.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const getAssignedOrders = async (req, res) => {
   try {
     const deliveryAgentId = req.user._id;
-    const { status } = req.query;
+    const { status, sortBy } = req.query;
+    
+    // Filter by delivery slot
+    const { filter, error } = buildSlotFilter(req.query);
+    
+    if (error) {
+      return sendError(res, 400, error);
+    }
     
     // Build query
-    const query = { deliveryAgent: deliveryAgentId };
+    const query = { ...filter, deliveryAgent: deliveryAgentId };
     
     // Filter by status if provided
     if (status) {
@@ -196,7 +223,7 @@ const getAssignedOrders = async (req, res) => {
     
     // Get orders
     const orders = await Order.find(query)
-      .sort({ updatedAt: -1 })
+      .sort(getOrderSort(sortBy, { updatedAt: -1 }))
       .populate('customer', 'firstName lastName phone')
       .populate('vendor', 'firstName lastName phone location');
     
@@ -248,30 +275,13 @@ const acceptOrder = async (req, res) => {
     const deliveryAgentId = req.user._id;
     const orderId = req.params.id;
     
-    // Get order
-    const order = await Order.findOne({
-      _id: orderId,
-      status: ORDER_STATUS.READY_FOR_PICKUP,
-      deliveryAgent: null
-    });
+    // Assign delivery agent to order, unless another agent got it first
+    const order = await assignDeliveryAgent(orderId, deliveryAgentId);
     
     if (!order) {
       return sendError(res, 404, 'Order not found or already assigned');
     }
     
-    // Assign delivery agent to order
-    order.deliveryAgent = deliveryAgentId;
-    
-    // Add status history entry
-    order.statusHistory.push({
-      status: order.status,
-      timestamp: new Date(),
-      updatedBy: deliveryAgentId,
-      notes: 'Delivery agent assigned'
-    });
-    
-    await order.save();
-    
     return sendSuccess(res, 200, 'Order accepted for delivery', { order });
   } catch (error) {
     return handleApiError(res, error);
@@ -289,30 +299,23 @@ const pickupOrder = async (req, res) => {
     const orderId = req.params.id;
     
     // Get order
-    const order = await Order.findOne({
-      _id: orderId,
-      deliveryAgent: deliveryAgentId,
-      status: ORDER_STATUS.READY_FOR_PICKUP
-    });
+    const order = await Order.findOne({ _id: orderId, deliveryAgent: deliveryAgentId });
     
     if (!order) {
-      return sendError(res, 404, 'Order not found or not in ready for pickup status');
+      return sendError(res, 404, 'Order not found');
     }
     
-    // Update order status
-    order.status = ORDER_STATUS.PICKED_UP;
-    
-    // Add status history entry
-    order.statusHistory.push({
-      status: ORDER_STATUS.PICKED_UP,
-      timestamp: new Date(),
+    const result = await transitionOrder(order, ORDER_STATUS.PICKED_UP, {
+      actor: ORDER_ACTORS.DELIVERY,
       updatedBy: deliveryAgentId,
       notes: 'Order picked up by delivery agent'
     });
     
-    await order.save();
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
     
-    return sendSuccess(res, 200, 'Order marked as picked up', { order });
+    return sendSuccess(res, 200, 'Order marked as picked up', { order: result.order });
   } catch (error) {
     return handleApiError(res, error);
   }
@@ -329,30 +332,23 @@ const startDelivery = async (req, res) => {
     const orderId = req.params.id;
     
     // Get order
-    const order = await Order.findOne({
-      _id: orderId,
-      deliveryAgent: deliveryAgentId,
-      status: ORDER_STATUS.PICKED_UP
-    });
+    const order = await Order.findOne({ _id: orderId, deliveryAgent: deliveryAgentId });
     
     if (!order) {
-      return sendError(res, 404, 'Order not found or not in picked up status');
+      return sendError(res, 404, 'Order not found');
     }
     
-    // Update order status
-    order.status = ORDER_STATUS.IN_TRANSIT;
-    
-    // Add status history entry
-    order.statusHistory.push({
-      status: ORDER_STATUS.IN_TRANSIT,
-      timestamp: new Date(),
+    const result = await transitionOrder(order, ORDER_STATUS.IN_TRANSIT, {
+      actor: ORDER_ACTORS.DELIVERY,
       updatedBy: deliveryAgentId,
       notes: 'Delivery started'
     });
     
-    await order.save();
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
     
-    return sendSuccess(res, 200, 'Delivery started', { order });
+    return sendSuccess(res, 200, 'Delivery started', { order: result.order });
   } catch (error) {
     return handleApiError(res, error);
   }
@@ -369,34 +365,45 @@ const completeDelivery = async (req, res) => {
     const orderId = req.params.id;
     
     // Get order
-    const order = await Order.findOne({
-      _id: orderId,
-      deliveryAgent: deliveryAgentId,
-      $or: [
-        { status: ORDER_STATUS.PICKED_UP },
-        { status: ORDER_STATUS.IN_TRANSIT }
-      ]
-    });
+    const order = await Order.findOne({ _id: orderId, deliveryAgent: deliveryAgentId });
     
     if (!order) {
-      return sendError(res, 404, 'Order not found or not in valid status for delivery');
+      return sendError(res, 404, 'Order not found');
     }
     
-    // Update order status
-    order.status = ORDER_STATUS.DELIVERED;
-    order.actualDeliveryTime = new Date();
-    
-    // Add status history entry
-    order.statusHistory.push({
-      status: ORDER_STATUS.DELIVERED,
-      timestamp: new Date(),
-      updatedBy: deliveryAgentId,
-      notes: 'Order delivered successfully'
-    });
+    let change = null;
+    const session = await mongoose.startSession();
+    
+    try {
+      await session.withTransaction(async () => {
+        // Update order status; cash on delivery is paid now
+        const result = await changeOrderStatus(order, ORDER_STATUS.DELIVERED, {
+          actor: ORDER_ACTORS.DELIVERY,
+          updatedBy: deliveryAgentId,
+          notes: 'Order delivered successfully',
+          fields: {
+            actualDeliveryTime: new Date(),
+            ...(order.paymentMethod === PAYMENT_METHOD.CASH_ON_DELIVERY ? { paymentStatus: PAYMENT_STATUS.PAID } : {})
+          },
+          session
+        });
+        change = result.change;
+        
+        // Split the payment between vendor, agent, platform and tax in the ledger
+        await settleOrder(result.order, session);
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return sendError(res, error.statusCode, error.message);
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
     
-    await order.save();
+    publishStatusChanges([change]);
     
-    return sendSuccess(res, 200, 'Order delivered successfully', { order });
+    return sendSuccess(res, 200, 'Order delivered successfully', { order: await Order.findById(order._id) });
   } catch (error) {
     return handleApiError(res, error);
   }
@@ -429,41 +436,36 @@ const getEarnings = async (req, res) => {
       startDate.setMonth(startDate.getMonth() - 1);
     }
     
-    // Get completed orders
+    // Get the agent's share of each delivered order from the ledger
     const query = {
-      deliveryAgent: deliveryAgentId,
-      status: ORDER_STATUS.DELIVERED
+      user: deliveryAgentId,
+      entryType: LEDGER_ENTRY_TYPES.AGENT_EARNING
     };
     
     if (period !== 'all') {
-      query.updatedAt = { $gte: startDate };
+      query.createdAt = { $gte: startDate };
       
       if (period === 'yesterday') {
-        query.updatedAt.$lte = endDate;
+        query.createdAt.$lte = endDate;
       }
     }
     
-    // Calculate earnings (assuming deliveryFee goes to the delivery agent)
-    const orders = await Order.find(query);
+    const entries = await LedgerEntry.find(query);
     
-    let totalEarnings = 0;
-    let deliveryCount = orders.length;
+    // Earnings are credits, so negative in the ledger
+    const totalEarnings = roundCurrency(entries.reduce((sum, entry) => sum - entry.amount, 0));
+    let deliveryCount = entries.length;
     let averageEarningsPerDelivery = 0;
     
-    // Simple calculation: delivery agent gets the delivery fee
-    orders.forEach(order => {
-      totalEarnings += order.deliveryFee || 0;
-    });
-    
     if (deliveryCount > 0) {
-      averageEarningsPerDelivery = totalEarnings / deliveryCount;
+      averageEarningsPerDelivery = roundCurrency(totalEarnings / deliveryCount);
     }
     
     // Get earnings breakdown by day (for charts)
     const earningsByDay = {};
     
-    orders.forEach(order => {
-      const date = order.updatedAt.toISOString().split('T')[0];
+    entries.forEach(entry => {
+      const date = entry.createdAt.toISOString().split('T')[0];
       
       if (!earningsByDay[date]) {
         earningsByDay[date] = {
@@ -472,7 +474,7 @@ const getEarnings = async (req, res) => {
         };
       }
       
-      earningsByDay[date].earnings += order.deliveryFee || 0;
+      earningsByDay[date].earnings = roundCurrency(earningsByDay[date].earnings - entry.amount);
       earningsByDay[date].deliveries += 1;
     });
     
@@ -584,6 +586,7 @@ const rejectDeliveryJob = async (req, res) => {
 
 /**
  * Get delivery agent wallet
+ * The balance is what the settlement ledger says the platform owes the agent.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -591,44 +594,27 @@ const getWallet = async (req, res) => {
   try {
     const deliveryAgentId = req.user._id;
     
-    // Get or create wallet
-    let wallet = await Wallet.findOne({ user: deliveryAgentId });
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
     
-    if (!wallet) {
-      wallet = await Wallet.create({
+    const [balance, recentEntries, todayEntries] = await Promise.all([
+      getLedgerBalance(deliveryAgentId),
+      LedgerEntry.find({ user: deliveryAgentId }).sort({ createdAt: -1 }).limit(10),
+      LedgerEntry.find({
         user: deliveryAgentId,
-        balance: 0,
-        transactions: []
-      });
-    }
-    
-    // Get recent transactions
-    const recentTransactions = wallet.transactions
-      .sort((a, b) => b.createdAt - a.createdAt)
-      .slice(0, 10);
-    
-    // Calculate summary statistics
-    const pendingAmount = wallet.transactions
-      .filter(t => t.status === 'pending' && t.type === TRANSACTION_TYPES.CREDIT)
-      .reduce((sum, t) => sum + t.amount, 0);
-    
-    const todayEarnings = wallet.transactions
-      .filter(t => {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        return t.createdAt >= today && 
-               t.status === 'completed' && 
-               t.type === TRANSACTION_TYPES.CREDIT &&
-               t.category === TRANSACTION_CATEGORIES.DELIVERY_EARNINGS;
+        entryType: LEDGER_ENTRY_TYPES.AGENT_EARNING,
+        createdAt: { $gte: today }
       })
-      .reduce((sum, t) => sum + t.amount, 0);
+    ]);
+    
+    // Earnings are credits, so negative in the ledger
+    const todayEarnings = roundCurrency(todayEntries.reduce((sum, entry) => sum - entry.amount, 0));
     
     return sendSuccess(res, 200, 'Wallet retrieved successfully', {
       wallet: {
-        balance: wallet.balance,
-        pendingAmount,
+        balance,
         todayEarnings,
-        recentTransactions
+        recentEntries
       }
     });
   } catch (error) {
@@ -0,0 +1,58 @@
+const { sendSuccess, sendError, handleApiError } = require('../utils/responseUtils');
+const { getPaymentGateway } = require('../utils/paymentGateways');
+const { applyPaymentEvent } = require('../utils/paymentUtils');
+const { issueGatewayRefund } = require('../utils/refundUtils');
+const { REFUND_STATUS } = require('../models/Refund');
+const { userRoom } = require('../utils/orderSocketUtils');
+
+/**
+ * Receive a payment gateway webhook
+ * Only requests signed with the gateway's webhook secret are accepted. Orders
+ * confirmed by the payment are announced to their vendors; a payment that could
+ * not be applied is refunded.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleWebhook = async (req, res) => {
+  try {
+    const gateway = getPaymentGateway(req.params.gateway);
+    
+    if (!gateway) {
+      return sendError(res, 404, 'Payment gateway not found');
+    }
+    
+    if (!gateway.verifyWebhookSignature(req.rawBody, req.headers)) {
+      return sendError(res, 401, 'Invalid webhook signature');
+    }
+    
+    const event = gateway.parseWebhookEvent(req.body);
+    
+    // Acknowledge events we do not use so the gateway stops retrying them
+    if (!event) {
+      return sendSuccess(res, 200, 'Event ignored');
+    }
+    
+    const { status, orders, refund } = await applyPaymentEvent(gateway.name, event);
+    
+    // Send it back now; the refund retry job picks it up if this attempt fails
+    if (refund && refund.status === REFUND_STATUS.PENDING) {
+      await issueGatewayRefund(refund);
+    }
+    
+    // Notify each vendor of their new order
+    const io = req.app.get('socketio');
+    if (io && orders) {
+      orders.forEach(order => {
+        io.to(userRoom(order.vendor)).emit('new-order', { orderId: order._id, vendorId: order.vendor });
+      });
+    }
+    
+    return sendSuccess(res, 200, 'Webhook processed', { status });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+module.exports = {
+  handleWebhook
+};
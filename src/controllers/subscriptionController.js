@@ -0,0 +1,466 @@
+const Address = require('../models/Address');
+const Product = require('../models/Product');
+const { Subscription, SUBSCRIPTION_STATUS, SUBSCRIPTION_FREQUENCIES } = require('../models/Subscription');
+const { sendSuccess, sendError, handleApiError } = require('../utils/responseUtils');
+const {
+  SUBSCRIPTION_ORDER_LEAD_HOURS,
+  getScheduleChangeCutoff,
+  validateSchedule,
+  refreshNextDeliveryDate
+} = require('../utils/subscriptionUtils');
+const { startOfDay, atSlotTime } = require('../utils/deliverySlotUtils');
+
+const LOCKED_SLOT_MESSAGE = `Deliveries can only be changed up to ${SUBSCRIPTION_ORDER_LEAD_HOURS} hours before their slot`;
+
+/**
+ * Check subscription items and work out the store they come from
+ * @param {Array} items - [{ productId, quantity }]
+ * @returns {Promise<Object>} { vendorId, items } or { error } with message
+ */
+const resolveSubscriptionItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'At least one product is required' };
+  }
+    
+  if (items.some(item => !item.productId || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1)) {
+    return { error: 'Each item needs a product ID and a whole quantity of at least 1' };
+  }
+    
+  const products = await Product.find({ _id: { $in: items.map(item => item.productId) } }).select('vendor');
+    
+  if (products.length !== new Set(items.map(item => item.productId.toString())).size) {
+    return { error: 'One or more products were not found' };
+  }
+    
+  const vendorIds = new Set(products.map(product => product.vendor.toString()));
+    
+  if (vendorIds.size > 1) {
+    return { error: 'All products in a subscription must come from the same store' };
+  }
+    
+  return {
+    vendorId: products[0].vendor,
+    items: items.map(item => ({ product: item.productId, quantity: Number(item.quantity) }))
+  };
+};
+
+/**
+ * Find one of the customer's subscriptions
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Subscription document
+ */
+const findCustomerSubscription = (req) => {
+  return Subscription.findOne({ _id: req.params.id, customer: req.user._id });
+};
+
+/**
+ * Get customer's subscriptions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSubscriptions = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const { status } = req.query;
+    
+    const query = { customer: customerId };
+    if (status) {
+      query.status = status;
+    }
+    
+    const subscriptions = await Subscription.find(query)
+      .sort({ createdAt: -1 })
+      .populate('vendor', 'firstName lastName storeDetails.storeName')
+      .populate('items.product', 'name images price discountPrice unit inStock');
+    
+    return sendSuccess(res, 200, 'Subscriptions retrieved successfully', { subscriptions });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get subscription details
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSubscription = async (req, res) => {
+  try {
+    const subscription = await findCustomerSubscription(req)
+      .populate('vendor', 'firstName lastName storeDetails.storeName')
+      .populate('address')
+      .populate('items.product', 'name images price discountPrice unit inStock')
+      .populate('lastOrder', 'orderNumber status total createdAt');
+    
+    if (!subscription) {
+      return sendError(res, 404, 'Subscription not found');
+    }
+    
+    return sendSuccess(res, 200, 'Subscription retrieved successfully', { subscription });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Create a subscription
+ * Orders are generated ahead of each delivery slot and paid from the wallet.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createSubscription = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const { addressId, items, frequency, daysOfWeek, deliverySlot, startDate, endDate } = req.body;
+    
+    const scheduleError = validateSchedule({ frequency, daysOfWeek, deliverySlot });
+    if (scheduleError) {
+      return sendError(res, 400, scheduleError);
+    }
+    
+    if (endDate && startDate && new Date(endDate) < new Date(startDate)) {
+      return sendError(res, 400, 'End date must be after start date');
+    }
+    
+    const address = await Address.findOne({ _id: addressId, user: customerId });
+    
+    if (!address) {
+      return sendError(res, 404, 'Delivery address not found');
+    }
+    
+    const itemResult = await resolveSubscriptionItems(items);
+    if (itemResult.error) {
+      return sendError(res, 400, itemResult.error);
+    }
+    
+    const subscription = new Subscription({
+      customer: customerId,
+      vendor: itemResult.vendorId,
+      address: address._id,
+      items: itemResult.items,
+      frequency,
+      daysOfWeek: frequency === SUBSCRIPTION_FREQUENCIES.DAILY ? [] : [...new Set(daysOfWeek.map(Number))],
+      deliverySlot,
+      startDate: startDate ? startOfDay(startDate) : new Date(),
+      endDate: endDate || null
+    });
+    
+    refreshNextDeliveryDate(subscription);
+    
+    if (!subscription.nextDeliveryDate) {
+      return sendError(res, 400, 'This schedule has no upcoming deliveries');
+    }
+    
+    await subscription.save();
+    
+    return sendSuccess(res, 201, 'Subscription created successfully', { subscription });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Update a subscription's items, address or schedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateSubscription = async (req, res) => {
+  try {
+    const customerId = req.user._id;
+    const { addressId, items, frequency, daysOfWeek, deliverySlot, endDate } = req.body;
+    
+    const subscription = await findCustomerSubscription(req);
+    
+    if (!subscription) {
+      return sendError(res, 404, 'Subscription not found');
+    }
+    
+    if ([SUBSCRIPTION_STATUS.CANCELLED, SUBSCRIPTION_STATUS.ENDED].includes(subscription.status)) {
+      return sendError(res, 400, `Cannot update a ${subscription.status} subscription`);
+    }
+    
+    if (frequency !== undefined || daysOfWeek !== undefined || deliverySlot !== undefined) {
+      const schedule = {
+        frequency: frequency || subscription.frequency,
+        daysOfWeek: daysOfWeek || subscription.daysOfWeek,
+        deliverySlot: deliverySlot || subscription.deliverySlot
+      };
+    
+      const scheduleError = validateSchedule(schedule);
+      if (scheduleError) {
+        return sendError(res, 400, scheduleError);
+      }
+    
+      subscription.frequency = schedule.frequency;
+      subscription.daysOfWeek = schedule.frequency === SUBSCRIPTION_FREQUENCIES.DAILY
+        ? []
+        : [...new Set(schedule.daysOfWeek.map(Number))];
+      subscription.deliverySlot = schedule.deliverySlot;
+    }
+    
+    if (addressId) {
+      const address = await Address.findOne({ _id: addressId, user: customerId });
+    
+      if (!address) {
+        return sendError(res, 404, 'Delivery address not found');
+      }
+      subscription.address = address._id;
+    }
+    
+    if (items !== undefined) {
+      const itemResult = await resolveSubscriptionItems(items);
+      if (itemResult.error) {
+        return sendError(res, 400, itemResult.error);
+      }
+    
+      if (itemResult.vendorId.toString() !== subscription.vendor.toString()) {
+        return sendError(res, 400, 'Products must come from the subscription\'s store');
+      }
+      subscription.items = itemResult.items;
+    }
+    
+    if (endDate !== undefined) {
+      subscription.endDate = endDate || null;
+    }
+    
+    refreshNextDeliveryDate(subscription);
+    await subscription.save();
+    
+    return sendSuccess(res, 200, 'Subscription updated successfully', { subscription });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Pause a subscription until it is resumed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const pauseSubscription = async (req, res) => {
+  try {
+    const subscription = await findCustomerSubscription(req);
+    
+    if (!subscription) {
+      return sendError(res, 404, 'Subscription not found');
+    }
+    
+    if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+      return sendError(res, 400, `Cannot pause a ${subscription.status} subscription`);
+    }
+    
+    subscription.status = SUBSCRIPTION_STATUS.PAUSED;
+    refreshNextDeliveryDate(subscription);
+    await subscription.save();
+    
+    return sendSuccess(res, 200, 'Subscription paused successfully', { subscription });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Resume a paused subscription
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resumeSubscription = async (req, res) => {
+  try {
+    const subscription = await findCustomerSubscription(req);
+    
+    if (!subscription) {
+      return sendError(res, 404, 'Subscription not found');
+    }
+    
+    if (subscription.status !== SUBSCRIPTION_STATUS.PAUSED) {
+      return sendError(res, 400, 'Only paused subscriptions can be resumed');
+    }
+    
+    subscription.status = SUBSCRIPTION_STATUS.ACTIVE;
+    refreshNextDeliveryDate(subscription);
+    await subscription.save();
+    
+    return sendSuccess(res, 200, 'Subscription resumed successfully', { subscription });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Cancel a subscription
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelSubscription = async (req, res) => {
+  try {
+    const subscription = await findCustomerSubscription(req);
+    
+    if (!subscription) {
+      return sendError(res, 404, 'Subscription not found');
+    }
+    
+    if ([SUBSCRIPTION_STATUS.CANCELLED, SUBSCRIPTION_STATUS.ENDED].includes(subscription.status)) {
+      return sendError(res, 400, `Subscription is already ${subscription.status}`);
+    }
+    
+    subscription.status = SUBSCRIPTION_STATUS.CANCELLED;
+    refreshNextDeliveryDate(subscription);
+    await subscription.save();
+    
+    return sendSuccess(res, 200, 'Subscription cancelled successfully', { subscription });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Skip the delivery on one day
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const skipDelivery = async (req, res) => {
+  try {
+    const { date } = req.body;
+    
+    if (!date || isNaN(new Date(date).getTime())) {
+      return sendError(res, 400, 'A valid date is required');
+    }
+    
+    const subscription = await findCustomerSubscription(req);
+    
+    if (!subscription) {
+      return sendError(res, 404, 'Subscription not found');
+    }
+    
+    const day = startOfDay(date);
+    
+    if (atSlotTime(day, subscription.deliverySlot.start) <= getScheduleChangeCutoff()) {
+      return sendError(res, 400, LOCKED_SLOT_MESSAGE);
+    }
+    
+    if (!subscription.skipDates.some(skipDate => skipDate.getTime() === day.getTime())) {
+      subscription.skipDates.push(day);
+    }
+    
+    // Drop skip dates that have passed
+    subscription.skipDates = subscription.skipDates.filter(skipDate => skipDate >= startOfDay(new Date()));
+    
+    refreshNextDeliveryDate(subscription);
+    await subscription.save();
+    
+    return sendSuccess(res, 200, 'Delivery skipped successfully', { subscription });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Undo a skipped delivery
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const unskipDelivery = async (req, res) => {
+  try {
+    const { date } = req.body;
+    
+    if (!date || isNaN(new Date(date).getTime())) {
+      return sendError(res, 400, 'A valid date is required');
+    }
+    
+    const subscription = await findCustomerSubscription(req);
+    
+    if (!subscription) {
+      return sendError(res, 404, 'Subscription not found');
+    }
+    
+    const day = startOfDay(date);
+    subscription.skipDates = subscription.skipDates.filter(skipDate => skipDate.getTime() !== day.getTime());
+    
+    refreshNextDeliveryDate(subscription);
+    await subscription.save();
+    
+    return sendSuccess(res, 200, 'Delivery restored successfully', { subscription });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Set vacation mode: no deliveries between two dates (inclusive)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setVacation = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.body;
+    
+    if (!startDate || !endDate || isNaN(new Date(startDate).getTime()) || isNaN(new Date(endDate).getTime())) {
+      return sendError(res, 400, 'Valid start and end dates are required');
+    }
+    
+    const vacationStart = startOfDay(startDate);
+    const vacationEnd = startOfDay(endDate);
+    
+    if (vacationEnd < vacationStart) {
+      return sendError(res, 400, 'Vacation must end after it starts');
+    }
+    
+    if (vacationEnd < startOfDay(new Date())) {
+      return sendError(res, 400, 'Vacation must not be in the past');
+    }
+    
+    const subscription = await findCustomerSubscription(req);
+    
+    if (!subscription) {
+      return sendError(res, 404, 'Subscription not found');
+    }
+    
+    subscription.vacation = { startDate: vacationStart, endDate: vacationEnd };
+    refreshNextDeliveryDate(subscription);
+    await subscription.save();
+    
+    return sendSuccess(res, 200, 'Vacation set successfully', {
+      subscription,
+      note: `Deliveries within ${SUBSCRIPTION_ORDER_LEAD_HOURS} hours may already have been placed`
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * End vacation mode
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const clearVacation = async (req, res) => {
+  try {
+    const subscription = await findCustomerSubscription(req);
+    
+    if (!subscription) {
+      return sendError(res, 404, 'Subscription not found');
+    }
+    
+    subscription.vacation = undefined;
+    refreshNextDeliveryDate(subscription);
+    await subscription.save();
+    
+    return sendSuccess(res, 200, 'Vacation cleared successfully', { subscription });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+module.exports = {
+  getSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  skipDelivery,
+  unskipDelivery,
+  setVacation,
+  clearVacation
+};
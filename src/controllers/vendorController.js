@@ -1,11 +1,26 @@
 const { User, USER_STATUS } = require('../models/User');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
-const { Order, ORDER_STATUS } = require('../models/Order');
+const { Order, ORDER_STATUS, PAYMENT_STATUS, DELIVERY_TYPES, SUBSTITUTION_STATUS } = require('../models/Order');
 const { sendSuccess, sendError, handleApiError } = require('../utils/responseUtils');
-const Promotion = require('../models/Promotion');
-const { Wallet, TRANSACTION_TYPES, TRANSACTION_CATEGORIES } = require('../models/Wallet');
+const { Promotion } = require('../models/Promotion');
+const { roundCurrency, validatePromotionDiscount, validatePromotionUsageLimit } = require('../utils/promotionUtils');
+const DeliverySlot = require('../models/DeliverySlot');
+const DeliverySlotBooking = require('../models/DeliverySlotBooking');
+const {
+  validateSlotDefinition,
+  getAvailableSlots,
+  buildSlotFilter,
+  getOrderSort
+} = require('../utils/deliverySlotUtils');
+const { LedgerEntry, LEDGER_ENTRY_TYPES } = require('../models/LedgerEntry');
+const { getLedgerBalance } = require('../utils/ledgerUtils');
 const { getAddressFromCoordinates } = require('../utils/locationUtils');
+const { closeOrder } = require('../utils/refundUtils');
+const { ORDER_ACTORS, transitionOrder } = require('../utils/orderStateMachine');
+const { predictPreparationTime, getActualPreparationMinutes } = require('../utils/preparationUtils');
+const { proposeSubstitutions } = require('../utils/orderModificationUtils');
+const { userRoom, orderRoom } = require('../utils/orderSocketUtils');
 
 /**
  * Get vendor profile
@@ -350,26 +365,32 @@ const updateProductStock = async (req, res) => {
 
 /**
  * Get all orders for a vendor
+ * Can be filtered by delivery type, slot and slot date, and sorted by slot with sortBy=slot.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const getOrders = async (req, res) => {
   try {
     const vendorId = req.user._id;
-    const { status, limit = 10, page = 1 } = req.query;
+    const { status, sortBy, limit = 10, page = 1 } = req.query;
     
-    // Build query
-    const query = { vendor: vendorId };
-    if (status) {
-      query.status = status;
+    // Filter by delivery slot
+    const { filter, error } = buildSlotFilter(req.query);
+    
+    if (error) {
+      return sendError(res, 400, error);
     }
     
+    // Build query; orders waiting for online payment are not the vendor's yet
+    const query = { vendor: vendorId, ...filter };
+    query.status = status || { $ne: ORDER_STATUS.PENDING_PAYMENT };
+    
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
     // Get orders
     const orders = await Order.find(query)
-      .sort({ createdAt: -1 })
+      .sort(getOrderSort(sortBy, { createdAt: -1 }))
       .skip(skip)
       .limit(parseInt(limit))
       .populate('customer', 'firstName lastName phone')
@@ -437,31 +458,34 @@ const acceptOrder = async (req, res) => {
       return sendError(res, 404, 'Order not found');
     }
     
-    // Check if order can be accepted
-    if (order.status !== ORDER_STATUS.PENDING) {
-      return sendError(res, 400, `Cannot accept order in ${order.status} status`);
+    if (preparationTime !== undefined && !(Number.isInteger(Number(preparationTime)) && Number(preparationTime) > 0)) {
+      return sendError(res, 400, 'Preparation time must be a whole number of minutes');
     }
     
-    // Calculate estimated delivery time
-    const prepTime = preparationTime || 30; // Default to 30 minutes
+    // Calculate estimated delivery time; without a preparation time, predict it from the vendor's recent orders
+    const prepTime = preparationTime !== undefined ? Number(preparationTime) : await predictPreparationTime(vendorId);
     const estimatedDeliveryTime = new Date();
     estimatedDeliveryTime.setMinutes(estimatedDeliveryTime.getMinutes() + prepTime + 30); // Add preparation time + delivery time
     
-    // Update order status
-    order.status = ORDER_STATUS.ACCEPTED;
-    order.estimatedDeliveryTime = estimatedDeliveryTime;
+    const fields = { 'acceptance.respondedAt': new Date(), 'preparation.estimatedMinutes': prepTime };
     
-    // Add status history entry
-    order.statusHistory.push({
-      status: ORDER_STATUS.ACCEPTED,
-      timestamp: new Date(),
+    // Scheduled orders are due by the end of their slot
+    if (order.deliveryType !== DELIVERY_TYPES.SCHEDULED) {
+      fields.estimatedDeliveryTime = estimatedDeliveryTime;
+    }
+    
+    const result = await transitionOrder(order, ORDER_STATUS.ACCEPTED, {
+      actor: ORDER_ACTORS.VENDOR,
       updatedBy: vendorId,
-      notes: `Accepted by vendor. Estimated preparation time: ${prepTime} minutes.`
+      notes: `Accepted by vendor. Estimated preparation time: ${prepTime} minutes.`,
+      fields
     });
     
-    await order.save();
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
     
-    return sendSuccess(res, 200, 'Order accepted successfully', { order });
+    return sendSuccess(res, 200, 'Order accepted successfully', { order: result.order });
   } catch (error) {
     return handleApiError(res, error);
   }
@@ -489,26 +513,57 @@ const rejectOrder = async (req, res) => {
       return sendError(res, 404, 'Order not found');
     }
     
-    // Check if order can be rejected
-    if (order.status !== ORDER_STATUS.PENDING) {
-      return sendError(res, 400, `Cannot reject order in ${order.status} status`);
+    // Reject, return the stock and slot, and refund what was paid
+    const result = await closeOrder(order, {
+      status: ORDER_STATUS.REJECTED,
+      actor: ORDER_ACTORS.VENDOR,
+      updatedBy: vendorId,
+      notes: `Rejected by vendor. Reason: ${reason}`,
+      fields: { rejectionReason: reason, 'acceptance.respondedAt': new Date() }
+    });
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
     }
     
-    // Update order status
-    order.status = ORDER_STATUS.REJECTED;
-    order.rejectionReason = reason;
+    return sendSuccess(res, 200, 'Order rejected successfully', {
+      order: result.order,
+      refund: result.refund
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Start preparing an accepted order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const startPreparingOrder = async (req, res) => {
+  try {
+    const vendorId = req.user._id;
+    const orderId = req.params.id;
+    
+    // Get order
+    const order = await Order.findOne({ _id: orderId, vendor: vendorId });
     
-    // Add status history entry
-    order.statusHistory.push({
-      status: ORDER_STATUS.REJECTED,
-      timestamp: new Date(),
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    
+    const result = await transitionOrder(order, ORDER_STATUS.PREPARING, {
+      actor: ORDER_ACTORS.VENDOR,
       updatedBy: vendorId,
-      notes: `Rejected by vendor. Reason: ${reason}`
+      notes: 'Vendor started preparing the order',
+      fields: { 'preparation.startedAt': new Date() }
     });
     
-    await order.save();
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
     
-    return sendSuccess(res, 200, 'Order rejected successfully', { order });
+    return sendSuccess(res, 200, 'Order preparation started', { order: result.order });
   } catch (error) {
     return handleApiError(res, error);
   }
@@ -516,6 +571,7 @@ const rejectOrder = async (req, res) => {
 
 /**
  * Update order status to ready for pickup
+ * Records how long the order took to prepare.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -531,25 +587,68 @@ const orderReadyForPickup = async (req, res) => {
       return sendError(res, 404, 'Order not found');
     }
     
-    // Check if order can be marked as ready
-    if (order.status !== ORDER_STATUS.ACCEPTED && order.status !== ORDER_STATUS.PREPARING) {
-      return sendError(res, 400, `Cannot mark order as ready in ${order.status} status`);
+    // The items are not settled until the customer answers
+    if (order.substitution && order.substitution.status === SUBSTITUTION_STATUS.PROPOSED) {
+      return sendError(res, 409, 'Wait for the customer to answer the substitutions first');
     }
     
-    // Update order status
-    order.status = ORDER_STATUS.READY_FOR_PICKUP;
+    const readyAt = new Date();
     
-    // Add status history entry
-    order.statusHistory.push({
-      status: ORDER_STATUS.READY_FOR_PICKUP,
-      timestamp: new Date(),
+    const result = await transitionOrder(order, ORDER_STATUS.READY_FOR_PICKUP, {
+      actor: ORDER_ACTORS.VENDOR,
       updatedBy: vendorId,
-      notes: 'Order is ready for pickup'
+      notes: 'Order is ready for pickup',
+      fields: {
+        'preparation.readyAt': readyAt,
+        'preparation.actualMinutes': getActualPreparationMinutes(order, readyAt)
+      }
     });
     
-    await order.save();
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
     
-    return sendSuccess(res, 200, 'Order marked as ready for pickup', { order });
+    return sendSuccess(res, 200, 'Order marked as ready for pickup', { order: result.order });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Propose substitutes for items that have run out, for the customer to approve
+ * Items can also be marked unavailable without a substitute.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const proposeOrderSubstitutions = async (req, res) => {
+  try {
+    const vendorId = req.user._id;
+    const orderId = req.params.id;
+    const { items, notes } = req.body;
+    
+    // Get order
+    const order = await Order.findOne({ _id: orderId, vendor: vendorId });
+    
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    
+    const result = await proposeSubstitutions(order, { items, notes });
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    // Ask the customer in the app
+    const io = req.app.get('socketio');
+    if (io) {
+      io.to([orderRoom(orderId), userRoom(result.order.customer)]).emit('order-substitution-proposed', {
+        orderId,
+        substitution: result.order.substitution
+      });
+    }
+    
+    return sendSuccess(res, 200, 'Substitutions sent to the customer', { order: result.order });
   } catch (error) {
     return handleApiError(res, error);
   }
@@ -789,16 +888,17 @@ const createPromotion = async (req, res) => {
       startDate,
       endDate,
       code,
-      usageLimit
+      usageLimit,
+      perCustomerLimit,
+      firstOrderOnly,
+      newUserOnly,
+      newUserWindowDays
     } = req.body;
     
     // Validate discount value based on type
-    if (discountType === 'PERCENTAGE' && (discountValue <= 0 || discountValue > 100)) {
-      return sendError(res, 400, 'Percentage discount must be between 1 and 100');
-    }
-    
-    if ((discountType === 'FIXED' || discountType === 'BUY_GET') && discountValue <= 0) {
-      return sendError(res, 400, 'Discount value must be greater than 0');
+    const discountError = validatePromotionDiscount(discountType, discountValue);
+    if (discountError) {
+      return sendError(res, 400, discountError);
     }
     
     // Check for duplicate promotion code if provided
@@ -829,6 +929,10 @@ const createPromotion = async (req, res) => {
       endDate,
       code: code ? code.toUpperCase() : null,
       usageLimit: usageLimit || null,
+      perCustomerLimit: perCustomerLimit || null,
+      firstOrderOnly: Boolean(firstOrderOnly),
+      newUserOnly: Boolean(newUserOnly),
+      newUserWindowDays: newUserWindowDays || 30,
       isActive: true
     });
     
@@ -871,8 +975,410 @@ const getPromotions = async (req, res) => {
   }
 };
 
+/**
+ * Check whether another live promotion of the vendor already uses a code
+ * @param {String} vendorId - Vendor user ID
+ * @param {String} code - Promotion code
+ * @param {String} excludeId - Promotion to ignore (the one being changed)
+ * @returns {Promise<Boolean>} True if the code is taken
+ */
+const isPromotionCodeTaken = async (vendorId, code, excludeId) => {
+  if (!code) return false;
+  
+  const existing = await Promotion.exists({
+    _id: { $ne: excludeId },
+    vendor: vendorId,
+    code: code.toUpperCase(),
+    isActive: true
+  });
+  
+  return Boolean(existing);
+};
+
+/**
+ * Update a promotion
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updatePromotion = async (req, res) => {
+  try {
+    const vendorId = req.user._id;
+    const promotionId = req.params.id;
+    
+    const promotion = await Promotion.findOne({ _id: promotionId, vendor: vendorId });
+    
+    if (!promotion) {
+      return sendError(res, 404, 'Promotion not found');
+    }
+    
+    const allowedFields = [
+      'title',
+      'description',
+      'discountType',
+      'discountValue',
+      'minOrderValue',
+      'maxDiscount',
+      'applicableProducts',
+      'applicableCategories',
+      'startDate',
+      'endDate',
+      'code',
+      'usageLimit',
+      'perCustomerLimit',
+      'firstOrderOnly',
+      'newUserOnly',
+      'newUserWindowDays'
+    ];
+    
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    });
+    
+    const discountError = validatePromotionDiscount(promotion.discountType, promotion.discountValue);
+    if (discountError) {
+      return sendError(res, 400, discountError);
+    }
+    
+    const limitError = validatePromotionUsageLimit(promotion.usageLimit, promotion.usageCount);
+    if (limitError) {
+      return sendError(res, 400, limitError);
+    }
+    
+    if (promotion.endDate < promotion.startDate) {
+      return sendError(res, 400, 'End date must be after start date');
+    }
+    
+    if (req.body.endDate !== undefined && promotion.isActive && promotion.endDate < new Date()) {
+      return sendError(res, 400, 'End date cannot be in the past while the promotion is active');
+    }
+    
+    if (promotion.isActive && await isPromotionCodeTaken(vendorId, promotion.code, promotion._id)) {
+      return sendError(res, 409, 'Promotion code already exists');
+    }
+    
+    await promotion.save();
+    
+    return sendSuccess(res, 200, 'Promotion updated successfully', { promotion });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Pause a promotion so it stops applying at checkout
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const pausePromotion = async (req, res) => {
+  try {
+    const vendorId = req.user._id;
+    const promotionId = req.params.id;
+    
+    const promotion = await Promotion.findOne({ _id: promotionId, vendor: vendorId });
+    
+    if (!promotion) {
+      return sendError(res, 404, 'Promotion not found');
+    }
+    
+    if (!promotion.isActive) {
+      return sendError(res, 400, 'Promotion is already paused');
+    }
+    
+    promotion.isActive = false;
+    await promotion.save();
+    
+    return sendSuccess(res, 200, 'Promotion paused successfully', { promotion });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Resume a paused promotion
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resumePromotion = async (req, res) => {
+  try {
+    const vendorId = req.user._id;
+    const promotionId = req.params.id;
+    
+    const promotion = await Promotion.findOne({ _id: promotionId, vendor: vendorId });
+    
+    if (!promotion) {
+      return sendError(res, 404, 'Promotion not found');
+    }
+    
+    if (promotion.isActive) {
+      return sendError(res, 400, 'Promotion is already active');
+    }
+    
+    if (promotion.endDate < new Date()) {
+      return sendError(res, 400, 'Promotion has expired, update its end date to run it again');
+    }
+    
+    // Another promotion may have taken the code while this one was paused
+    if (await isPromotionCodeTaken(vendorId, promotion.code, promotion._id)) {
+      return sendError(res, 409, 'Another active promotion uses this code');
+    }
+    
+    promotion.isActive = true;
+    await promotion.save();
+    
+    return sendSuccess(res, 200, 'Promotion resumed successfully', { promotion });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Delete a promotion
+ * Promotions already used on orders are deactivated instead so their report stays available.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deletePromotion = async (req, res) => {
+  try {
+    const vendorId = req.user._id;
+    const promotionId = req.params.id;
+    
+    const promotion = await Promotion.findOne({ _id: promotionId, vendor: vendorId });
+    
+    if (!promotion) {
+      return sendError(res, 404, 'Promotion not found');
+    }
+    
+    if (await Order.exists({ promotion: promotion._id })) {
+      promotion.isActive = false;
+      await promotion.save();
+      return sendSuccess(res, 200, 'Promotion has been used on orders and was deactivated instead', { promotion });
+    }
+    
+    await Promotion.findByIdAndDelete(promotion._id);
+    
+    return sendSuccess(res, 200, 'Promotion deleted successfully');
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get performance report for a promotion
+ * Compares the vendor's orders that used the promotion with their orders that
+ * used no promotion while it was running. Only paid orders count, so orders still
+ * waiting for payment and cash orders not delivered yet are left out, as are
+ * cancelled and rejected ones.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPromotionReport = async (req, res) => {
+  try {
+    const vendorId = req.user._id;
+    const promotionId = req.params.id;
+    
+    const promotion = await Promotion.findOne({ _id: promotionId, vendor: vendorId });
+    
+    if (!promotion) {
+      return sendError(res, 404, 'Promotion not found');
+    }
+    
+    // Period the promotion has been running
+    const now = new Date();
+    const periodStart = promotion.startDate;
+    const periodEnd = promotion.endDate < now ? promotion.endDate : now;
+    
+    const groups = await Order.aggregate([
+      { $match: {
+          vendor: vendorId,
+          status: { $nin: [ORDER_STATUS.CANCELLED, ORDER_STATUS.REJECTED] },
+          paymentStatus: { $in: [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED] },
+          createdAt: { $gte: periodStart, $lte: periodEnd },
+          // Orders that used another promotion would skew the baseline
+          promotion: { $in: [promotion._id, null] }
+        }
+      },
+      { $group: {
+          _id: { $eq: ['$promotion', promotion._id] },
+          orders: { $sum: 1 },
+          revenue: { $sum: '$total' },
+          discount: { $sum: '$discount' },
+          customers: { $addToSet: '$customer' }
+        }
+      }
+    ]);
+    
+    const withPromotion = groups.find(group => group._id === true) || { orders: 0, revenue: 0, discount: 0, customers: [] };
+    const withoutPromotion = groups.find(group => group._id === false) || { orders: 0, revenue: 0, customers: [] };
+    
+    const averageOrderValue = withPromotion.orders > 0 ? withPromotion.revenue / withPromotion.orders : 0;
+    const baselineAverageOrderValue = withoutPromotion.orders > 0 ? withoutPromotion.revenue / withoutPromotion.orders : 0;
+    
+    const report = {
+      period: { startDate: periodStart, endDate: periodEnd },
+      redemptions: withPromotion.orders,
+      uniqueCustomers: withPromotion.customers.length,
+      revenue: roundCurrency(withPromotion.revenue),
+      discountGiven: roundCurrency(withPromotion.discount),
+      averageOrderValue: roundCurrency(averageOrderValue),
+      ordersWithoutPromotion: {
+        orders: withoutPromotion.orders,
+        revenue: roundCurrency(withoutPromotion.revenue),
+        averageOrderValue: roundCurrency(baselineAverageOrderValue)
+      },
+      // Difference in average order value against orders without the promotion
+      averageOrderValueLift: roundCurrency(averageOrderValue - baselineAverageOrderValue),
+      averageOrderValueLiftPercent: baselineAverageOrderValue > 0
+        ? roundCurrency(((averageOrderValue - baselineAverageOrderValue) / baselineAverageOrderValue) * 100)
+        : null
+    };
+    
+    return sendSuccess(res, 200, 'Promotion report retrieved successfully', { promotion, report });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Get the vendor's delivery slots with their bookings over the booking window
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDeliverySlots = async (req, res) => {
+  try {
+    const vendorId = req.user._id;
+    
+    const [slots, upcoming] = await Promise.all([
+      DeliverySlot.find({ vendor: vendorId }).sort({ startTime: 1 }),
+      getAvailableSlots(vendorId)
+    ]);
+    
+    return sendSuccess(res, 200, 'Delivery slots retrieved successfully', { slots, upcoming });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Create a daily delivery slot
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createDeliverySlot = async (req, res) => {
+  try {
+    const vendorId = req.user._id;
+    const { name, startTime, endTime, capacity, daysOfWeek = [] } = req.body;
+    
+    const validationError = validateSlotDefinition({ startTime, endTime, capacity, daysOfWeek });
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+    
+    const slot = await DeliverySlot.create({
+      vendor: vendorId,
+      name,
+      startTime,
+      endTime,
+      capacity: Number(capacity),
+      daysOfWeek: [...new Set(daysOfWeek.map(Number))]
+    });
+    
+    return sendSuccess(res, 201, 'Delivery slot created successfully', { slot });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Update a delivery slot
+ * Orders already booked keep their slot; a lower capacity only limits new bookings.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateDeliverySlot = async (req, res) => {
+  try {
+    const vendorId = req.user._id;
+    const slotId = req.params.id;
+    
+    const slot = await DeliverySlot.findOne({ _id: slotId, vendor: vendorId });
+    
+    if (!slot) {
+      return sendError(res, 404, 'Delivery slot not found');
+    }
+    
+    const bookedOrders = await Order.exists({
+      'deliverySlot.slot': slot._id,
+      status: { $nin: [ORDER_STATUS.CANCELLED, ORDER_STATUS.REJECTED, ORDER_STATUS.DELIVERED] }
+    });
+    
+    const { name, startTime, endTime, capacity, daysOfWeek, isActive } = req.body;
+    
+    // Moving the window would leave booked orders with the wrong time
+    if (bookedOrders && ((startTime && startTime !== slot.startTime) || (endTime && endTime !== slot.endTime))) {
+      return sendError(res, 400, 'Cannot change the time of a slot with open orders booked into it');
+    }
+    
+    const updated = {
+      startTime: startTime || slot.startTime,
+      endTime: endTime || slot.endTime,
+      capacity: capacity !== undefined ? capacity : slot.capacity,
+      daysOfWeek: daysOfWeek || slot.daysOfWeek
+    };
+    
+    const validationError = validateSlotDefinition(updated);
+    if (validationError) {
+      return sendError(res, 400, validationError);
+    }
+    
+    slot.startTime = updated.startTime;
+    slot.endTime = updated.endTime;
+    slot.capacity = Number(updated.capacity);
+    slot.daysOfWeek = [...new Set(updated.daysOfWeek.map(Number))];
+    if (name !== undefined) slot.name = name;
+    if (isActive !== undefined) slot.isActive = Boolean(isActive);
+    
+    await slot.save();
+    
+    return sendSuccess(res, 200, 'Delivery slot updated successfully', { slot });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Delete a delivery slot
+ * Slots that orders were booked into are deactivated instead so those orders keep their reference.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteDeliverySlot = async (req, res) => {
+  try {
+    const vendorId = req.user._id;
+    const slotId = req.params.id;
+    
+    const slot = await DeliverySlot.findOne({ _id: slotId, vendor: vendorId });
+    
+    if (!slot) {
+      return sendError(res, 404, 'Delivery slot not found');
+    }
+    
+    if (await Order.exists({ 'deliverySlot.slot': slot._id })) {
+      slot.isActive = false;
+      await slot.save();
+      return sendSuccess(res, 200, 'Delivery slot has orders booked and was deactivated instead', { slot });
+    }
+    
+    await DeliverySlot.findByIdAndDelete(slot._id);
+    await DeliverySlotBooking.deleteMany({ slot: slot._id });
+    
+    return sendSuccess(res, 200, 'Delivery slot deleted successfully');
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
 /**
  * Get vendor wallet
+ * The balance is what the settlement ledger says the platform owes the vendor.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -880,44 +1386,27 @@ const getWallet = async (req, res) => {
   try {
     const vendorId = req.user._id;
     
-    // Get or create vendor wallet
-    let wallet = await Wallet.findOne({ user: vendorId });
+    const oneMonthAgo = new Date();
+    oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
     
-    if (!wallet) {
-      wallet = await Wallet.create({
+    const [balance, recentEntries, lastMonthEntries] = await Promise.all([
+      getLedgerBalance(vendorId),
+      LedgerEntry.find({ user: vendorId }).sort({ createdAt: -1 }).limit(10),
+      LedgerEntry.find({
         user: vendorId,
-        balance: 0,
-        transactions: []
-      });
-    }
-    
-    // Get recent transactions
-    const recentTransactions = wallet.transactions
-      .sort((a, b) => b.createdAt - a.createdAt)
-      .slice(0, 10);
-    
-    // Calculate summary statistics
-    const pendingAmount = wallet.transactions
-      .filter(t => t.status === 'pending' && t.type === TRANSACTION_TYPES.CREDIT)
-      .reduce((sum, t) => sum + t.amount, 0);
-    
-    const lastMonthEarnings = wallet.transactions
-      .filter(t => {
-        const oneMonthAgo = new Date();
-        oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
-        return t.createdAt >= oneMonthAgo && 
-               t.status === 'completed' && 
-               t.type === TRANSACTION_TYPES.CREDIT &&
-               t.category === TRANSACTION_CATEGORIES.VENDOR_SETTLEMENT;
+        entryType: { $in: [LEDGER_ENTRY_TYPES.VENDOR_PAYOUT, LEDGER_ENTRY_TYPES.REFUND] },
+        createdAt: { $gte: oneMonthAgo }
       })
-      .reduce((sum, t) => sum + t.amount, 0);
+    ]);
+    
+    // Payouts are credits, so negative in the ledger; refunds taken back are debits
+    const lastMonthEarnings = roundCurrency(lastMonthEntries.reduce((sum, entry) => sum - entry.amount, 0));
     
     return sendSuccess(res, 200, 'Wallet retrieved successfully', {
       wallet: {
-        balance: wallet.balance,
-        pendingAmount,
+        balance,
         lastMonthEarnings,
-        recentTransactions
+        recentEntries
       }
     });
   } catch (error) {
@@ -938,10 +1427,21 @@ module.exports = {
   getOrderDetails,
   acceptOrder,
   rejectOrder,
+  startPreparingOrder,
   orderReadyForPickup,
+  proposeOrderSubstitutions,
   getDashboardStats,
   getSalesAnalytics,
   createPromotion,
   getPromotions,
+  updatePromotion,
+  pausePromotion,
+  resumePromotion,
+  deletePromotion,
+  getPromotionReport,
+  getDeliverySlots,
+  createDeliverySlot,
+  updateDeliverySlot,
+  deleteDeliverySlot,
   getWallet
 }; 
\ No newline at end of file
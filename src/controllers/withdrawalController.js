@@ -0,0 +1,94 @@
+const { Withdrawal } = require('../models/Withdrawal');
+const { sendSuccess, sendError, handleApiError } = require('../utils/responseUtils');
+const {
+  getWithdrawalSummary,
+  requestWithdrawal,
+  cancelWithdrawal
+} = require('../utils/withdrawalUtils');
+
+/**
+ * Get the vendor's or delivery agent's withdrawals and what they can withdraw
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWithdrawals = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { status, limit = 10, page = 1 } = req.query;
+    
+    const query = { user: userId };
+    if (status) {
+      query.status = status;
+    }
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const [withdrawals, totalWithdrawals, summary] = await Promise.all([
+      Withdrawal.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Withdrawal.countDocuments(query),
+      getWithdrawalSummary(userId)
+    ]);
+    
+    return sendSuccess(res, 200, 'Withdrawals retrieved successfully', {
+      summary,
+      withdrawals,
+      pagination: {
+        totalWithdrawals,
+        totalPages: Math.ceil(totalWithdrawals / parseInt(limit)),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Request a withdrawal of the available balance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createWithdrawal = async (req, res) => {
+  try {
+    const { amount, method } = req.body;
+    
+    const result = await requestWithdrawal(req.user._id, { amount, method });
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    return sendSuccess(res, 201, 'Withdrawal requested successfully', { withdrawal: result.withdrawal });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+/**
+ * Cancel a withdrawal that has not been reviewed yet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelWithdrawalRequest = async (req, res) => {
+  try {
+    const result = await cancelWithdrawal(req.params.id, req.user._id);
+    
+    if (result.error) {
+      return sendError(res, result.error.statusCode, result.error.message);
+    }
+    
+    return sendSuccess(res, 200, 'Withdrawal cancelled successfully', { withdrawal: result.withdrawal });
+  } catch (error) {
+    return handleApiError(res, error);
+  }
+};
+
+module.exports = {
+  getWithdrawals,
+  createWithdrawal,
+  cancelWithdrawalRequest
+};
@@ -60,6 +60,8 @@ const logAdminAction = (req, res, next) => {
         entity = 'FAQ';
       } else if (req.path.includes('/banners')) {
         entity = 'BANNER';
+      } else if (req.path.includes('/coupons')) {
+        entity = 'PROMOTION';
       } else if (req.path.includes('/settings')) {
         entity = 'SETTINGS';
       } else {
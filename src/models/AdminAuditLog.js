@@ -15,7 +15,7 @@ const AdminAuditLogSchema = new mongoose.Schema({
   entity: {
     type: String,
     required: true,
-    enum: ['USER', 'VENDOR', 'DELIVERY_AGENT', 'CUSTOMER', 'PRODUCT', 'CATEGORY', 'ORDER', 'FAQ', 'BANNER', 'SETTINGS']
+    enum: ['USER', 'VENDOR', 'DELIVERY_AGENT', 'CUSTOMER', 'PRODUCT', 'CATEGORY', 'ORDER', 'FAQ', 'BANNER', 'PROMOTION', 'SETTINGS']
   },
   entityId: {
     type: String
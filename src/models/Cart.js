@@ -21,8 +21,7 @@ const cartSchema = new mongoose.Schema({
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    required: true
   },
   vendor: {
     type: mongoose.Schema.Types.ObjectId,
@@ -44,8 +43,8 @@ const cartSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
-// Create index for faster customer queries
-// cartSchema.index({ customer: 1 }); // Removed duplicate index
+// One cart per customer and store; a customer can fill carts at several stores
+cartSchema.index({ customer: 1, vendor: 1 }, { unique: true });
 
 // Create index for faster vendor queries
 cartSchema.index({ vendor: 1 });
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { PAYMENT_STATUS, PAYMENT_METHOD } = require('./Order');
+
+// A single customer payment covering the orders placed with one or more stores
+const checkoutSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  deliveryFee: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  serviceFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  paymentMethod: {
+    type: String,
+    enum: Object.values(PAYMENT_METHOD),
+    required: true
+  },
+  // Part of the total paid from the customer's wallet; paymentMethod covers the rest
+  walletAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  paymentStatus: {
+    type: String,
+    enum: Object.values(PAYMENT_STATUS),
+    default: PAYMENT_STATUS.PENDING
+  },
+  // Online payment, when paid through a gateway
+  paymentDetails: {
+    gateway: String,
+    intentId: String, // the gateway's reference for the payment, e.g. a Razorpay order ID
+    transactionId: String,
+    paymentTime: Date,
+    expiresAt: Date, // orders are cancelled if the payment is not confirmed by then
+    failureReason: String
+  },
+  // Client-supplied key so a retried checkout returns the original orders
+  idempotencyKey: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+// Create index for faster queries by customer
+checkoutSchema.index({ customer: 1, createdAt: -1 });
+
+// One checkout per customer idempotency key
+checkoutSchema.index(
+  { customer: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+// Find checkouts by gateway payment reference from webhooks
+checkoutSchema.index({ 'paymentDetails.intentId': 1 });
+
+// Find unpaid online checkouts to expire
+checkoutSchema.index({ paymentStatus: 1, 'paymentDetails.expiresAt': 1 });
+
+const Checkout = mongoose.model('Checkout', checkoutSchema);
+
+module.exports = Checkout;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Define versioned content types
+const VERSIONED_CONTENT_TYPES = {
+  BANNER: 'BANNER',
+  FAQ: 'FAQ'
+};
+
+// Define what produced a version
+const VERSION_ACTIONS = {
+  CREATE: 'CREATE',
+  UPDATE: 'UPDATE',
+  DELETE: 'DELETE',
+  ROLLBACK: 'ROLLBACK',
+  MIGRATE: 'MIGRATE'
+};
+
+const contentVersionSchema = new mongoose.Schema({
+  contentType: {
+    type: String,
+    enum: Object.values(VERSIONED_CONTENT_TYPES),
+    required: true
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: Object.values(VERSION_ACTIONS),
+    required: true
+  },
+  // Full copy of the banner/FAQ as it was after this change
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Original CmsContent document for versions created by the CMS migration
+  source: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One entry per version of each piece of content
+contentVersionSchema.index({ contentType: 1, contentId: 1, version: -1 }, { unique: true });
+
+const ContentVersion = mongoose.model('ContentVersion', contentVersionSchema);
+
+module.exports = {
+  ContentVersion,
+  VERSIONED_CONTENT_TYPES,
+  VERSION_ACTIONS
+};
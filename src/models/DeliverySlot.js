@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A delivery window a vendor offers every day (or on chosen days of the week)
+const deliverySlotSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // Window in server local time, as HH:mm
+  startTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  // Orders the vendor can deliver in this window on one day
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Days of the week the slot is offered (0 = Sunday); every day when empty
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+deliverySlotSchema.index({ vendor: 1, startTime: 1 });
+
+const DeliverySlot = mongoose.model('DeliverySlot', deliverySlotSchema);
+
+module.exports = DeliverySlot;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Counts the orders booked into a delivery slot on one day
+const deliverySlotBookingSchema = new mongoose.Schema({
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliverySlot',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Start of the day the slot is booked on
+  date: {
+    type: Date,
+    required: true
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { timestamps: true });
+
+// One counter per slot per day; the unique index keeps concurrent bookings within capacity
+deliverySlotBookingSchema.index({ slot: 1, date: 1 }, { unique: true });
+deliverySlotBookingSchema.index({ vendor: 1, date: 1 });
+
+const DeliverySlotBooking = mongoose.model('DeliverySlotBooking', deliverySlotBookingSchema);
+
+module.exports = DeliverySlotBooking;
@@ -13,7 +13,7 @@ const FAQSchema = new mongoose.Schema({
   category: {
     type: String,
     default: 'GENERAL',
-    enum: ['GENERAL', 'ACCOUNT', 'ORDERS', 'PAYMENT', 'DELIVERY', 'RETURNS', 'OTHER']
+    enum: ['GENERAL', 'ACCOUNT', 'ORDERS', 'PAYMENT', 'DELIVERY', 'RETURNS', 'CUSTOMERS', 'VENDORS', 'OTHER']
   },
   order: {
     type: Number,
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Define ledger accounts; vendor and delivery agent accounts are kept per user
+const LEDGER_ACCOUNTS = {
+  CUSTOMER_PAYMENTS: 'customer_payments', // money taken from customers (gateway, wallet or cash)
+  VENDOR: 'vendor',
+  DELIVERY_AGENT: 'delivery_agent',
+  PLATFORM_REVENUE: 'platform_revenue',
+  PROMOTIONS: 'promotions', // discounts the platform pays for
+  TAX: 'tax',
+  PAYOUTS_PENDING: 'payouts_pending', // withdrawals requested but not paid out yet
+  PAYOUTS: 'payouts' // money paid out to vendors and delivery agents
+};
+
+// Define what a ledger line is for
+const LEDGER_ENTRY_TYPES = {
+  CUSTOMER_PAYMENT: 'customer_payment',
+  PROMOTION_FUNDING: 'promotion_funding',
+  VENDOR_PAYOUT: 'vendor_payout',
+  PLATFORM_COMMISSION: 'platform_commission',
+  AGENT_EARNING: 'agent_earning',
+  DELIVERY_FEE: 'delivery_fee', // the platform's share of the delivery fee
+  SERVICE_FEE: 'service_fee',
+  TAX_COLLECTED: 'tax_collected',
+  REFUND: 'refund',
+  WITHDRAWAL_HOLD: 'withdrawal_hold',
+  WITHDRAWAL_RELEASE: 'withdrawal_release', // a rejected, cancelled or failed withdrawal
+  WITHDRAWAL_PAYOUT: 'withdrawal_payout'
+};
+
+// One line of a double-entry journal. Amounts are signed: debits are positive,
+// credits negative, and the lines of a journal add up to zero. A credit on a
+// vendor or delivery agent account is money owed to that user.
+const ledgerEntrySchema = new mongoose.Schema({
+  // Lines posted together share a journal ID
+  journal: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal'
+  },
+  account: {
+    type: String,
+    enum: Object.values(LEDGER_ACCOUNTS),
+    required: true
+  },
+  // Account holder, for vendor and delivery agent accounts
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  entryType: {
+    type: String,
+    enum: Object.values(LEDGER_ENTRY_TYPES),
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Commission percentage the line was calculated with
+  rate: {
+    type: Number
+  },
+  description: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ledgerEntrySchema.index({ order: 1 });
+ledgerEntrySchema.index({ journal: 1 });
+
+// Balances and statements of vendors and delivery agents
+ledgerEntrySchema.index({ user: 1, createdAt: -1 });
+
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = {
+  LedgerEntry,
+  LEDGER_ACCOUNTS,
+  LEDGER_ENTRY_TYPES
+};
@@ -1,7 +1,9 @@
 const mongoose = require('mongoose');
+const { PROMOTION_FUNDERS } = require('./Promotion');
 
 // Define order status constants
 const ORDER_STATUS = {
+  PENDING_PAYMENT: 'pending_payment', // waiting for the online payment to be confirmed
   PENDING: 'pending',
   ACCEPTED: 'accepted',
   REJECTED: 'rejected',
@@ -18,6 +20,7 @@ const PAYMENT_STATUS = {
   PENDING: 'pending',
   PAID: 'paid',
   FAILED: 'failed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
   REFUNDED: 'refunded'
 };
 
@@ -28,6 +31,25 @@ const PAYMENT_METHOD = {
   WALLET: 'wallet'
 };
 
+// Define what happens to an order the vendor does not accept in time
+const SLA_BREACH_ACTIONS = {
+  REJECT: 'reject', // reject and refund it
+  ESCALATE: 'escalate' // leave it pending for an admin to follow up
+};
+
+// Define the states of a vendor's proposal to change the items of an order
+const SUBSTITUTION_STATUS = {
+  PROPOSED: 'proposed', // waiting for the customer
+  APPROVED: 'approved',
+  REJECTED: 'rejected' // substitutes declined; the unavailable items were still removed
+};
+
+// Define when an order is delivered
+const DELIVERY_TYPES = {
+  ASAP: 'asap',
+  SCHEDULED: 'scheduled' // in a booked delivery slot
+};
+
 const orderItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -44,9 +66,62 @@ const orderItemSchema = new mongoose.Schema({
     required: true
   },
   name: String,
-  unit: String
+  unit: String,
+  // Share of the order discount applied to this item
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
 });
 
+// An item the vendor cannot supply in full, and what they offer instead
+const substitutionItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: String,
+  // Quantity ordered, and how much of it the vendor can supply
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  availableQuantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  substitute: {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    name: String,
+    unit: String,
+    price: Number,
+    quantity: Number
+  }
+}, { _id: false });
+
+// The terms of the promotion an order was placed with
+const promotionTermsSchema = new mongoose.Schema({
+  discountType: String,
+  discountValue: Number,
+  minOrderValue: Number,
+  maxDiscount: Number,
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  applicableCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }]
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -104,6 +179,11 @@ const orderSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  serviceFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   tax: {
     type: Number,
     required: true,
@@ -119,11 +199,39 @@ const orderSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  promotionCode: {
+    type: String
+  },
+  // Who pays for the discount, so settlement can charge the right party
+  discountFundedBy: {
+    type: String,
+    enum: Object.values(PROMOTION_FUNDERS)
+  },
+  // Fee rates and promotion terms the order was priced with, so later changes to its items
+  // are priced the same way whatever happens to the settings or the promotion meanwhile
+  pricingTerms: {
+    serviceFeePercentage: Number,
+    taxPercentage: Number,
+    promotion: {
+      type: promotionTermsSchema,
+      default: undefined
+    }
+  },
   paymentMethod: {
     type: String,
     enum: Object.values(PAYMENT_METHOD),
     required: true
   },
+  // Part of the total paid from the customer's wallet; paymentMethod covers the rest
+  walletAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   paymentStatus: {
     type: String,
     enum: Object.values(PAYMENT_STATUS),
@@ -158,18 +266,100 @@ const orderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  deliveryNote: {
+    type: String,
+    trim: true
+  },
+  // Checkout this order was placed in; a multi-store checkout creates one order per vendor
+  checkout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Checkout'
+  },
+  // Subscription that generated this order
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  deliveryType: {
+    type: String,
+    enum: Object.values(DELIVERY_TYPES),
+    default: DELIVERY_TYPES.ASAP
+  },
+  // Delivery window the order is booked for
+  deliverySlot: {
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliverySlot'
+    },
+    start: Date,
+    end: Date
+  },
   estimatedDeliveryTime: {
     type: Date
   },
   actualDeliveryTime: {
     type: Date
   },
+  // How long the vendor expected to take and actually took to prepare the order
+  preparation: {
+    estimatedMinutes: Number,
+    startedAt: Date,
+    readyAt: Date,
+    actualMinutes: Number
+  },
+  // When the order's settlement was posted to the ledger
+  settledAt: {
+    type: Date
+  },
   cancellationReason: {
     type: String
   },
   rejectionReason: {
     type: String
   },
+  // The vendor's response to the order and whether it came within the acceptance SLA
+  acceptance: {
+    pendingAt: Date, // when the order started waiting for the vendor
+    respondedAt: Date, // when the vendor accepted or rejected it
+    slaBreachedAt: Date,
+    slaAction: {
+      type: String,
+      enum: Object.values(SLA_BREACH_ACTIONS)
+    }
+  },
+  // The vendor's latest proposal to change items they cannot supply
+  substitution: {
+    status: {
+      type: String,
+      enum: Object.values(SUBSTITUTION_STATUS)
+    },
+    items: [substitutionItemSchema],
+    notes: String,
+    total: Number, // order total if the customer approves, at the time of the proposal
+    proposedAt: Date,
+    respondedAt: Date
+  },
+  // Changes made to the items after the order was placed
+  modifications: [{
+    actor: String, // ORDER_ACTORS value of who made the change
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    previousTotal: Number,
+    total: Number,
+    notes: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Total of the completed refunds of this order
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   rating: {
     type: Number,
     min: 1,
@@ -206,8 +396,24 @@ orderSchema.index({ status: 1 });
 // Create compound index for order status and timestamps
 orderSchema.index({ status: 1, createdAt: -1 });
 
-// Pre-save hook to generate order number if not already set
-orderSchema.pre('save', async function(next) {
+// Create index for finding the orders of a checkout
+orderSchema.index({ checkout: 1 });
+
+// Create index for vendor order lists by delivery slot
+orderSchema.index({ vendor: 1, 'deliverySlot.start': 1 });
+
+// Create index for vendor acceptance metrics
+orderSchema.index({ 'acceptance.pendingAt': 1 });
+
+// Create index for a vendor's recent preparation times
+orderSchema.index({ vendor: 1, 'preparation.readyAt': -1 });
+
+// Create index for replaying missed status changes to reconnecting clients
+orderSchema.index({ 'statusHistory.timestamp': 1 });
+
+// Pre-validate hook to generate order number if not already set
+// Runs before validation because orderNumber is required
+orderSchema.pre('validate', function(next) {
   if (!this.orderNumber) {
     // Generate order number: OLV + timestamp + last 4 digits of ObjectId
     const timestamp = Math.floor(Date.now() / 1000).toString();
@@ -216,15 +422,6 @@ orderSchema.pre('save', async function(next) {
     this.orderNumber = `OLV${timestamp}${last4}`;
   }
   
-  // Add status change to status history if status has changed
-  if (this.isModified('status')) {
-    this.statusHistory.push({
-      status: this.status,
-      timestamp: new Date(),
-      updatedBy: this.updatedBy || this.customer // default to customer if not specified
-    });
-  }
-  
   next();
 });
 
@@ -234,5 +431,8 @@ module.exports = {
   Order,
   ORDER_STATUS,
   PAYMENT_STATUS,
-  PAYMENT_METHOD
+  PAYMENT_METHOD,
+  DELIVERY_TYPES,
+  SLA_BREACH_ACTIONS,
+  SUBSTITUTION_STATUS
 }; 
\ No newline at end of file
@@ -1,10 +1,24 @@
 const mongoose = require('mongoose');
 
+// Define who pays for a promotion's discount
+const PROMOTION_FUNDERS = {
+  VENDOR: 'vendor',
+  PLATFORM: 'platform'
+};
+
 const promotionSchema = new mongoose.Schema({
   vendor: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      // Platform coupons apply across all stores
+      return this.fundedBy !== PROMOTION_FUNDERS.PLATFORM;
+    }
+  },
+  fundedBy: {
+    type: String,
+    enum: Object.values(PROMOTION_FUNDERS),
+    default: PROMOTION_FUNDERS.VENDOR
   },
   title: {
     type: String,
@@ -68,6 +82,28 @@ const promotionSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  perCustomerLimit: {
+    type: Number,
+    min: 0
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  newUserOnly: {
+    type: Boolean,
+    default: false
+  },
+  newUserWindowDays: {
+    type: Number,
+    default: 30,
+    min: 1,
+    description: 'Days since registration a customer counts as new'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -82,7 +118,11 @@ const promotionSchema = new mongoose.Schema({
 promotionSchema.index({ vendor: 1 });
 promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
 promotionSchema.index({ code: 1 });
+promotionSchema.index({ fundedBy: 1 });
 
 const Promotion = mongoose.model('Promotion', promotionSchema);
 
-module.exports = Promotion; 
\ No newline at end of file
+module.exports = {
+  Promotion,
+  PROMOTION_FUNDERS
+}; 
\ No newline at end of file
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Tracks how many times each customer has used a promotion
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { timestamps: true });
+
+// One counter per customer per promotion; the unique index keeps concurrent redemptions honest
+promotionRedemptionSchema.index({ promotion: 1, customer: 1 }, { unique: true });
+
+const PromotionRedemption = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
+
+module.exports = PromotionRedemption;
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+
+// Define refund status constants
+const REFUND_STATUS = {
+  REQUESTED: 'requested', // reported by the customer, waiting for review
+  PENDING: 'pending', // approved; the gateway refund has not gone through yet
+  COMPLETED: 'completed',
+  REJECTED: 'rejected',
+  FAILED: 'failed' // the gateway kept refusing the refund; needs a retry by an admin
+};
+
+// Define why an order was refunded
+const REFUND_REASONS = {
+  ORDER_CANCELLED: 'order_cancelled',
+  ORDER_REJECTED: 'order_rejected',
+  ORDER_MODIFIED: 'order_modified', // items removed or repriced before delivery
+  UNAPPLIED_PAYMENT: 'unapplied_payment', // captured online but not applied, e.g. after the checkout expired
+  ITEM_ISSUE: 'item_issue'
+};
+
+// Define problems customers can report with delivered items
+const ITEM_ISSUES = {
+  MISSING: 'missing',
+  DAMAGED: 'damaged'
+};
+
+const refundItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  issue: {
+    type: String,
+    enum: Object.values(ITEM_ISSUES),
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+});
+
+// Money going back to a customer for an order, split between the wallet and the gateway
+const refundSchema = new mongoose.Schema({
+  // Unapplied payments belong to a checkout or wallet top-up rather than an order
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: function() {
+      return !this.checkout && !this.walletTopUp;
+    }
+  },
+  checkout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Checkout'
+  },
+  walletTopUp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTopUp'
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return !this.checkout && !this.walletTopUp;
+    }
+  },
+  reason: {
+    type: String,
+    enum: Object.values(REFUND_REASONS),
+    required: true
+  },
+  // Reported items, for item issue refunds
+  items: [refundItemSchema],
+  notes: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Part of the amount credited to the wallet; the rest goes back through the gateway
+  walletAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  gatewayAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: Object.values(REFUND_STATUS),
+    default: REFUND_STATUS.REQUESTED
+  },
+  gatewayDetails: {
+    gateway: String,
+    transactionId: String, // payment being refunded
+    refundId: String,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date,
+    lastError: String
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewNotes: {
+    type: String,
+    trim: true
+  },
+  processedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+refundSchema.index({ order: 1, createdAt: -1 });
+
+// Admin review queue and the gateway retry job
+refundSchema.index({ status: 1, createdAt: 1 });
+
+// A payment that could not be applied is refunded once, however often its webhook arrives
+refundSchema.index(
+  { 'gatewayDetails.transactionId': 1 },
+  { unique: true, partialFilterExpression: { reason: REFUND_REASONS.UNAPPLIED_PAYMENT } }
+);
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+module.exports = {
+  Refund,
+  REFUND_STATUS,
+  REFUND_REASONS,
+  ITEM_ISSUES
+};
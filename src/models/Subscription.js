@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+// Define subscription status constants
+const SUBSCRIPTION_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled',
+  ENDED: 'ended'
+};
+
+// Define how often a subscription delivers
+const SUBSCRIPTION_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKDAYS: 'weekdays', // specific days of the week
+  WEEKLY: 'weekly'
+};
+
+const subscriptionItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+const subscriptionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  address: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Address',
+    required: true
+  },
+  items: {
+    type: [subscriptionItemSchema],
+    validate: [items => items.length > 0, 'A subscription needs at least one item']
+  },
+  frequency: {
+    type: String,
+    enum: Object.values(SUBSCRIPTION_FREQUENCIES),
+    required: true
+  },
+  // Days of the week to deliver on (0 = Sunday), for weekdays and weekly subscriptions
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  // Delivery window in server local time, as HH:mm
+  deliverySlot: {
+    start: {
+      type: String,
+      required: true,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/
+    },
+    end: {
+      type: String,
+      required: true,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/
+    }
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  endDate: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: Object.values(SUBSCRIPTION_STATUS),
+    default: SUBSCRIPTION_STATUS.ACTIVE
+  },
+  // Single days the customer chose to skip (start of day)
+  skipDates: [Date],
+  vacation: {
+    startDate: Date,
+    endDate: Date
+  },
+  // Start of the next delivery slot to generate an order for
+  nextDeliveryDate: {
+    type: Date
+  },
+  // Start of the last delivery slot an order was generated for
+  lastDeliveryDate: {
+    type: Date
+  },
+  lastOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastFailureReason: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+// Create index for faster queries by customer
+subscriptionSchema.index({ customer: 1 });
+
+// Create index for the scheduler picking due subscriptions
+subscriptionSchema.index({ status: 1, nextDeliveryDate: 1 });
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+
+module.exports = {
+  Subscription,
+  SUBSCRIPTION_STATUS,
+  SUBSCRIPTION_FREQUENCIES
+};
@@ -35,6 +35,36 @@ const SystemSettingSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // Smallest withdrawal vendors and delivery agents can request
+  minWithdrawalAmount: {
+    type: Number,
+    default: 100,
+    min: 0
+  },
+  // Time a vendor or delivery agent must wait between withdrawal requests
+  withdrawalCooldownHours: {
+    type: Number,
+    default: 24,
+    min: 0
+  },
+  // Minutes a vendor has to accept or reject a new order
+  vendorAcceptanceSlaMinutes: {
+    type: Number,
+    default: 10,
+    min: 1
+  },
+  // How long before its delivery slot a scheduled order starts counting against the acceptance SLA
+  scheduledOrderAcceptanceLeadMinutes: {
+    type: Number,
+    default: 120,
+    min: 0
+  },
+  // What happens to orders not answered in time: 'reject' or 'escalate' to admins
+  vendorSlaBreachAction: {
+    type: String,
+    enum: ['reject', 'escalate'],
+    default: 'reject'
+  },
   appVersion: {
     android: {
       type: String,
@@ -297,6 +297,10 @@ const userSchema = new mongoose.Schema({
       trim: true
     }
   },
+  // When the user last requested a withdrawal, for the cooldown between requests
+  lastWithdrawalRequestAt: {
+    type: Date
+  },
   // UPI payment details
   upiDetails: {
     upiId: {
@@ -346,10 +350,6 @@ const userSchema = new mongoose.Schema({
     },
     locationName: String
   },
-  walletBalance: {
-    type: Number,
-    default: 0
-  },
   refreshToken: {
     type: String
   },
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Define top-up status constants
+const TOP_UP_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed' // paid for the wrong amount; the payment is refunded
+};
+
+// Money a customer adds to their wallet through the payment gateway
+const walletTopUpSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: Object.values(TOP_UP_STATUS),
+    default: TOP_UP_STATUS.PENDING
+  },
+  paymentDetails: {
+    gateway: String,
+    intentId: String,
+    transactionId: String,
+    paymentTime: Date,
+    failureReason: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+walletTopUpSchema.index({ user: 1, createdAt: -1 });
+
+// Find top-ups by gateway payment reference from webhooks
+walletTopUpSchema.index({ 'paymentDetails.intentId': 1 });
+
+const WalletTopUp = mongoose.model('WalletTopUp', walletTopUpSchema);
+
+module.exports = {
+  WalletTopUp,
+  TOP_UP_STATUS
+};
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Define wishlist types
+const WISHLIST_TYPES = {
+  WISHLIST: 'wishlist',
+  SAVED_FOR_LATER: 'saved_for_later'
+};
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Quantity to put back in the cart, for items saved for later
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const wishlistSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  type: {
+    type: String,
+    enum: Object.values(WISHLIST_TYPES),
+    default: WISHLIST_TYPES.WISHLIST
+  },
+  items: [wishlistItemSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+// List names are unique per customer
+wishlistSchema.index({ customer: 1, name: 1 }, { unique: true });
+
+// Each customer has at most one saved-for-later list
+wishlistSchema.index(
+  { customer: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: WISHLIST_TYPES.SAVED_FOR_LATER } }
+);
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+module.exports = {
+  Wishlist,
+  WISHLIST_TYPES
+};
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Define withdrawal status constants
+const WITHDRAWAL_STATUS = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  PROCESSING: 'processing', // exported in a bank-transfer batch
+  PAID: 'paid',
+  FAILED: 'failed',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled'
+};
+
+// Define how a withdrawal is paid out
+const WITHDRAWAL_METHODS = {
+  BANK_TRANSFER: 'bank_transfer',
+  UPI: 'upi'
+};
+
+// A vendor or delivery agent taking their ledger balance out. The amount is
+// held in the ledger from the request until the payout is paid or released.
+const withdrawalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  method: {
+    type: String,
+    enum: Object.values(WITHDRAWAL_METHODS),
+    required: true
+  },
+  // Where the money goes, as it was when the withdrawal was requested
+  payee: {
+    accountHolderName: String,
+    accountNumber: String,
+    ifscCode: String,
+    upiId: String
+  },
+  status: {
+    type: String,
+    enum: Object.values(WITHDRAWAL_STATUS),
+    default: WITHDRAWAL_STATUS.REQUESTED
+  },
+  // Bank-transfer batch the withdrawal was exported in
+  batchId: {
+    type: String
+  },
+  exportedAt: {
+    type: Date
+  },
+  // Bank or UPI reference of the transfer
+  transferReference: {
+    type: String,
+    trim: true
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewNotes: {
+    type: String,
+    trim: true
+  },
+  paidAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+withdrawalSchema.index({ user: 1, createdAt: -1 });
+
+// Admin approval queue
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+
+withdrawalSchema.index({ batchId: 1 });
+
+const Withdrawal = mongoose.model('Withdrawal', withdrawalSchema);
+
+module.exports = {
+  Withdrawal,
+  WITHDRAWAL_STATUS,
+  WITHDRAWAL_METHODS
+};
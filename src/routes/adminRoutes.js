@@ -13,6 +13,7 @@ router.use(logAdminAction);
 // Vendor management routes
 router.get('/vendors', adminController.getVendors);
 router.get('/vendors/find/:vendorId', adminController.findVendorByFormattedId);
+router.get('/vendors/acceptance-metrics', adminController.getVendorAcceptanceMetrics);
 router.get('/vendors/:id', adminController.getVendorDetails);
 router.get('/vendors/:id/documents', adminController.getVendorDocuments);
 router.get('/vendors/registrations/pending', adminController.getPendingVendorRegistrations);
@@ -34,11 +35,32 @@ router.get('/customers/:id', adminController.getCustomerDetails);
 // Order management routes
 router.get('/orders', adminController.getOrders);
 router.get('/orders/:id', adminController.getOrderDetails);
+router.put('/orders/:id/cancel', adminController.cancelOrder);
+
+// Refund routes
+router.get('/refunds', adminController.getRefunds);
+router.put('/refunds/:id/approve', adminController.approveRefundRequest);
+router.put('/refunds/:id/reject', adminController.rejectRefundRequest);
+router.put('/refunds/:id/retry', adminController.retryRefund);
+
+// Settlement ledger routes
+router.get('/ledger/reconciliation', adminController.getLedgerReconciliation);
+
+// Withdrawal routes
+router.get('/withdrawals', adminController.getWithdrawals);
+router.post('/withdrawals/batches', adminController.createWithdrawalBatch);
+router.get('/withdrawals/batches/:batchId', adminController.getWithdrawalBatch);
+router.put('/withdrawals/:id/approve', adminController.approveWithdrawalRequest);
+router.put('/withdrawals/:id/reject', adminController.rejectWithdrawalRequest);
+router.put('/withdrawals/:id/paid', adminController.markWithdrawalAsPaid);
+router.put('/withdrawals/:id/failed', adminController.markWithdrawalAsFailed);
 
 // Category management routes
 router.get('/categories', adminController.getCategories);
+router.get('/categories/tree', adminController.getCategoryTree);
 router.post('/categories', upload.single('image'), adminController.createCategory);
 router.put('/categories/:id', upload.single('image'), adminController.updateCategory);
+router.put('/categories/:id/move', adminController.moveCategory);
 router.delete('/categories/:id', adminController.deleteCategory);
 
 // CMS management routes
@@ -46,11 +68,21 @@ router.get('/faqs', adminController.getFaqs);
 router.post('/faqs', adminController.createFaq);
 router.put('/faqs/:id', adminController.updateFaq);
 router.delete('/faqs/:id', adminController.deleteFaq);
+router.get('/faqs/:id/versions', adminController.getFaqVersions);
+router.post('/faqs/:id/versions/:version/rollback', adminController.rollbackFaq);
 
 router.get('/banners', adminController.getBanners);
 router.post('/banners', upload.single('image'), adminController.createBanner);
 router.put('/banners/:id', upload.single('image'), adminController.updateBanner);
 router.delete('/banners/:id', adminController.deleteBanner);
+router.get('/banners/:id/versions', adminController.getBannerVersions);
+router.post('/banners/:id/versions/:version/rollback', adminController.rollbackBanner);
+
+// Platform coupon routes
+router.get('/coupons', adminController.getCoupons);
+router.post('/coupons', adminController.createCoupon);
+router.put('/coupons/:id', adminController.updateCoupon);
+router.delete('/coupons/:id', adminController.deleteCoupon);
 
 // System Settings Routes
 router.get('/settings', adminController.getSystemSettings);
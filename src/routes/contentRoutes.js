@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const contentController = require('../controllers/contentController');
+
+// Public routes - readable by customer, vendor and delivery apps
+router.get('/banners', contentController.getBanners);
+router.get('/faqs', contentController.getFaqs);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const customerController = require('../controllers/customerController');
+const subscriptionController = require('../controllers/subscriptionController');
 const { authenticate, isCustomer } = require('../middleware/auth');
 
 // Apply authentication middleware to all routes
@@ -23,16 +24,53 @@ router.delete('/cart/remove/:productId', customerController.removeFromCart);
 router.put('/cart/update/:productId', customerController.updateCartItem);
 router.get('/cart', customerController.getCart);
 router.delete('/cart', customerController.clearCart);
+router.get('/cart/promotion-preview', customerController.previewCartPromotion);
+router.get('/cart/quote', customerController.getCheckoutQuote);
+router.post('/cart/save-for-later/:productId', customerController.saveCartItemForLater);
+
+// Wishlists
+router.get('/wishlists', customerController.getWishlists);
+router.post('/wishlists', customerController.createWishlist);
+router.put('/wishlists/:id', customerController.updateWishlist);
+router.delete('/wishlists/:id', customerController.deleteWishlist);
+router.post('/wishlists/:id/items', customerController.addWishlistItem);
+router.delete('/wishlists/:id/items/:productId', customerController.removeWishlistItem);
+router.post('/wishlists/:id/items/:productId/move-to-cart', customerController.moveWishlistItemToCart);
 
 // Order management
-router.post('/checkout', customerController.checkout);
-router.post('/orders', customerController.createOrder);
+router.post('/checkout', customerController.placeOrder);
+router.post('/orders', customerController.placeOrder);
 router.get('/orders', customerController.getOrders);
 router.get('/orders/:id', customerController.getOrderDetails);
 router.put('/orders/:id/cancel', customerController.cancelOrder);
+router.put('/orders/:id/items', customerController.modifyOrderItems);
+router.put('/orders/:id/substitutions/approve', customerController.approveSubstitution);
+router.put('/orders/:id/substitutions/reject', customerController.rejectSubstitution);
+router.post('/orders/:id/issues', customerController.reportIssue);
+router.get('/orders/:id/refunds', customerController.getOrderRefunds);
+router.post('/orders/:id/reorder', customerController.reorder);
 router.post('/orders/:id/rate', customerController.rateOrder);
 router.get('/orders/:id/track', customerController.trackOrder);
 
+// Subscriptions
+router.get('/subscriptions', subscriptionController.getSubscriptions);
+router.post('/subscriptions', subscriptionController.createSubscription);
+router.get('/subscriptions/:id', subscriptionController.getSubscription);
+router.put('/subscriptions/:id', subscriptionController.updateSubscription);
+router.put('/subscriptions/:id/pause', subscriptionController.pauseSubscription);
+router.put('/subscriptions/:id/resume', subscriptionController.resumeSubscription);
+router.put('/subscriptions/:id/cancel', subscriptionController.cancelSubscription);
+router.post('/subscriptions/:id/skip', subscriptionController.skipDelivery);
+router.delete('/subscriptions/:id/skip', subscriptionController.unskipDelivery);
+router.put('/subscriptions/:id/vacation', subscriptionController.setVacation);
+router.delete('/subscriptions/:id/vacation', subscriptionController.clearVacation);
+
+// Wallet
+router.get('/wallet', customerController.getWallet);
+router.get('/wallet/transactions', customerController.getWalletTransactionHistory);
+router.post('/wallet/top-up', customerController.topUpWallet);
+router.get('/wallet/top-ups/:id', customerController.getWalletTopUp);
+
 // Location endpoints
 router.put('/location', customerController.updateLocation);
 router.get('/location', customerController.getLocation);
@@ -40,6 +78,19 @@ router.get('/location', customerController.getLocation);
 // Nearby stores
 router.get('/nearby-stores', customerController.getNearbyStores);
 
+// Store catalog
+router.get('/stores/:vendorId/products', customerController.getStoreProducts);
+router.get('/stores/:vendorId/categories', customerController.getStoreCategories);
+router.get('/stores/:vendorId/delivery-slots', customerController.getStoreDeliverySlots);
+router.get('/products/:id', customerController.getProductDetails);
+
+// Categories
+router.get('/categories', customerController.getCategoryTree);
+router.get('/categories/:id/breadcrumb', customerController.getCategoryBreadcrumb);
+
+// Product search
+router.get('/search', customerController.searchProducts);
+
 // Order tracking (Socket.IO connection will be handled separately)
 
 module.exports = router; 
\ No newline at end of file
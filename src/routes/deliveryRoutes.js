@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const deliveryController = require('../controllers/deliveryController');
+const withdrawalController = require('../controllers/withdrawalController');
 const { authenticate, isDeliveryAgent } = require('../middleware/auth');
 
 // Apply authentication middleware to all routes
@@ -26,6 +27,9 @@ router.put('/orders/:id/delivered', deliveryController.completeDelivery);
 // Earnings & Financials
 router.get('/earnings', deliveryController.getEarnings);
 router.get('/wallet', deliveryController.getWallet);
+router.get('/withdrawals', withdrawalController.getWithdrawals);
+router.post('/withdrawals', withdrawalController.createWithdrawal);
+router.put('/withdrawals/:id/cancel', withdrawalController.cancelWithdrawalRequest);
 router.get('/history', deliveryController.getDeliveryHistory);
 
 module.exports = router; 
\ No newline at end of file
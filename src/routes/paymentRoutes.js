@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+
+// Gateway webhooks - authenticated by their signature, not a user token
+router.post('/webhook/:gateway', paymentController.handleWebhook);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const vendorController = require('../controllers/vendorController');
+const withdrawalController = require('../controllers/withdrawalController');
 const { authenticate, isVendor } = require('../middleware/auth');
 const { productUpload } = require('../middleware/multerConfig');
 
@@ -25,15 +26,31 @@ router.get('/orders', vendorController.getOrders);
 router.get('/orders/:id', vendorController.getOrderDetails);
 router.put('/orders/:id/accept', vendorController.acceptOrder);
 router.put('/orders/:id/reject', vendorController.rejectOrder);
+router.put('/orders/:id/preparing', vendorController.startPreparingOrder);
 router.put('/orders/:id/ready', vendorController.orderReadyForPickup);
+router.post('/orders/:id/substitutions', vendorController.proposeOrderSubstitutions);
 
 // Promotion management
 router.post('/promotions/create', vendorController.createPromotion);
 router.get('/promotions', vendorController.getPromotions);
+router.put('/promotions/:id', vendorController.updatePromotion);
+router.put('/promotions/:id/pause', vendorController.pausePromotion);
+router.put('/promotions/:id/resume', vendorController.resumePromotion);
+router.delete('/promotions/:id', vendorController.deletePromotion);
+router.get('/promotions/:id/report', vendorController.getPromotionReport);
+
+// Delivery slots
+router.get('/delivery-slots', vendorController.getDeliverySlots);
+router.post('/delivery-slots', vendorController.createDeliverySlot);
+router.put('/delivery-slots/:id', vendorController.updateDeliverySlot);
+router.delete('/delivery-slots/:id', vendorController.deleteDeliverySlot);
 
 // Analytics & Financials
 router.get('/analytics/sales', vendorController.getSalesAnalytics);
 router.get('/wallet', vendorController.getWallet);
+router.get('/withdrawals', withdrawalController.getWithdrawals);
+router.post('/withdrawals', withdrawalController.createWithdrawal);
+router.put('/withdrawals/:id/cancel', withdrawalController.cancelWithdrawalRequest);
 router.get('/dashboard', vendorController.getDashboardStats);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,55 @@
+/**
+ * Send a signed webhook from the fake payment gateway to the local server.
+ *
+ * With PAYMENT_GATEWAY=fake and ENABLE_FAKE_PAYMENT_GATEWAY=true, online checkouts return a payment intent ID
+ * (payment.intentId). This completes or fails that payment the way a real
+ * gateway webhook would.
+ *
+ * Usage:
+ *   node src/scripts/fakePaymentWebhook.js <intentId> [succeeded|failed] [amount]
+ *
+ * The amount is checked against the checkout total when given. The server URL
+ * defaults to http://localhost:$PORT and can be set with API_URL. The webhook is
+ * signed with FAKE_GATEWAY_WEBHOOK_SECRET, which must match the server's.
+ */
+require('dotenv').config();
+const axios = require('axios');
+const crypto = require('crypto');
+const fakeGateway = require('../utils/paymentGateways/fakeGateway');
+
+const run = async () => {
+  const [intentId, outcome = 'succeeded', amount] = process.argv.slice(2);
+
+  if (!intentId || !['succeeded', 'failed'].includes(outcome)) {
+    console.error('Usage: node src/scripts/fakePaymentWebhook.js <intentId> [succeeded|failed] [amount]');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!process.env.FAKE_GATEWAY_WEBHOOK_SECRET) {
+    console.error('Set FAKE_GATEWAY_WEBHOOK_SECRET to the secret the server uses');
+    process.exitCode = 1;
+    return;
+  }
+
+  const { body, headers } = fakeGateway.buildWebhook({
+    event: `payment.${outcome}`,
+    intentId,
+    transactionId: `fake_txn_${crypto.randomUUID()}`,
+    amount: amount !== undefined ? Number(amount) : undefined,
+    reason: outcome === 'failed' ? 'Declined by the fake gateway' : undefined
+  });
+
+  const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+  try {
+    const response = await axios.post(`${baseUrl}/api/payments/webhook/${fakeGateway.name}`, body, { headers });
+    console.log(`Webhook delivered: ${JSON.stringify(response.data.data)}`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('Webhook failed:', error.response ? error.response.data : error.message);
+    process.exitCode = 1;
+  }
+};
+
+run();
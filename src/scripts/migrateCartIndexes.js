@@ -0,0 +1,31 @@
+/**
+ * Replace the one-cart-per-customer index on carts with one cart per customer and store.
+ *
+ * Older deployments have a unique index on carts.customer, which stops a customer
+ * from holding carts at several stores. This syncs the Cart collection's indexes
+ * with the model: the old index is dropped and the { customer, vendor } index built.
+ *
+ * Usage:
+ *   node src/scripts/migrateCartIndexes.js
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Cart = require('../models/Cart');
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const dropped = await Cart.syncIndexes();
+    console.log(dropped.length > 0 ? `Dropped cart indexes: ${dropped.join(', ')}` : 'Cart indexes already up to date');
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('Cart index migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
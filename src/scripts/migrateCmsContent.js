@@ -0,0 +1,202 @@
+/**
+ * Migrate legacy CmsContent documents into the Banner and FAQ collections.
+ *
+ * Each CmsContent document keeps its _id, so running the script again skips
+ * anything already migrated. The original document is stored on the first
+ * content history entry of the new banner/FAQ. Banners and FAQs that have no
+ * history yet, such as ones created before versioning, get a version-1
+ * snapshot of how they are now, so they can be rolled back to it.
+ *
+ * Usage:
+ *   node src/scripts/migrateCmsContent.js [--dry-run] [--drop-source]
+ *
+ *   --dry-run      Validate and report without writing anything
+ *   --drop-source  Drop the cmscontents collection once every document has migrated
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Banner = require('../models/Banner');
+const FAQ = require('../models/FAQ');
+const { ContentVersion, VERSIONED_CONTENT_TYPES, VERSION_ACTIONS } = require('../models/ContentVersion');
+const { recordContentVersion } = require('../utils/contentVersioning');
+
+const SOURCE_COLLECTION = 'cmscontents';
+
+// Legacy values that were renamed in the Banner/FAQ models
+const LEGACY_BANNER_TARGET_TYPES = {
+  EXTERNAL: 'URL'
+};
+
+const LEGACY_FAQ_CATEGORIES = {
+  PAYMENTS: 'PAYMENT'
+};
+
+/**
+ * Map a legacy banner CmsContent document onto the Banner model
+ * @param {Object} doc - Raw CmsContent document
+ * @returns {Object} Banner fields
+ */
+const toBanner = (doc) => {
+  const data = doc.contentData || {};
+
+  return {
+    _id: doc._id,
+    title: data.title,
+    subtitle: data.subtitle || '',
+    imageUrl: data.imageUrl,
+    targetUrl: data.targetUrl || '',
+    targetType: LEGACY_BANNER_TARGET_TYPES[data.targetType] || data.targetType || 'NONE',
+    targetId: data.targetId || '',
+    startDate: data.startDate || doc.createdAt,
+    endDate: data.endDate || null,
+    order: data.order || 0,
+    showOnMobile: data.showOnMobile !== false,
+    showOnWeb: data.showOnWeb !== false,
+    isActive: doc.isActive !== false,
+    createdBy: doc.createdBy,
+    updatedBy: doc.updatedBy
+  };
+};
+
+/**
+ * Map a legacy FAQ CmsContent document onto the FAQ model
+ * @param {Object} doc - Raw CmsContent document
+ * @returns {Object} FAQ fields
+ */
+const toFaq = (doc) => {
+  const data = doc.contentData || {};
+
+  return {
+    _id: doc._id,
+    question: data.question,
+    answer: data.answer,
+    category: LEGACY_FAQ_CATEGORIES[data.category] || data.category || 'GENERAL',
+    order: data.order || 0,
+    isActive: doc.isActive !== false,
+    createdBy: doc.createdBy,
+    updatedBy: doc.updatedBy
+  };
+};
+
+const CONTENT_MAPPINGS = {
+  banner: { Model: Banner, contentType: VERSIONED_CONTENT_TYPES.BANNER, map: toBanner },
+  faq: { Model: FAQ, contentType: VERSIONED_CONTENT_TYPES.FAQ, map: toFaq }
+};
+
+/**
+ * Record a first version of every banner and FAQ that has no history
+ * @param {Object} options
+ * @param {Boolean} options.dryRun - Count without writing anything
+ * @returns {Promise<Number>} Number of banners and FAQs given a first version
+ */
+const seedVersionHistory = async ({ dryRun }) => {
+  let seeded = 0;
+
+  for (const { Model, contentType } of Object.values(CONTENT_MAPPINGS)) {
+    for await (const content of Model.find()) {
+      if (await ContentVersion.exists({ contentType, contentId: content._id })) {
+        continue;
+      }
+
+      if (!dryRun) {
+        await recordContentVersion(
+          contentType,
+          content,
+          VERSION_ACTIONS.MIGRATE,
+          content.updatedBy || content.createdBy
+        );
+      }
+      seeded += 1;
+    }
+  }
+
+  return seeded;
+};
+
+const migrate = async ({ dryRun, dropSource }) => {
+  const source = mongoose.connection.collection(SOURCE_COLLECTION);
+  const stats = { migrated: 0, skipped: 0, failed: 0, seeded: 0 };
+
+  for await (const doc of source.find({})) {
+    const mapping = CONTENT_MAPPINGS[doc.type];
+
+    if (!mapping) {
+      console.error(`[${doc._id}] Unknown content type "${doc.type}", leaving in place`);
+      stats.failed += 1;
+      continue;
+    }
+
+    const { Model, contentType, map } = mapping;
+
+    if (await Model.exists({ _id: doc._id })) {
+      stats.skipped += 1;
+      continue;
+    }
+
+    const record = new Model(map(doc));
+
+    try {
+      await record.validate();
+    } catch (error) {
+      console.error(`[${doc._id}] ${doc.type} failed validation: ${error.message}`);
+      stats.failed += 1;
+      continue;
+    }
+
+    if (!dryRun) {
+      // Insert directly so the original timestamps are preserved
+      await Model.collection.insertOne({
+        ...record.toObject(),
+        createdAt: doc.createdAt || new Date(),
+        updatedAt: doc.updatedAt || new Date()
+      });
+      await recordContentVersion(
+        contentType,
+        await Model.findById(doc._id),
+        VERSION_ACTIONS.MIGRATE,
+        doc.updatedBy || doc.createdBy,
+        doc
+      );
+    }
+
+    stats.migrated += 1;
+  }
+
+  stats.seeded = await seedVersionHistory({ dryRun });
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Migrated: ${stats.migrated}, already present: ${stats.skipped}, failed: ${stats.failed}`);
+  console.log(`${dryRun ? '[dry run] ' : ''}First versions recorded for content without history: ${stats.seeded}`);
+
+  if (dropSource && !dryRun) {
+    if (stats.failed > 0) {
+      console.log(`Not dropping ${SOURCE_COLLECTION}: ${stats.failed} document(s) could not be migrated`);
+    } else if (await mongoose.connection.db.listCollections({ name: SOURCE_COLLECTION }).hasNext()) {
+      await source.drop();
+      console.log(`Dropped ${SOURCE_COLLECTION}`);
+    }
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  const args = process.argv.slice(2);
+
+  await connectDB();
+
+  try {
+    const stats = await migrate({
+      dryRun: args.includes('--dry-run'),
+      dropSource: args.includes('--drop-source')
+    });
+    process.exitCode = stats.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('CMS migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
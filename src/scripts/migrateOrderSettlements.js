@@ -0,0 +1,74 @@
+/**
+ * Post ledger settlements for orders delivered before the settlement ledger existed.
+ *
+ * Orders are now settled when they are delivered. Older delivered orders have
+ * no ledger lines, so vendor and delivery agent balances leave them out and the
+ * reconciliation report lists them as unsettled. This settles each of them with
+ * the commission percentages currently in the system settings. Completed
+ * refunds of those orders are posted against the vendor's payout as well.
+ * Settled orders are skipped, so the script is safe to re-run.
+ *
+ * Usage:
+ *   node src/scripts/migrateOrderSettlements.js [--dry-run]
+ *
+ *   --dry-run  Report without writing anything
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { Order, ORDER_STATUS } = require('../models/Order');
+const { Refund, REFUND_STATUS } = require('../models/Refund');
+const { settleOrder, postRefundAdjustment } = require('../utils/ledgerUtils');
+
+const migrate = async ({ dryRun }) => {
+  const orders = Order.find({ status: ORDER_STATUS.DELIVERED, settledAt: null }).cursor();
+  const stats = { settled: 0, failed: 0 };
+
+  for await (const order of orders) {
+    if (dryRun) {
+      stats.settled += 1;
+      continue;
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        if (!await settleOrder(order, session)) return;
+
+        const settled = await Order.findById(order._id).session(session);
+        const refunds = await Refund.find({ order: order._id, status: REFUND_STATUS.COMPLETED }).session(session);
+
+        for (const refund of refunds) {
+          await postRefundAdjustment(settled, refund, session);
+        }
+      });
+      stats.settled += 1;
+    } catch (error) {
+      console.error(`[${order.orderNumber}] could not be settled:`, error.message);
+      stats.failed += 1;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Settled: ${stats.settled}, failed: ${stats.failed}`);
+
+  return stats;
+};
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const stats = await migrate({ dryRun: process.argv.slice(2).includes('--dry-run') });
+    process.exitCode = stats.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('Order settlement migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
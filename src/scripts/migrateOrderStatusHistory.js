@@ -0,0 +1,74 @@
+/**
+ * Remove the duplicate status history entries of older orders.
+ *
+ * The Order model used to add a status history entry on every save that changed
+ * the status, on top of the entry the code making the change had pushed itself.
+ * Those extra entries repeat the status of the entry before them and have no
+ * notes. This drops them; other entries, including repeated statuses that carry
+ * a note such as a delivery agent being assigned, are kept. Orders without
+ * duplicates are skipped, so the script is safe to re-run.
+ *
+ * Usage:
+ *   node src/scripts/migrateOrderStatusHistory.js [--dry-run]
+ *
+ *   --dry-run  Report without writing anything
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { Order } = require('../models/Order');
+
+/**
+ * Drop the entries added by the old save hook
+ * @param {Array} history - Status history of an order
+ * @returns {Array} History without the duplicates
+ */
+const removeDuplicates = (history) => {
+  return history.filter((entry, index) => {
+    const previous = history[index - 1];
+    return !(previous && previous.status === entry.status && !entry.notes);
+  });
+};
+
+const migrate = async ({ dryRun }) => {
+  const orders = Order.collection.find({ 'statusHistory.1': { $exists: true } }, { projection: { statusHistory: 1 } });
+  const stats = { orders: 0, entries: 0 };
+
+  for await (const order of orders) {
+    const history = removeDuplicates(order.statusHistory);
+    const removed = order.statusHistory.length - history.length;
+
+    if (removed === 0) continue;
+
+    if (!dryRun) {
+      // Leave the order alone if its status changed since it was read
+      await Order.collection.updateOne(
+        { _id: order._id, statusHistory: { $size: order.statusHistory.length } },
+        { $set: { statusHistory: history } }
+      );
+    }
+
+    stats.orders += 1;
+    stats.entries += removed;
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Orders cleaned: ${stats.orders}, entries removed: ${stats.entries}`);
+
+  return stats;
+};
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    await migrate({ dryRun: process.argv.slice(2).includes('--dry-run') });
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('Order status history migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
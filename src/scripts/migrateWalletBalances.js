@@ -0,0 +1,72 @@
+/**
+ * Move legacy User.walletBalance values into Wallet documents.
+ *
+ * Wallet.balance is the only balance; User.walletBalance is no longer part of
+ * the model. Users whose wallet has no transactions yet get their old balance
+ * credited as an admin adjustment. Where the wallet already has transactions
+ * and the two balances disagree, the user is reported and left untouched for
+ * an admin to resolve. The walletBalance field is then removed.
+ *
+ * Usage:
+ *   node src/scripts/migrateWalletBalances.js [--dry-run]
+ *
+ *   --dry-run  Report without writing anything
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { User } = require('../models/User');
+const { Wallet, TRANSACTION_CATEGORIES } = require('../models/Wallet');
+const { creditWallet } = require('../utils/walletUtils');
+
+const migrate = async ({ dryRun }) => {
+  const users = User.collection.find({ walletBalance: { $exists: true } }, { projection: { walletBalance: 1 } });
+  const stats = { credited: 0, removed: 0, conflicts: 0 };
+
+  for await (const user of users) {
+    const legacyBalance = Number(user.walletBalance) || 0;
+    const wallet = await Wallet.findOne({ user: user._id });
+    const hasActivity = wallet && wallet.transactions.length > 0;
+
+    if (hasActivity && wallet.balance !== legacyBalance && legacyBalance !== 0) {
+      console.error(`[${user._id}] walletBalance ${legacyBalance} differs from wallet balance ${wallet.balance}, leaving in place`);
+      stats.conflicts += 1;
+      continue;
+    }
+
+    if (!dryRun) {
+      if (!hasActivity && legacyBalance > 0) {
+        await creditWallet(user._id, legacyBalance, {
+          category: TRANSACTION_CATEGORIES.ADMIN_ADJUSTMENT,
+          description: 'Balance carried over from the user profile'
+        });
+      }
+      await User.collection.updateOne({ _id: user._id }, { $unset: { walletBalance: '' } });
+    }
+
+    if (!hasActivity && legacyBalance > 0) {
+      stats.credited += 1;
+    }
+    stats.removed += 1;
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Credited: ${stats.credited}, fields removed: ${stats.removed}, conflicts: ${stats.conflicts}`);
+
+  return stats;
+};
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const stats = await migrate({ dryRun: process.argv.slice(2).includes('--dry-run') });
+    process.exitCode = stats.conflicts > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('Wallet balance migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,186 @@
+const Cart = require('../models/Cart');
+
+// Kinds of change revalidation can make to a cart item
+const CART_CHANGE_TYPES = {
+  PRICE_INCREASED: 'price_increased',
+  PRICE_DECREASED: 'price_decreased',
+  QUANTITY_REDUCED: 'quantity_reduced',
+  OUT_OF_STOCK: 'out_of_stock',
+  PRODUCT_REMOVED: 'product_removed'
+};
+
+/**
+ * Get a product's current selling price
+ * @param {Object} product - Product document
+ * @returns {Number} Discount price when set, otherwise the regular price
+ */
+const getSellingPrice = (product) => {
+  return product.discountPrice > 0 ? product.discountPrice : product.price;
+};
+
+/**
+ * Add a quantity of a product to the customer's cart for its store
+ * The quantity is added to any already in the cart and capped at the stock available.
+ * @param {Object} options
+ * @param {String} options.customerId - Customer user ID
+ * @param {Object} options.product - Product document
+ * @param {Number} options.quantity - Quantity to add
+ * @returns {Promise<Object>} { cart, added, change } - added is the quantity actually added;
+ *   change describes why less than requested was added, or is null
+ */
+const addItemToCart = async ({ customerId, product, quantity }) => {
+  const change = { vendor: product.vendor, product: product._id, name: product.name };
+
+  if (!product.inStock || product.quantity <= 0) {
+    return {
+      cart: null,
+      added: 0,
+      change: { ...change, type: CART_CHANGE_TYPES.OUT_OF_STOCK, message: `${product.name} is out of stock` }
+    };
+  }
+
+  // Find customer's cart for this vendor or create a new one
+  let cart = await Cart.findOne({ customer: customerId, vendor: product.vendor });
+
+  if (!cart) {
+    cart = new Cart({ customer: customerId, vendor: product.vendor, items: [] });
+  }
+
+  let item = cart.items.find(line => line.product.toString() === product._id.toString());
+
+  if (!item) {
+    cart.items.push({ product: product._id, quantity: 0, price: getSellingPrice(product) });
+    item = cart.items[cart.items.length - 1];
+  }
+
+  const inCart = item.quantity;
+  const newQuantity = Math.min(inCart + quantity, product.quantity);
+  const added = Math.max(0, newQuantity - inCart);
+
+  if (added > 0) {
+    item.quantity = newQuantity;
+    item.price = getSellingPrice(product);
+    await cart.save();
+  }
+
+  return {
+    cart: added > 0 ? cart : null,
+    added,
+    change: added < quantity ? {
+      ...change,
+      type: CART_CHANGE_TYPES.QUANTITY_REDUCED,
+      message: `Only ${product.quantity} of ${product.name} available`,
+      requestedQuantity: quantity,
+      addedQuantity: added
+    } : null
+  };
+};
+
+/**
+ * Bring a cart in line with the current product catalog
+ * Items are repriced, quantities clamped to the stock available, and items whose
+ * product was deleted, moved to another store or sold out are dropped. The cart
+ * is saved when anything changed and deleted when no items are left.
+ * @param {Object} cart - Cart with items.product populated
+ * @returns {Promise<Array>} Changes made, one entry per affected item
+ */
+const revalidateCart = async (cart) => {
+  const changes = [];
+  const items = [];
+
+  for (const item of cart.items) {
+    const product = item.product;
+    // The vendor may be populated, e.g. when listing carts
+    const vendorId = cart.vendor._id;
+    const change = { vendor: vendorId, product: product ? product._id : null };
+
+    // Deleted, or no longer sold by this store
+    if (!product || product.vendor.toString() !== vendorId.toString()) {
+      changes.push({
+        ...change,
+        type: CART_CHANGE_TYPES.PRODUCT_REMOVED,
+        message: 'A product in your cart is no longer available and was removed'
+      });
+      continue;
+    }
+
+    change.name = product.name;
+
+    if (!product.inStock || product.quantity <= 0) {
+      changes.push({
+        ...change,
+        type: CART_CHANGE_TYPES.OUT_OF_STOCK,
+        message: `${product.name} is out of stock and was removed`
+      });
+      continue;
+    }
+
+    if (item.quantity > product.quantity) {
+      changes.push({
+        ...change,
+        type: CART_CHANGE_TYPES.QUANTITY_REDUCED,
+        message: `Only ${product.quantity} of ${product.name} left`,
+        previousQuantity: item.quantity,
+        currentQuantity: product.quantity
+      });
+      item.quantity = product.quantity;
+    }
+
+    const currentPrice = getSellingPrice(product);
+
+    if (item.price !== currentPrice) {
+      const increased = currentPrice > item.price;
+      changes.push({
+        ...change,
+        type: increased ? CART_CHANGE_TYPES.PRICE_INCREASED : CART_CHANGE_TYPES.PRICE_DECREASED,
+        message: `The price of ${product.name} went ${increased ? 'up' : 'down'} from ${item.price} to ${currentPrice}`,
+        previousPrice: item.price,
+        currentPrice
+      });
+      item.price = currentPrice;
+    }
+
+    items.push(item);
+  }
+
+  if (changes.length === 0) {
+    return changes;
+  }
+
+  cart.items = items;
+
+  if (items.length === 0) {
+    await Cart.deleteOne({ _id: cart._id });
+  } else {
+    await cart.save();
+    await cart.populate('items.product');
+  }
+
+  return changes;
+};
+
+/**
+ * Revalidate several carts
+ * @param {Array} carts - Carts with items.product populated
+ * @returns {Promise<Object>} { carts, changes } - carts that still have items and every change made
+ */
+const revalidateCarts = async (carts) => {
+  const changes = [];
+
+  for (const cart of carts) {
+    changes.push(...(await revalidateCart(cart)));
+  }
+
+  return {
+    carts: carts.filter(cart => cart.items.length > 0),
+    changes
+  };
+};
+
+module.exports = {
+  CART_CHANGE_TYPES,
+  getSellingPrice,
+  addItemToCart,
+  revalidateCart,
+  revalidateCarts
+};
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+/**
+ * Count products per category
+ * @param {Object} match - Optional product filter
+ * @returns {Promise<Object>} Map of category ID to direct product count
+ */
+const getProductCountsByCategory = async (match = {}) => {
+  const counts = await Product.aggregate([
+    { $match: match },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((map, item) => {
+    map[item._id.toString()] = item.count;
+    return map;
+  }, {});
+};
+
+/**
+ * Sort category nodes by display order, then name
+ * @param {Array} nodes - Category nodes
+ * @returns {Array} Sorted nodes
+ */
+const sortCategoryNodes = (nodes) => {
+  return nodes.sort((a, b) => (a.displayOrder - b.displayOrder) || a.name.localeCompare(b.name));
+};
+
+/**
+ * Build a nested category tree from a flat list of categories
+ * Each node gets its own productCount and a totalProductCount that includes all descendants.
+ * @param {Array} categories - Lean category documents
+ * @param {Object} productCounts - Map of category ID to direct product count
+ * @param {Boolean} activeOnly - Drop inactive categories together with their subtrees
+ * @returns {Array} Root category nodes with nested children
+ */
+const buildCategoryTree = (categories, productCounts = {}, activeOnly = false) => {
+  const nodes = new Map();
+
+  categories.forEach(category => {
+    const id = category._id.toString();
+    nodes.set(id, {
+      ...category,
+      productCount: productCounts[id] || 0,
+      totalProductCount: 0,
+      children: []
+    });
+  });
+
+  // Link each node to its parent; nodes whose parent is missing become roots
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent ? nodes.get(node.parent.toString()) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  // Prune inactive nodes and roll product counts up the tree
+  const finalize = (list) => {
+    const kept = activeOnly ? list.filter(node => node.isActive) : list;
+    kept.forEach(node => {
+      node.children = finalize(node.children);
+      node.totalProductCount = node.children.reduce(
+        (sum, child) => sum + child.totalProductCount,
+        node.productCount
+      );
+    });
+    return sortCategoryNodes(kept);
+  };
+
+  return finalize(roots);
+};
+
+/**
+ * Get the path from the root category down to the given category
+ * @param {String} categoryId - Category ID
+ * @returns {Promise<Array|null>} Breadcrumb entries (root first) or null if the category does not exist
+ */
+const buildCategoryBreadcrumb = async (categoryId) => {
+  const breadcrumb = [];
+  const visited = new Set();
+  let current = await Category.findById(categoryId).select('name parent isActive').lean();
+
+  if (!current) {
+    return null;
+  }
+
+  // Walk up the parent chain, guarding against corrupt cyclic data
+  while (current && !visited.has(current._id.toString())) {
+    visited.add(current._id.toString());
+    breadcrumb.unshift({ _id: current._id, name: current.name, isActive: current.isActive });
+    current = current.parent
+      ? await Category.findById(current.parent).select('name parent isActive').lean()
+      : null;
+  }
+
+  return breadcrumb;
+};
+
+/**
+ * Get the IDs of every category below the given category
+ * @param {String} categoryId - Category ID
+ * @returns {Promise<Array>} Descendant category IDs
+ */
+const getDescendantCategoryIds = async (categoryId) => {
+  const [result] = await Category.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+    { $graphLookup: {
+        from: 'categories',
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants'
+      }
+    },
+    { $project: { descendants: '$descendants._id' } }
+  ]);
+
+  return result ? result.descendants : [];
+};
+
+/**
+ * Check whether moving a category under a new parent would create a cycle
+ * @param {String} categoryId - Category being moved
+ * @param {String} parentId - Proposed parent category ID
+ * @returns {Promise<Boolean>} True if the parent is the category itself or one of its descendants
+ */
+const wouldCreateCategoryCycle = async (categoryId, parentId) => {
+  if (categoryId.toString() === parentId.toString()) {
+    return true;
+  }
+
+  const descendantIds = await getDescendantCategoryIds(categoryId);
+  return descendantIds.some(id => id.toString() === parentId.toString());
+};
+
+module.exports = {
+  getProductCountsByCategory,
+  buildCategoryTree,
+  buildCategoryBreadcrumb,
+  getDescendantCategoryIds,
+  wouldCreateCategoryCycle
+};
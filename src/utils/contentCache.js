@@ -0,0 +1,75 @@
+const redisClient = require('../config/redis');
+
+// Redis keys for public CMS content
+const CONTENT_CACHE_KEYS = {
+  BANNERS: (platform) => `cms:banners:${platform}`,
+  FAQS: 'cms:faqs'
+};
+
+// Platforms banners can be targeted at
+const BANNER_PLATFORMS = ['mobile', 'web'];
+
+// Default cache lifetime in seconds
+const CONTENT_CACHE_TTL = 300;
+
+/**
+ * Read cached content
+ * Cache failures are logged and treated as a miss so the caller falls back to MongoDB.
+ * @param {String} key - Redis key
+ * @returns {Promise<Object|null>} Cached value or null
+ */
+const getCachedContent = async (key) => {
+  try {
+    const cached = await redisClient.get(key);
+    return cached ? JSON.parse(cached) : null;
+  } catch (error) {
+    console.error(`Error reading content cache ${key}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Cache content
+ * @param {String} key - Redis key
+ * @param {Object} data - Value to cache
+ * @param {Number} ttlSeconds - Expiry in seconds
+ */
+const setCachedContent = async (key, data, ttlSeconds = CONTENT_CACHE_TTL) => {
+  try {
+    await redisClient.set(key, JSON.stringify(data), 'EX', Math.max(1, Math.ceil(ttlSeconds)));
+  } catch (error) {
+    console.error(`Error writing content cache ${key}:`, error);
+  }
+};
+
+/**
+ * Clear cached banners for every platform
+ */
+const clearBannerCache = async () => {
+  try {
+    await redisClient.del(...BANNER_PLATFORMS.map(CONTENT_CACHE_KEYS.BANNERS));
+  } catch (error) {
+    console.error('Error clearing banner cache:', error);
+  }
+};
+
+/**
+ * Clear cached FAQs
+ */
+const clearFaqCache = async () => {
+  try {
+    await redisClient.del(CONTENT_CACHE_KEYS.FAQS);
+  } catch (error) {
+    console.error('Error clearing FAQ cache:', error);
+  }
+};
+
+module.exports = {
+  CONTENT_CACHE_KEYS,
+  BANNER_PLATFORMS,
+  CONTENT_CACHE_TTL,
+  getCachedContent,
+  setCachedContent,
+  clearBannerCache,
+  clearFaqCache
+};
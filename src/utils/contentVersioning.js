@@ -0,0 +1,108 @@
+const { ContentVersion, VERSION_ACTIONS } = require('../models/ContentVersion');
+
+// Snapshot fields that are never written back on rollback
+const NON_RESTORABLE_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy'];
+
+// Times to pick the next version number when concurrent changes take it first
+const MAX_VERSION_ATTEMPTS = 5;
+
+/**
+ * Record a new version of a banner or FAQ
+ * Version numbers are unique per banner/FAQ; when a concurrent change takes the
+ * next number first, the version is recorded under the one after it.
+ * @param {String} contentType - One of VERSIONED_CONTENT_TYPES
+ * @param {Object} doc - Banner or FAQ document as it is after the change
+ * @param {String} action - One of VERSION_ACTIONS
+ * @param {String} changedBy - ID of the admin who made the change
+ * @param {Object} source - Original document, for migrated content
+ * @returns {Promise<Object>} Saved version entry
+ */
+const recordContentVersion = async (contentType, doc, action, changedBy, source) => {
+  const snapshot = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  delete snapshot.__v;
+
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await ContentVersion.findOne({ contentType, contentId: doc._id })
+      .sort({ version: -1 })
+      .select('version')
+      .lean();
+
+    try {
+      return await ContentVersion.create({
+        contentType,
+        contentId: doc._id,
+        version: latest ? latest.version + 1 : 1,
+        action,
+        snapshot,
+        source,
+        changedBy
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * List the version history of a banner or FAQ, newest first
+ * @param {String} contentType - One of VERSIONED_CONTENT_TYPES
+ * @param {String} contentId - Banner or FAQ ID
+ * @returns {Promise<Array>} Version entries
+ */
+const getContentVersions = async (contentType, contentId) => {
+  return ContentVersion.find({ contentType, contentId })
+    .sort({ version: -1 })
+    .select('-source')
+    .populate('changedBy', 'fullName firstName lastName email')
+    .lean();
+};
+
+/**
+ * Roll a banner or FAQ back to an earlier version
+ * Deleted content is recreated with its original ID. The rollback itself is recorded as a new version.
+ * @param {Object} Model - Banner or FAQ model
+ * @param {String} contentType - One of VERSIONED_CONTENT_TYPES
+ * @param {String} contentId - Banner or FAQ ID
+ * @param {Number} version - Version number to restore
+ * @param {String} adminId - ID of the admin performing the rollback
+ * @returns {Promise<Object>} { content, error } - error holds status and message when the rollback is not possible
+ */
+const restoreContentVersion = async (Model, contentType, contentId, version, adminId) => {
+  const target = await ContentVersion.findOne({ contentType, contentId, version }).lean();
+
+  if (!target) {
+    return { error: { statusCode: 404, message: 'Version not found' } };
+  }
+
+  if (target.action === VERSION_ACTIONS.DELETE) {
+    return { error: { statusCode: 400, message: 'Cannot roll back to a deleted version' } };
+  }
+
+  const restored = { ...target.snapshot };
+  NON_RESTORABLE_FIELDS.forEach(field => delete restored[field]);
+
+  let content = await Model.findById(contentId);
+
+  if (!content) {
+    content = new Model({
+      _id: contentId,
+      createdBy: target.snapshot.createdBy
+    });
+  }
+
+  content.set(restored);
+  content.updatedBy = adminId;
+
+  await content.save();
+  await recordContentVersion(contentType, content, VERSION_ACTIONS.ROLLBACK, adminId);
+
+  return { content };
+};
+
+module.exports = {
+  recordContentVersion,
+  getContentVersions,
+  restoreContentVersion
+};
@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const DeliverySlot = require('../models/DeliverySlot');
+const DeliverySlotBooking = require('../models/DeliverySlotBooking');
+const { DELIVERY_TYPES } = require('../models/Order');
+
+const SLOT_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Slots stop taking bookings this long before they start
+const SLOT_BOOKING_CUTOFF_MINUTES = 60;
+
+// How many days ahead customers can book a slot, today included
+const SLOT_BOOKING_WINDOW_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get midnight at the start of a day
+ * @param {Date} date - Any time on the day
+ * @returns {Date} Start of the day
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Get the start of the following day
+ * Steps 1.5 days ahead so daylight saving changes never skip or repeat a day.
+ * @param {Date} day - Start of a day
+ * @returns {Date} Start of the next day
+ */
+const nextDay = (day) => startOfDay(new Date(day.getTime() + DAY_MS * 1.5));
+
+/**
+ * Get the time a slot boundary falls on a given day
+ * @param {Date} day - Any time on the day
+ * @param {String} time - Time as HH:mm
+ * @returns {Date} The day at that time
+ */
+const atSlotTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = startOfDay(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+/**
+ * Validate a vendor's delivery slot definition
+ * @param {Object} slot - { startTime, endTime, capacity, daysOfWeek }
+ * @returns {String|null} Error message or null if valid
+ */
+const validateSlotDefinition = ({ startTime, endTime, capacity, daysOfWeek = [] }) => {
+  if (!SLOT_TIME_PATTERN.test(startTime) || !SLOT_TIME_PATTERN.test(endTime)) {
+    return 'Start and end time are required as HH:mm';
+  }
+
+  if (startTime >= endTime) {
+    return 'Slot must end after it starts';
+  }
+
+  if (!Number.isInteger(Number(capacity)) || Number(capacity) < 1) {
+    return 'Capacity must be a whole number of at least 1';
+  }
+
+  if (!Array.isArray(daysOfWeek) || daysOfWeek.map(Number).some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return 'Days of the week must be numbers from 0 (Sunday) to 6 (Saturday)';
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a slot is offered on a day
+ * @param {Object} slot - DeliverySlot document
+ * @param {Date} day - Start of the day
+ * @returns {Boolean} True if customers can book the slot on that day
+ */
+const isSlotOffered = (slot, day) => {
+  return slot.isActive && (slot.daysOfWeek.length === 0 || slot.daysOfWeek.includes(day.getDay()));
+};
+
+/**
+ * Get the earliest start a slot can still be booked for
+ * @returns {Date} Slots starting at or before this are closed
+ */
+const getBookingCutoff = () => new Date(Date.now() + SLOT_BOOKING_CUTOFF_MINUTES * 60 * 1000);
+
+/**
+ * List a vendor's bookable slots over the booking window
+ * Full slots are listed with no remaining capacity so customers can see them.
+ * @param {String} vendorId - Vendor user ID
+ * @returns {Promise<Array>} [{ slot, name, date, start, end, capacity, booked, remaining }] in time order
+ */
+const getAvailableSlots = async (vendorId) => {
+  const today = startOfDay(new Date());
+  let windowEnd = today;
+  for (let i = 0; i < SLOT_BOOKING_WINDOW_DAYS; i += 1) {
+    windowEnd = nextDay(windowEnd);
+  }
+
+  const [slots, bookings] = await Promise.all([
+    DeliverySlot.find({ vendor: vendorId, isActive: true }).sort({ startTime: 1 }),
+    DeliverySlotBooking.find({ vendor: vendorId, date: { $gte: today, $lt: windowEnd } })
+  ]);
+
+  const cutoff = getBookingCutoff();
+  const available = [];
+
+  for (let day = today; day < windowEnd; day = nextDay(day)) {
+    slots.forEach(slot => {
+      const start = atSlotTime(day, slot.startTime);
+
+      if (start <= cutoff || !isSlotOffered(slot, day)) return;
+
+      const booking = bookings.find(candidate =>
+        candidate.slot.toString() === slot._id.toString() && candidate.date.getTime() === day.getTime()
+      );
+      const booked = booking ? booking.booked : 0;
+
+      available.push({
+        slot: slot._id,
+        name: slot.name,
+        date: day,
+        start,
+        end: atSlotTime(day, slot.endTime),
+        capacity: slot.capacity,
+        booked,
+        remaining: Math.max(0, slot.capacity - booked)
+      });
+    });
+  }
+
+  return available;
+};
+
+/**
+ * Check a customer's slot choice for a vendor
+ * @param {String} vendorId - Vendor the order is placed with
+ * @param {String} slotId - DeliverySlot ID
+ * @param {String|Date} date - Day of delivery
+ * @returns {Promise<Object>} { slot, date, start, end } or { error } with status and message
+ */
+const resolveDeliverySlot = async (vendorId, slotId, date) => {
+  if (!mongoose.Types.ObjectId.isValid(slotId) || !date || isNaN(new Date(date).getTime())) {
+    return { error: { statusCode: 400, message: 'A delivery slot needs a valid slot ID and date' } };
+  }
+
+  const slot = await DeliverySlot.findOne({ _id: slotId, vendor: vendorId, isActive: true });
+
+  if (!slot) {
+    return { error: { statusCode: 404, message: 'Delivery slot not found' } };
+  }
+
+  const day = startOfDay(date);
+  const start = atSlotTime(day, slot.startTime);
+  let lastBookableDay = startOfDay(new Date());
+  for (let i = 1; i < SLOT_BOOKING_WINDOW_DAYS; i += 1) {
+    lastBookableDay = nextDay(lastBookableDay);
+  }
+
+  if (!isSlotOffered(slot, day) || day > lastBookableDay) {
+    return { error: { statusCode: 400, message: 'This delivery slot is not offered on the chosen day' } };
+  }
+
+  if (start <= getBookingCutoff()) {
+    return { error: { statusCode: 400, message: 'This delivery slot is no longer taking bookings' } };
+  }
+
+  return { slot, date: day, start, end: atSlotTime(day, slot.endTime) };
+};
+
+/**
+ * Find the vendor's slot a delivery window falls in on a day
+ * Subscriptions choose their own window, so their orders are booked into
+ * whichever offered slot covers it, the earliest if several do.
+ * @param {String} vendorId - Vendor user ID
+ * @param {Date} day - Day of delivery
+ * @param {Object} window - { start, end } as HH:mm
+ * @returns {Promise<Object|null>} { slot, date, start, end } like resolveDeliverySlot, or null if no slot covers it
+ */
+const findSlotForWindow = async (vendorId, day, { start, end }) => {
+  const slots = await DeliverySlot.find({
+    vendor: vendorId,
+    isActive: true,
+    startTime: { $lte: start },
+    endTime: { $gte: end }
+  }).sort({ startTime: 1 });
+
+  const date = startOfDay(day);
+  const slot = slots.find(candidate => isSlotOffered(candidate, date));
+
+  return slot ? { slot, date, start: atSlotTime(date, slot.startTime), end: atSlotTime(date, slot.endTime) } : null;
+};
+
+/**
+ * Book one order into a slot, within its capacity
+ * @param {Object} booking - { slot, date } from resolveDeliverySlot
+ * @param {Object} session - Mongoose session of the order transaction
+ * @returns {Promise<Boolean>} True if booked, false if the slot is full
+ */
+const reserveDeliverySlot = async ({ slot, date }, session) => {
+  // Make sure the day's counter exists; creating it twice is harmless
+  await DeliverySlotBooking.updateOne(
+    { slot: slot._id, date },
+    { $setOnInsert: { vendor: slot.vendor, booked: 0 } },
+    { upsert: true }
+  );
+
+  const result = await DeliverySlotBooking.updateOne(
+    { slot: slot._id, date, booked: { $lt: slot.capacity } },
+    { $inc: { booked: 1 } },
+    { session }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Free the slot booked by an order
+ * @param {Object} order - Order document
+ * @param {Object} session - Optional mongoose session
+ */
+const releaseDeliverySlot = async (order, session) => {
+  if (!order.deliverySlot || !order.deliverySlot.slot) return;
+
+  await DeliverySlotBooking.updateOne(
+    { slot: order.deliverySlot.slot, date: startOfDay(order.deliverySlot.start), booked: { $gt: 0 } },
+    { $inc: { booked: -1 } },
+    { session }
+  );
+};
+
+/**
+ * Build order list filters from delivery slot query parameters
+ * @param {Object} params - Request query with deliveryType, slotId and slotDate
+ * @returns {Object} { filter } to merge into an Order query, or { error } with message
+ */
+const buildSlotFilter = ({ deliveryType, slotId, slotDate }) => {
+  const filter = {};
+
+  if (deliveryType) {
+    if (!Object.values(DELIVERY_TYPES).includes(deliveryType)) {
+      return { error: `Delivery type must be one of: ${Object.values(DELIVERY_TYPES).join(', ')}` };
+    }
+    filter.deliveryType = deliveryType;
+  }
+
+  if (slotId) {
+    if (!mongoose.Types.ObjectId.isValid(slotId)) {
+      return { error: 'Invalid slot ID' };
+    }
+    filter['deliverySlot.slot'] = slotId;
+  }
+
+  if (slotDate) {
+    if (isNaN(new Date(slotDate).getTime())) {
+      return { error: 'Invalid slot date' };
+    }
+    const day = startOfDay(slotDate);
+    filter['deliverySlot.start'] = { $gte: day, $lt: nextDay(day) };
+  }
+
+  return { filter };
+};
+
+/**
+ * Get the sort for an order list
+ * Sorting by slot lists ASAP orders first, then scheduled orders by slot start.
+ * @param {String} sortBy - 'slot' to sort by delivery slot
+ * @param {Object} defaultSort - Sort to use otherwise
+ * @returns {Object} Mongoose sort
+ */
+const getOrderSort = (sortBy, defaultSort) => {
+  return sortBy === 'slot' ? { 'deliverySlot.start': 1, createdAt: 1 } : defaultSort;
+};
+
+module.exports = {
+  SLOT_BOOKING_CUTOFF_MINUTES,
+  startOfDay,
+  atSlotTime,
+  validateSlotDefinition,
+  getAvailableSlots,
+  resolveDeliverySlot,
+  findSlotForWindow,
+  reserveDeliverySlot,
+  releaseDeliverySlot,
+  buildSlotFilter,
+  getOrderSort
+};
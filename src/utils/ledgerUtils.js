@@ -0,0 +1,307 @@
+const mongoose = require('mongoose');
+const { Order, ORDER_STATUS } = require('../models/Order');
+const { USER_ROLES } = require('../models/User');
+const { PROMOTION_FUNDERS } = require('../models/Promotion');
+const { LedgerEntry, LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES } = require('../models/LedgerEntry');
+const { getPricingSettings } = require('./pricingUtils');
+const { roundCurrency } = require('./promotionUtils');
+
+// Sums closer to zero than this count as zero; amounts are kept to 2 decimals
+const BALANCE_TOLERANCE = 0.005;
+
+// Most problems listed in one reconciliation report
+const MAX_REPORTED_PROBLEMS = 100;
+
+/**
+ * Build the ledger lines that settle a delivered order
+ * The customer's payment (and any discount the platform pays for) is split
+ * between the vendor, the platform, the delivery agent and tax.
+ * @param {Object} order - Delivered order
+ * @param {Object} settings - System settings with the commission percentages
+ * @returns {Array} Lines of { account, user, entryType, amount, rate, description } that add up to zero
+ */
+const buildSettlementLines = (order, settings) => {
+  const lines = [];
+  const addLine = (line) => {
+    if (line.amount !== 0) lines.push(line);
+  };
+
+  // Subtotal after discount; the vendor only bears the discount on its own promotions
+  const goods = roundCurrency(order.total - order.deliveryFee - order.serviceFee - order.tax);
+  const platformFunded = order.discountFundedBy !== PROMOTION_FUNDERS.VENDOR;
+  const vendorGross = platformFunded ? order.subtotal : goods;
+
+  const vendorRate = settings.vendorCommissionPercentage;
+  const commission = roundCurrency(vendorGross * vendorRate / 100);
+  const agentRate = settings.deliveryAgentCommissionPercentage;
+  const agentEarning = order.deliveryAgent ? roundCurrency(order.deliveryFee * agentRate / 100) : 0;
+
+  addLine({
+    account: LEDGER_ACCOUNTS.CUSTOMER_PAYMENTS,
+    entryType: LEDGER_ENTRY_TYPES.CUSTOMER_PAYMENT,
+    amount: order.total,
+    description: `Customer payment (${order.paymentMethod})`
+  });
+  addLine({
+    account: LEDGER_ACCOUNTS.PROMOTIONS,
+    entryType: LEDGER_ENTRY_TYPES.PROMOTION_FUNDING,
+    amount: platformFunded ? roundCurrency(order.subtotal - goods) : 0,
+    description: 'Discount paid by the platform'
+  });
+  addLine({
+    account: LEDGER_ACCOUNTS.VENDOR,
+    user: order.vendor,
+    entryType: LEDGER_ENTRY_TYPES.VENDOR_PAYOUT,
+    amount: -roundCurrency(vendorGross - commission),
+    rate: vendorRate,
+    description: 'Order payout after commission'
+  });
+  addLine({
+    account: LEDGER_ACCOUNTS.PLATFORM_REVENUE,
+    entryType: LEDGER_ENTRY_TYPES.PLATFORM_COMMISSION,
+    amount: -commission,
+    rate: vendorRate,
+    description: 'Commission on the order'
+  });
+  addLine({
+    account: LEDGER_ACCOUNTS.DELIVERY_AGENT,
+    user: order.deliveryAgent,
+    entryType: LEDGER_ENTRY_TYPES.AGENT_EARNING,
+    amount: -agentEarning,
+    rate: agentRate,
+    description: 'Delivery earning'
+  });
+  addLine({
+    account: LEDGER_ACCOUNTS.PLATFORM_REVENUE,
+    entryType: LEDGER_ENTRY_TYPES.DELIVERY_FEE,
+    amount: -roundCurrency(order.deliveryFee - agentEarning),
+    description: 'Platform share of the delivery fee'
+  });
+  addLine({
+    account: LEDGER_ACCOUNTS.PLATFORM_REVENUE,
+    entryType: LEDGER_ENTRY_TYPES.SERVICE_FEE,
+    amount: -order.serviceFee,
+    description: 'Service fee'
+  });
+  addLine({
+    account: LEDGER_ACCOUNTS.TAX,
+    entryType: LEDGER_ENTRY_TYPES.TAX_COLLECTED,
+    amount: -order.tax,
+    description: 'Tax collected'
+  });
+
+  return lines;
+};
+
+/**
+ * Post the settlement of a delivered order to the ledger, once
+ * Uses the commission percentages in force when it runs.
+ * @param {Object} order - Delivered order
+ * @param {Object} session - Mongoose session of the delivery transaction
+ * @returns {Promise<Boolean>} True if posted, false if the order was already settled
+ */
+const settleOrder = async (order, session) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, settledAt: null },
+    { $set: { settledAt: new Date() } },
+    { new: true, session }
+  );
+
+  if (!claimed) return false;
+
+  const settings = await getPricingSettings();
+  const journal = new mongoose.Types.ObjectId();
+
+  await LedgerEntry.insertMany(
+    buildSettlementLines(claimed, settings).map(line => ({ ...line, journal, order: claimed._id })),
+    { session }
+  );
+
+  return true;
+};
+
+/**
+ * Take a completed refund of a settled order back out of the vendor's payout
+ * The platform gives back its commission on the refunded amount.
+ * @param {Object} order - Order document
+ * @param {Object} refund - Completed refund
+ * @param {Object} session - Mongoose session of the refund transaction
+ */
+const postRefundAdjustment = async (order, refund, session) => {
+  if (!order.settledAt) return;
+
+  const settlement = await LedgerEntry.findOne({
+    order: order._id,
+    entryType: LEDGER_ENTRY_TYPES.PLATFORM_COMMISSION
+  }).session(session);
+
+  const rate = settlement ? settlement.rate : 0;
+  const commission = roundCurrency(refund.amount * rate / 100);
+  const journal = new mongoose.Types.ObjectId();
+
+  const lines = [
+    {
+      account: LEDGER_ACCOUNTS.CUSTOMER_PAYMENTS,
+      entryType: LEDGER_ENTRY_TYPES.REFUND,
+      amount: -refund.amount,
+      description: 'Refund to the customer'
+    },
+    {
+      account: LEDGER_ACCOUNTS.VENDOR,
+      user: order.vendor,
+      entryType: LEDGER_ENTRY_TYPES.REFUND,
+      amount: roundCurrency(refund.amount - commission),
+      rate,
+      description: 'Refund taken from the payout'
+    },
+    {
+      account: LEDGER_ACCOUNTS.PLATFORM_REVENUE,
+      entryType: LEDGER_ENTRY_TYPES.REFUND,
+      amount: commission,
+      rate,
+      description: 'Commission returned on the refund'
+    }
+  ].filter(line => line.amount !== 0);
+
+  await LedgerEntry.insertMany(
+    lines.map(line => ({ ...line, journal, order: order._id })),
+    { session }
+  );
+};
+
+/**
+ * Post the ledger lines for a step of a withdrawal
+ * A hold moves the amount from the user's account to pending payouts; a release
+ * moves it back, and a payout moves it from pending payouts to paid out.
+ * @param {Object} withdrawal - Withdrawal document
+ * @param {String} entryType - WITHDRAWAL_HOLD, WITHDRAWAL_RELEASE or WITHDRAWAL_PAYOUT
+ * @param {Object} session - Mongoose session of the withdrawal transaction
+ */
+const postWithdrawalEntries = async (withdrawal, entryType, session) => {
+  const userAccount = {
+    account: withdrawal.role === USER_ROLES.VENDOR ? LEDGER_ACCOUNTS.VENDOR : LEDGER_ACCOUNTS.DELIVERY_AGENT,
+    user: withdrawal.user
+  };
+  const pending = { account: LEDGER_ACCOUNTS.PAYOUTS_PENDING };
+  const { amount } = withdrawal;
+
+  const lines = {
+    [LEDGER_ENTRY_TYPES.WITHDRAWAL_HOLD]: [
+      { ...userAccount, amount, description: 'Withdrawal requested' },
+      { ...pending, amount: -amount, description: 'Withdrawal requested' }
+    ],
+    [LEDGER_ENTRY_TYPES.WITHDRAWAL_RELEASE]: [
+      { ...pending, amount, description: 'Withdrawal not paid out' },
+      { ...userAccount, amount: -amount, description: 'Withdrawal not paid out' }
+    ],
+    [LEDGER_ENTRY_TYPES.WITHDRAWAL_PAYOUT]: [
+      { ...pending, amount, description: 'Withdrawal paid out' },
+      { account: LEDGER_ACCOUNTS.PAYOUTS, amount: -amount, description: 'Withdrawal paid out' }
+    ]
+  }[entryType];
+
+  const journal = new mongoose.Types.ObjectId();
+
+  await LedgerEntry.insertMany(
+    lines.map(line => ({ ...line, entryType, journal, withdrawal: withdrawal._id })),
+    { session }
+  );
+};
+
+/**
+ * Get what the platform owes a vendor or delivery agent
+ * Amounts held for open withdrawals are already taken out.
+ * @param {String} userId - Vendor or delivery agent user ID
+ * @param {Object} session - Optional mongoose session
+ * @returns {Promise<Number>} Balance; negative when the user owes the platform
+ */
+const getLedgerBalance = async (userId, session) => {
+  const [result] = await LedgerEntry.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]).session(session);
+
+  // Credits are money owed to the user
+  return result ? roundCurrency(-result.total) || 0 : 0;
+};
+
+/**
+ * Check that the ledger balances
+ * Every journal must add up to zero, and so must the accounts together;
+ * delivered orders that were never settled are listed as well.
+ * @param {Object} period
+ * @param {Date} period.fromDate - Only entries posted from this time
+ * @param {Date} period.toDate - Only entries posted up to this time
+ * @returns {Promise<Object>} Report with balanced, accounts, unbalancedJournals and unsettledOrders
+ */
+const getReconciliationReport = async ({ fromDate, toDate } = {}) => {
+  const match = {};
+  if (fromDate || toDate) {
+    match.createdAt = {};
+    if (fromDate) match.createdAt.$gte = fromDate;
+    if (toDate) match.createdAt.$lte = toDate;
+  }
+
+  const unsettledQuery = { status: ORDER_STATUS.DELIVERED, settledAt: null };
+  if (match.createdAt) {
+    unsettledQuery.actualDeliveryTime = match.createdAt;
+  }
+
+  const [[journals], accountTotals, unsettledCount, unsettledOrders] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $match: match },
+      { $group: { _id: '$journal', order: { $first: '$order' }, balance: { $sum: '$amount' } } },
+      { $facet: {
+          journals: [{ $count: 'count' }],
+          orders: [{ $match: { order: { $ne: null } } }, { $group: { _id: '$order' } }, { $count: 'count' }],
+          unbalanced: [{ $match: { $expr: { $gte: [{ $abs: '$balance' }, BALANCE_TOLERANCE] } } }, { $count: 'count' }],
+          unbalancedJournals: [
+            { $match: { $expr: { $gte: [{ $abs: '$balance' }, BALANCE_TOLERANCE] } } },
+            { $limit: MAX_REPORTED_PROBLEMS },
+            { $lookup: { from: 'orders', localField: 'order', foreignField: '_id', as: 'order' } },
+            { $project: { _id: 0, journal: '$_id', balance: 1, order: { $first: '$order._id' }, orderNumber: { $first: '$order.orderNumber' } } }
+          ]
+        } }
+    ]),
+    LedgerEntry.aggregate([
+      { $match: match },
+      { $group: { _id: '$account', total: { $sum: '$amount' } } },
+      { $sort: { _id: 1 } }
+    ]),
+    Order.countDocuments(unsettledQuery),
+    Order.find(unsettledQuery)
+      .select('orderNumber actualDeliveryTime')
+      .sort({ actualDeliveryTime: 1 })
+      .limit(MAX_REPORTED_PROBLEMS)
+  ]);
+
+  const count = (facet) => (facet[0] ? facet[0].count : 0);
+  const accounts = accountTotals.map(account => ({ account: account._id, total: roundCurrency(account.total) || 0 }));
+  const net = roundCurrency(accountTotals.reduce((sum, account) => sum + account.total, 0)) || 0;
+  const unbalancedCount = count(journals.unbalanced);
+
+  return {
+    balanced: unbalancedCount === 0 && unsettledCount === 0 && Math.abs(net) < BALANCE_TOLERANCE,
+    journals: count(journals.journals),
+    orders: count(journals.orders),
+    net,
+    accounts,
+    unbalancedJournals: {
+      count: unbalancedCount,
+      journals: journals.unbalancedJournals.map(journal => ({ ...journal, balance: roundCurrency(journal.balance) }))
+    },
+    unsettledOrders: {
+      count: unsettledCount,
+      orders: unsettledOrders
+    }
+  };
+};
+
+module.exports = {
+  buildSettlementLines,
+  settleOrder,
+  postRefundAdjustment,
+  postWithdrawalEntries,
+  getLedgerBalance,
+  getReconciliationReport
+};
@@ -0,0 +1,525 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { Promotion } = require('../models/Promotion');
+const { Order, ORDER_STATUS, PAYMENT_METHOD, SUBSTITUTION_STATUS } = require('../models/Order');
+const { Refund, REFUND_STATUS, REFUND_REASONS } = require('../models/Refund');
+const { TRANSACTION_CATEGORIES } = require('../models/Wallet');
+const { roundCurrency, calculatePromotionDiscount } = require('./promotionUtils');
+const { getPricingSettings, calculateOrderCharges } = require('./pricingUtils');
+const { getSellingPrice } = require('./cartUtils');
+const { debitWallet } = require('./walletUtils');
+const { orderError, reserveStock } = require('./orderUtils');
+const { getRefundableAmounts, settleRefund, issueGatewayRefund, closeOrder } = require('./refundUtils');
+const { ORDER_ACTORS } = require('./orderStateMachine');
+
+// Statuses in which the vendor can propose substitutions and the customer answer them
+const SUBSTITUTION_ORDER_STATUSES = [ORDER_STATUS.ACCEPTED, ORDER_STATUS.PREPARING];
+
+/**
+ * Get the fee rates and promotion terms to price an order's changes with
+ * Orders keep the terms they were placed with. Orders placed before terms were
+ * kept fall back to the current settings and promotion; the promotion still
+ * applies after it was paused or ran out, as it did when the order was placed.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { settings, promotion } - promotion is null when the order has none
+ */
+const getOrderPricingTerms = async (order) => {
+  if (order.pricingTerms && order.pricingTerms.taxPercentage !== undefined) {
+    return { settings: order.pricingTerms, promotion: order.pricingTerms.promotion || null };
+  }
+
+  const [settings, promotion] = await Promise.all([
+    getPricingSettings(),
+    order.promotion ? Promotion.findById(order.promotion) : null
+  ]);
+
+  return { settings, promotion };
+};
+
+/**
+ * Price a changed list of order items
+ * The order keeps its promotion while it still meets the minimum order value,
+ * and its delivery fee; the service fee and tax follow the new subtotal. All of
+ * it is priced on the terms the order was placed with.
+ * @param {Object} order - Order document
+ * @param {Array} items - Order items [{ product, quantity, price, name, unit }]
+ * @returns {Promise<Object>} { items, subtotal, discount, deliveryFee, serviceFee, tax, total } -
+ *   items carry their share of the discount
+ */
+const priceOrderItems = async (order, items) => {
+  const [{ settings, promotion }, products] = await Promise.all([
+    getOrderPricingTerms(order),
+    Product.find({ _id: { $in: items.map(item => item.product) } }).select('category').lean()
+  ]);
+
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  let discount = 0;
+  let itemDiscounts = [];
+
+  if (promotion && subtotal >= promotion.minOrderValue) {
+    const lineItems = items.map(item => {
+      const product = products.find(candidate => candidate._id.toString() === item.product.toString());
+      return { product: item.product, category: product && product.category, price: item.price, quantity: item.quantity };
+    });
+
+    ({ discount, itemDiscounts } = calculatePromotionDiscount(promotion, lineItems));
+  }
+
+  return {
+    items: items.map(item => {
+      const share = itemDiscounts.find(part => part.product.toString() === item.product.toString());
+      return { ...item, discount: share ? share.discount : 0 };
+    }),
+    ...calculateOrderCharges({ subtotal, discount, deliveryFee: order.deliveryFee, settings })
+  };
+};
+
+/**
+ * Reserve the stock an order now needs on top of what it held, and return what it no longer needs
+ * Units the vendor does not have are not returned: they were never on the shelf.
+ * @param {Array} previousItems - Items the order held stock for
+ * @param {Array} items - Items it holds stock for after the change
+ * @param {Object} session - Mongoose session of the change
+ * @param {Array} unavailable - Units the vendor is short of [{ product, quantity }]
+ */
+const adjustStock = async (previousItems, items, session, unavailable = []) => {
+  const changes = {};
+  const track = (item, sign) => {
+    const key = item.product.toString();
+    changes[key] = changes[key] || { product: item.product, name: item.name, quantity: 0 };
+    changes[key].quantity += sign * item.quantity;
+  };
+
+  previousItems.forEach(item => track(item, -1));
+  items.forEach(item => track(item, 1));
+
+  const needed = Object.values(changes).filter(change => change.quantity > 0);
+  const freed = Object.values(changes).filter(change => change.quantity < 0);
+
+  await reserveStock(needed, session);
+
+  for (const change of freed) {
+    const short = unavailable.find(line => line.product.toString() === change.product.toString());
+    const quantity = -change.quantity - (short ? short.quantity : 0);
+
+    if (quantity > 0) {
+      await Product.updateOne(
+        { _id: change.product },
+        { $inc: { quantity } },
+        { session }
+      );
+    }
+  }
+};
+
+/**
+ * Charge or refund the customer the difference a change makes to the order total
+ * A higher total on a cash order is simply collected on delivery; a paid order
+ * takes it from the wallet, since the gateway payment cannot be topped up. A
+ * lower total refunds what was paid beyond it, in the ratio it was paid.
+ * @param {Object} order - Order document before the change
+ * @param {Number} total - New order total
+ * @param {Object} options
+ * @param {String} options.updatedBy - User making the change
+ * @param {String} options.notes - Refund notes
+ * @param {Object} session - Mongoose session of the change
+ * @returns {Promise<Object>} { walletAmount, refund } - the order's new wallet share and the refund, if any
+ */
+const settleDifference = async (order, total, { updatedBy, notes }, session) => {
+  const difference = roundCurrency(total - order.total);
+
+  if (difference > 0) {
+    if (order.paymentMethod === PAYMENT_METHOD.CASH_ON_DELIVERY) {
+      return { walletAmount: order.walletAmount, refund: null };
+    }
+
+    const paid = await debitWallet(order.customer, difference, {
+      category: TRANSACTION_CATEGORIES.ORDER_PAYMENT,
+      orderId: order._id,
+      reference: order._id.toString(),
+      description: `Payment for changes to order ${order.orderNumber}`
+    }, session);
+
+    if (!paid) {
+      throw orderError(402, `Insufficient wallet balance to pay the difference of ${difference}`);
+    }
+
+    return { walletAmount: roundCurrency(order.walletAmount + difference), refund: null };
+  }
+
+  const refundable = await getRefundableAmounts(order, session);
+  const amount = roundCurrency(refundable.total - total);
+
+  if (amount <= 0) {
+    return { walletAmount: order.walletAmount, refund: null };
+  }
+
+  const refund = new Refund({
+    order: order._id,
+    customer: order.customer,
+    vendor: order.vendor,
+    reason: REFUND_REASONS.ORDER_MODIFIED,
+    amount,
+    notes,
+    requestedBy: updatedBy
+  });
+
+  await settleRefund(refund, order, refundable, session);
+
+  return { walletAmount: roundCurrency(order.walletAmount - refund.walletAmount), refund };
+};
+
+/**
+ * Replace the items of an order and settle the difference in price
+ * Stock, the charges and the payment change in one transaction, which reads the
+ * order afresh so the change is made to the items as they stand.
+ * @param {Object} order - Order document as the caller read it
+ * @param {Function} buildItems - Gets the current order and returns its new items
+ * @param {Object} options
+ * @param {Array} options.statuses - Order statuses the change is allowed in
+ * @param {Object} options.conditions - Other conditions the order must still meet
+ * @param {String} options.actor - ORDER_ACTORS value of who is making the change
+ * @param {String} options.updatedBy - User making the change
+ * @param {String} options.notes - Note for the modification history and any refund
+ * @param {Object} options.fields - Other order fields to set with the items
+ * @param {Array} options.unavailable - Units the vendor is short of, which are not put back in stock
+ * @returns {Promise<Object>} { order, refund } - refund is null when nothing was refunded - or { error }
+ */
+const applyItemChanges = async (order, buildItems, {
+  statuses,
+  conditions = {},
+  actor,
+  updatedBy,
+  notes,
+  fields = {},
+  unavailable = []
+}) => {
+  let updated = null;
+  let refund = null;
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      refund = null;
+
+      const current = await Order.findOne({ _id: order._id, status: { $in: statuses }, ...conditions }).session(session);
+
+      if (!current) {
+        throw orderError(409, 'Order can no longer be changed');
+      }
+
+      const items = await buildItems(current);
+      await adjustStock(current.items, items, session, unavailable);
+
+      const charges = await priceOrderItems(current, items);
+      const settlement = await settleDifference(current, charges.total, { updatedBy, notes }, session);
+      refund = settlement.refund;
+
+      updated = await Order.findOneAndUpdate(
+        { _id: current._id, status: current.status },
+        {
+          $set: { ...charges, walletAmount: settlement.walletAmount, ...fields },
+          $push: { modifications: { actor, updatedBy, previousTotal: current.total, total: charges.total, notes } }
+        },
+        { new: true, session }
+      );
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return { error: { statusCode: error.statusCode, message: error.message } };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  if (refund && refund.status === REFUND_STATUS.PENDING) {
+    refund = await issueGatewayRefund(refund);
+  }
+
+  return { order: updated, refund };
+};
+
+/**
+ * Change the items of an order the vendor has not accepted yet
+ * Items already in the order keep the price they were ordered at; added ones
+ * are priced at the product's current selling price.
+ * @param {Object} order - Pending order
+ * @param {Object} options
+ * @param {Array} options.items - The complete new list of items [{ productId, quantity }]
+ * @param {String} options.customerId - Customer making the change
+ * @returns {Promise<Object>} { order, refund } or { error } with status and message
+ */
+const modifyPendingOrder = async (order, { items, customerId }) => {
+  if (order.status !== ORDER_STATUS.PENDING) {
+    return { error: { statusCode: 409, message: 'Only orders the store has not accepted yet can be changed' } };
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: { statusCode: 400, message: 'Keep at least one item in the order, or cancel it instead' } };
+  }
+
+  const requested = [];
+
+  for (const { productId, quantity } of items) {
+    const count = Number(quantity);
+    if (!Number.isInteger(count) || count < 1) {
+      return { error: { statusCode: 400, message: 'Quantity must be a whole number of at least 1' } };
+    }
+
+    if (requested.some(line => line.product.toString() === String(productId))) {
+      return { error: { statusCode: 400, message: 'List each product only once' } };
+    }
+
+    if (order.items.some(item => item.product.toString() === String(productId))) {
+      requested.push({ product: String(productId), quantity: count });
+      continue;
+    }
+
+    const product = await Product.findOne({ _id: productId, vendor: order.vendor });
+
+    if (!product) {
+      return { error: { statusCode: 404, message: 'Product not found in this store' } };
+    }
+
+    if (!product.inStock || product.quantity < count) {
+      return { error: { statusCode: 400, message: `${product.name} is out of stock or has insufficient quantity` } };
+    }
+
+    requested.push({
+      product: product._id,
+      quantity: count,
+      added: { price: getSellingPrice(product), name: product.name, unit: product.unit }
+    });
+  }
+
+  return applyItemChanges(order, (current) => requested.map(line => {
+    const existing = current.items.find(item => item.product.toString() === line.product.toString());
+    const source = existing || line.added;
+
+    // An item removed by a concurrent change is no longer known here
+    if (!source) {
+      throw orderError(409, 'Order has changed. Please review it and try again');
+    }
+
+    return {
+      product: existing ? existing.product : line.product,
+      quantity: line.quantity,
+      price: source.price,
+      name: source.name,
+      unit: source.unit
+    };
+  }), {
+    statuses: [ORDER_STATUS.PENDING],
+    actor: ORDER_ACTORS.CUSTOMER,
+    updatedBy: customerId,
+    notes: 'Items changed by customer'
+  });
+};
+
+/**
+ * Work out the items of an order once a substitution proposal is answered
+ * Items the vendor is short of drop to the quantity available; approved
+ * substitutes are added, or added to the line already holding that product.
+ * @param {Array} items - Current order items
+ * @param {Object} substitution - The order's substitution proposal
+ * @param {Boolean} approved - Whether the substitutes are taken
+ * @returns {Array} New order items
+ */
+const applySubstitution = (items, substitution, approved) => {
+  const result = items.map(item => {
+    const short = substitution.items.find(line => line.product.toString() === item.product.toString());
+    return {
+      product: item.product,
+      quantity: short ? short.availableQuantity : item.quantity,
+      price: item.price,
+      name: item.name,
+      unit: item.unit
+    };
+  });
+
+  if (approved) {
+    for (const { substitute } of substitution.items.filter(line => line.substitute && line.substitute.product)) {
+      const existing = result.find(item => item.product.toString() === substitute.product.toString());
+
+      if (existing) {
+        existing.quantity += substitute.quantity;
+      } else {
+        result.push({
+          product: substitute.product,
+          quantity: substitute.quantity,
+          price: substitute.price,
+          name: substitute.name,
+          unit: substitute.unit
+        });
+      }
+    }
+  }
+
+  return result.filter(item => item.quantity > 0);
+};
+
+/**
+ * Propose substitutes for items the vendor cannot supply, for the customer to approve
+ * Only one proposal can wait for the customer at a time.
+ * @param {Object} order - Accepted or preparing order
+ * @param {Object} options
+ * @param {Array} options.items - [{ productId, availableQuantity, substituteProductId, substituteQuantity }];
+ *   availableQuantity defaults to none, substituteQuantity to the quantity missing
+ * @param {String} options.notes - Message to the customer
+ * @returns {Promise<Object>} { order } or { error } with status and message
+ */
+const proposeSubstitutions = async (order, { items, notes }) => {
+  if (!SUBSTITUTION_ORDER_STATUSES.includes(order.status)) {
+    return { error: { statusCode: 409, message: 'Substitutions can only be proposed for accepted or preparing orders' } };
+  }
+
+  if (order.substitution && order.substitution.status === SUBSTITUTION_STATUS.PROPOSED) {
+    return { error: { statusCode: 409, message: 'The customer has not answered the last proposal yet' } };
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: { statusCode: 400, message: 'List at least one item that is unavailable' } };
+  }
+
+  const proposal = [];
+
+  for (const { productId, availableQuantity = 0, substituteProductId, substituteQuantity } of items) {
+    const item = order.items.find(candidate => candidate.product.toString() === String(productId));
+    if (!item) {
+      return { error: { statusCode: 400, message: 'Product is not part of this order' } };
+    }
+
+    if (proposal.some(line => line.product.toString() === item.product.toString())) {
+      return { error: { statusCode: 400, message: 'List each product only once' } };
+    }
+
+    const available = Number(availableQuantity);
+    if (!Number.isInteger(available) || available < 0 || available >= item.quantity) {
+      return { error: { statusCode: 400, message: `Available quantity of ${item.name} must be a whole number below the ${item.quantity} ordered` } };
+    }
+
+    const line = { product: item.product, name: item.name, quantity: item.quantity, availableQuantity: available };
+
+    if (substituteProductId) {
+      const count = substituteQuantity === undefined ? item.quantity - available : Number(substituteQuantity);
+      if (!Number.isInteger(count) || count < 1) {
+        return { error: { statusCode: 400, message: 'Substitute quantity must be a whole number of at least 1' } };
+      }
+
+      if (String(substituteProductId) === item.product.toString()) {
+        return { error: { statusCode: 400, message: 'A product cannot substitute itself' } };
+      }
+
+      const product = await Product.findOne({ _id: substituteProductId, vendor: order.vendor });
+
+      if (!product) {
+        return { error: { statusCode: 404, message: 'Substitute product not found' } };
+      }
+
+      if (!product.inStock || product.quantity < count) {
+        return { error: { statusCode: 400, message: `${product.name} is out of stock or has insufficient quantity` } };
+      }
+
+      line.substitute = {
+        product: product._id,
+        name: product.name,
+        unit: product.unit,
+        price: getSellingPrice(product),
+        quantity: count
+      };
+    }
+
+    proposal.push(line);
+  }
+
+  const approvedItems = applySubstitution(order.items, { items: proposal }, true);
+  const charges = approvedItems.length > 0 ? await priceOrderItems(order, approvedItems) : { total: 0 };
+
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: { $in: SUBSTITUTION_ORDER_STATUSES },
+      'substitution.status': { $ne: SUBSTITUTION_STATUS.PROPOSED }
+    },
+    {
+      $set: {
+        substitution: {
+          status: SUBSTITUTION_STATUS.PROPOSED,
+          items: proposal,
+          notes,
+          total: charges.total,
+          proposedAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    return { error: { statusCode: 409, message: 'Order has changed. Please review it and try again' } };
+  }
+
+  return { order: updated };
+};
+
+/**
+ * Approve or decline the vendor's substitutions
+ * Either way the items the vendor is short of are removed and the difference
+ * refunded or charged; approving also adds the substitutes. An order left with
+ * no items is cancelled and refunded in full.
+ * @param {Object} order - Order with a proposal waiting for the customer
+ * @param {Object} options
+ * @param {Boolean} options.approved - Whether the customer takes the substitutes
+ * @param {String} options.customerId - Customer answering
+ * @returns {Promise<Object>} { order, refund } or { error } with status and message
+ */
+const respondToSubstitution = async (order, { approved, customerId }) => {
+  if (!order.substitution || order.substitution.status !== SUBSTITUTION_STATUS.PROPOSED) {
+    return { error: { statusCode: 409, message: 'There is no substitution waiting for your answer' } };
+  }
+
+  const fields = {
+    'substitution.status': approved ? SUBSTITUTION_STATUS.APPROVED : SUBSTITUTION_STATUS.REJECTED,
+    'substitution.respondedAt': new Date()
+  };
+  const notes = approved
+    ? 'Customer approved the substitutions'
+    : 'Customer declined the substitutions; unavailable items removed';
+
+  if (applySubstitution(order.items, order.substitution, approved).length === 0) {
+    const reason = 'None of the items are available';
+
+    // The vendor has none of the items, so there is no stock to put back
+    return closeOrder(order, {
+      status: ORDER_STATUS.CANCELLED,
+      actor: ORDER_ACTORS.SYSTEM,
+      updatedBy: customerId,
+      notes: reason,
+      fields: { ...fields, cancellationReason: reason },
+      restock: false
+    });
+  }
+
+  // The proposal cannot change while it waits for the customer, so the shortfall read here still holds
+  const unavailable = order.substitution.items.map(line => ({
+    product: line.product,
+    quantity: line.quantity - line.availableQuantity
+  }));
+
+  return applyItemChanges(order, (current) => applySubstitution(current.items, current.substitution, approved), {
+    statuses: SUBSTITUTION_ORDER_STATUSES,
+    conditions: { 'substitution.status': SUBSTITUTION_STATUS.PROPOSED },
+    actor: ORDER_ACTORS.CUSTOMER,
+    updatedBy: customerId,
+    notes,
+    fields,
+    unavailable
+  });
+};
+
+module.exports = {
+  modifyPendingOrder,
+  proposeSubstitutions,
+  respondToSubstitution
+};
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const { Order, ORDER_STATUS, SLA_BREACH_ACTIONS } = require('../models/Order');
+const { getPricingSettings } = require('./pricingUtils');
+const { closeOrder } = require('./refundUtils');
+const { ORDER_ACTORS } = require('./orderStateMachine');
+
+/**
+ * Get when the acceptance clock of an order starts, as an aggregation expression
+ * Orders booked into a delivery slot, such as subscription orders generated hours
+ * ahead, start counting only the lead time before their slot.
+ * @param {Number} leadMinutes - scheduledOrderAcceptanceLeadMinutes setting
+ * @returns {Object} Aggregation expression of the start of the clock
+ */
+const acceptanceClockStart = (leadMinutes) => ({
+  // $max skips the slot when the order has none
+  $max: ['$acceptance.pendingAt', { $subtract: ['$deliverySlot.start', leadMinutes * 60 * 1000] }]
+});
+
+/**
+ * Get the query for pending orders the vendor has not answered within the acceptance SLA
+ * Orders placed before the SLA existed count from when they were created.
+ * @param {Date} cutoff - Orders waiting since before this are overdue
+ * @param {Number} leadMinutes - How long before their slot scheduled orders start waiting
+ * @returns {Object} Mongoose query object
+ */
+const getOverdueOrderFilter = (cutoff, leadMinutes) => {
+  return {
+    status: ORDER_STATUS.PENDING,
+    'acceptance.slaBreachedAt': null,
+    $and: [
+      {
+        $or: [
+          { 'acceptance.pendingAt': { $lte: cutoff } },
+          { 'acceptance.pendingAt': null, createdAt: { $lte: cutoff } }
+        ]
+      },
+      {
+        $or: [
+          { 'deliverySlot.start': null },
+          { 'deliverySlot.start': { $lte: new Date(cutoff.getTime() + leadMinutes * 60 * 1000) } }
+        ]
+      }
+    ]
+  };
+};
+
+/**
+ * Reject or escalate pending orders the vendor did not answer in time
+ * Which one is up to the vendorSlaBreachAction setting. Scheduled orders only
+ * start waiting scheduledOrderAcceptanceLeadMinutes before their slot. A rejection returns the
+ * stock and slot and refunds the customer like a vendor rejection. Either way
+ * the breach is recorded on the order for the vendor's acceptance metrics.
+ * @returns {Promise<Object>} { rejected, escalated } - the orders handled
+ */
+const enforceAcceptanceSla = async () => {
+  const settings = await getPricingSettings();
+  const slaMinutes = settings.vendorAcceptanceSlaMinutes;
+  const action = settings.vendorSlaBreachAction;
+  const now = new Date();
+  const result = { rejected: [], escalated: [] };
+
+  const overdue = await Order.find(getOverdueOrderFilter(
+    new Date(now.getTime() - slaMinutes * 60 * 1000),
+    settings.scheduledOrderAcceptanceLeadMinutes
+  )).sort({ createdAt: 1 });
+
+  for (const order of overdue) {
+    const breach = { 'acceptance.slaBreachedAt': now, 'acceptance.slaAction': action };
+
+    if (action === SLA_BREACH_ACTIONS.ESCALATE) {
+      const escalated = await Order.findOneAndUpdate(
+        { _id: order._id, status: ORDER_STATUS.PENDING, 'acceptance.slaBreachedAt': null },
+        { $set: breach },
+        { new: true }
+      );
+
+      if (escalated) {
+        result.escalated.push(escalated);
+      }
+      continue;
+    }
+
+    const reason = `Not accepted by the store within ${slaMinutes} minutes`;
+
+    try {
+      const closed = await closeOrder(order, {
+        status: ORDER_STATUS.REJECTED,
+        actor: ORDER_ACTORS.SYSTEM,
+        notes: reason,
+        fields: { rejectionReason: reason, ...breach }
+      });
+
+      // An error means the vendor answered meanwhile
+      if (!closed.error) {
+        result.rejected.push(closed);
+      }
+    } catch (error) {
+      console.error(`Order ${order.orderNumber}: could not reject after the acceptance SLA`, error);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Get how quickly and how often each vendor accepts new orders
+ * Only orders that reached the vendor in the period count. The acceptance and
+ * breach rates are of the orders the vendor answered or let run out. Response
+ * times of scheduled orders count from when their acceptance clock started.
+ * @param {Object} options
+ * @param {Date} options.fromDate - Start of the period
+ * @param {Date} options.toDate - End of the period
+ * @param {String} options.vendorId - Optional vendor to report on
+ * @returns {Promise<Array>} Per-vendor metrics, most SLA breaches first
+ */
+const getAcceptanceMetrics = async ({ fromDate, toDate, vendorId }) => {
+  const settings = await getPricingSettings();
+  const match = { 'acceptance.pendingAt': { $gte: fromDate, $lte: toDate } };
+
+  if (vendorId) {
+    match.vendor = new mongoose.Types.ObjectId(vendorId);
+  }
+
+  const groups = await Order.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$vendor',
+        received: { $sum: 1 },
+        accepted: { $sum: { $cond: [{ $in: [ORDER_STATUS.ACCEPTED, '$statusHistory.status'] }, 1, 0] } },
+        responded: { $sum: { $cond: [{ $ifNull: ['$acceptance.respondedAt', false] }, 1, 0] } },
+        breaches: { $sum: { $cond: [{ $ifNull: ['$acceptance.slaBreachedAt', false] }, 1, 0] } },
+        unanswered: {
+          $sum: {
+            $cond: [
+              { $and: [{ $ifNull: ['$acceptance.slaBreachedAt', false] }, { $not: [{ $ifNull: ['$acceptance.respondedAt', false] }] }] },
+              1,
+              0
+            ]
+          }
+        },
+        // $avg skips the orders the vendor never answered
+        averageResponseMs: {
+          $avg: {
+            $cond: [
+              { $ifNull: ['$acceptance.respondedAt', false] },
+              // A vendor can answer a scheduled order before its clock started
+              { $max: [0, { $subtract: ['$acceptance.respondedAt', acceptanceClockStart(settings.scheduledOrderAcceptanceLeadMinutes)] }] },
+              null
+            ]
+          }
+        }
+      }
+    },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'vendor'
+      }
+    },
+    { $sort: { breaches: -1, received: -1 } }
+  ]);
+
+  return groups.map(group => {
+    const decided = group.responded + group.unanswered;
+    const vendor = group.vendor[0] || {};
+
+    return {
+      vendor: {
+        _id: group._id,
+        firstName: vendor.firstName,
+        lastName: vendor.lastName,
+        storeName: vendor.storeDetails && vendor.storeDetails.storeName
+      },
+      received: group.received,
+      accepted: group.accepted,
+      rejected: group.responded - group.accepted,
+      slaBreaches: group.breaches,
+      acceptanceRate: decided > 0 ? Math.round(group.accepted / decided * 1000) / 10 : null,
+      slaBreachRate: decided > 0 ? Math.round(group.breaches / decided * 1000) / 10 : null,
+      averageResponseMinutes: group.averageResponseMs === null
+        ? null
+        : Math.round(group.averageResponseMs / 60000 * 10) / 10
+    };
+  });
+};
+
+module.exports = {
+  getOverdueOrderFilter,
+  enforceAcceptanceSla,
+  getAcceptanceMetrics
+};
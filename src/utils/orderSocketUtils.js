@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const { Order, ORDER_STATUS } = require('../models/Order');
+const { USER_ROLES } = require('../models/User');
+const { ORDER_EVENTS, orderEvents } = require('./orderStateMachine');
+
+// Most missed status changes sent back in one replay; the client asks again for the rest
+const MAX_REPLAYED_EVENTS = 100;
+
+/**
+ * Room of everything for one user, joined once their socket authenticates
+ * @param {String} userId - User ID
+ * @returns {String} Room name
+ */
+const userRoom = (userId) => `user-${userId}`;
+
+/**
+ * Room of every authenticated user with a role, e.g. all admins
+ * @param {String} role - USER_ROLES value
+ * @returns {String} Room name
+ */
+const roleRoom = (role) => `role-${role}`;
+
+/**
+ * Room of everyone tracking one order
+ * @param {String} orderId - Order ID
+ * @returns {String} Room name
+ */
+const orderRoom = (orderId) => `order-${orderId}`;
+
+/**
+ * Get the rooms an order's events go to: the order's own room, its customer,
+ * vendor and delivery agent, and the admins
+ * @param {Object} order - Order document
+ * @returns {Array} Room names
+ */
+const getOrderRooms = (order) => {
+  return [
+    orderRoom(order._id),
+    userRoom(order.customer),
+    userRoom(order.vendor),
+    order.deliveryAgent ? userRoom(order.deliveryAgent) : null,
+    roleRoom(USER_ROLES.ADMIN)
+  ].filter(Boolean);
+};
+
+/**
+ * Get the query for the orders a user takes part in
+ * @param {Object} user - Socket user { id, role }
+ * @returns {Object|null} Mongoose query object; null for a role that has no orders
+ */
+const getOrderPartyFilter = (user) => {
+  const userId = new mongoose.Types.ObjectId(user.id);
+
+  switch (user.role) {
+    case USER_ROLES.ADMIN:
+      return {};
+    case USER_ROLES.CUSTOMER:
+      return { customer: userId };
+    case USER_ROLES.VENDOR:
+      return { vendor: userId };
+    case USER_ROLES.DELIVERY:
+      return { deliveryAgent: userId };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Check whether a user may follow an order's room
+ * @param {Object} user - Socket user { id, role }
+ * @param {String} orderId - Order ID
+ * @returns {Promise<Boolean>} True if the user is the order's customer, vendor or delivery agent, or an admin
+ */
+const canTrackOrder = async (user, orderId) => {
+  const filter = getOrderPartyFilter(user);
+
+  if (!filter || !mongoose.isValidObjectId(orderId)) {
+    return false;
+  }
+
+  return Boolean(await Order.exists({ _id: orderId, ...filter }));
+};
+
+/**
+ * Shape a status change for clients
+ * Live changes and replayed ones look the same.
+ * @param {Object} change - { order, from, to, timestamp, notes }
+ * @returns {Object} { orderId, orderNumber, status, previousStatus, timestamp, notes }
+ */
+const toStatusEvent = ({ order, from, to, timestamp, notes }) => ({
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  status: to,
+  previousStatus: from,
+  timestamp,
+  notes
+});
+
+/**
+ * Check a replay cursor sent back by a client
+ * @param {Object} cursor - { timestamp, orderId, index } as sent with order-events-synced
+ * @returns {Object|null} { timestamp, orderId, index } with a Date and ObjectId, or null if invalid
+ */
+const parseReplayCursor = (cursor) => {
+  if (!cursor || typeof cursor !== 'object') {
+    return null;
+  }
+
+  const timestamp = new Date(cursor.timestamp);
+
+  if (Number.isNaN(timestamp.getTime()) || !mongoose.isValidObjectId(cursor.orderId) ||
+      !Number.isInteger(cursor.index) || cursor.index < 0) {
+    return null;
+  }
+
+  return { timestamp, orderId: new mongoose.Types.ObjectId(cursor.orderId), index: cursor.index };
+};
+
+/**
+ * Get the status changes of a user's orders since a point in time, oldest first
+ * Read from the orders' status history, so nothing extra is stored. An order's
+ * first entry has no previousStatus; entries that did not change the status,
+ * such as a delivery agent being assigned, are left out. Changes are ordered by
+ * time, order and position in its history, so a replay that stops between two
+ * changes made at the same moment carries on from the right one.
+ * @param {Object} user - Socket user { id, role }
+ * @param {Object} from - { since } for changes after a time, or a replay cursor
+ *   { timestamp, orderId, index } for the changes after the last one sent
+ * @returns {Promise<Object>} { events, hasMore, cursor } - hasMore when there were more than one
+ *   replay holds, and cursor then to carry on from
+ */
+const getMissedStatusEvents = async (user, { since, cursor }) => {
+  const filter = getOrderPartyFilter(user);
+
+  if (!filter) {
+    return { events: [], hasMore: false, cursor: null };
+  }
+
+  const after = cursor
+    ? {
+      $or: [
+        { 'entry.timestamp': { $gt: cursor.timestamp } },
+        { 'entry.timestamp': cursor.timestamp, _id: { $gt: cursor.orderId } },
+        { 'entry.timestamp': cursor.timestamp, _id: cursor.orderId, index: { $gt: cursor.index } }
+      ]
+    }
+    : { 'entry.timestamp': { $gt: since } };
+
+  const entries = await Order.aggregate([
+    {
+      $match: {
+        ...filter,
+        'statusHistory.timestamp': cursor ? { $gte: cursor.timestamp } : { $gt: since }
+      }
+    },
+    { $project: { orderNumber: 1, history: '$statusHistory.status', entry: '$statusHistory' } },
+    { $unwind: { path: '$entry', includeArrayIndex: 'index' } },
+    { $match: after },
+    {
+      $project: {
+        orderNumber: 1,
+        entry: 1,
+        index: 1,
+        previousStatus: {
+          $cond: [{ $gt: ['$index', 0] }, { $arrayElemAt: ['$history', { $subtract: ['$index', 1] }] }, null]
+        }
+      }
+    },
+    { $match: { $expr: { $ne: ['$previousStatus', '$entry.status'] } } },
+    { $sort: { 'entry.timestamp': 1, _id: 1, index: 1 } },
+    { $limit: MAX_REPLAYED_EVENTS + 1 }
+  ]);
+
+  const sent = entries.slice(0, MAX_REPLAYED_EVENTS);
+  const hasMore = entries.length > MAX_REPLAYED_EVENTS;
+  const last = sent[sent.length - 1];
+
+  return {
+    events: sent.map(entry => toStatusEvent({
+      order: entry,
+      from: entry.previousStatus,
+      to: entry.entry.status,
+      timestamp: entry.entry.timestamp,
+      notes: entry.entry.notes
+    })),
+    hasMore,
+    cursor: hasMore ? { timestamp: last.entry.timestamp, orderId: last._id, index: last.index } : null
+  };
+};
+
+/**
+ * Push every order status change to the parties of the order as it happens
+ * Orders that become ready without an agent are also offered to delivery agents.
+ * @param {Object} io - Socket.IO server
+ */
+const registerOrderStatusPush = (io) => {
+  orderEvents.on(ORDER_EVENTS.STATUS_CHANGED, (change) => {
+    const { order } = change;
+
+    io.to(getOrderRooms(order)).emit('order-status-changed', toStatusEvent(change));
+
+    if (change.to === ORDER_STATUS.READY_FOR_PICKUP && !order.deliveryAgent) {
+      io.to(roleRoom(USER_ROLES.DELIVERY)).emit('delivery-job-available', {
+        orderId: order._id,
+        vendorId: order.vendor,
+        deliveryType: order.deliveryType,
+        deliverySlot: order.deliverySlot
+      });
+    }
+  });
+};
+
+module.exports = {
+  userRoom,
+  roleRoom,
+  orderRoom,
+  getOrderRooms,
+  canTrackOrder,
+  parseReplayCursor,
+  getMissedStatusEvents,
+  registerOrderStatusPush
+};
@@ -0,0 +1,194 @@
+const EventEmitter = require('events');
+const { Order, ORDER_STATUS } = require('../models/Order');
+const { USER_ROLES } = require('../models/User');
+
+// Who can move an order: a user role, or the platform itself (payments and expiry)
+const ORDER_ACTORS = {
+  ...USER_ROLES,
+  SYSTEM: 'system'
+};
+
+// Order domain events
+const ORDER_EVENTS = {
+  STATUS_CHANGED: 'order.status_changed'
+};
+
+// The statuses each status can move to, and who may make the move
+const ORDER_TRANSITIONS = {
+  [ORDER_STATUS.PENDING_PAYMENT]: {
+    [ORDER_STATUS.PENDING]: [ORDER_ACTORS.SYSTEM],
+    [ORDER_STATUS.CANCELLED]: [ORDER_ACTORS.CUSTOMER, ORDER_ACTORS.SYSTEM] // the system when the payment times out
+  },
+  [ORDER_STATUS.PENDING]: {
+    [ORDER_STATUS.ACCEPTED]: [ORDER_ACTORS.VENDOR],
+    [ORDER_STATUS.REJECTED]: [ORDER_ACTORS.VENDOR, ORDER_ACTORS.SYSTEM], // the system when the acceptance SLA runs out
+    [ORDER_STATUS.CANCELLED]: [ORDER_ACTORS.CUSTOMER, ORDER_ACTORS.ADMIN]
+  },
+  [ORDER_STATUS.ACCEPTED]: {
+    [ORDER_STATUS.PREPARING]: [ORDER_ACTORS.VENDOR],
+    [ORDER_STATUS.READY_FOR_PICKUP]: [ORDER_ACTORS.VENDOR],
+    [ORDER_STATUS.CANCELLED]: [ORDER_ACTORS.CUSTOMER, ORDER_ACTORS.ADMIN, ORDER_ACTORS.SYSTEM]
+  },
+  [ORDER_STATUS.PREPARING]: {
+    [ORDER_STATUS.READY_FOR_PICKUP]: [ORDER_ACTORS.VENDOR],
+    [ORDER_STATUS.CANCELLED]: [ORDER_ACTORS.ADMIN, ORDER_ACTORS.SYSTEM] // the system when no item is left after substitutions
+  },
+  [ORDER_STATUS.READY_FOR_PICKUP]: {
+    [ORDER_STATUS.PICKED_UP]: [ORDER_ACTORS.DELIVERY]
+  },
+  [ORDER_STATUS.PICKED_UP]: {
+    [ORDER_STATUS.IN_TRANSIT]: [ORDER_ACTORS.DELIVERY],
+    [ORDER_STATUS.DELIVERED]: [ORDER_ACTORS.DELIVERY]
+  },
+  [ORDER_STATUS.IN_TRANSIT]: {
+    [ORDER_STATUS.DELIVERED]: [ORDER_ACTORS.DELIVERY]
+  }
+};
+
+// Listeners get every status change once it is saved
+const orderEvents = new EventEmitter();
+
+/**
+ * Error thrown inside the order transaction to abort it with an API status
+ * @param {Number} statusCode - HTTP status code
+ * @param {String} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+const orderError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check whether an actor may move an order from one status to another
+ * @param {String} from - Current status
+ * @param {String} to - New status
+ * @param {String} actor - ORDER_ACTORS value
+ * @returns {Boolean} True when the transition is allowed
+ */
+const canTransition = (from, to, actor) => {
+  const actors = (ORDER_TRANSITIONS[from] || {})[to];
+  return Boolean(actors && actors.includes(actor));
+};
+
+/**
+ * Move an order to a new status with a single status history entry
+ * The update only applies if the order is still in the status the caller read,
+ * so two requests cannot both move it. Pass the change to publishStatusChanges
+ * once the transaction it was made in has committed.
+ * @param {Object} order - Order document as the caller read it
+ * @param {String} status - New status
+ * @param {Object} options
+ * @param {String} options.actor - ORDER_ACTORS value of who is making the change
+ * @param {String} options.updatedBy - User making the change, if any
+ * @param {String} options.notes - Status history note
+ * @param {Object} options.fields - Other order fields to set with the status
+ * @param {Object} options.session - Optional mongoose session
+ * @returns {Promise<Object>} { order, change } - throws an orderError when the move is not allowed
+ */
+const changeOrderStatus = async (order, status, { actor, updatedBy, notes, fields = {}, session }) => {
+  const from = order.status;
+
+  if (!(ORDER_TRANSITIONS[from] || {})[status]) {
+    throw orderError(400, `Cannot move order from ${from} to ${status}`);
+  }
+
+  if (!canTransition(from, status, actor)) {
+    throw orderError(403, `A ${actor} cannot move an order from ${from} to ${status}`);
+  }
+
+  const timestamp = new Date();
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: from },
+    {
+      $set: { status, ...fields },
+      $push: { statusHistory: { status, timestamp, updatedBy, notes } }
+    },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw orderError(409, `Order is no longer ${from}`);
+  }
+
+  return {
+    order: updated,
+    change: { order: updated, from, to: status, actor, updatedBy, notes, timestamp }
+  };
+};
+
+/**
+ * Emit the status change events of saved transitions
+ * @param {Array} changes - Changes returned by changeOrderStatus
+ */
+const publishStatusChanges = (changes) => {
+  for (const change of changes) {
+    try {
+      orderEvents.emit(ORDER_EVENTS.STATUS_CHANGED, change);
+    } catch (error) {
+      // A failing listener must not fail the request that changed the order
+      console.error(`Order ${change.order._id}: status change listener failed`, error);
+    }
+  }
+};
+
+/**
+ * Move an order to a new status outside a transaction and announce it
+ * @param {Object} order - Order document as the caller read it
+ * @param {String} status - New status
+ * @param {Object} options - Same as changeOrderStatus, without a session
+ * @returns {Promise<Object>} { order } or { error } with status and message
+ */
+const transitionOrder = async (order, status, options) => {
+  try {
+    const { order: updated, change } = await changeOrderStatus(order, status, options);
+    publishStatusChanges([change]);
+    return { order: updated };
+  } catch (error) {
+    if (error.statusCode) {
+      return { error: { statusCode: error.statusCode, message: error.message } };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Assign a delivery agent to an order waiting for pickup
+ * The status stays the same; the assignment is recorded in the status history.
+ * Only one agent can win the order, however many accept it at once.
+ * @param {String} orderId - Order ID
+ * @param {String} deliveryAgentId - Delivery agent taking the order
+ * @returns {Promise<Object|null>} Updated order, or null when it is gone or already assigned
+ */
+const assignDeliveryAgent = (orderId, deliveryAgentId) => {
+  return Order.findOneAndUpdate(
+    { _id: orderId, status: ORDER_STATUS.READY_FOR_PICKUP, deliveryAgent: null },
+    {
+      $set: { deliveryAgent: deliveryAgentId },
+      $push: {
+        statusHistory: {
+          status: ORDER_STATUS.READY_FOR_PICKUP,
+          timestamp: new Date(),
+          updatedBy: deliveryAgentId,
+          notes: 'Delivery agent assigned'
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  ORDER_ACTORS,
+  ORDER_EVENTS,
+  ORDER_TRANSITIONS,
+  orderEvents,
+  orderError,
+  canTransition,
+  changeOrderStatus,
+  publishStatusChanges,
+  transitionOrder,
+  assignDeliveryAgent
+};
@@ -0,0 +1,480 @@
+const mongoose = require('mongoose');
+const Address = require('../models/Address');
+const Cart = require('../models/Cart');
+const Checkout = require('../models/Checkout');
+const Product = require('../models/Product');
+const { Order, ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHOD, DELIVERY_TYPES } = require('../models/Order');
+const { TRANSACTION_CATEGORIES } = require('../models/Wallet');
+const { roundCurrency, redeemPromotion, releasePromotion } = require('./promotionUtils');
+const { buildCheckoutQuote } = require('./pricingUtils');
+const { revalidateCarts } = require('./cartUtils');
+const { resolveDeliverySlot, reserveDeliverySlot, releaseDeliverySlot } = require('./deliverySlotUtils');
+const { createCheckoutPayment } = require('./paymentUtils');
+const { debitWallet, creditWallet } = require('./walletUtils');
+const { ORDER_ACTORS, orderError, changeOrderStatus, publishStatusChanges } = require('./orderStateMachine');
+
+/**
+ * Check whether an error is a duplicate idempotency key on Checkout
+ * @param {Error} error - Error raised while saving
+ * @returns {Boolean} True if another checkout already holds the key
+ */
+const isDuplicateIdempotencyKey = (error) => {
+  return error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.idempotencyKey);
+};
+
+/**
+ * Reserve stock for order items
+ * Each product is only decremented while it still has enough quantity, so stock never goes negative.
+ * @param {Array} items - Order items [{ product, quantity, name }]
+ * @param {Object} session - Mongoose session of the order transaction
+ */
+const reserveStock = async (items, session) => {
+  for (const item of items) {
+    const result = await Product.updateOne(
+      { _id: item.product, inStock: true, quantity: { $gte: item.quantity } },
+      { $inc: { quantity: -item.quantity } },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw orderError(409, `${item.name} is out of stock or has insufficient quantity`);
+    }
+  }
+};
+
+/**
+ * Put the stock reserved by an order back
+ * @param {Object} order - Order document
+ * @param {Object} session - Optional mongoose session
+ */
+const releaseOrderStock = async (order, session) => {
+  for (const item of order.items) {
+    await Product.updateOne(
+      { _id: item.product },
+      { $inc: { quantity: item.quantity } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Get the customer's non-empty carts, revalidated against the current catalog
+ * @param {String} customerId - Customer user ID
+ * @param {Array} vendorIds - Only carts of these stores; every cart when empty
+ * @returns {Promise<Object>} { carts, changes } - carts oldest first with items.product populated
+ */
+const getCheckoutCarts = async (customerId, vendorIds = []) => {
+  const query = { customer: customerId, 'items.0': { $exists: true } };
+  if (vendorIds.length > 0) {
+    query.vendor = { $in: vendorIds };
+  }
+
+  const carts = await Cart.find(query)
+    .sort({ createdAt: 1 })
+    .populate('items.product');
+
+  return revalidateCarts(carts);
+};
+
+/**
+ * Find a checkout by idempotency key together with its orders
+ * @param {String} customerId - Customer user ID
+ * @param {String} idempotencyKey - Client key identifying the placement attempt
+ * @returns {Promise<Object|null>} { checkout, orders } or null if there is none
+ */
+const findCheckoutByKey = async (customerId, idempotencyKey) => {
+  const checkout = await Checkout.findOne({ customer: customerId, idempotencyKey });
+
+  if (!checkout) return null;
+
+  const orders = await Order.find({ checkout: checkout._id });
+  return { checkout, orders };
+};
+
+/**
+ * Place orders for the customer's carts
+ * A cart from each store becomes its own order; all of them share one Checkout
+ * carrying the combined payment. Stock is reserved, the checkout and orders
+ * created and the carts cleared in one MongoDB transaction. A request repeated
+ * with the same idempotency key returns the checkout created by the first
+ * request instead of placing the orders again. Stores given a delivery slot
+ * have it booked in the same transaction; the rest deliver as soon as possible.
+ * Online checkouts get a gateway payment and their orders wait in
+ * pending_payment until the gateway webhook confirms it. Part or all of the
+ * total can be paid from the wallet, debited in the same transaction.
+ * @param {Object} options
+ * @param {String} options.customerId - Customer placing the order
+ * @param {Array} options.vendorIds - Stores to check out; defaults to every cart
+ * @param {String} options.addressId - Delivery address ID
+ * @param {String} options.paymentMethod - One of PAYMENT_METHOD; with a walletAmount, it pays the rest
+ * @param {Number} options.walletAmount - Amount to pay from the wallet; all of it when paymentMethod is wallet
+ * @param {String} options.deliveryNote - Note for the delivery agent
+ * @param {Array} options.deliverySlots - Slot choices [{ vendorId, slotId, date }]
+ * @param {String} options.promoCode - Promotion code entered by the customer
+ * @param {String} options.idempotencyKey - Client key identifying this placement attempt
+ * @returns {Promise<Object>} { checkout, orders, created } or { error } with status and message;
+ *   a 409 error lists the cart changes in errors
+ */
+const placeOrders = async ({
+  customerId,
+  vendorIds,
+  addressId,
+  paymentMethod,
+  walletAmount: requestedWalletAmount = 0,
+  deliveryNote,
+  deliverySlots = [],
+  promoCode,
+  idempotencyKey
+}) => {
+  if (idempotencyKey) {
+    const existing = await findCheckoutByKey(customerId, idempotencyKey);
+
+    if (existing) {
+      return { ...existing, created: false };
+    }
+  }
+
+  if (!addressId || !paymentMethod) {
+    return { error: { statusCode: 400, message: 'Address ID and payment method are required' } };
+  }
+
+  if (!Object.values(PAYMENT_METHOD).includes(paymentMethod)) {
+    return { error: { statusCode: 400, message: `Payment method must be one of: ${Object.values(PAYMENT_METHOD).join(', ')}` } };
+  }
+
+  if (!Number.isFinite(Number(requestedWalletAmount)) || Number(requestedWalletAmount) < 0) {
+    return { error: { statusCode: 400, message: 'Wallet amount must be a positive number' } };
+  }
+
+  if (!Array.isArray(deliverySlots)) {
+    return { error: { statusCode: 400, message: 'Delivery slots must be a list of { vendorId, slotId, date }' } };
+  }
+
+  // Get customer's carts, repriced and clamped to current stock
+  const { carts, changes } = await getCheckoutCarts(customerId, vendorIds);
+
+  // Never place an order at prices or quantities the customer has not seen
+  if (changes.length > 0) {
+    return {
+      error: {
+        statusCode: 409,
+        message: 'Your cart has changed. Please review it before placing the order',
+        errors: changes
+      }
+    };
+  }
+
+  if (carts.length === 0) {
+    return { error: { statusCode: 400, message: 'Your cart is empty' } };
+  }
+
+  // Get delivery address
+  const address = await Address.findOne({ _id: addressId, user: customerId });
+
+  if (!address) {
+    return { error: { statusCode: 404, message: 'Delivery address not found' } };
+  }
+
+  // Validate stock, apply promotions and price every store's order
+  const quoteResult = await buildCheckoutQuote({ carts, address, customerId, promoCode });
+
+  if (quoteResult.error) {
+    return { error: quoteResult.error };
+  }
+
+  const { quote, promotions, pricingTerms } = quoteResult;
+
+  // Work out the wallet's share; a wallet covering the whole total makes it a wallet payment
+  const walletAmount = paymentMethod === PAYMENT_METHOD.WALLET
+    ? quote.total
+    : roundCurrency(Number(requestedWalletAmount));
+
+  if (walletAmount > quote.total) {
+    return { error: { statusCode: 400, message: 'Wallet amount cannot be more than the order total' } };
+  }
+
+  const method = walletAmount === quote.total ? PAYMENT_METHOD.WALLET : paymentMethod;
+  const paidInFull = method === PAYMENT_METHOD.WALLET;
+  const initialStatus = method === PAYMENT_METHOD.ONLINE ? ORDER_STATUS.PENDING_PAYMENT : ORDER_STATUS.PENDING;
+
+  // Spread the wallet payment over the orders in proportion to their totals
+  let walletLeft = walletAmount;
+  const orderWalletAmounts = quote.orders.map((orderQuote, index) => {
+    const share = index === quote.orders.length - 1
+      ? walletLeft
+      : Math.min(walletLeft, roundCurrency(quote.total > 0 ? walletAmount * orderQuote.total / quote.total : 0));
+    walletLeft = roundCurrency(walletLeft - share);
+    return share;
+  });
+
+  // Check the chosen delivery slots, keyed by vendor
+  const slotBookings = {};
+
+  for (const { vendorId, slotId, date } of deliverySlots) {
+    if (!quote.orders.some(orderQuote => orderQuote.vendor.toString() === String(vendorId))) {
+      return { error: { statusCode: 400, message: 'A delivery slot was chosen for a store that is not in this checkout' } };
+    }
+
+    const slotResult = await resolveDeliverySlot(vendorId, slotId, date);
+
+    if (slotResult.error) {
+      return { error: slotResult.error };
+    }
+    slotBookings[String(vendorId)] = slotResult;
+  }
+
+  const checkout = new Checkout({
+    customer: customerId,
+    subtotal: quote.subtotal,
+    deliveryFee: quote.deliveryFee,
+    serviceFee: quote.serviceFee,
+    tax: quote.tax,
+    discount: quote.discount,
+    total: quote.total,
+    paymentMethod: method,
+    walletAmount,
+    paymentStatus: paidInFull ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.PENDING,
+    idempotencyKey: idempotencyKey || undefined
+  });
+
+  const orders = quote.orders.map((orderQuote, index) => {
+    const slotBooking = slotBookings[orderQuote.vendor.toString()];
+
+    return new Order({
+      checkout: checkout._id,
+      customer: customerId,
+      vendor: orderQuote.vendor,
+      items: orderQuote.items,
+      deliveryAddress: {
+        addressLine1: address.addressLine1,
+        addressLine2: address.addressLine2 || '',
+        city: address.city,
+        state: address.state,
+        pincode: address.pincode,
+        location: address.location
+      },
+      subtotal: orderQuote.subtotal,
+      deliveryFee: orderQuote.deliveryFee,
+      serviceFee: orderQuote.serviceFee,
+      tax: orderQuote.tax,
+      discount: orderQuote.discount,
+      total: orderQuote.total,
+      promotion: promotions[index] ? promotions[index]._id : undefined,
+      promotionCode: promotions[index] ? promotions[index].code : undefined,
+      discountFundedBy: promotions[index] ? promotions[index].fundedBy : undefined,
+      pricingTerms: pricingTerms[index],
+      paymentMethod: method,
+      walletAmount: orderWalletAmounts[index],
+      paymentStatus: paidInFull ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.PENDING,
+      paymentDetails: paidInFull ? { paymentGateway: PAYMENT_METHOD.WALLET, paymentTime: new Date() } : undefined,
+      deliveryNote,
+      deliveryType: slotBooking ? DELIVERY_TYPES.SCHEDULED : DELIVERY_TYPES.ASAP,
+      deliverySlot: slotBooking ? { slot: slotBooking.slot._id, start: slotBooking.start, end: slotBooking.end } : undefined,
+      estimatedDeliveryTime: slotBooking ? slotBooking.end : undefined,
+      status: initialStatus,
+      acceptance: initialStatus === ORDER_STATUS.PENDING ? { pendingAt: new Date() } : undefined,
+      statusHistory: [{
+        status: initialStatus,
+        timestamp: new Date(),
+        updatedBy: customerId
+      }]
+    });
+  });
+
+  checkout.orders = orders.map(order => order._id);
+
+  // Open the online payment before reserving anything; an unused gateway payment simply lapses
+  if (method === PAYMENT_METHOD.ONLINE) {
+    const paymentResult = await createCheckoutPayment(checkout);
+
+    if (paymentResult.error) {
+      return { error: paymentResult.error };
+    }
+  }
+
+  // Count promotion uses atomically so usage limits hold under concurrent checkouts
+  const redeemed = [];
+  const releaseRedeemed = () => Promise.all(
+    redeemed.map(promotion => releasePromotion(promotion._id, customerId))
+  );
+
+  for (const promotion of promotions.filter(Boolean)) {
+    if (!(await redeemPromotion(promotion, customerId))) {
+      await releaseRedeemed();
+      return { error: { statusCode: 409, message: 'This promotion is no longer available. Please review your cart and try again' } };
+    }
+    redeemed.push(promotion);
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      for (const order of orders) {
+        await reserveStock(order.items, session);
+
+        const slotBooking = slotBookings[order.vendor.toString()];
+        if (slotBooking && !(await reserveDeliverySlot(slotBooking, session))) {
+          throw orderError(409, 'The chosen delivery slot is full. Please pick another slot');
+        }
+      }
+
+      // The balance check and debit are one update, so concurrent checkouts cannot overspend
+      if (walletAmount > 0) {
+        const paid = await debitWallet(customerId, walletAmount, {
+          category: TRANSACTION_CATEGORIES.ORDER_PAYMENT,
+          orderId: orders.length === 1 ? orders[0]._id : undefined,
+          reference: checkout._id.toString(),
+          description: 'Order payment',
+          metadata: { checkoutId: checkout._id, orderIds: checkout.orders }
+        }, session);
+
+        if (!paid) {
+          throw orderError(402, 'Insufficient wallet balance');
+        }
+      }
+      await checkout.save({ session });
+      for (const order of orders) {
+        await order.save({ session });
+      }
+      await Cart.deleteMany({ _id: { $in: carts.map(cart => cart._id) } }, { session });
+    });
+  } catch (error) {
+    await releaseRedeemed();
+
+    // A concurrent request with the same key won the race
+    if (isDuplicateIdempotencyKey(error)) {
+      return { ...(await findCheckoutByKey(customerId, idempotencyKey)), created: false };
+    }
+
+    if (error.statusCode) {
+      return { error: { statusCode: error.statusCode, message: error.message } };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  return { checkout, orders, created: true };
+};
+
+/**
+ * Cancel the orders of an online checkout that has not been paid
+ * Stock, delivery slots and any wallet payment go back in the same transaction
+ * that marks the checkout failed, so a late webhook can no longer confirm it.
+ * Every order of the checkout is cancelled, as they share the one payment.
+ * @param {String} checkoutId - Checkout ID
+ * @param {Object} options
+ * @param {String} options.actor - ORDER_ACTORS value of who is cancelling
+ * @param {String} options.updatedBy - User the status history is recorded for
+ * @param {String} options.reason - Why the orders were cancelled
+ * @returns {Promise<Array>} Orders cancelled; empty when the checkout is no longer waiting for payment
+ */
+const cancelUnpaidCheckout = async (checkoutId, { actor, updatedBy, reason }) => {
+  let orders = [];
+  let changes = [];
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      orders = [];
+      changes = [];
+
+      const claimed = await Checkout.findOneAndUpdate(
+        { _id: checkoutId, paymentMethod: PAYMENT_METHOD.ONLINE, paymentStatus: PAYMENT_STATUS.PENDING },
+        { $set: { paymentStatus: PAYMENT_STATUS.FAILED, 'paymentDetails.failureReason': reason } },
+        { session }
+      );
+
+      if (!claimed) return;
+
+      orders = await Order.find({ checkout: checkoutId, status: ORDER_STATUS.PENDING_PAYMENT }).session(session);
+
+      for (const order of orders) {
+        await releaseOrderStock(order, session);
+        await releaseDeliverySlot(order, session);
+      }
+
+      if (claimed.walletAmount > 0) {
+        await creditWallet(claimed.customer, claimed.walletAmount, {
+          category: TRANSACTION_CATEGORIES.ORDER_REFUND,
+          reference: checkoutId.toString(),
+          description: 'Refund for unpaid orders',
+          metadata: { checkoutId }
+        }, session);
+      }
+
+      for (const order of orders) {
+        const { change } = await changeOrderStatus(order, ORDER_STATUS.CANCELLED, {
+          actor,
+          updatedBy,
+          notes: reason,
+          fields: { paymentStatus: PAYMENT_STATUS.FAILED, cancellationReason: reason },
+          session
+        });
+        changes.push(change);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  publishStatusChanges(changes);
+
+  // Give back the promotion uses; the orders are cancelled either way
+  for (const order of orders.filter(candidate => candidate.promotion)) {
+    try {
+      await releasePromotion(order.promotion, order.customer);
+    } catch (error) {
+      console.error(`Order ${order.orderNumber}: could not release the promotion`, error);
+    }
+  }
+
+  return orders;
+};
+
+/**
+ * Cancel the orders of online checkouts whose payment was not confirmed in time
+ * @returns {Promise<Object>} { checkouts, orders } - how many were cancelled
+ */
+const cancelUnpaidCheckouts = async () => {
+  const stats = { checkouts: 0, orders: 0 };
+
+  const expired = await Checkout.find({
+    paymentMethod: PAYMENT_METHOD.ONLINE,
+    paymentStatus: PAYMENT_STATUS.PENDING,
+    'paymentDetails.expiresAt': { $lte: new Date() }
+  });
+
+  for (const checkout of expired) {
+    let orders = [];
+
+    try {
+      orders = await cancelUnpaidCheckout(checkout._id, {
+        actor: ORDER_ACTORS.SYSTEM,
+        updatedBy: checkout.customer,
+        reason: 'Payment was not completed in time'
+      });
+    } catch (error) {
+      console.error(`Checkout ${checkout._id}: could not cancel unpaid orders`, error);
+      continue;
+    }
+
+    if (orders.length > 0) {
+      stats.checkouts += 1;
+      stats.orders += orders.length;
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  orderError,
+  reserveStock,
+  getCheckoutCarts,
+  placeOrders,
+  releaseOrderStock,
+  cancelUnpaidCheckout,
+  cancelUnpaidCheckouts
+};
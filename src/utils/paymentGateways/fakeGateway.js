@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { PAYMENT_EVENTS, signPayload, verifyHmacSignature } = require('./gatewayUtils');
+
+// Local stand-in for a real gateway, for development and testing.
+// Payments are completed by posting a signed webhook, e.g. with
+// `npm run payments:fake-webhook -- <intentId>`.
+
+const SIGNATURE_HEADER = 'x-fake-gateway-signature';
+
+/**
+ * Get the secret fake webhooks are signed with
+ * There is no default: without a secret of its own a deployment accepts no fake webhooks.
+ * @returns {String|null} Webhook secret, or null when it is not set
+ */
+const getWebhookSecret = () => process.env.FAKE_GATEWAY_WEBHOOK_SECRET || null;
+
+/**
+ * Create a payment intent without calling out anywhere
+ * @returns {Promise<Object>} { id }
+ */
+const createPaymentIntent = async () => ({ id: `fake_pi_${crypto.randomUUID()}` });
+
+/**
+ * Refund a payment without calling out anywhere
+ * @returns {Promise<Object>} { id }
+ */
+const refundPayment = async () => ({ id: `fake_rf_${crypto.randomUUID()}` });
+
+/**
+ * Get what the app needs to show the fake payment
+ * @param {Object} intent - { intentId, amount, currency }
+ * @returns {Object} Payment options
+ */
+const getClientOptions = ({ intentId, amount, currency }) => ({ intentId, amount, currency });
+
+/**
+ * Verify the signature header of a fake webhook
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {Boolean} True if signed with the fake gateway secret; always false when it is not set
+ */
+const verifyWebhookSignature = (rawBody, headers) => {
+  return verifyHmacSignature(rawBody, headers[SIGNATURE_HEADER], getWebhookSecret());
+};
+
+/**
+ * Read a fake webhook into a payment event
+ * @param {Object} payload - { event: 'payment.succeeded' | 'payment.failed', intentId, transactionId, amount, reason }
+ * @returns {Object|null} Payment event, or null for unknown events
+ */
+const parseWebhookEvent = (payload) => {
+  const types = {
+    'payment.succeeded': PAYMENT_EVENTS.SUCCEEDED,
+    'payment.failed': PAYMENT_EVENTS.FAILED
+  };
+
+  if (!payload || !types[payload.event]) return null;
+
+  return {
+    type: types[payload.event],
+    intentId: payload.intentId,
+    transactionId: payload.transactionId,
+    amount: payload.amount,
+    reason: payload.reason
+  };
+};
+
+/**
+ * Build a signed webhook request, as the fake gateway would send it
+ * @param {Object} event - { event, intentId, transactionId, amount, reason }
+ * @returns {Object} { body, headers } - body is the JSON string that was signed
+ */
+const buildWebhook = (event) => {
+  const secret = getWebhookSecret();
+
+  if (!secret) {
+    throw new Error('FAKE_GATEWAY_WEBHOOK_SECRET is not set');
+  }
+
+  const body = JSON.stringify(event);
+
+  return {
+    body,
+    headers: {
+      'Content-Type': 'application/json',
+      [SIGNATURE_HEADER]: signPayload(body, secret)
+    }
+  };
+};
+
+module.exports = {
+  name: 'fake',
+  createPaymentIntent,
+  refundPayment,
+  getClientOptions,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+  buildWebhook
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// Payment outcomes gateways report through their webhooks
+const PAYMENT_EVENTS = {
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+/**
+ * Convert an amount to the currency's smallest unit (paise for INR)
+ * @param {Number} amount - Amount in the main unit
+ * @returns {Number} Whole amount in the smallest unit
+ */
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+/**
+ * Convert an amount in the currency's smallest unit back to the main unit
+ * @param {Number} amount - Amount in the smallest unit
+ * @returns {Number} Amount in the main unit
+ */
+const fromMinorUnits = (amount) => amount / 100;
+
+/**
+ * Sign a webhook body with HMAC-SHA256
+ * @param {Buffer|String} body - Raw request body
+ * @param {String} secret - Webhook secret
+ * @returns {String} Hex signature
+ */
+const signPayload = (body, secret) => {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+};
+
+/**
+ * Check an HMAC-SHA256 webhook signature in constant time
+ * @param {Buffer|String} body - Raw request body
+ * @param {String} signature - Hex signature sent with the webhook
+ * @param {String} secret - Webhook secret
+ * @returns {Boolean} True if the signature matches
+ */
+const verifyHmacSignature = (body, signature, secret) => {
+  if (!body || !signature || !secret) return false;
+
+  const expected = Buffer.from(signPayload(body, secret));
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  PAYMENT_EVENTS,
+  toMinorUnits,
+  fromMinorUnits,
+  signPayload,
+  verifyHmacSignature
+};
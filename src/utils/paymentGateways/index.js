@@ -0,0 +1,40 @@
+const razorpayGateway = require('./razorpayGateway');
+const fakeGateway = require('./fakeGateway');
+const { PAYMENT_EVENTS } = require('./gatewayUtils');
+
+// Every gateway adapter implements createPaymentIntent, refundPayment,
+// getClientOptions, verifyWebhookSignature and parseWebhookEvent
+const PAYMENT_GATEWAYS = {
+  [razorpayGateway.name]: razorpayGateway,
+  [fakeGateway.name]: fakeGateway
+};
+
+/**
+ * Check whether the fake gateway may be used
+ * It has to be switched on explicitly with ENABLE_FAKE_PAYMENT_GATEWAY=true,
+ * and is never available in production.
+ * @returns {Boolean} True if the fake gateway is enabled
+ */
+const isFakeGatewayEnabled = () => {
+  return process.env.ENABLE_FAKE_PAYMENT_GATEWAY === 'true' && process.env.NODE_ENV !== 'production';
+};
+
+/**
+ * Get a payment gateway adapter
+ * @param {String} name - Gateway name; defaults to the PAYMENT_GATEWAY setting
+ * @returns {Object|null} Gateway adapter, or null if unknown or not allowed
+ */
+const getPaymentGateway = (name = process.env.PAYMENT_GATEWAY || razorpayGateway.name) => {
+  const gateway = PAYMENT_GATEWAYS[name];
+
+  if (!gateway || (gateway === fakeGateway && !isFakeGatewayEnabled())) {
+    return null;
+  }
+
+  return gateway;
+};
+
+module.exports = {
+  PAYMENT_EVENTS,
+  getPaymentGateway
+};
@@ -0,0 +1,109 @@
+const axios = require('axios');
+const { PAYMENT_EVENTS, toMinorUnits, fromMinorUnits, verifyHmacSignature } = require('./gatewayUtils');
+
+const RAZORPAY_API_URL = 'https://api.razorpay.com/v1';
+
+/**
+ * Create a Razorpay order for the customer to pay
+ * @param {Object} options
+ * @param {Number} options.amount - Amount to collect
+ * @param {String} options.currency - ISO currency code
+ * @param {String} options.receipt - Our reference for the payment
+ * @param {Object} options.notes - Extra key/value data stored with the payment
+ * @returns {Promise<Object>} { id } - the Razorpay order ID
+ */
+const createPaymentIntent = async ({ amount, currency, receipt, notes }) => {
+  const response = await axios.post(
+    `${RAZORPAY_API_URL}/orders`,
+    { amount: toMinorUnits(amount), currency, receipt, notes },
+    {
+      auth: { username: process.env.RAZORPAY_KEY_ID, password: process.env.RAZORPAY_KEY_SECRET },
+      timeout: 10000
+    }
+  );
+
+  return { id: response.data.id };
+};
+
+/**
+ * Refund part or all of a captured Razorpay payment
+ * @param {Object} options
+ * @param {String} options.transactionId - Razorpay payment ID
+ * @param {Number} options.amount - Amount to refund
+ * @param {Object} options.notes - Extra key/value data stored with the refund
+ * @returns {Promise<Object>} { id } - the Razorpay refund ID
+ */
+const refundPayment = async ({ transactionId, amount, notes }) => {
+  const response = await axios.post(
+    `${RAZORPAY_API_URL}/payments/${transactionId}/refund`,
+    { amount: toMinorUnits(amount), notes },
+    {
+      auth: { username: process.env.RAZORPAY_KEY_ID, password: process.env.RAZORPAY_KEY_SECRET },
+      timeout: 10000
+    }
+  );
+
+  return { id: response.data.id };
+};
+
+/**
+ * Get what the app needs to open Razorpay Checkout
+ * @param {Object} intent - { intentId, amount, currency }
+ * @returns {Object} Razorpay Checkout options
+ */
+const getClientOptions = ({ intentId, amount, currency }) => ({
+  keyId: process.env.RAZORPAY_KEY_ID,
+  orderId: intentId,
+  amount: toMinorUnits(amount),
+  currency
+});
+
+/**
+ * Verify the X-Razorpay-Signature header of a webhook
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {Boolean} True if Razorpay signed the body
+ */
+const verifyWebhookSignature = (rawBody, headers) => {
+  return verifyHmacSignature(rawBody, headers['x-razorpay-signature'], process.env.RAZORPAY_WEBHOOK_SECRET);
+};
+
+/**
+ * Read a Razorpay webhook into a payment event
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Object|null} { type, intentId, transactionId, amount, reason }, or null for events we do not use
+ */
+const parseWebhookEvent = (payload) => {
+  const payment = payload && payload.payload && payload.payload.payment && payload.payload.payment.entity;
+
+  if (!payment) return null;
+
+  if (payload.event === 'payment.captured' || payload.event === 'order.paid') {
+    return {
+      type: PAYMENT_EVENTS.SUCCEEDED,
+      intentId: payment.order_id,
+      transactionId: payment.id,
+      amount: fromMinorUnits(payment.amount)
+    };
+  }
+
+  if (payload.event === 'payment.failed') {
+    return {
+      type: PAYMENT_EVENTS.FAILED,
+      intentId: payment.order_id,
+      transactionId: payment.id,
+      reason: payment.error_description
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  name: 'razorpay',
+  createPaymentIntent,
+  refundPayment,
+  getClientOptions,
+  verifyWebhookSignature,
+  parseWebhookEvent
+};
@@ -0,0 +1,379 @@
+const mongoose = require('mongoose');
+const Checkout = require('../models/Checkout');
+const { Order, ORDER_STATUS, PAYMENT_STATUS } = require('../models/Order');
+const { WalletTopUp, TOP_UP_STATUS } = require('../models/WalletTopUp');
+const { TRANSACTION_CATEGORIES } = require('../models/Wallet');
+const { Refund, REFUND_STATUS, REFUND_REASONS } = require('../models/Refund');
+const { PAYMENT_EVENTS, getPaymentGateway } = require('./paymentGateways');
+const { roundCurrency } = require('./promotionUtils');
+const { creditWallet } = require('./walletUtils');
+const { ORDER_ACTORS, changeOrderStatus, publishStatusChanges } = require('./orderStateMachine');
+
+// Unpaid online orders are cancelled this long after they are placed
+const PAYMENT_TIMEOUT_MINUTES = 15;
+
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'INR';
+
+// Limits on a single wallet top-up
+const MIN_TOP_UP_AMOUNT = 10;
+const MAX_TOP_UP_AMOUNT = 50000;
+
+/**
+ * Create a payment with the configured gateway
+ * @param {Number} amount - Amount to collect
+ * @param {String} receipt - Our reference for the payment
+ * @param {Object} notes - Extra key/value data stored with the payment
+ * @returns {Promise<Object>} { paymentDetails } with gateway and intentId, or { error } with status and message
+ */
+const createGatewayPayment = async (amount, receipt, notes) => {
+  const gateway = getPaymentGateway();
+
+  if (!gateway) {
+    return { error: { statusCode: 503, message: 'Online payments are not available right now' } };
+  }
+
+  try {
+    const intent = await gateway.createPaymentIntent({ amount, currency: PAYMENT_CURRENCY, receipt, notes });
+    return { paymentDetails: { gateway: gateway.name, intentId: intent.id } };
+  } catch (error) {
+    console.error(`Payment gateway ${gateway.name} could not create a payment:`, error.message);
+    return { error: { statusCode: 502, message: 'Could not start the online payment. Please try again' } };
+  }
+};
+
+/**
+ * Get what the app needs to complete a gateway payment
+ * @param {Object} paymentDetails - { gateway, intentId, expiresAt }
+ * @param {Number} amount - Amount being collected
+ * @returns {Object|null} Gateway options, or null if the gateway is no longer available
+ */
+const buildClientOptions = (paymentDetails, amount) => {
+  const gateway = getPaymentGateway(paymentDetails.gateway);
+
+  return gateway ? {
+    gateway: gateway.name,
+    expiresAt: paymentDetails.expiresAt,
+    ...gateway.getClientOptions({ intentId: paymentDetails.intentId, amount, currency: PAYMENT_CURRENCY })
+  } : null;
+};
+
+/**
+ * Get the part of a checkout paid online, after any wallet payment
+ * @param {Object} checkout - Checkout document
+ * @returns {Number} Amount to collect through the gateway
+ */
+const getOnlineAmount = (checkout) => roundCurrency(checkout.total - (checkout.walletAmount || 0));
+
+/**
+ * Open an online payment for a checkout with the configured gateway
+ * Sets checkout.paymentDetails; the checkout is not saved.
+ * @param {Object} checkout - Checkout document
+ * @returns {Promise<Object>} {} on success or { error } with status and message
+ */
+const createCheckoutPayment = async (checkout) => {
+  const result = await createGatewayPayment(getOnlineAmount(checkout), checkout._id.toString(), {
+    checkoutId: checkout._id.toString(),
+    customerId: checkout.customer.toString()
+  });
+
+  if (result.error) {
+    return { error: result.error };
+  }
+
+  checkout.paymentDetails = {
+    ...result.paymentDetails,
+    expiresAt: new Date(Date.now() + PAYMENT_TIMEOUT_MINUTES * 60 * 1000)
+  };
+
+  return {};
+};
+
+/**
+ * Get what the app needs to collect a checkout's online payment
+ * @param {Object} checkout - Checkout document
+ * @returns {Object|null} Gateway options, or null when nothing is left to pay online
+ */
+const getPaymentClientOptions = (checkout) => {
+  const details = checkout.paymentDetails;
+
+  if (!details || !details.intentId || checkout.paymentStatus !== PAYMENT_STATUS.PENDING) {
+    return null;
+  }
+
+  return buildClientOptions(details, getOnlineAmount(checkout));
+};
+
+/**
+ * Start adding money to a customer's wallet through the gateway
+ * The wallet is credited when the gateway webhook confirms the payment.
+ * @param {String} userId - Customer user ID
+ * @param {Number} amount - Amount to add
+ * @returns {Promise<Object>} { topUp, payment } or { error } with status and message
+ */
+const startWalletTopUp = async (userId, amount) => {
+  const value = roundCurrency(Number(amount));
+
+  if (!Number.isFinite(value) || value < MIN_TOP_UP_AMOUNT || value > MAX_TOP_UP_AMOUNT) {
+    return { error: { statusCode: 400, message: `Top-up amount must be between ${MIN_TOP_UP_AMOUNT} and ${MAX_TOP_UP_AMOUNT}` } };
+  }
+
+  const topUp = new WalletTopUp({ user: userId, amount: value });
+
+  const result = await createGatewayPayment(value, topUp._id.toString(), {
+    topUpId: topUp._id.toString(),
+    customerId: userId.toString()
+  });
+
+  if (result.error) {
+    return { error: result.error };
+  }
+
+  topUp.paymentDetails = result.paymentDetails;
+  await topUp.save();
+
+  return { topUp, payment: getTopUpClientOptions(topUp) };
+};
+
+/**
+ * Get what the app needs to pay for a wallet top-up
+ * @param {Object} topUp - WalletTopUp document
+ * @returns {Object|null} Gateway options, or null once the top-up is completed
+ */
+const getTopUpClientOptions = (topUp) => {
+  if (topUp.status !== TOP_UP_STATUS.PENDING) {
+    return null;
+  }
+
+  return buildClientOptions(topUp.paymentDetails, topUp.amount);
+};
+
+/**
+ * Apply a verified gateway webhook event to a wallet top-up
+ * Top-ups hold nothing back while unpaid, so a late payment is still credited.
+ * A payment for the wrong amount fails the top-up and is queued for refund.
+ * @param {Object} topUp - WalletTopUp document
+ * @param {String} gatewayName - Gateway that sent the event
+ * @param {Object} event - { type, transactionId, amount, reason }
+ * @returns {Promise<Object>} { status, refund } - refund when the payment has to go back
+ */
+const applyTopUpEvent = async (topUp, gatewayName, event) => {
+  if (event.type === PAYMENT_EVENTS.FAILED) {
+    await WalletTopUp.updateOne(
+      { _id: topUp._id, status: TOP_UP_STATUS.PENDING },
+      { $set: { 'paymentDetails.failureReason': event.reason || 'Payment failed' } }
+    );
+    return { status: 'payment_failed' };
+  }
+
+  if (event.amount !== undefined && roundCurrency(event.amount) !== roundCurrency(topUp.amount)) {
+    const notes = `Paid ${event.amount} but ${topUp.amount} was requested`;
+    console.error(`Wallet top-up ${topUp._id}: ${notes}`);
+    await WalletTopUp.updateOne(
+      { _id: topUp._id, status: TOP_UP_STATUS.PENDING },
+      {
+        $set: {
+          status: TOP_UP_STATUS.FAILED,
+          'paymentDetails.transactionId': event.transactionId,
+          'paymentDetails.failureReason': notes
+        }
+      }
+    );
+    const payment = { walletTopUp: topUp._id, customer: topUp.user, amount: topUp.amount };
+    return { status: 'amount_mismatch', refund: await queueUnappliedPaymentRefund(payment, gatewayName, event, notes) };
+  }
+
+  let credited = false;
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      // Only one event may credit the wallet
+      const claimed = await WalletTopUp.findOneAndUpdate(
+        { _id: topUp._id, status: TOP_UP_STATUS.PENDING },
+        {
+          $set: {
+            status: TOP_UP_STATUS.COMPLETED,
+            'paymentDetails.transactionId': event.transactionId,
+            'paymentDetails.paymentTime': new Date()
+          }
+        },
+        { session }
+      );
+
+      credited = Boolean(claimed);
+      if (!credited) return;
+
+      await creditWallet(topUp.user, topUp.amount, {
+        category: TRANSACTION_CATEGORIES.DEPOSIT,
+        reference: event.transactionId,
+        description: 'Wallet top-up',
+        metadata: { topUpId: topUp._id }
+      }, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return { status: credited ? 'credited' : 'already_credited' };
+};
+
+/**
+ * Queue a refund of an online payment that no order or top-up took
+ * The refund is pending, so the gateway refund goes out straight after (or with
+ * the retry job) and shows in the admin refund queue until it does. A webhook
+ * delivered again finds the refund already queued.
+ * @param {Object} payment - { checkout } or { walletTopUp } the payment was made for,
+ *   with its customer and the amount due online
+ * @param {String} gatewayName - Gateway that captured the payment
+ * @param {Object} event - Payment event { transactionId, amount }
+ * @param {String} notes - Why the payment could not be applied
+ * @returns {Promise<Object>} The refund
+ */
+const queueUnappliedPaymentRefund = async (payment, gatewayName, event, notes) => {
+  const amount = roundCurrency(event.amount !== undefined ? event.amount : payment.amount);
+
+  try {
+    return await Refund.create({
+      checkout: payment.checkout,
+      walletTopUp: payment.walletTopUp,
+      customer: payment.customer,
+      reason: REFUND_REASONS.UNAPPLIED_PAYMENT,
+      amount,
+      gatewayAmount: amount,
+      status: REFUND_STATUS.PENDING,
+      notes,
+      gatewayDetails: { gateway: gatewayName, transactionId: event.transactionId }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return Refund.findOne({ 'gatewayDetails.transactionId': event.transactionId, reason: REFUND_REASONS.UNAPPLIED_PAYMENT });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Apply a verified gateway webhook event to its checkout or wallet top-up
+ * A successful payment marks the checkout paid and releases its orders to the
+ * vendors. Failed attempts are recorded; the customer can retry until the
+ * payment expires. Repeated events are ignored. A payment captured for the
+ * wrong amount or after the orders were cancelled is queued for refund.
+ * @param {String} gatewayName - Gateway that sent the event
+ * @param {Object} event - { type, intentId, transactionId, amount, reason }
+ * @returns {Promise<Object>} { status, orders, refund } - orders are set when they were just confirmed,
+ *   refund when the payment has to go back; pass it to issueGatewayRefund
+ */
+const applyPaymentEvent = async (gatewayName, event) => {
+  const checkout = await Checkout.findOne({
+    'paymentDetails.gateway': gatewayName,
+    'paymentDetails.intentId': event.intentId
+  });
+
+  if (!checkout) {
+    const topUp = await WalletTopUp.findOne({
+      'paymentDetails.gateway': gatewayName,
+      'paymentDetails.intentId': event.intentId
+    });
+
+    return topUp ? applyTopUpEvent(topUp, gatewayName, event) : { status: 'unknown_payment' };
+  }
+
+  if (event.type === PAYMENT_EVENTS.FAILED) {
+    await Checkout.updateOne(
+      { _id: checkout._id, paymentStatus: PAYMENT_STATUS.PENDING },
+      { $set: { 'paymentDetails.failureReason': event.reason || 'Payment failed' } }
+    );
+    return { status: 'payment_failed' };
+  }
+
+  if (event.amount !== undefined && roundCurrency(event.amount) !== getOnlineAmount(checkout)) {
+    const notes = `Paid ${event.amount} but ${getOnlineAmount(checkout)} was due online`;
+    console.error(`Checkout ${checkout._id}: ${notes}`);
+    const payment = { checkout: checkout._id, customer: checkout.customer, amount: getOnlineAmount(checkout) };
+    return { status: 'amount_mismatch', refund: await queueUnappliedPaymentRefund(payment, gatewayName, event, notes) };
+  }
+
+  if (checkout.paymentStatus !== PAYMENT_STATUS.PENDING) {
+    if (checkout.paymentStatus !== PAYMENT_STATUS.PAID) {
+      // Captured after the orders were cancelled; the money has to go back to the customer
+      console.warn(`Checkout ${checkout._id}: payment ${event.transactionId} captured after it was ${checkout.paymentStatus}`);
+      await Checkout.updateOne(
+        { _id: checkout._id },
+        { $set: { 'paymentDetails.transactionId': event.transactionId } }
+      );
+      const notes = `Payment captured after the checkout was ${checkout.paymentStatus}`;
+      const payment = { checkout: checkout._id, customer: checkout.customer, amount: getOnlineAmount(checkout) };
+      return { status: 'paid_after_expiry', refund: await queueUnappliedPaymentRefund(payment, gatewayName, event, notes) };
+    }
+    return { status: 'already_paid' };
+  }
+
+  const paymentTime = new Date();
+  let confirmed = false;
+  let changes = [];
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      changes = [];
+
+      // Only one event may confirm the payment, and never after the orders expired
+      const claimed = await Checkout.findOneAndUpdate(
+        { _id: checkout._id, paymentStatus: PAYMENT_STATUS.PENDING },
+        {
+          $set: {
+            paymentStatus: PAYMENT_STATUS.PAID,
+            'paymentDetails.transactionId': event.transactionId,
+            'paymentDetails.paymentTime': paymentTime
+          }
+        },
+        { session }
+      );
+
+      confirmed = Boolean(claimed);
+      if (!confirmed) return;
+
+      const orders = await Order.find({ checkout: checkout._id, status: ORDER_STATUS.PENDING_PAYMENT }).session(session);
+
+      for (const order of orders) {
+        const { change } = await changeOrderStatus(order, ORDER_STATUS.PENDING, {
+          actor: ORDER_ACTORS.SYSTEM,
+          updatedBy: checkout.customer,
+          notes: 'Payment confirmed',
+          fields: {
+            'acceptance.pendingAt': new Date(),
+            paymentStatus: PAYMENT_STATUS.PAID,
+            paymentDetails: {
+              transactionId: event.transactionId,
+              paymentGateway: gatewayName,
+              paymentTime
+            }
+          },
+          session
+        });
+        changes.push(change);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  publishStatusChanges(changes);
+
+  if (!confirmed) {
+    // Another event or the expiry job got there first; look at it again
+    return applyPaymentEvent(gatewayName, event);
+  }
+
+  const orders = await Order.find({ checkout: checkout._id });
+  return { status: 'confirmed', orders };
+};
+
+module.exports = {
+  PAYMENT_TIMEOUT_MINUTES,
+  createCheckoutPayment,
+  getPaymentClientOptions,
+  startWalletTopUp,
+  getTopUpClientOptions,
+  applyPaymentEvent
+};
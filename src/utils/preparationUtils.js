@@ -0,0 +1,69 @@
+const { Order, ORDER_STATUS } = require('../models/Order');
+
+// Preparation time used until a vendor has enough history of their own
+const DEFAULT_PREPARATION_MINUTES = 30;
+
+// How many of the vendor's most recent orders the prediction looks at
+const PREPARATION_HISTORY_SIZE = 20;
+
+// Fewer prepared orders than this are not enough to predict from
+const MIN_PREPARATION_SAMPLES = 5;
+
+// Only orders prepared this recently count, so the prediction follows the vendor's current pace
+const PREPARATION_HISTORY_DAYS = 30;
+
+/**
+ * Predict how long a vendor will take to prepare a new order
+ * Uses the median of the vendor's recent actual preparation times, so a few
+ * orders left waiting before being marked ready do not skew it.
+ * @param {String} vendorId - Vendor user ID
+ * @returns {Promise<Number>} Predicted preparation time in whole minutes
+ */
+const predictPreparationTime = async (vendorId) => {
+  const since = new Date(Date.now() - PREPARATION_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  const recent = await Order.find({
+    vendor: vendorId,
+    'preparation.readyAt': { $gte: since },
+    'preparation.actualMinutes': { $ne: null }
+  })
+    .sort({ 'preparation.readyAt': -1 })
+    .limit(PREPARATION_HISTORY_SIZE)
+    .select('preparation.actualMinutes')
+    .lean();
+
+  if (recent.length < MIN_PREPARATION_SAMPLES) {
+    return DEFAULT_PREPARATION_MINUTES;
+  }
+
+  const minutes = recent.map(order => order.preparation.actualMinutes).sort((a, b) => a - b);
+  const middle = Math.floor(minutes.length / 2);
+  const median = minutes.length % 2 === 0 ? (minutes[middle - 1] + minutes[middle]) / 2 : minutes[middle];
+
+  return Math.max(1, Math.ceil(median));
+};
+
+/**
+ * Work out how long an order took to prepare when it is marked ready
+ * Timed from the start of preparation, or from acceptance when the vendor
+ * skipped the preparing step.
+ * @param {Object} order - Accepted or preparing order
+ * @param {Date} readyAt - When the order was marked ready
+ * @returns {Number|null} Whole minutes, or null when the start is unknown
+ */
+const getActualPreparationMinutes = (order, readyAt) => {
+  const preparation = order.preparation || {};
+  const accepted = order.statusHistory.find(entry => entry.status === ORDER_STATUS.ACCEPTED);
+  const startedAt = preparation.startedAt || (accepted && accepted.timestamp);
+
+  if (!startedAt) {
+    return null;
+  }
+
+  return Math.max(0, Math.round((readyAt - startedAt) / (60 * 1000)));
+};
+
+module.exports = {
+  predictPreparationTime,
+  getActualPreparationMinutes
+};
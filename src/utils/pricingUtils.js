@@ -0,0 +1,185 @@
+const SystemSetting = require('../models/SystemSetting');
+const { User } = require('../models/User');
+const { calculateDistance } = require('./locationUtils');
+const { roundCurrency, resolveCheckoutPromotions } = require('./promotionUtils');
+
+/**
+ * Get the admin pricing settings
+ * Falls back to the model defaults when an admin has not saved any settings yet,
+ * and for settings added since they were last saved.
+ * @returns {Promise<Object>} Settings with deliveryFeeBase, deliveryFeePerKm, serviceFeePercentage and taxPercentage
+ */
+const getPricingSettings = async () => {
+  const settings = await SystemSetting.findOne().lean();
+  return { ...new SystemSetting().toObject(), ...settings };
+};
+
+/**
+ * Get the delivery distance between a vendor and a delivery address
+ * @param {Object} vendor - Vendor user with location
+ * @param {Object} address - Address with location
+ * @returns {Number|null} Distance in km, or null when either location is missing
+ */
+const getDeliveryDistance = (vendor, address) => {
+  const vendorCoords = vendor && vendor.location && vendor.location.coordinates;
+  const customerCoords = address && address.location && address.location.coordinates;
+
+  if (!vendorCoords || vendorCoords.length !== 2 || !customerCoords || customerCoords.length !== 2) {
+    return null;
+  }
+
+  return calculateDistance(
+    customerCoords[1], // latitude
+    customerCoords[0], // longitude
+    vendorCoords[1],   // latitude
+    vendorCoords[0]    // longitude
+  );
+};
+
+/**
+ * Calculate the charges on an order from the admin pricing settings
+ * The service fee and tax are charged on the subtotal after discount.
+ * @param {Object} options
+ * @param {Number} options.subtotal - Item subtotal
+ * @param {Number} options.discount - Promotion discount
+ * @param {Number|null} options.distance - Delivery distance in km; only the base fee is charged when unknown
+ * @param {Number} options.deliveryFee - Delivery fee already charged on the order; replaces the distance-based fee
+ * @param {Object} options.settings - Pricing settings from getPricingSettings
+ * @returns {Object} { subtotal, discount, deliveryFee, serviceFee, tax, total }
+ */
+const calculateOrderCharges = ({ subtotal, discount = 0, distance, deliveryFee: fixedDeliveryFee, settings }) => {
+  const discountedSubtotal = Math.max(0, subtotal - discount);
+
+  const deliveryFee = fixedDeliveryFee !== undefined
+    ? roundCurrency(fixedDeliveryFee)
+    : roundCurrency(settings.deliveryFeeBase + (distance || 0) * settings.deliveryFeePerKm);
+  const serviceFee = roundCurrency(discountedSubtotal * (settings.serviceFeePercentage / 100));
+  const tax = roundCurrency(discountedSubtotal * (settings.taxPercentage / 100));
+
+  return {
+    subtotal: roundCurrency(subtotal),
+    discount: roundCurrency(discount),
+    deliveryFee,
+    serviceFee,
+    tax,
+    total: roundCurrency(discountedSubtotal + deliveryFee + serviceFee + tax)
+  };
+};
+
+/**
+ * Get the pricing terms to keep on an order
+ * @param {Object} settings - Pricing settings the order was priced with
+ * @param {Object} promotion - Promotion applied to the order, if any
+ * @returns {Object} { serviceFeePercentage, taxPercentage, promotion } - the Order pricingTerms
+ */
+const getPricingTerms = (settings, promotion) => ({
+  serviceFeePercentage: settings.serviceFeePercentage,
+  taxPercentage: settings.taxPercentage,
+  promotion: promotion ? {
+    discountType: promotion.discountType,
+    discountValue: promotion.discountValue,
+    minOrderValue: promotion.minOrderValue,
+    maxDiscount: promotion.maxDiscount,
+    applicableProducts: promotion.applicableProducts,
+    applicableCategories: promotion.applicableCategories
+  } : undefined
+});
+
+/**
+ * Price a checkout of one or more store carts for delivery to an address
+ * Checks stock, applies promotions and adds each store's delivery fee, service
+ * fee and tax from the admin pricing settings. Totals are summed over all stores.
+ * @param {Object} options
+ * @param {Array} options.carts - Carts with items.product populated
+ * @param {Object} options.address - Delivery address
+ * @param {String} options.customerId - Customer checking out
+ * @param {String} options.promoCode - Promotion code entered by the customer
+ * @returns {Promise<Object>} { quote, promotions, pricingTerms } or { error } with status and message;
+ *   promotions holds the promotion document applied to each store order (or null), and
+ *   pricingTerms the terms each order was priced with
+ */
+const buildCheckoutQuote = async ({ carts, address, customerId, promoCode }) => {
+  for (const cart of carts) {
+    for (const item of cart.items) {
+      const product = item.product;
+
+      // Ensure product is in stock
+      if (!product.inStock || product.quantity < item.quantity) {
+        return { error: { statusCode: 400, message: `${product.name} is out of stock or has insufficient quantity` } };
+      }
+    }
+  }
+
+  // Apply the entered promotion code, or the best automatic promotion per store
+  const promotionResult = await resolveCheckoutPromotions({ carts, customerId, code: promoCode });
+
+  if (promotionResult.error) {
+    return { error: promotionResult.error };
+  }
+
+  const [vendors, settings] = await Promise.all([
+    User.find({ _id: { $in: carts.map(cart => cart.vendor) } }).select('storeDetails.storeName fullName location').lean(),
+    getPricingSettings()
+  ]);
+
+  const orders = carts.map((cart, index) => {
+    const { promotion, discount, itemDiscounts } = promotionResult.results[index];
+    const vendor = vendors.find(user => user._id.toString() === cart.vendor.toString());
+
+    const items = cart.items.map(item => ({
+      product: item.product._id,
+      quantity: item.quantity,
+      price: item.product.discountPrice > 0 ? item.product.discountPrice : item.product.price,
+      name: item.product.name,
+      unit: item.product.unit,
+      discount: 0
+    }));
+
+    // Record each item's share of the discount
+    itemDiscounts.forEach(({ product, discount: itemDiscount }) => {
+      const item = items.find(line => line.product.toString() === product.toString());
+      item.discount = itemDiscount;
+    });
+
+    const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const distance = getDeliveryDistance(vendor, address);
+
+    return {
+      vendor: cart.vendor,
+      storeName: vendor ? (vendor.storeDetails && vendor.storeDetails.storeName) || vendor.fullName : undefined,
+      items,
+      ...calculateOrderCharges({ subtotal, discount, distance, settings }),
+      distance: distance === null ? null : roundCurrency(distance),
+      promotion: promotion ? {
+        _id: promotion._id,
+        title: promotion.title,
+        code: promotion.code,
+        fundedBy: promotion.fundedBy
+      } : null
+    };
+  });
+
+  const sum = (field) => roundCurrency(orders.reduce((total, order) => total + order[field], 0));
+
+  return {
+    promotions: promotionResult.results.map(result => result.promotion),
+    pricingTerms: promotionResult.results.map(result => getPricingTerms(settings, result.promotion)),
+    quote: {
+      orders,
+      subtotal: sum('subtotal'),
+      discount: sum('discount'),
+      deliveryFee: sum('deliveryFee'),
+      serviceFee: sum('serviceFee'),
+      tax: sum('tax'),
+      total: sum('total')
+    }
+  };
+};
+
+module.exports = {
+  getPricingSettings,
+  getDeliveryDistance,
+  calculateOrderCharges,
+  getPricingTerms,
+  buildCheckoutQuote
+};
@@ -0,0 +1,452 @@
+const { Promotion, PROMOTION_FUNDERS } = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const { Order, ORDER_STATUS } = require('../models/Order');
+const { User } = require('../models/User');
+
+/**
+ * Round a currency amount to 2 decimal places
+ * @param {Number} amount - Amount
+ * @returns {Number} Rounded amount
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Validate the discount fields of a promotion
+ * @param {String} discountType - PERCENTAGE, FIXED or BUY_GET
+ * @param {Number} discountValue - Discount value
+ * @returns {String|null} Error message or null if valid
+ */
+const validatePromotionDiscount = (discountType, discountValue) => {
+  if (discountType === 'PERCENTAGE' && (discountValue <= 0 || discountValue > 100)) {
+    return 'Percentage discount must be between 1 and 100';
+  }
+
+  if ((discountType === 'FIXED' || discountType === 'BUY_GET') && discountValue <= 0) {
+    return 'Discount value must be greater than 0';
+  }
+
+  return null;
+};
+
+/**
+ * Validate the usage limit of a promotion against how often it was used
+ * @param {Number} usageLimit - Total redemptions allowed; unset for no limit
+ * @param {Number} usageCount - Redemptions so far
+ * @returns {String|null} Error message or null if valid
+ */
+const validatePromotionUsageLimit = (usageLimit, usageCount = 0) => {
+  if (usageLimit !== undefined && usageLimit !== null && usageLimit < usageCount) {
+    return `Usage limit cannot be below the ${usageCount} times the promotion was already used`;
+  }
+
+  return null;
+};
+
+/**
+ * Query for promotions that are switched on and inside their date window
+ * @param {Date} now - Reference time
+ * @returns {Object} Mongoose query object
+ */
+const livePromotionQuery = (now = new Date()) => ({
+  isActive: true,
+  startDate: { $lte: now },
+  endDate: { $gte: now }
+});
+
+/**
+ * Check whether a promotion still has redemptions left
+ * @param {Object} promotion - Promotion document
+ * @returns {Boolean} True if the usage limit has not been reached
+ */
+const hasUsesLeft = (promotion) => {
+  return !promotion.usageLimit || promotion.usageCount < promotion.usageLimit;
+};
+
+/**
+ * Check whether a promotion applies to a line item
+ * Promotions without product or category restrictions apply to every item.
+ * @param {Object} promotion - Promotion document
+ * @param {Object} item - Line item with product and category IDs
+ * @returns {Boolean} True if the item is covered by the promotion
+ */
+const appliesToItem = (promotion, item) => {
+  const products = promotion.applicableProducts || [];
+  const categories = promotion.applicableCategories || [];
+
+  if (products.length === 0 && categories.length === 0) {
+    return true;
+  }
+
+  return products.some(id => id.toString() === item.product.toString()) ||
+    categories.some(id => item.category && id.toString() === item.category.toString());
+};
+
+/**
+ * Spread a discount over line items in proportion to their weights
+ * The last item absorbs rounding so the parts add up to the total exactly.
+ * @param {Number} total - Discount to spread
+ * @param {Array} parts - [{ product, weight }]
+ * @returns {Array} [{ product, discount }]
+ */
+const allocateDiscount = (total, parts) => {
+  const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+  let remaining = total;
+
+  return parts.map((part, index) => {
+    const discount = index === parts.length - 1
+      ? roundCurrency(remaining)
+      : roundCurrency(totalWeight > 0 ? total * (part.weight / totalWeight) : 0);
+    remaining -= discount;
+    return { product: part.product, discount };
+  });
+};
+
+/**
+ * Calculate the discount a promotion gives on a set of line items
+ * PERCENTAGE and FIXED discounts are spread over covered items by line value.
+ * BUY_GET treats discountValue as "buy N, get 1 free" on each covered line.
+ * @param {Object} promotion - Promotion document
+ * @param {Array} items - Line items [{ product, category, price, quantity }]
+ * @returns {Object} { discount, itemDiscounts } - itemDiscounts has one entry per covered item
+ */
+const calculatePromotionDiscount = (promotion, items) => {
+  const covered = items.filter(item => appliesToItem(promotion, item));
+  const coveredSubtotal = covered.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  if (covered.length === 0 || coveredSubtotal <= 0) {
+    return { discount: 0, itemDiscounts: [] };
+  }
+
+  let parts;
+  let discount;
+
+  if (promotion.discountType === 'BUY_GET') {
+    const buyQuantity = Math.max(1, Math.floor(promotion.discountValue));
+    parts = covered.map(item => ({
+      product: item.product,
+      weight: Math.floor(item.quantity / (buyQuantity + 1)) * item.price
+    }));
+    discount = parts.reduce((sum, part) => sum + part.weight, 0);
+  } else {
+    parts = covered.map(item => ({ product: item.product, weight: item.price * item.quantity }));
+    discount = promotion.discountType === 'PERCENTAGE'
+      ? coveredSubtotal * (promotion.discountValue / 100)
+      : promotion.discountValue;
+  }
+
+  // Never discount more than the covered items are worth or the promotion's cap
+  discount = Math.min(discount, coveredSubtotal);
+  if (promotion.maxDiscount) {
+    discount = Math.min(discount, promotion.maxDiscount);
+  }
+  discount = roundCurrency(discount);
+
+  if (discount <= 0) {
+    return { discount: 0, itemDiscounts: [] };
+  }
+
+  return {
+    discount,
+    itemDiscounts: allocateDiscount(discount, parts).filter(part => part.discount > 0)
+  };
+};
+
+/**
+ * Map cart items onto line items at the product's current selling price
+ * @param {Object} cart - Cart with items.product populated
+ * @returns {Array} Line items [{ product, category, price, quantity }]
+ */
+const getCartLineItems = (cart) => {
+  return cart.items.map(item => ({
+    product: item.product._id,
+    category: item.product.category,
+    price: item.product.discountPrice > 0 ? item.product.discountPrice : item.product.price,
+    quantity: item.quantity
+  }));
+};
+
+/**
+ * Query for promotions usable on a vendor's order: the vendor's own plus platform coupons
+ * @param {String} vendorId - Vendor the order is placed with
+ * @returns {Object} Mongoose query object
+ */
+const promotionScopeQuery = (vendorId) => ({
+  $or: [{ vendor: vendorId }, { fundedBy: PROMOTION_FUNDERS.PLATFORM }]
+});
+
+/**
+ * Check a promotion's customer rules: per-customer limit, first order only and new users only
+ * @param {Object} promotion - Promotion document
+ * @param {String} customerId - Customer user ID
+ * @returns {Promise<String|null>} Reason the customer cannot use the promotion, or null if they can
+ */
+const checkCustomerEligibility = async (promotion, customerId) => {
+  if (promotion.perCustomerLimit) {
+    const redemption = await PromotionRedemption.findOne({ promotion: promotion._id, customer: customerId })
+      .select('count')
+      .lean();
+    
+    if (redemption && redemption.count >= promotion.perCustomerLimit) {
+      return 'You have already used this promotion the maximum number of times';
+    }
+  }
+
+  if (promotion.firstOrderOnly) {
+    const hasOrdered = await Order.exists({
+      customer: customerId,
+      status: { $nin: [ORDER_STATUS.CANCELLED, ORDER_STATUS.REJECTED] }
+    });
+
+    if (hasOrdered) {
+      return 'This promotion is only valid on your first order';
+    }
+  }
+
+  if (promotion.newUserOnly) {
+    const customer = await User.findById(customerId).select('createdAt').lean();
+    const windowStart = new Date(Date.now() - promotion.newUserWindowDays * 24 * 60 * 60 * 1000);
+
+    if (!customer || customer.createdAt < windowStart) {
+      return 'This promotion is only valid for new customers';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Work out the promotion to apply to a vendor order
+ * With a code, that promotion is validated (a vendor's own code wins over a platform
+ * coupon with the same code). Without one, the best eligible automatic promotion
+ * (one with no code) is picked from the vendor's promotions and platform coupons.
+ * @param {Object} options
+ * @param {String} options.vendorId - Vendor the order is placed with
+ * @param {String} options.customerId - Customer placing the order
+ * @param {String} options.code - Promotion code entered by the customer
+ * @param {Array} options.items - Line items [{ product, category, price, quantity }]
+ * @param {Number} options.subtotal - Order subtotal
+ * @param {Array} options.excludePromotionIds - Automatic promotions not to pick, e.g. already used elsewhere in the checkout
+ * @returns {Promise<Object>} { promotion, discount, itemDiscounts } or { error } with status and message
+ */
+const resolvePromotion = async ({ vendorId, customerId, code, items, subtotal, excludePromotionIds = [] }) => {
+  const none = { promotion: null, discount: 0, itemDiscounts: [] };
+
+  if (code) {
+    const matches = await Promotion.find({
+      ...promotionScopeQuery(vendorId),
+      code: code.trim().toUpperCase(),
+      isActive: true
+    });
+    const promotion = matches.find(match => match.vendor && match.vendor.toString() === vendorId.toString()) ||
+      matches[0];
+
+    if (!promotion) {
+      return { error: { statusCode: 404, message: 'Invalid promotion code' } };
+    }
+
+    const now = new Date();
+    if (promotion.startDate > now || promotion.endDate < now) {
+      return { error: { statusCode: 400, message: 'This promotion code is not valid right now' } };
+    }
+
+    if (!hasUsesLeft(promotion)) {
+      return { error: { statusCode: 400, message: 'This promotion code has reached its usage limit' } };
+    }
+
+    if (subtotal < promotion.minOrderValue) {
+      return { error: { statusCode: 400, message: `Minimum order value for this code is ${promotion.minOrderValue}` } };
+    }
+
+    const ineligibleReason = await checkCustomerEligibility(promotion, customerId);
+    if (ineligibleReason) {
+      return { error: { statusCode: 400, message: ineligibleReason } };
+    }
+
+    const { discount, itemDiscounts } = calculatePromotionDiscount(promotion, items);
+
+    if (discount <= 0) {
+      return { error: { statusCode: 400, message: 'This promotion code does not apply to the items in your cart' } };
+    }
+
+    return { promotion, discount, itemDiscounts };
+  }
+
+  // Automatic promotions: no code, live, within usage limit and minimum order value
+  const candidates = await Promotion.find({
+    ...livePromotionQuery(),
+    _id: { $nin: excludePromotionIds },
+    $and: [
+      promotionScopeQuery(vendorId),
+      { $or: [{ code: null }, { code: '' }] }
+    ],
+    minOrderValue: { $lte: subtotal }
+  });
+
+  let best = none;
+
+  for (const promotion of candidates.filter(hasUsesLeft)) {
+    const result = calculatePromotionDiscount(promotion, items);
+
+    if (result.discount > best.discount && !(await checkCustomerEligibility(promotion, customerId))) {
+      best = { promotion, ...result };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Work out the promotion for each store's cart in a checkout
+ * A promotion code is applied to the one cart it saves the most on; every
+ * other cart gets its best automatic promotion. A promotion is used at most
+ * once per checkout, so platform coupons are not stacked across stores.
+ * @param {Object} options
+ * @param {Array} options.carts - Carts with items.product populated
+ * @param {String} options.customerId - Customer checking out
+ * @param {String} options.code - Promotion code entered by the customer
+ * @returns {Promise<Object>} { results } with one { promotion, discount, itemDiscounts } per cart, or { error }
+ */
+const resolveCheckoutPromotions = async ({ carts, customerId, code }) => {
+  const results = new Array(carts.length);
+  const usedPromotionIds = [];
+  let remaining = carts.map((cart, index) => index);
+
+  const resolveForCart = (index, options) => {
+    const items = getCartLineItems(carts[index]);
+    return resolvePromotion({
+      vendorId: carts[index].vendor,
+      customerId,
+      items,
+      subtotal: items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+      ...options
+    });
+  };
+
+  if (code) {
+    let best = null;
+    let firstError = null;
+
+    for (const index of remaining) {
+      const result = await resolveForCart(index, { code });
+
+      if (result.error) {
+        // Prefer a reason the code does not apply over "invalid code" from another store
+        if (!firstError || firstError.statusCode === 404) firstError = result.error;
+        continue;
+      }
+
+      if (!best || result.discount > best.result.discount) {
+        best = { index, result };
+      }
+    }
+
+    if (!best) {
+      return { error: firstError };
+    }
+
+    results[best.index] = best.result;
+    usedPromotionIds.push(best.result.promotion._id);
+    remaining = remaining.filter(index => index !== best.index);
+  }
+
+  for (const index of remaining) {
+    const result = await resolveForCart(index, { excludePromotionIds: usedPromotionIds });
+
+    results[index] = result;
+    if (result.promotion) usedPromotionIds.push(result.promotion._id);
+  }
+
+  return { results };
+};
+
+/**
+ * Give back a customer's use of a promotion
+ * @param {String} promotionId - Promotion ID
+ * @param {String} customerId - Customer user ID
+ */
+const releaseCustomerRedemption = async (promotionId, customerId) => {
+  await PromotionRedemption.updateOne(
+    { promotion: promotionId, customer: customerId, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+};
+
+/**
+ * Atomically count one use of a promotion by a customer
+ * Both the overall usage limit and the per-customer limit are checked in the
+ * same update that counts the use, so concurrent checkouts cannot exceed them.
+ * @param {Object} promotion - Promotion document
+ * @param {String} customerId - Customer user ID
+ * @returns {Promise<Boolean>} True if the use was recorded, false if a limit was reached or the promotion ended
+ */
+const redeemPromotion = async (promotion, customerId) => {
+  const updated = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      ...livePromotionQuery(),
+      $or: [
+        { usageLimit: null },
+        { usageLimit: 0 },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    return false;
+  }
+
+  try {
+    // With a per-customer limit the filter fails once the limit is hit and the
+    // upsert then collides with the unique index instead of creating a second counter
+    await PromotionRedemption.findOneAndUpdate(
+      {
+        promotion: promotion._id,
+        customer: customerId,
+        ...(promotion.perCustomerLimit ? { count: { $lt: promotion.perCustomerLimit } } : {})
+      },
+      { $inc: { count: 1 } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    await Promotion.updateOne({ _id: promotion._id }, { $inc: { usageCount: -1 } });
+
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+
+  return true;
+};
+
+/**
+ * Give back a use of a promotion, e.g. when the order could not be placed or was cancelled
+ * @param {String} promotionId - Promotion ID
+ * @param {String} customerId - Customer user ID
+ */
+const releasePromotion = async (promotionId, customerId) => {
+  await Promotion.updateOne(
+    { _id: promotionId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } }
+  );
+
+  if (customerId) {
+    await releaseCustomerRedemption(promotionId, customerId);
+  }
+};
+
+module.exports = {
+  roundCurrency,
+  validatePromotionDiscount,
+  validatePromotionUsageLimit,
+  checkCustomerEligibility,
+  calculatePromotionDiscount,
+  getCartLineItems,
+  resolvePromotion,
+  resolveCheckoutPromotions,
+  redeemPromotion,
+  releasePromotion
+};
@@ -0,0 +1,582 @@
+const mongoose = require('mongoose');
+const { Order, ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHOD } = require('../models/Order');
+const { Refund, REFUND_STATUS, REFUND_REASONS, ITEM_ISSUES } = require('../models/Refund');
+const { TRANSACTION_CATEGORIES } = require('../models/Wallet');
+const { getPaymentGateway } = require('./paymentGateways');
+const { roundCurrency, releasePromotion } = require('./promotionUtils');
+const { creditWallet } = require('./walletUtils');
+const { orderError, releaseOrderStock, cancelUnpaidCheckout } = require('./orderUtils');
+const { changeOrderStatus, publishStatusChanges } = require('./orderStateMachine');
+const { releaseDeliverySlot } = require('./deliverySlotUtils');
+const { postRefundAdjustment } = require('./ledgerUtils');
+
+// Customers can report missing or damaged items this long after delivery
+const ISSUE_REPORT_WINDOW_HOURS = 48;
+
+// Gateway refunds are retried this many times before an admin has to step in
+const MAX_GATEWAY_REFUND_ATTEMPTS = 5;
+
+// How long one attempt holds a gateway refund, so no other process issues it too
+const GATEWAY_REFUND_LOCK_MINUTES = 2;
+
+// Payment statuses of an online order whose payment was captured
+const CAPTURED_PAYMENT_STATUSES = [
+  PAYMENT_STATUS.PAID,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REFUNDED
+];
+
+/**
+ * Get how much the customer has paid for an order, by where it can go back to
+ * Cash collected on delivery can only be refunded to the wallet.
+ * @param {Object} order - Order document
+ * @returns {Object} { wallet, gateway }
+ */
+const getPaidAmounts = (order) => {
+  const walletPaid = order.paymentMethod === PAYMENT_METHOD.WALLET ? order.total : order.walletAmount;
+  const remainder = roundCurrency(order.total - walletPaid);
+  const paidOnline = order.paymentMethod === PAYMENT_METHOD.ONLINE &&
+    CAPTURED_PAYMENT_STATUSES.includes(order.paymentStatus);
+  const paidInCash = order.paymentMethod === PAYMENT_METHOD.CASH_ON_DELIVERY &&
+    order.status === ORDER_STATUS.DELIVERED;
+
+  return {
+    wallet: roundCurrency(walletPaid + (paidInCash ? remainder : 0)),
+    gateway: paidOnline ? remainder : 0
+  };
+};
+
+/**
+ * Get how much of an order can still be refunded
+ * Refunds for item changes are left out: they were already taken off the order total.
+ * @param {Object} order - Order document
+ * @param {Object} session - Optional mongoose session
+ * @returns {Promise<Object>} { wallet, gateway, total }
+ */
+const getRefundableAmounts = async (order, session) => {
+  const paid = getPaidAmounts(order);
+  const refunds = await Refund.find({
+    order: order._id,
+    reason: { $ne: REFUND_REASONS.ORDER_MODIFIED },
+    status: { $ne: REFUND_STATUS.REJECTED }
+  }).session(session);
+
+  const wallet = roundCurrency(Math.max(0, paid.wallet - refunds.reduce((sum, refund) => sum + refund.walletAmount, 0)));
+  const gateway = roundCurrency(Math.max(0, paid.gateway - refunds.reduce((sum, refund) => sum + refund.gatewayAmount, 0)));
+
+  return { wallet, gateway, total: roundCurrency(wallet + gateway) };
+};
+
+/**
+ * Split a refund between the wallet and the gateway in the ratio the order was paid
+ * @param {Number} amount - Amount to refund, at most refundable.total
+ * @param {Object} refundable - { wallet, gateway, total } from getRefundableAmounts
+ * @returns {Object} { walletAmount, gatewayAmount }
+ */
+const allocateRefund = (amount, refundable) => {
+  const gatewayShare = refundable.total > 0
+    ? Math.min(refundable.gateway, roundCurrency(amount * refundable.gateway / refundable.total))
+    : 0;
+  const walletAmount = roundCurrency(Math.min(refundable.wallet, amount - gatewayShare));
+
+  return { walletAmount, gatewayAmount: roundCurrency(amount - walletAmount) };
+};
+
+/**
+ * Add a completed refund to its order's refunded total and payment status
+ * Refunds of settled orders are also taken back out of the vendor's payout.
+ * Refunds for item changes are not: the order total already went down by them.
+ * Neither are unapplied payments, which have no order.
+ * @param {Object} refund - Refund document
+ * @param {Object} session - Mongoose session
+ */
+const recordRefundOnOrder = async (refund, session) => {
+  if (!refund.order || refund.reason === REFUND_REASONS.ORDER_MODIFIED) return;
+
+  const order = await Order.findById(refund.order).session(session);
+  const paid = getPaidAmounts(order);
+  const refundedAmount = roundCurrency(order.refundedAmount + refund.amount);
+
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        refundedAmount,
+        paymentStatus: refundedAmount >= roundCurrency(paid.wallet + paid.gateway)
+          ? PAYMENT_STATUS.REFUNDED
+          : PAYMENT_STATUS.PARTIALLY_REFUNDED
+      }
+    },
+    { session }
+  );
+
+  await postRefundAdjustment(order, refund, session);
+};
+
+/**
+ * Pay out a refund: credit the wallet share now and queue the gateway share
+ * Throws an orderError when nothing is left to refund.
+ * @param {Object} refund - Refund document (saved here)
+ * @param {Object} order - Order document
+ * @param {Object} refundable - { wallet, gateway, total } from getRefundableAmounts
+ * @param {Object} session - Mongoose session
+ */
+const settleRefund = async (refund, order, refundable, session) => {
+  const amount = roundCurrency(Math.min(refund.amount, refundable.total));
+
+  if (amount <= 0) {
+    throw orderError(409, 'Nothing is left to refund on this order');
+  }
+
+  const { walletAmount, gatewayAmount } = allocateRefund(amount, refundable);
+
+  refund.amount = amount;
+  refund.walletAmount = walletAmount;
+  refund.gatewayAmount = gatewayAmount;
+
+  if (walletAmount > 0) {
+    await creditWallet(order.customer, walletAmount, {
+      category: TRANSACTION_CATEGORIES.ORDER_REFUND,
+      orderId: order._id,
+      reference: refund._id.toString(),
+      description: `Refund for order ${order.orderNumber}`
+    }, session);
+  }
+
+  if (gatewayAmount > 0) {
+    refund.status = REFUND_STATUS.PENDING;
+    refund.gatewayDetails = {
+      gateway: order.paymentDetails && order.paymentDetails.paymentGateway,
+      transactionId: order.paymentDetails && order.paymentDetails.transactionId
+    };
+    await refund.save({ session });
+    return;
+  }
+
+  refund.status = REFUND_STATUS.COMPLETED;
+  refund.processedAt = new Date();
+  await refund.save({ session });
+  await recordRefundOnOrder(refund, session);
+};
+
+/**
+ * Send the gateway share of a refund back to the customer's payment
+ * Failed attempts are left for retryPendingRefunds until they run out.
+ * @param {Object} refund - Refund document in PENDING status
+ * @returns {Promise<Object>} The refund as it stands afterwards
+ */
+const issueGatewayRefund = async (refund) => {
+  const now = new Date();
+
+  const claimed = await Refund.findOneAndUpdate(
+    {
+      _id: refund._id,
+      status: REFUND_STATUS.PENDING,
+      $or: [{ 'gatewayDetails.lockedUntil': null }, { 'gatewayDetails.lockedUntil': { $lte: now } }]
+    },
+    {
+      $set: { 'gatewayDetails.lockedUntil': new Date(now.getTime() + GATEWAY_REFUND_LOCK_MINUTES * 60 * 1000) },
+      $inc: { 'gatewayDetails.attempts': 1 }
+    },
+    { new: true }
+  );
+
+  // Completed meanwhile, or another process is on it
+  if (!claimed) {
+    return Refund.findById(refund._id);
+  }
+
+  const { gateway: gatewayName, transactionId, attempts } = claimed.gatewayDetails;
+  const gateway = getPaymentGateway(gatewayName);
+  let gatewayRefund = null;
+  let failureReason = null;
+
+  if (!gateway || !transactionId) {
+    failureReason = 'The original payment could not be found on a payment gateway';
+  } else {
+    try {
+      gatewayRefund = await gateway.refundPayment({
+        transactionId,
+        amount: claimed.gatewayAmount,
+        notes: {
+          refundId: claimed._id.toString(),
+          ...(claimed.order && { orderId: claimed.order.toString() }),
+          ...(claimed.checkout && { checkoutId: claimed.checkout.toString() }),
+          ...(claimed.walletTopUp && { walletTopUpId: claimed.walletTopUp.toString() })
+        }
+      });
+    } catch (error) {
+      failureReason = error.message;
+    }
+  }
+
+  if (failureReason) {
+    // Without the original payment a retry cannot help
+    const givingUp = !gateway || !transactionId || attempts >= MAX_GATEWAY_REFUND_ATTEMPTS;
+    console.error(`Refund ${claimed._id}: gateway refund attempt ${attempts} failed: ${failureReason}`);
+
+    return Refund.findOneAndUpdate(
+      { _id: claimed._id, status: REFUND_STATUS.PENDING },
+      {
+        $set: {
+          status: givingUp ? REFUND_STATUS.FAILED : REFUND_STATUS.PENDING,
+          'gatewayDetails.lastError': failureReason,
+          'gatewayDetails.lockedUntil': null
+        }
+      },
+      { new: true }
+    );
+  }
+
+  let completed = null;
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      completed = await Refund.findOneAndUpdate(
+        { _id: claimed._id, status: REFUND_STATUS.PENDING },
+        {
+          $set: {
+            status: REFUND_STATUS.COMPLETED,
+            processedAt: new Date(),
+            'gatewayDetails.refundId': gatewayRefund.id,
+            'gatewayDetails.lockedUntil': null
+          }
+        },
+        { new: true, session }
+      );
+
+      if (completed) {
+        await recordRefundOnOrder(completed, session);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return completed || Refund.findById(claimed._id);
+};
+
+/**
+ * Cancel an order waiting for its online payment, with the rest of its checkout
+ * Nothing was captured yet, so only the wallet share is given back.
+ * @param {Object} order - Order document in pending_payment
+ * @param {Object} options
+ * @param {String} options.actor - ORDER_ACTORS value of who is cancelling
+ * @param {String} options.updatedBy - User cancelling the order
+ * @param {String} options.notes - Why the order was cancelled
+ * @returns {Promise<Object>} { order, refund: null } or { error }
+ */
+const closeUnpaidOrder = async (order, { actor, updatedBy, notes }) => {
+  let cancelled;
+
+  try {
+    cancelled = await cancelUnpaidCheckout(order.checkout, { actor, updatedBy, reason: notes });
+  } catch (error) {
+    if (error.statusCode) {
+      return { error: { statusCode: error.statusCode, message: error.message } };
+    }
+    throw error;
+  }
+
+  // Paid or cancelled meanwhile
+  if (!cancelled.some(candidate => candidate._id.equals(order._id))) {
+    return { error: { statusCode: 409, message: `Order is no longer ${ORDER_STATUS.PENDING_PAYMENT}` } };
+  }
+
+  return { order: await Order.findById(order._id), refund: null };
+};
+
+/**
+ * Cancel or reject an order and give back everything it holds
+ * Stock, the delivery slot and the wallet share of the refund go back in the
+ * same transaction as the status change; the gateway share and the promotion
+ * use follow right after. Cancelling an order still waiting for its online
+ * payment cancels its whole checkout instead, as its orders share the payment.
+ * @param {Object} order - Order document as the caller read it
+ * @param {Object} options
+ * @param {String} options.status - ORDER_STATUS.CANCELLED or ORDER_STATUS.REJECTED
+ * @param {String} options.actor - ORDER_ACTORS value of who is closing the order
+ * @param {String} options.updatedBy - User closing the order
+ * @param {String} options.notes - Status history note
+ * @param {Object} options.fields - Other order fields to set, e.g. cancellationReason
+ * @param {Boolean} options.restock - Whether to put the items back in stock; false when the vendor has none of them
+ * @returns {Promise<Object>} { order, refund } - refund is null when nothing was paid - or { error }
+ */
+const closeOrder = async (order, { status, actor, updatedBy, notes, fields = {}, restock = true }) => {
+  if (order.status === ORDER_STATUS.PENDING_PAYMENT && status === ORDER_STATUS.CANCELLED) {
+    return closeUnpaidOrder(order, { actor, updatedBy, notes });
+  }
+
+  let closed = null;
+  let change = null;
+  let refund = null;
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      refund = null;
+
+      // Fails if the order has moved on meanwhile or cannot be closed by this actor
+      const result = await changeOrderStatus(order, status, { actor, updatedBy, notes, fields, session });
+      closed = result.order;
+      change = result.change;
+
+      if (restock) {
+        await releaseOrderStock(closed, session);
+      }
+      await releaseDeliverySlot(closed, session);
+
+      const refundable = await getRefundableAmounts(closed, session);
+      if (refundable.total <= 0) return;
+
+      refund = new Refund({
+        order: closed._id,
+        customer: closed.customer,
+        vendor: closed.vendor,
+        reason: status === ORDER_STATUS.REJECTED ? REFUND_REASONS.ORDER_REJECTED : REFUND_REASONS.ORDER_CANCELLED,
+        amount: refundable.total,
+        notes,
+        requestedBy: updatedBy
+      });
+
+      await settleRefund(refund, closed, refundable, session);
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return { error: { statusCode: error.statusCode, message: error.message } };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  publishStatusChanges([change]);
+
+  // Give the customer their use of the promotion back, so the coupon can be used again
+  if (closed.promotion) {
+    try {
+      await releasePromotion(closed.promotion, closed.customer);
+    } catch (error) {
+      console.error(`Order ${closed.orderNumber}: could not release the promotion`, error);
+    }
+  }
+
+  if (refund && refund.status === REFUND_STATUS.PENDING) {
+    refund = await issueGatewayRefund(refund);
+  }
+
+  return { order: await Order.findById(order._id), refund };
+};
+
+/**
+ * Report missing or damaged items of a delivered order for a refund
+ * Items are refunded at the price paid after discount, once an admin approves.
+ * @param {Object} order - Delivered order of the customer
+ * @param {Object} report
+ * @param {Array} report.items - [{ productId, quantity, issue }]
+ * @param {String} report.notes - Customer's description of the problem
+ * @param {String} report.customerId - Customer reporting
+ * @returns {Promise<Object>} { refund } or { error } with status and message
+ */
+const reportOrderIssue = async (order, { items, notes, customerId }) => {
+  if (order.status !== ORDER_STATUS.DELIVERED) {
+    return { error: { statusCode: 400, message: 'Issues can only be reported for delivered orders' } };
+  }
+
+  const deliveredAt = order.actualDeliveryTime || order.updatedAt;
+  if (Date.now() - deliveredAt.getTime() > ISSUE_REPORT_WINDOW_HOURS * 60 * 60 * 1000) {
+    return { error: { statusCode: 400, message: `Issues must be reported within ${ISSUE_REPORT_WINDOW_HOURS} hours of delivery` } };
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: { statusCode: 400, message: 'Report at least one item' } };
+  }
+
+  const reported = await Refund.find({
+    order: order._id,
+    reason: REFUND_REASONS.ITEM_ISSUE,
+    status: { $ne: REFUND_STATUS.REJECTED }
+  });
+  const refundItems = [];
+
+  for (const { productId, quantity, issue } of items) {
+    if (!Object.values(ITEM_ISSUES).includes(issue)) {
+      return { error: { statusCode: 400, message: `Issue must be one of: ${Object.values(ITEM_ISSUES).join(', ')}` } };
+    }
+
+    const item = order.items.find(candidate => candidate.product.toString() === String(productId));
+    if (!item) {
+      return { error: { statusCode: 400, message: 'Product is not part of this order' } };
+    }
+
+    const count = Number(quantity);
+    if (!Number.isInteger(count) || count < 1) {
+      return { error: { statusCode: 400, message: 'Quantity must be a whole number of at least 1' } };
+    }
+
+    // Earlier reports and earlier lines of this one
+    const alreadyReported = [...reported.flatMap(refund => refund.items), ...refundItems]
+      .filter(reportedItem => reportedItem.product.toString() === item.product.toString())
+      .reduce((sum, reportedItem) => sum + reportedItem.quantity, 0);
+
+    if (alreadyReported + count > item.quantity) {
+      return { error: { statusCode: 400, message: `Only ${item.quantity - alreadyReported} of ${item.name} can still be reported` } };
+    }
+
+    const unitPrice = item.price - (item.discount || 0) / item.quantity;
+
+    refundItems.push({
+      product: item.product,
+      name: item.name,
+      quantity: count,
+      issue,
+      amount: roundCurrency(unitPrice * count)
+    });
+  }
+
+  const refundable = await getRefundableAmounts(order);
+
+  if (refundable.total <= 0) {
+    return { error: { statusCode: 409, message: 'Nothing is left to refund on this order' } };
+  }
+
+  const refund = await Refund.create({
+    order: order._id,
+    customer: order.customer,
+    vendor: order.vendor,
+    reason: REFUND_REASONS.ITEM_ISSUE,
+    items: refundItems,
+    notes,
+    amount: roundCurrency(Math.min(refundable.total, refundItems.reduce((sum, item) => sum + item.amount, 0))),
+    requestedBy: customerId
+  });
+
+  return { refund };
+};
+
+/**
+ * Approve a reported issue and pay out its refund
+ * The amount is capped at what is still refundable on the order.
+ * @param {String} refundId - Refund ID
+ * @param {String} adminId - Reviewing admin
+ * @param {String} notes - Review notes
+ * @returns {Promise<Object>} { refund } or { error } with status and message
+ */
+const approveRefund = async (refundId, adminId, notes) => {
+  let refund = null;
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      refund = await Refund.findOneAndUpdate(
+        { _id: refundId, status: REFUND_STATUS.REQUESTED },
+        { $set: { reviewedBy: adminId, reviewNotes: notes } },
+        { new: true, session }
+      );
+
+      if (!refund) return;
+
+      const order = await Order.findById(refund.order).session(session);
+      const refundable = await getRefundableAmounts(order, session);
+
+      await settleRefund(refund, order, refundable, session);
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return { error: { statusCode: error.statusCode, message: error.message } };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  if (!refund) {
+    return { error: { statusCode: 404, message: 'Refund request not found or already reviewed' } };
+  }
+
+  if (refund.status === REFUND_STATUS.PENDING) {
+    refund = await issueGatewayRefund(refund);
+  }
+
+  return { refund };
+};
+
+/**
+ * Reject a reported issue
+ * @param {String} refundId - Refund ID
+ * @param {String} adminId - Reviewing admin
+ * @param {String} reason - Why the request was rejected
+ * @returns {Promise<Object>} { refund } or { error } with status and message
+ */
+const rejectRefund = async (refundId, adminId, reason) => {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: REFUND_STATUS.REQUESTED },
+    { $set: { status: REFUND_STATUS.REJECTED, reviewedBy: adminId, reviewNotes: reason } },
+    { new: true }
+  );
+
+  if (!refund) {
+    return { error: { statusCode: 404, message: 'Refund request not found or already reviewed' } };
+  }
+
+  return { refund };
+};
+
+/**
+ * Try a failed gateway refund again from the first attempt
+ * @param {String} refundId - Refund ID
+ * @returns {Promise<Object>} { refund } or { error } with status and message
+ */
+const retryFailedRefund = async (refundId) => {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: REFUND_STATUS.FAILED },
+    { $set: { status: REFUND_STATUS.PENDING, 'gatewayDetails.attempts': 0, 'gatewayDetails.lockedUntil': null } },
+    { new: true }
+  );
+
+  if (!refund) {
+    return { error: { statusCode: 404, message: 'Failed refund not found' } };
+  }
+
+  return { refund: await issueGatewayRefund(refund) };
+};
+
+/**
+ * Retry the gateway share of refunds whose earlier attempts failed
+ * @returns {Promise<Object>} { completed, failed } counts
+ */
+const retryPendingRefunds = async () => {
+  const stats = { completed: 0, failed: 0 };
+  const now = new Date();
+
+  const pending = await Refund.find({
+    status: REFUND_STATUS.PENDING,
+    $or: [{ 'gatewayDetails.lockedUntil': null }, { 'gatewayDetails.lockedUntil': { $lte: now } }]
+  }).sort({ createdAt: 1 });
+
+  for (const refund of pending) {
+    const result = await issueGatewayRefund(refund);
+
+    if (result && result.status === REFUND_STATUS.COMPLETED) {
+      stats.completed += 1;
+    } else if (result && result.status === REFUND_STATUS.FAILED) {
+      stats.failed += 1;
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  ISSUE_REPORT_WINDOW_HOURS,
+  getRefundableAmounts,
+  settleRefund,
+  issueGatewayRefund,
+  closeOrder,
+  reportOrderIssue,
+  approveRefund,
+  rejectRefund,
+  retryFailedRefund,
+  retryPendingRefunds
+};
@@ -0,0 +1,355 @@
+const mongoose = require('mongoose');
+const Address = require('../models/Address');
+const Product = require('../models/Product');
+const { User, USER_STATUS } = require('../models/User');
+const { Order, ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHOD, DELIVERY_TYPES } = require('../models/Order');
+const { Subscription, SUBSCRIPTION_STATUS, SUBSCRIPTION_FREQUENCIES } = require('../models/Subscription');
+const { TRANSACTION_CATEGORIES } = require('../models/Wallet');
+const { getPricingSettings, getDeliveryDistance, calculateOrderCharges, getPricingTerms } = require('./pricingUtils');
+const { orderError, reserveStock } = require('./orderUtils');
+const { debitWallet } = require('./walletUtils');
+const { startOfDay, atSlotTime, findSlotForWindow, reserveDeliverySlot } = require('./deliverySlotUtils');
+
+// Orders are generated this long before their delivery slot starts; schedule
+// changes (skip, pause, vacation) for a slot must be made before then
+const SUBSCRIPTION_ORDER_LEAD_HOURS = 12;
+
+// How far ahead to look for the next delivery day (covers long vacations)
+const MAX_SCHEDULE_LOOKAHEAD_DAYS = 400;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the cutoff after which a delivery slot can no longer be changed
+ * @returns {Date} Slots starting before this are locked
+ */
+const getScheduleChangeCutoff = () => new Date(Date.now() + SUBSCRIPTION_ORDER_LEAD_HOURS * 60 * 60 * 1000);
+
+/**
+ * Validate the schedule fields of a subscription
+ * @param {Object} schedule - { frequency, daysOfWeek, deliverySlot }
+ * @returns {String|null} Error message or null if valid
+ */
+const validateSchedule = ({ frequency, daysOfWeek = [], deliverySlot }) => {
+  if (!Object.values(SUBSCRIPTION_FREQUENCIES).includes(frequency)) {
+    return `Frequency must be one of: ${Object.values(SUBSCRIPTION_FREQUENCIES).join(', ')}`;
+  }
+
+  const days = [...new Set(daysOfWeek.map(Number))];
+
+  if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return 'Days of the week must be numbers from 0 (Sunday) to 6 (Saturday)';
+  }
+
+  if (frequency === SUBSCRIPTION_FREQUENCIES.WEEKDAYS && days.length === 0) {
+    return 'Pick at least one day of the week';
+  }
+
+  if (frequency === SUBSCRIPTION_FREQUENCIES.WEEKLY && days.length !== 1) {
+    return 'Weekly subscriptions need exactly one day of the week';
+  }
+
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (!deliverySlot || !timePattern.test(deliverySlot.start) || !timePattern.test(deliverySlot.end)) {
+    return 'Delivery slot start and end are required as HH:mm';
+  }
+
+  if (deliverySlot.start >= deliverySlot.end) {
+    return 'Delivery slot must end after it starts';
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a subscription delivers on a day
+ * @param {Object} subscription - Subscription document
+ * @param {Date} day - Start of the day
+ * @returns {Boolean} True if an order should be generated for the day
+ */
+const isDeliveryDay = (subscription, day) => {
+  if (subscription.frequency !== SUBSCRIPTION_FREQUENCIES.DAILY &&
+      !subscription.daysOfWeek.includes(day.getDay())) {
+    return false;
+  }
+
+  if (subscription.skipDates.some(skipDate => startOfDay(skipDate).getTime() === day.getTime())) {
+    return false;
+  }
+
+  const { vacation } = subscription;
+  if (vacation && vacation.startDate && vacation.endDate &&
+      day >= startOfDay(vacation.startDate) && day <= startOfDay(vacation.endDate)) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Find the next delivery slot of a subscription
+ * @param {Object} subscription - Subscription document
+ * @param {Date} after - Only slots starting after this time count
+ * @returns {Date|null} Start of the next slot, or null when the subscription has no more deliveries
+ */
+const getNextDeliveryDate = (subscription, after = new Date()) => {
+  const from = new Date(Math.max(after.getTime(), new Date(subscription.startDate).getTime() - 1));
+  let day = startOfDay(from);
+
+  for (let i = 0; i < MAX_SCHEDULE_LOOKAHEAD_DAYS; i += 1) {
+    const slotStart = atSlotTime(day, subscription.deliverySlot.start);
+
+    if (subscription.endDate && day > startOfDay(subscription.endDate)) {
+      return null;
+    }
+
+    if (slotStart > from && isDeliveryDay(subscription, day)) {
+      return slotStart;
+    }
+
+    // Step by calendar day; going 1.5 days ahead stays correct across daylight saving changes
+    day = startOfDay(new Date(day.getTime() + DAY_MS * 1.5));
+  }
+
+  return null;
+};
+
+/**
+ * Recalculate when a subscription delivers next after its schedule changed
+ * Slots inside the order lead time are left alone because their order may already exist.
+ * @param {Object} subscription - Subscription document (not saved)
+ */
+const refreshNextDeliveryDate = (subscription) => {
+  if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+    subscription.nextDeliveryDate = null;
+    return;
+  }
+
+  // Never go back to a slot that has already been generated
+  const lastGenerated = subscription.lastDeliveryDate ? subscription.lastDeliveryDate.getTime() : 0;
+  const after = new Date(Math.max(Date.now(), lastGenerated));
+
+  subscription.nextDeliveryDate = getNextDeliveryDate(subscription, after);
+
+  if (!subscription.nextDeliveryDate) {
+    subscription.status = SUBSCRIPTION_STATUS.ENDED;
+  }
+};
+
+/**
+ * Generate and pay for the order of one subscription delivery
+ * Out-of-stock products are left out; the order fails when none are available
+ * or the wallet cannot cover the total. The order takes a place in the vendor's
+ * delivery slot covering the subscription's window, and fails when it is full;
+ * a window no slot covers is delivered outside slot capacity.
+ * @param {Object} subscription - Subscription document
+ * @param {Date} deliveryDate - Start of the delivery slot
+ * @returns {Promise<Object>} { order, unavailable } or { error } with message
+ */
+const generateSubscriptionOrder = async (subscription, deliveryDate) => {
+  const [address, vendor, products] = await Promise.all([
+    Address.findById(subscription.address),
+    User.findById(subscription.vendor).select('status location'),
+    Product.find({
+      _id: { $in: subscription.items.map(item => item.product) },
+      vendor: subscription.vendor
+    })
+  ]);
+
+  if (!address) {
+    return { error: { statusCode: 400, message: 'The delivery address no longer exists' } };
+  }
+
+  if (!vendor || vendor.status !== USER_STATUS.ACTIVE) {
+    return { error: { statusCode: 400, message: 'The store is not accepting orders' } };
+  }
+
+  const items = [];
+  const unavailable = [];
+
+  subscription.items.forEach(subscriptionItem => {
+    const product = products.find(candidate => candidate._id.toString() === subscriptionItem.product.toString());
+
+    if (!product || !product.inStock || product.quantity < subscriptionItem.quantity) {
+      unavailable.push(product ? product.name : subscriptionItem.product.toString());
+      return;
+    }
+
+    items.push({
+      product: product._id,
+      quantity: subscriptionItem.quantity,
+      price: product.discountPrice > 0 ? product.discountPrice : product.price,
+      name: product.name,
+      unit: product.unit
+    });
+  });
+
+  if (items.length === 0) {
+    return { error: { statusCode: 409, message: 'None of the subscribed products are in stock' } };
+  }
+
+  const [settings, slotBooking] = await Promise.all([
+    getPricingSettings(),
+    findSlotForWindow(subscription.vendor, deliveryDate, subscription.deliverySlot)
+  ]);
+  const charges = calculateOrderCharges({
+    subtotal: items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+    distance: getDeliveryDistance(vendor, address),
+    settings
+  });
+
+  const slotEnd = atSlotTime(deliveryDate, subscription.deliverySlot.end);
+
+  const order = new Order({
+    customer: subscription.customer,
+    vendor: subscription.vendor,
+    subscription: subscription._id,
+    items,
+    deliveryAddress: {
+      addressLine1: address.addressLine1,
+      addressLine2: address.addressLine2 || '',
+      city: address.city,
+      state: address.state,
+      pincode: address.pincode,
+      location: address.location
+    },
+    ...charges,
+    pricingTerms: getPricingTerms(settings),
+    paymentMethod: PAYMENT_METHOD.WALLET,
+    walletAmount: charges.total,
+    paymentStatus: PAYMENT_STATUS.PAID,
+    paymentDetails: { paymentGateway: PAYMENT_METHOD.WALLET, paymentTime: new Date() },
+    deliveryType: DELIVERY_TYPES.SCHEDULED,
+    deliverySlot: { slot: slotBooking ? slotBooking.slot._id : undefined, start: deliveryDate, end: slotEnd },
+    estimatedDeliveryTime: slotEnd,
+    status: ORDER_STATUS.PENDING,
+    acceptance: { pendingAt: new Date() },
+    statusHistory: [{
+      status: ORDER_STATUS.PENDING,
+      timestamp: new Date(),
+      updatedBy: subscription.customer,
+      notes: 'Generated from subscription'
+    }]
+  });
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      await reserveStock(order.items, session);
+
+      if (slotBooking && !(await reserveDeliverySlot(slotBooking, session))) {
+        throw orderError(409, 'The delivery slot is full');
+      }
+
+      const paid = await debitWallet(subscription.customer, order.total, {
+        category: TRANSACTION_CATEGORIES.ORDER_PAYMENT,
+        orderId: order._id,
+        description: 'Subscription order payment'
+      }, session);
+
+      if (!paid) {
+        throw orderError(402, 'Insufficient wallet balance');
+      }
+
+      await order.save({ session });
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return { error: { statusCode: error.statusCode, message: error.message } };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  return { order, unavailable };
+};
+
+/**
+ * Generate orders for every subscription delivery coming up within the lead time
+ * Each subscription is claimed by moving its nextDeliveryDate on before the order
+ * is generated, so overlapping runs never create the same delivery twice; a
+ * delivery that fails is skipped, and the customer is told by the caller.
+ * @returns {Promise<Object>} { created, failed, orders, failures, leftOut } - counts; the orders
+ *   created, for their vendors to be told; the deliveries that failed [{ subscription, deliveryDate, reason }]
+ *   and the orders placed without some items [{ order, items }], for their customers to be told
+ */
+const processDueSubscriptions = async () => {
+  const stats = { created: 0, failed: 0, orders: [], failures: [], leftOut: [] };
+  const now = new Date();
+
+  const due = await Subscription.find({
+    status: SUBSCRIPTION_STATUS.ACTIVE,
+    nextDeliveryDate: { $ne: null, $lte: getScheduleChangeCutoff() }
+  });
+
+  for (const subscription of due) {
+    const deliveryDate = subscription.nextDeliveryDate;
+    const nextDeliveryDate = getNextDeliveryDate(subscription, deliveryDate);
+
+    const claimed = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: SUBSCRIPTION_STATUS.ACTIVE, nextDeliveryDate: deliveryDate },
+      {
+        $set: {
+          nextDeliveryDate,
+          lastDeliveryDate: deliveryDate,
+          lastRunAt: now,
+          ...(nextDeliveryDate ? {} : { status: SUBSCRIPTION_STATUS.ENDED })
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) continue;
+
+    let result;
+
+    if (atSlotTime(deliveryDate, subscription.deliverySlot.end) <= now) {
+      // The server was down through the whole slot
+      result = { error: { message: 'The delivery slot passed before the order could be placed' } };
+    } else {
+      try {
+        result = await generateSubscriptionOrder(claimed, deliveryDate);
+      } catch (error) {
+        console.error(`Subscription ${subscription._id}: order generation failed`, error);
+        result = { error: { message: 'The order could not be placed' } };
+      }
+    }
+
+    if (result.error) {
+      stats.failed += 1;
+      stats.failures.push({ subscription: claimed, deliveryDate, reason: result.error.message });
+      await Subscription.updateOne({ _id: subscription._id }, { $set: { lastFailureReason: result.error.message } });
+    } else {
+      stats.created += 1;
+      stats.orders.push(result.order);
+      if (result.unavailable.length > 0) {
+        stats.leftOut.push({ order: result.order, items: result.unavailable });
+      }
+      await Subscription.updateOne(
+        { _id: subscription._id },
+        {
+          $set: {
+            lastOrder: result.order._id,
+            lastFailureReason: result.unavailable.length > 0
+              ? `Out of stock and left out: ${result.unavailable.join(', ')}`
+              : null
+          }
+        }
+      );
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  SUBSCRIPTION_ORDER_LEAD_HOURS,
+  getScheduleChangeCutoff,
+  validateSchedule,
+  getNextDeliveryDate,
+  refreshNextDeliveryDate,
+  generateSubscriptionOrder,
+  processDueSubscriptions
+};
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { Wallet, TRANSACTION_TYPES } = require('../models/Wallet');
+
+/**
+ * Get a user's wallet, creating an empty one if needed
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} Wallet document
+ */
+const getOrCreateWallet = (userId) => {
+  return Wallet.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { balance: 0, transactions: [] } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Take money out of a user's wallet
+ * The balance check and the debit are one update, so the balance never goes negative.
+ * @param {String} userId - User ID
+ * @param {Number} amount - Amount to debit
+ * @param {Object} details - Transaction details: category, orderId, reference, description, metadata
+ * @param {Object} session - Optional mongoose session
+ * @returns {Promise<Boolean>} True if debited, false if the wallet is missing, inactive or short of funds
+ */
+const debitWallet = async (userId, amount, details, session) => {
+  const result = await Wallet.updateOne(
+    { user: userId, isActive: true, balance: { $gte: amount } },
+    {
+      $inc: { balance: -amount },
+      $push: { transactions: { ...details, amount, type: TRANSACTION_TYPES.DEBIT } }
+    },
+    { session }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Put money into a user's wallet, creating the wallet if needed
+ * @param {String} userId - User ID
+ * @param {Number} amount - Amount to credit
+ * @param {Object} details - Transaction details: category, orderId, reference, description, metadata
+ * @param {Object} session - Optional mongoose session
+ * @returns {Promise<Object>} Updated wallet
+ */
+const creditWallet = (userId, amount, details, session) => {
+  return Wallet.findOneAndUpdate(
+    { user: userId },
+    {
+      $inc: { balance: amount },
+      $push: { transactions: { ...details, amount, type: TRANSACTION_TYPES.CREDIT } }
+    },
+    { upsert: true, new: true, session }
+  );
+};
+
+/**
+ * Get a page of a user's wallet transactions, newest first
+ * @param {String} userId - User ID
+ * @param {Object} options
+ * @param {Number} options.page - Page number, from 1
+ * @param {Number} options.limit - Transactions per page
+ * @param {String} options.type - Only credits or only debits
+ * @param {String} options.category - Only this category
+ * @returns {Promise<Object>} { transactions, total }
+ */
+const getWalletTransactions = async (userId, { page = 1, limit = 20, type, category } = {}) => {
+  const match = {};
+  if (type) {
+    match['transactions.type'] = type;
+  }
+  if (category) {
+    match['transactions.category'] = category;
+  }
+
+  const [result] = await Wallet.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $unwind: '$transactions' },
+    { $match: match },
+    { $sort: { 'transactions.createdAt': -1 } },
+    { $facet: {
+        transactions: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $replaceRoot: { newRoot: '$transactions' } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    transactions: result ? result.transactions : [],
+    total: result && result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+module.exports = {
+  getOrCreateWallet,
+  debitWallet,
+  creditWallet,
+  getWalletTransactions
+};
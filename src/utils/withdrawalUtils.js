@@ -0,0 +1,404 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { User } = require('../models/User');
+const { Withdrawal, WITHDRAWAL_STATUS, WITHDRAWAL_METHODS } = require('../models/Withdrawal');
+const { LEDGER_ENTRY_TYPES } = require('../models/LedgerEntry');
+const { getPricingSettings } = require('./pricingUtils');
+const { roundCurrency } = require('./promotionUtils');
+const { orderError } = require('./orderUtils');
+const { postWithdrawalEntries, getLedgerBalance } = require('./ledgerUtils');
+
+// Withdrawals whose amount is still held in the ledger
+const OPEN_WITHDRAWAL_STATUSES = [
+  WITHDRAWAL_STATUS.REQUESTED,
+  WITHDRAWAL_STATUS.APPROVED,
+  WITHDRAWAL_STATUS.PROCESSING
+];
+
+// Withdrawals an admin can still mark as paid or failed
+const PAYABLE_WITHDRAWAL_STATUSES = [
+  WITHDRAWAL_STATUS.APPROVED,
+  WITHDRAWAL_STATUS.PROCESSING
+];
+
+// Columns of the NEFT bulk upload file
+const NEFT_BATCH_COLUMNS = [
+  'Transaction Type',
+  'Beneficiary Account Number',
+  'Beneficiary Name',
+  'IFSC Code',
+  'Amount',
+  'Value Date',
+  'Customer Reference Number',
+  'Remarks'
+];
+
+/**
+ * Take the payout details for a withdrawal from the user's profile
+ * @param {Object} user - Vendor or delivery agent
+ * @param {String} method - Withdrawal method
+ * @returns {Object|null} Payee details, or null when the profile is missing them
+ */
+const getPayee = (user, method) => {
+  if (method === WITHDRAWAL_METHODS.UPI) {
+    const upiId = user.upiDetails && user.upiDetails.upiId;
+    return upiId ? { upiId } : null;
+  }
+
+  const { accountNumber, ifscCode, accountHolderName } = user.bankDetails || {};
+
+  if (!accountNumber || !ifscCode || !accountHolderName) {
+    return null;
+  }
+
+  return { accountNumber, ifscCode, accountHolderName };
+};
+
+/**
+ * Get how much a vendor or delivery agent can withdraw and when they can next ask
+ * @param {String} userId - Vendor or delivery agent user ID
+ * @returns {Promise<Object>} { availableBalance, heldAmount, minWithdrawalAmount, nextRequestAt }
+ */
+const getWithdrawalSummary = async (userId) => {
+  const [balance, held, user, settings] = await Promise.all([
+    getLedgerBalance(userId),
+    Withdrawal.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId), status: { $in: OPEN_WITHDRAWAL_STATUSES } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]),
+    User.findById(userId).select('lastWithdrawalRequestAt'),
+    getPricingSettings()
+  ]);
+
+  const lastRequestAt = user && user.lastWithdrawalRequestAt;
+  const nextRequestAt = lastRequestAt
+    ? new Date(lastRequestAt.getTime() + settings.withdrawalCooldownHours * 60 * 60 * 1000)
+    : null;
+
+  return {
+    availableBalance: Math.max(0, balance),
+    heldAmount: roundCurrency(held.length > 0 ? held[0].total : 0),
+    minWithdrawalAmount: settings.minWithdrawalAmount,
+    nextRequestAt: nextRequestAt && nextRequestAt > new Date() ? nextRequestAt : null
+  };
+};
+
+/**
+ * Request a withdrawal of a vendor's or delivery agent's balance
+ * The amount is held in the ledger straight away so it cannot be withdrawn twice.
+ * @param {String} userId - Vendor or delivery agent user ID
+ * @param {Object} request - { amount, method }
+ * @returns {Promise<Object>} { withdrawal } or { error } with status and message
+ */
+const requestWithdrawal = async (userId, { amount, method = WITHDRAWAL_METHODS.BANK_TRANSFER }) => {
+  const requested = roundCurrency(Number(amount));
+
+  if (!Number.isFinite(requested) || requested <= 0) {
+    return { error: { statusCode: 400, message: 'A positive withdrawal amount is required' } };
+  }
+
+  if (!Object.values(WITHDRAWAL_METHODS).includes(method)) {
+    return { error: { statusCode: 400, message: `Method must be one of: ${Object.values(WITHDRAWAL_METHODS).join(', ')}` } };
+  }
+
+  const settings = await getPricingSettings();
+
+  if (requested < settings.minWithdrawalAmount) {
+    return { error: { statusCode: 400, message: `The minimum withdrawal is ${settings.minWithdrawalAmount}` } };
+  }
+
+  const user = await User.findById(userId).select('role bankDetails upiDetails');
+  const payee = getPayee(user, method);
+
+  if (!payee) {
+    return {
+      error: {
+        statusCode: 400,
+        message: method === WITHDRAWAL_METHODS.UPI
+          ? 'Add a UPI ID to your profile before withdrawing by UPI'
+          : 'Add your bank account number, IFSC code and account holder name before withdrawing'
+      }
+    };
+  }
+
+  let withdrawal = null;
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const now = new Date();
+      const cutoff = new Date(now.getTime() - settings.withdrawalCooldownHours * 60 * 60 * 1000);
+
+      // Claim the cooldown first; this also keeps two requests from spending the same balance
+      const claimed = await User.findOneAndUpdate(
+        {
+          _id: userId,
+          $or: [{ lastWithdrawalRequestAt: null }, { lastWithdrawalRequestAt: { $lte: cutoff } }]
+        },
+        { $set: { lastWithdrawalRequestAt: now } },
+        { session }
+      );
+
+      if (!claimed) {
+        throw orderError(429, `Only one withdrawal can be requested every ${settings.withdrawalCooldownHours} hours`);
+      }
+
+      const balance = await getLedgerBalance(userId, session);
+
+      if (requested > balance) {
+        throw orderError(400, `Insufficient balance. Available: ${Math.max(0, balance)}`);
+      }
+
+      [withdrawal] = await Withdrawal.create([{
+        user: userId,
+        role: user.role,
+        amount: requested,
+        method,
+        payee
+      }], { session });
+
+      await postWithdrawalEntries(withdrawal, LEDGER_ENTRY_TYPES.WITHDRAWAL_HOLD, session);
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return { error: { statusCode: error.statusCode, message: error.message } };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  return { withdrawal };
+};
+
+/**
+ * Move a withdrawal to a new status, posting its ledger lines in the same transaction
+ * @param {Object} filter - Withdrawal query, including the statuses it may move from
+ * @param {Object} update - Fields to set
+ * @param {String} entryType - Ledger entry type to post, if any
+ * @returns {Promise<Object|null>} Updated withdrawal, or null when none matched
+ */
+const transitionWithdrawal = async (filter, update, entryType) => {
+  let withdrawal = null;
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      withdrawal = await Withdrawal.findOneAndUpdate(filter, { $set: update }, { new: true, session });
+
+      if (withdrawal && entryType) {
+        await postWithdrawalEntries(withdrawal, entryType, session);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return withdrawal;
+};
+
+/**
+ * Approve a requested withdrawal for payout
+ * @param {String} withdrawalId - Withdrawal ID
+ * @param {String} adminId - Reviewing admin
+ * @param {String} notes - Optional review notes
+ * @returns {Promise<Object>} { withdrawal } or { error } with status and message
+ */
+const approveWithdrawal = async (withdrawalId, adminId, notes) => {
+  const withdrawal = await Withdrawal.findOneAndUpdate(
+    { _id: withdrawalId, status: WITHDRAWAL_STATUS.REQUESTED },
+    { $set: { status: WITHDRAWAL_STATUS.APPROVED, reviewedBy: adminId, reviewNotes: notes } },
+    { new: true }
+  );
+
+  if (!withdrawal) {
+    return { error: { statusCode: 404, message: 'Withdrawal request not found or already reviewed' } };
+  }
+
+  return { withdrawal };
+};
+
+/**
+ * Reject a withdrawal that has not been paid out and release its amount
+ * @param {String} withdrawalId - Withdrawal ID
+ * @param {String} adminId - Reviewing admin
+ * @param {String} reason - Why the withdrawal was rejected
+ * @returns {Promise<Object>} { withdrawal } or { error } with status and message
+ */
+const rejectWithdrawal = async (withdrawalId, adminId, reason) => {
+  const withdrawal = await transitionWithdrawal(
+    { _id: withdrawalId, status: { $in: [WITHDRAWAL_STATUS.REQUESTED, WITHDRAWAL_STATUS.APPROVED] } },
+    { status: WITHDRAWAL_STATUS.REJECTED, reviewedBy: adminId, reviewNotes: reason },
+    LEDGER_ENTRY_TYPES.WITHDRAWAL_RELEASE
+  );
+
+  if (!withdrawal) {
+    return { error: { statusCode: 404, message: 'Withdrawal not found or can no longer be rejected' } };
+  }
+
+  return { withdrawal };
+};
+
+/**
+ * Cancel one of the user's own withdrawals before it is reviewed
+ * @param {String} withdrawalId - Withdrawal ID
+ * @param {String} userId - Vendor or delivery agent user ID
+ * @returns {Promise<Object>} { withdrawal } or { error } with status and message
+ */
+const cancelWithdrawal = async (withdrawalId, userId) => {
+  const withdrawal = await transitionWithdrawal(
+    { _id: withdrawalId, user: userId, status: WITHDRAWAL_STATUS.REQUESTED },
+    { status: WITHDRAWAL_STATUS.CANCELLED },
+    LEDGER_ENTRY_TYPES.WITHDRAWAL_RELEASE
+  );
+
+  if (!withdrawal) {
+    return { error: { statusCode: 404, message: 'Withdrawal not found or already reviewed' } };
+  }
+
+  return { withdrawal };
+};
+
+/**
+ * Record that an approved withdrawal reached the user's account
+ * @param {String} withdrawalId - Withdrawal ID
+ * @param {String} transferReference - Bank UTR or UPI reference of the transfer
+ * @returns {Promise<Object>} { withdrawal } or { error } with status and message
+ */
+const markWithdrawalPaid = async (withdrawalId, transferReference) => {
+  if (!transferReference) {
+    return { error: { statusCode: 400, message: 'Transfer reference is required' } };
+  }
+
+  const withdrawal = await transitionWithdrawal(
+    { _id: withdrawalId, status: { $in: PAYABLE_WITHDRAWAL_STATUSES } },
+    { status: WITHDRAWAL_STATUS.PAID, transferReference, paidAt: new Date() },
+    LEDGER_ENTRY_TYPES.WITHDRAWAL_PAYOUT
+  );
+
+  if (!withdrawal) {
+    return { error: { statusCode: 404, message: 'Approved withdrawal not found' } };
+  }
+
+  return { withdrawal };
+};
+
+/**
+ * Record that the transfer of an approved withdrawal failed and release its amount
+ * @param {String} withdrawalId - Withdrawal ID
+ * @param {String} reason - Why the transfer failed
+ * @returns {Promise<Object>} { withdrawal } or { error } with status and message
+ */
+const markWithdrawalFailed = async (withdrawalId, reason) => {
+  if (!reason) {
+    return { error: { statusCode: 400, message: 'Failure reason is required' } };
+  }
+
+  const withdrawal = await transitionWithdrawal(
+    { _id: withdrawalId, status: { $in: PAYABLE_WITHDRAWAL_STATUSES } },
+    { status: WITHDRAWAL_STATUS.FAILED, failureReason: reason },
+    LEDGER_ENTRY_TYPES.WITHDRAWAL_RELEASE
+  );
+
+  if (!withdrawal) {
+    return { error: { statusCode: 404, message: 'Approved withdrawal not found' } };
+  }
+
+  return { withdrawal };
+};
+
+/**
+ * Quote a value for a CSV file
+ * Values a spreadsheet would read as a formula, such as a payee name starting
+ * with '=', are prefixed with an apostrophe so they stay plain text.
+ * @param {*} value - Field value
+ * @returns {String} CSV field
+ */
+const toCsvField = (value) => {
+  const raw = value === undefined || value === null ? '' : String(value);
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a date as DD/MM/YYYY
+ * @param {Date} date - Date
+ * @returns {String} Formatted date
+ */
+const formatValueDate = (date) => {
+  const day = String(date.getDate()).padStart(2, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  return `${day}/${month}/${date.getFullYear()}`;
+};
+
+/**
+ * Build the NEFT bulk upload file of a payout batch
+ * @param {Array} withdrawals - Bank-transfer withdrawals of the batch
+ * @param {String} batchId - Payout batch ID
+ * @returns {String} CSV file contents
+ */
+const buildNeftBatchCsv = (withdrawals, batchId) => {
+  const rows = withdrawals.map(withdrawal => [
+    'NEFT',
+    withdrawal.payee.accountNumber,
+    withdrawal.payee.accountHolderName,
+    withdrawal.payee.ifscCode,
+    withdrawal.amount.toFixed(2),
+    formatValueDate(withdrawal.exportedAt || new Date()),
+    withdrawal._id,
+    `Payout ${batchId}`
+  ]);
+
+  return [NEFT_BATCH_COLUMNS, ...rows]
+    .map(row => row.map(toCsvField).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+/**
+ * Put every approved bank-transfer withdrawal into a new payout batch
+ * Batched withdrawals move to processing until they are marked paid or failed.
+ * @returns {Promise<Object>} { batchId, withdrawals, csv } or { error } with status and message
+ */
+const createPayoutBatch = async () => {
+  const now = new Date();
+  const date = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+  const batchId = `NEFT-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+  const result = await Withdrawal.updateMany(
+    { status: WITHDRAWAL_STATUS.APPROVED, method: WITHDRAWAL_METHODS.BANK_TRANSFER, batchId: null },
+    { $set: { status: WITHDRAWAL_STATUS.PROCESSING, batchId, exportedAt: now } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return { error: { statusCode: 404, message: 'No approved bank transfers to export' } };
+  }
+
+  return getPayoutBatch(batchId);
+};
+
+/**
+ * Get a payout batch and its NEFT file, e.g. to download it again
+ * @param {String} batchId - Payout batch ID
+ * @returns {Promise<Object>} { batchId, withdrawals, csv } or { error } with status and message
+ */
+const getPayoutBatch = async (batchId) => {
+  const withdrawals = await Withdrawal.find({ batchId }).sort({ createdAt: 1 });
+
+  if (withdrawals.length === 0) {
+    return { error: { statusCode: 404, message: 'Payout batch not found' } };
+  }
+
+  return { batchId, withdrawals, csv: buildNeftBatchCsv(withdrawals, batchId) };
+};
+
+module.exports = {
+  getWithdrawalSummary,
+  requestWithdrawal,
+  approveWithdrawal,
+  rejectWithdrawal,
+  cancelWithdrawal,
+  markWithdrawalPaid,
+  markWithdrawalFailed,
+  createPayoutBatch,
+  getPayoutBatch
+};
@@ -0,0 +1,54 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ContentVersion, VERSIONED_CONTENT_TYPES, VERSION_ACTIONS } = require('../src/models/ContentVersion');
+const { recordContentVersion } = require('../src/utils/contentVersioning');
+const { fakeQuery, objectId } = require('./helpers');
+
+describe('recordContentVersion', () => {
+  let versions;
+  let banner;
+
+  beforeEach(() => {
+    versions = [];
+    banner = { _id: objectId(), title: 'Summer sale' };
+
+    mock.method(ContentVersion, 'findOne', () => fakeQuery(
+      versions.length > 0 ? { version: Math.max(...versions.map(version => version.version)) } : null
+    ));
+    // Unique on the version of each banner, as the index is
+    mock.method(ContentVersion, 'create', async (fields) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (versions.some(version => version.version === fields.version)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      versions.push(fields);
+      return fields;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('numbers versions recorded at the same time one after the other', async () => {
+    const recorded = await Promise.all([
+      recordContentVersion(VERSIONED_CONTENT_TYPES.BANNER, banner, VERSION_ACTIONS.UPDATE, objectId()),
+      recordContentVersion(VERSIONED_CONTENT_TYPES.BANNER, banner, VERSION_ACTIONS.UPDATE, objectId())
+    ]);
+
+    assert.deepEqual(recorded.map(version => version.version).sort(), [1, 2]);
+    assert.equal(ContentVersion.create.mock.callCount(), 3);
+  });
+
+  it('gives up on errors other than a taken version', async () => {
+    ContentVersion.create.mock.mockImplementation(async () => {
+      throw new Error('Snapshot is required');
+    });
+
+    await assert.rejects(
+      recordContentVersion(VERSIONED_CONTENT_TYPES.BANNER, banner, VERSION_ACTIONS.UPDATE, objectId()),
+      /Snapshot is required/
+    );
+    assert.equal(ContentVersion.create.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,42 @@
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+
+/**
+ * Stand in for a query: awaitable, and chainable through the query methods the code uses
+ * @param {*} value - Result of the query
+ * @returns {Object} Fake query
+ */
+const fakeQuery = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+
+  ['session', 'select', 'lean', 'sort', 'populate', 'limit', 'skip'].forEach(method => {
+    query[method] = () => query;
+  });
+
+  return query;
+};
+
+/**
+ * Run transactions straight through, without a database
+ * Call in beforeEach; mock.restoreAll() undoes it.
+ */
+const mockTransactions = () => {
+  mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (fn) => fn(),
+    endSession: async () => {}
+  }));
+};
+
+/**
+ * Make a new ObjectId
+ * @returns {Object} ObjectId
+ */
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = {
+  fakeQuery,
+  mockTransactions,
+  objectId
+};
@@ -0,0 +1,133 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Order, PAYMENT_METHOD } = require('../src/models/Order');
+const { PROMOTION_FUNDERS } = require('../src/models/Promotion');
+const { USER_ROLES } = require('../src/models/User');
+const { LedgerEntry, LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES } = require('../src/models/LedgerEntry');
+const SystemSetting = require('../src/models/SystemSetting');
+const {
+  buildSettlementLines,
+  settleOrder,
+  postRefundAdjustment,
+  postWithdrawalEntries
+} = require('../src/utils/ledgerUtils');
+const { fakeQuery, objectId } = require('./helpers');
+
+const SETTINGS = { vendorCommissionPercentage: 12.5, deliveryAgentCommissionPercentage: 70 };
+
+/**
+ * Add up the amounts of ledger lines
+ * @param {Array} lines - Ledger lines
+ * @returns {Number} Sum, which is zero for a balanced journal
+ */
+const sum = (lines) => lines.reduce((total, line) => total + line.amount, 0);
+
+/**
+ * Make a delivered order with odd amounts, so rounding shows up
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Order document
+ */
+const makeOrder = (fields = {}) => new Order({
+  orderNumber: 'OLV1',
+  customer: objectId(),
+  vendor: objectId(),
+  items: [{ product: objectId(), quantity: 3, price: 33.33, name: 'Milk' }],
+  subtotal: 99.99,
+  discount: 10.01,
+  deliveryFee: 17.49,
+  serviceFee: 4.5,
+  tax: 8.1,
+  total: 120.07,
+  paymentMethod: PAYMENT_METHOD.WALLET,
+  ...fields
+});
+
+describe('buildSettlementLines', () => {
+  it('balances an order with a platform-funded discount', () => {
+    const order = makeOrder({ discountFundedBy: PROMOTION_FUNDERS.PLATFORM, deliveryAgent: objectId() });
+
+    const lines = buildSettlementLines(order, SETTINGS);
+
+    assert.ok(Math.abs(sum(lines)) < 0.005);
+    assert.equal(lines.find(line => line.account === LEDGER_ACCOUNTS.PROMOTIONS).amount, 10.01);
+  });
+
+  it('balances an order with a vendor-funded discount', () => {
+    const order = makeOrder({ discountFundedBy: PROMOTION_FUNDERS.VENDOR, deliveryAgent: objectId() });
+
+    const lines = buildSettlementLines(order, SETTINGS);
+
+    assert.ok(Math.abs(sum(lines)) < 0.005);
+    assert.equal(lines.some(line => line.account === LEDGER_ACCOUNTS.PROMOTIONS), false);
+  });
+
+  it('balances an order without a delivery agent, keeping the whole delivery fee', () => {
+    const order = makeOrder({ discount: 0, total: 130.08 });
+
+    const lines = buildSettlementLines(order, SETTINGS);
+
+    assert.ok(Math.abs(sum(lines)) < 0.005);
+    assert.equal(lines.some(line => line.account === LEDGER_ACCOUNTS.DELIVERY_AGENT), false);
+    assert.equal(lines.find(line => line.entryType === LEDGER_ENTRY_TYPES.DELIVERY_FEE).amount, -17.49);
+  });
+});
+
+describe('ledger postings', () => {
+  beforeEach(() => {
+    mock.method(LedgerEntry, 'insertMany', async (lines) => lines);
+    mock.method(SystemSetting, 'findOne', () => fakeQuery(SETTINGS));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('settles an order once, in one balanced journal', async () => {
+    const order = makeOrder({ deliveryAgent: objectId() });
+    let settledAt = null;
+    mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+      if (settledAt !== filter.settledAt) return null;
+      settledAt = update.$set.settledAt;
+      return order;
+    });
+
+    assert.equal(await settleOrder(order), true);
+    assert.equal(await settleOrder(order), false);
+
+    assert.equal(LedgerEntry.insertMany.mock.callCount(), 1);
+    const [lines] = LedgerEntry.insertMany.mock.calls[0].arguments;
+    assert.ok(Math.abs(sum(lines)) < 0.005);
+    assert.equal(new Set(lines.map(line => line.journal.toString())).size, 1);
+  });
+
+  it('balances the refund adjustment of a settled order', async () => {
+    const order = makeOrder({ settledAt: new Date() });
+    mock.method(LedgerEntry, 'findOne', () => fakeQuery({ rate: SETTINGS.vendorCommissionPercentage }));
+
+    await postRefundAdjustment(order, { amount: 33.33 });
+
+    const [lines] = LedgerEntry.insertMany.mock.calls[0].arguments;
+    assert.ok(Math.abs(sum(lines)) < 0.005);
+    assert.equal(lines.find(line => line.account === LEDGER_ACCOUNTS.VENDOR).amount, 29.16);
+  });
+
+  it('balances every step of a withdrawal', async () => {
+    const withdrawal = { _id: objectId(), user: objectId(), role: USER_ROLES.VENDOR, amount: 250.75 };
+    const steps = [
+      LEDGER_ENTRY_TYPES.WITHDRAWAL_HOLD,
+      LEDGER_ENTRY_TYPES.WITHDRAWAL_RELEASE,
+      LEDGER_ENTRY_TYPES.WITHDRAWAL_PAYOUT
+    ];
+
+    for (const step of steps) {
+      await postWithdrawalEntries(withdrawal, step);
+    }
+
+    LedgerEntry.insertMany.mock.calls.forEach(call => {
+      assert.equal(sum(call.arguments[0]), 0);
+    });
+    // A hold takes the amount off what the vendor is owed
+    const [hold] = LedgerEntry.insertMany.mock.calls[0].arguments;
+    assert.equal(hold.find(line => line.account === LEDGER_ACCOUNTS.VENDOR).amount, 250.75);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Order, ORDER_STATUS, PAYMENT_METHOD } = require('../src/models/Order');
+const { Promotion } = require('../src/models/Promotion');
+const { Refund } = require('../src/models/Refund');
+const SystemSetting = require('../src/models/SystemSetting');
+const Product = require('../src/models/Product');
+const { modifyPendingOrder } = require('../src/utils/orderModificationUtils');
+const { fakeQuery, mockTransactions, objectId } = require('./helpers');
+
+describe('modifyPendingOrder', () => {
+  let order;
+  let productId;
+
+  beforeEach(() => {
+    productId = objectId();
+    order = new Order({
+      orderNumber: 'OLV1',
+      customer: objectId(),
+      vendor: objectId(),
+      items: [{ product: productId, quantity: 2, price: 100, name: 'Milk', discount: 20 }],
+      subtotal: 200,
+      discount: 20,
+      deliveryFee: 10,
+      serviceFee: 9,
+      tax: 9,
+      total: 208,
+      promotion: objectId(),
+      pricingTerms: {
+        serviceFeePercentage: 5,
+        taxPercentage: 5,
+        promotion: { discountType: 'PERCENTAGE', discountValue: 10, minOrderValue: 0 }
+      },
+      paymentMethod: PAYMENT_METHOD.CASH_ON_DELIVERY,
+      status: ORDER_STATUS.PENDING
+    });
+
+    mockTransactions();
+    mock.method(Order, 'findOne', () => fakeQuery(order));
+    mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+      order.set(update.$set);
+      return order;
+    });
+    mock.method(Product, 'find', () => fakeQuery([{ _id: productId }]));
+    mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Refund, 'find', () => fakeQuery([]));
+    // Edited since the order was placed
+    mock.method(Promotion, 'findById', async () => ({ discountType: 'PERCENTAGE', discountValue: 50, minOrderValue: 0 }));
+    mock.method(SystemSetting, 'findOne', () => fakeQuery({ serviceFeePercentage: 20, taxPercentage: 18 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reprices a change on the terms the order was placed with', async () => {
+    const result = await modifyPendingOrder(order, {
+      items: [{ productId: productId.toString(), quantity: 1 }],
+      customerId: order.customer
+    });
+
+    assert.equal(result.error, undefined);
+    assert.equal(result.order.subtotal, 100);
+    assert.equal(result.order.discount, 10);
+    assert.equal(result.order.serviceFee, 4.5);
+    assert.equal(result.order.tax, 4.5);
+    assert.equal(result.order.total, 109);
+    assert.equal(Promotion.findById.mock.callCount(), 0);
+    assert.equal(SystemSetting.findOne.mock.callCount(), 0);
+  });
+
+  it('puts the quantity no longer ordered back in stock', async () => {
+    await modifyPendingOrder(order, {
+      items: [{ productId: productId.toString(), quantity: 1 }],
+      customerId: order.customer
+    });
+
+    assert.equal(Product.updateOne.mock.callCount(), 1);
+    assert.deepEqual(Product.updateOne.mock.calls[0].arguments[1], { $inc: { quantity: 1 } });
+  });
+});
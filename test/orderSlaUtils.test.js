@@ -0,0 +1,95 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Order, ORDER_STATUS, DELIVERY_TYPES } = require('../src/models/Order');
+const SystemSetting = require('../src/models/SystemSetting');
+const refundUtils = require('../src/utils/refundUtils');
+const { fakeQuery, objectId } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const NOW = new Date('2026-03-02T08:00:00Z');
+
+describe('getOverdueOrderFilter', () => {
+  const { getOverdueOrderFilter } = require('../src/utils/orderSlaUtils');
+  const cutoff = new Date(NOW.getTime() - 10 * MINUTE);
+
+  it('counts orders from when they started waiting, or were created', () => {
+    const filter = getOverdueOrderFilter(cutoff, 120);
+
+    assert.equal(filter.status, ORDER_STATUS.PENDING);
+    assert.equal(filter['acceptance.slaBreachedAt'], null);
+    assert.deepEqual(filter.$and[0].$or, [
+      { 'acceptance.pendingAt': { $lte: cutoff } },
+      { 'acceptance.pendingAt': null, createdAt: { $lte: cutoff } }
+    ]);
+  });
+
+  it('holds back scheduled orders until their slot is within the lead time', () => {
+    const filter = getOverdueOrderFilter(cutoff, 120);
+
+    // A subscription order generated 12 hours ahead has a slot far past this bound
+    assert.deepEqual(filter.$and[1].$or, [
+      { 'deliverySlot.start': null },
+      { 'deliverySlot.start': { $lte: new Date(cutoff.getTime() + 120 * MINUTE) } }
+    ]);
+  });
+});
+
+describe('enforceAcceptanceSla', () => {
+  let overdue;
+  let enforceAcceptanceSla;
+  let getOverdueOrderFilter;
+
+  beforeEach(() => {
+    overdue = [];
+
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    mock.method(SystemSetting, 'findOne', () => fakeQuery({
+      vendorAcceptanceSlaMinutes: 10,
+      scheduledOrderAcceptanceLeadMinutes: 120,
+      vendorSlaBreachAction: 'reject'
+    }));
+    mock.method(Order, 'find', () => fakeQuery(overdue));
+    mock.method(refundUtils, 'closeOrder', async (order) => ({ order, refund: null }));
+
+    // Picks up the mocked closeOrder
+    delete require.cache[require.resolve('../src/utils/orderSlaUtils')];
+    ({ enforceAcceptanceSla, getOverdueOrderFilter } = require('../src/utils/orderSlaUtils'));
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('looks for orders past the SLA with the lead time from the settings', async () => {
+    await enforceAcceptanceSla();
+
+    assert.deepEqual(
+      Order.find.mock.calls[0].arguments[0],
+      getOverdueOrderFilter(new Date(NOW.getTime() - 10 * MINUTE), 120)
+    );
+  });
+
+  it('rejects the overdue subscription orders it finds', async () => {
+    const order = new Order({
+      orderNumber: 'OLV1',
+      customer: objectId(),
+      vendor: objectId(),
+      subscription: objectId(),
+      items: [{ product: objectId(), quantity: 1, price: 100, name: 'Milk' }],
+      subtotal: 100,
+      total: 100,
+      status: ORDER_STATUS.PENDING,
+      deliveryType: DELIVERY_TYPES.SCHEDULED,
+      deliverySlot: { start: new Date(NOW.getTime() + 100 * MINUTE), end: new Date(NOW.getTime() + 160 * MINUTE) },
+      acceptance: { pendingAt: new Date(NOW.getTime() - 11 * 60 * MINUTE) }
+    });
+    overdue.push(order);
+
+    const result = await enforceAcceptanceSla();
+
+    assert.equal(result.rejected.length, 1);
+    assert.equal(refundUtils.closeOrder.mock.calls[0].arguments[0], order);
+    assert.equal(refundUtils.closeOrder.mock.calls[0].arguments[1].status, ORDER_STATUS.REJECTED);
+  });
+});
@@ -0,0 +1,184 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Address = require('../src/models/Address');
+const Cart = require('../src/models/Cart');
+const Checkout = require('../src/models/Checkout');
+const Product = require('../src/models/Product');
+const { Order, ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHOD } = require('../src/models/Order');
+const { Wallet } = require('../src/models/Wallet');
+const cartUtils = require('../src/utils/cartUtils');
+const pricingUtils = require('../src/utils/pricingUtils');
+const paymentUtils = require('../src/utils/paymentUtils');
+const { fakeQuery, mockTransactions, objectId } = require('./helpers');
+
+/**
+ * Make the quote of one store's order
+ * @param {Number} total - Order total
+ * @param {Object} product - Product ordered, once
+ * @returns {Object} Order quote
+ */
+const orderQuote = (total, product) => ({
+  vendor: objectId(),
+  items: [{ product: product._id, quantity: 1, price: total, name: product.name }],
+  subtotal: total,
+  deliveryFee: 0,
+  serviceFee: 0,
+  tax: 0,
+  discount: 0,
+  total
+});
+
+describe('placeOrders', () => {
+  let placeOrders;
+  let customerId;
+  let product;
+  let orderQuotes;
+  let wallet;
+  let checkouts;
+
+  beforeEach(() => {
+    customerId = objectId();
+    product = { _id: objectId(), name: 'Milk', inStock: true, quantity: 10 };
+    orderQuotes = [orderQuote(100, product)];
+    wallet = { balance: 150, debits: [] };
+    checkouts = [];
+
+    mockTransactions();
+    mock.method(Cart, 'find', () => fakeQuery([{ _id: objectId() }]));
+    mock.method(Cart, 'deleteMany', async () => ({}));
+    mock.method(cartUtils, 'revalidateCarts', async (carts) => ({ carts, changes: [] }));
+    mock.method(Address, 'findOne', async () => ({ addressLine1: 'a', city: 'c', state: 's', pincode: '1' }));
+    mock.method(pricingUtils, 'buildCheckoutQuote', async () => ({
+      quote: {
+        subtotal: orderQuotes.reduce((sum, quote) => sum + quote.total, 0),
+        deliveryFee: 0,
+        serviceFee: 0,
+        tax: 0,
+        discount: 0,
+        total: orderQuotes.reduce((sum, quote) => sum + quote.total, 0),
+        orders: orderQuotes
+      },
+      promotions: orderQuotes.map(() => null),
+      pricingTerms: orderQuotes.map(() => ({ serviceFeePercentage: 0, taxPercentage: 0 }))
+    }));
+    mock.method(paymentUtils, 'createCheckoutPayment', async (checkout) => {
+      checkout.paymentDetails = { gateway: 'fake', intentId: 'intent_1' };
+      return {};
+    });
+    mock.method(Product, 'updateOne', async (filter, update) => {
+      if (!product.inStock || product.quantity < filter.quantity.$gte) return { modifiedCount: 0 };
+      product.quantity += update.$inc.quantity;
+      return { modifiedCount: 1 };
+    });
+    // Debits only while the balance covers them, as the conditional update does
+    mock.method(Wallet, 'updateOne', async (filter, update) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (wallet.balance < filter.balance.$gte) return { modifiedCount: 0 };
+      wallet.balance += update.$inc.balance;
+      wallet.debits.push(update.$push.transactions);
+      return { modifiedCount: 1 };
+    });
+    mock.method(Checkout, 'findOne', async (filter) => (
+      checkouts.find(checkout => checkout.idempotencyKey === filter.idempotencyKey) || null
+    ));
+    mock.method(Checkout.prototype, 'save', async function() {
+      if (this.idempotencyKey && checkouts.some(checkout => checkout.idempotencyKey === this.idempotencyKey)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { customer: 1, idempotencyKey: 1 } });
+      }
+      checkouts.push(this);
+      return this;
+    });
+    mock.method(Order.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(Order, 'find', async (filter) => [{ checkout: filter.checkout }]);
+
+    // Picks up the mocked cart, pricing and payment helpers
+    delete require.cache[require.resolve('../src/utils/orderUtils')];
+    ({ placeOrders } = require('../src/utils/orderUtils'));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * Build the options of a checkout by the customer
+   * @param {Object} fields - Options to override
+   * @returns {Object} placeOrders options
+   */
+  const checkoutRequest = (fields = {}) => ({
+    customerId,
+    addressId: objectId(),
+    paymentMethod: PAYMENT_METHOD.WALLET,
+    ...fields
+  });
+
+  it('lets only one of two concurrent wallet checkouts spend the balance', async () => {
+    const results = await Promise.all([
+      placeOrders(checkoutRequest()),
+      placeOrders(checkoutRequest())
+    ]);
+
+    assert.equal(results.filter(result => result.created).length, 1);
+    assert.deepEqual(results.find(result => result.error).error, { statusCode: 402, message: 'Insufficient wallet balance' });
+    assert.equal(wallet.balance, 50);
+    assert.equal(wallet.debits.length, 1);
+  });
+
+  it('pays the rest of a split payment online and waits for the gateway', async () => {
+    orderQuotes = [orderQuote(60, product), orderQuote(40, product)];
+
+    const result = await placeOrders(checkoutRequest({ paymentMethod: PAYMENT_METHOD.ONLINE, walletAmount: 30 }));
+
+    assert.equal(result.checkout.paymentMethod, PAYMENT_METHOD.ONLINE);
+    assert.equal(result.checkout.walletAmount, 30);
+    assert.equal(result.checkout.paymentStatus, PAYMENT_STATUS.PENDING);
+    assert.equal(paymentUtils.createCheckoutPayment.mock.calls[0].arguments[0], result.checkout);
+    assert.deepEqual(result.orders.map(order => order.walletAmount), [18, 12]);
+    assert.deepEqual(result.orders.map(order => order.status), [ORDER_STATUS.PENDING_PAYMENT, ORDER_STATUS.PENDING_PAYMENT]);
+    assert.equal(wallet.balance, 120);
+  });
+
+  it('makes a full wallet payment out of a wallet amount covering the total', async () => {
+    const result = await placeOrders(checkoutRequest({ paymentMethod: PAYMENT_METHOD.ONLINE, walletAmount: 100 }));
+
+    assert.equal(result.checkout.paymentMethod, PAYMENT_METHOD.WALLET);
+    assert.equal(result.checkout.paymentStatus, PAYMENT_STATUS.PAID);
+    assert.equal(result.orders[0].status, ORDER_STATUS.PENDING);
+    assert.equal(paymentUtils.createCheckoutPayment.mock.callCount(), 0);
+  });
+
+  it('returns the first checkout for a repeated idempotency key', async () => {
+    const first = await placeOrders(checkoutRequest({ idempotencyKey: 'key_1' }));
+    const second = await placeOrders(checkoutRequest({ idempotencyKey: 'key_1' }));
+
+    assert.equal(first.created, true);
+    assert.equal(second.created, false);
+    assert.equal(second.checkout, first.checkout);
+    assert.equal(wallet.debits.length, 1);
+    assert.equal(product.quantity, 9);
+  });
+
+  it('returns the winning checkout when a request with the same key races it', async () => {
+    const results = await Promise.all([
+      placeOrders(checkoutRequest({ paymentMethod: PAYMENT_METHOD.CASH_ON_DELIVERY, idempotencyKey: 'key_1' })),
+      placeOrders(checkoutRequest({ paymentMethod: PAYMENT_METHOD.CASH_ON_DELIVERY, idempotencyKey: 'key_1' }))
+    ]);
+
+    assert.deepEqual(results.map(result => result.created).sort(), [false, true]);
+    assert.equal(results[0].checkout, results[1].checkout);
+    assert.equal(checkouts.length, 1);
+  });
+
+  it('places nothing when an item is out of stock', async () => {
+    product.quantity = 0;
+
+    const result = await placeOrders(checkoutRequest());
+
+    assert.deepEqual(result.error, { statusCode: 409, message: 'Milk is out of stock or has insufficient quantity' });
+    assert.equal(wallet.debits.length, 0);
+    assert.equal(checkouts.length, 0);
+    assert.equal(Order.prototype.save.mock.callCount(), 0);
+  });
+});
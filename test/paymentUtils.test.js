@@ -0,0 +1,180 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Checkout = require('../src/models/Checkout');
+const { Order, ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHOD } = require('../src/models/Order');
+const { WalletTopUp, TOP_UP_STATUS } = require('../src/models/WalletTopUp');
+const { Wallet } = require('../src/models/Wallet');
+const { Refund, REFUND_STATUS, REFUND_REASONS } = require('../src/models/Refund');
+const { PAYMENT_EVENTS } = require('../src/utils/paymentGateways');
+const { applyPaymentEvent } = require('../src/utils/paymentUtils');
+const { fakeQuery, mockTransactions, objectId } = require('./helpers');
+
+/**
+ * Keep refunds in memory, unique on the transaction of unapplied payments as the index is
+ * @returns {Array} Refunds created
+ */
+const mockRefunds = () => {
+  const refunds = [];
+
+  mock.method(Refund, 'create', async (fields) => {
+    const refund = new Refund(fields);
+    await refund.validate();
+
+    if (refunds.some(existing => existing.reason === REFUND_REASONS.UNAPPLIED_PAYMENT &&
+        existing.gatewayDetails.transactionId === refund.gatewayDetails.transactionId)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+
+    refunds.push(refund);
+    return refund;
+  });
+  mock.method(Refund, 'findOne', (filter) => fakeQuery(
+    refunds.find(refund => refund.gatewayDetails.transactionId === filter['gatewayDetails.transactionId']) || null
+  ));
+
+  return refunds;
+};
+
+describe('applyPaymentEvent for wallet top-ups', () => {
+  let topUp;
+  let refunds;
+
+  beforeEach(() => {
+    topUp = new WalletTopUp({
+      user: objectId(),
+      amount: 500,
+      paymentDetails: { gateway: 'fake', intentId: 'intent_1' }
+    });
+
+    mockTransactions();
+    refunds = mockRefunds();
+    mock.method(Checkout, 'findOne', async () => null);
+    mock.method(WalletTopUp, 'findOne', async () => topUp);
+    mock.method(WalletTopUp, 'updateOne', async (filter, update) => {
+      if (topUp.status !== filter.status) return { modifiedCount: 0 };
+      topUp.set(update.$set);
+      return { modifiedCount: 1 };
+    });
+    mock.method(WalletTopUp, 'findOneAndUpdate', async (filter, update) => {
+      if (topUp.status !== filter.status) return null;
+      topUp.set(update.$set);
+      return topUp;
+    });
+    mock.method(Wallet, 'findOneAndUpdate', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refunds a payment for the wrong amount instead of crediting it', async () => {
+    const event = { type: PAYMENT_EVENTS.SUCCEEDED, intentId: 'intent_1', transactionId: 'pay_1', amount: 450 };
+
+    const result = await applyPaymentEvent('fake', event);
+
+    assert.equal(result.status, 'amount_mismatch');
+    assert.equal(Wallet.findOneAndUpdate.mock.callCount(), 0);
+    assert.equal(topUp.status, TOP_UP_STATUS.FAILED);
+    assert.equal(topUp.paymentDetails.transactionId, 'pay_1');
+    assert.equal(result.refund.status, REFUND_STATUS.PENDING);
+    assert.equal(result.refund.reason, REFUND_REASONS.UNAPPLIED_PAYMENT);
+    assert.equal(result.refund.gatewayAmount, 450);
+    assert.equal(result.refund.walletTopUp, topUp._id);
+    assert.equal(result.refund.customer, topUp.user);
+  });
+
+  it('queues the refund once when the webhook is delivered again', async () => {
+    const event = { type: PAYMENT_EVENTS.SUCCEEDED, intentId: 'intent_1', transactionId: 'pay_1', amount: 450 };
+
+    const first = await applyPaymentEvent('fake', event);
+    const second = await applyPaymentEvent('fake', event);
+
+    assert.equal(refunds.length, 1);
+    assert.equal(second.refund, first.refund);
+  });
+
+  it('credits the wallet once for a payment delivered twice', async () => {
+    const event = { type: PAYMENT_EVENTS.SUCCEEDED, intentId: 'intent_1', transactionId: 'pay_2', amount: 500 };
+
+    const first = await applyPaymentEvent('fake', event);
+    const second = await applyPaymentEvent('fake', event);
+
+    assert.equal(first.status, 'credited');
+    assert.equal(second.status, 'already_credited');
+    assert.equal(Wallet.findOneAndUpdate.mock.callCount(), 1);
+    assert.equal(Wallet.findOneAndUpdate.mock.calls[0].arguments[1].$inc.balance, 500);
+  });
+});
+
+describe('applyPaymentEvent for checkouts', () => {
+  let checkout;
+  let order;
+  let refunds;
+
+  beforeEach(() => {
+    checkout = new Checkout({
+      customer: objectId(),
+      subtotal: 300,
+      total: 300,
+      walletAmount: 100,
+      paymentMethod: PAYMENT_METHOD.ONLINE,
+      paymentDetails: { gateway: 'fake', intentId: 'intent_1' }
+    });
+    order = new Order({
+      orderNumber: 'OLV1',
+      checkout: checkout._id,
+      customer: checkout.customer,
+      vendor: objectId(),
+      items: [{ product: objectId(), quantity: 1, price: 300, name: 'Milk' }],
+      subtotal: 300,
+      total: 300,
+      paymentMethod: PAYMENT_METHOD.ONLINE,
+      status: ORDER_STATUS.PENDING_PAYMENT
+    });
+
+    mockTransactions();
+    refunds = mockRefunds();
+    mock.method(Checkout, 'findOne', async () => checkout);
+    mock.method(Checkout, 'findOneAndUpdate', async (filter, update) => {
+      if (checkout.paymentStatus !== filter.paymentStatus) return null;
+      checkout.set(update.$set);
+      return checkout;
+    });
+    mock.method(Order, 'find', (filter) => fakeQuery(!filter.status || order.status === filter.status ? [order] : []));
+    mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+      order.set(update.$set);
+      return order;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refunds a payment for the wrong amount and leaves the orders waiting', async () => {
+    const event = { type: PAYMENT_EVENTS.SUCCEEDED, intentId: 'intent_1', transactionId: 'pay_1', amount: 300 };
+
+    const result = await applyPaymentEvent('fake', event);
+
+    assert.equal(result.status, 'amount_mismatch');
+    assert.equal(result.refund.checkout, checkout._id);
+    assert.equal(result.refund.gatewayAmount, 300);
+    assert.equal(checkout.paymentStatus, PAYMENT_STATUS.PENDING);
+    assert.equal(order.status, ORDER_STATUS.PENDING_PAYMENT);
+    assert.equal(refunds.length, 1);
+  });
+
+  it('confirms the orders once for a payment delivered twice', async () => {
+    const event = { type: PAYMENT_EVENTS.SUCCEEDED, intentId: 'intent_1', transactionId: 'pay_1', amount: 200 };
+
+    const first = await applyPaymentEvent('fake', event);
+    const second = await applyPaymentEvent('fake', event);
+
+    assert.equal(first.status, 'confirmed');
+    assert.equal(second.status, 'already_paid');
+    assert.equal(order.status, ORDER_STATUS.PENDING);
+    assert.equal(order.paymentStatus, PAYMENT_STATUS.PAID);
+    assert.equal(Order.findOneAndUpdate.mock.callCount(), 1);
+    assert.equal(refunds.length, 0);
+  });
+});
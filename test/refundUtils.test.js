@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Checkout = require('../src/models/Checkout');
+const { Order, ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHOD } = require('../src/models/Order');
+const { Refund } = require('../src/models/Refund');
+const { Promotion } = require('../src/models/Promotion');
+const PromotionRedemption = require('../src/models/PromotionRedemption');
+const Product = require('../src/models/Product');
+const { USER_ROLES } = require('../src/models/User');
+const { Wallet } = require('../src/models/Wallet');
+const { closeOrder } = require('../src/utils/refundUtils');
+const { checkCustomerEligibility } = require('../src/utils/promotionUtils');
+const { fakeQuery, mockTransactions, objectId } = require('./helpers');
+
+describe('closeOrder', () => {
+  let order;
+  let promotion;
+  let redemption;
+
+  beforeEach(() => {
+    promotion = { _id: objectId(), usageCount: 1, perCustomerLimit: 1 };
+    order = new Order({
+      orderNumber: 'OLV1',
+      customer: objectId(),
+      vendor: objectId(),
+      items: [{ product: objectId(), quantity: 1, price: 100, name: 'Milk' }],
+      deliveryAddress: { addressLine1: 'a', city: 'c', state: 's', pincode: '1', location: { coordinates: [0, 0] } },
+      subtotal: 100,
+      deliveryFee: 10,
+      tax: 5,
+      discount: 10,
+      total: 105,
+      promotion: promotion._id,
+      paymentMethod: PAYMENT_METHOD.CASH_ON_DELIVERY,
+      status: ORDER_STATUS.PENDING
+    });
+    redemption = { promotion: promotion._id, customer: order.customer, count: 1 };
+
+    mockTransactions();
+    mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+      if (filter.status !== order.status) return null;
+      order.set(update.$set);
+      order.statusHistory.push(update.$push.statusHistory);
+      return order;
+    });
+    mock.method(Order, 'findById', async () => order);
+    mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Refund, 'find', () => fakeQuery([]));
+    mock.method(Promotion, 'updateOne', async (filter) => {
+      if (promotion.usageCount > 0) promotion.usageCount -= 1;
+      return { modifiedCount: 1 };
+    });
+    mock.method(PromotionRedemption, 'updateOne', async (filter) => {
+      if (filter.customer.toString() === redemption.customer.toString() && redemption.count > 0) {
+        redemption.count -= 1;
+      }
+      return { modifiedCount: 1 };
+    });
+    mock.method(PromotionRedemption, 'findOne', () => fakeQuery(redemption));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lets the customer use the promotion again after cancelling', async () => {
+    assert.equal(
+      await checkCustomerEligibility(promotion, order.customer),
+      'You have already used this promotion the maximum number of times'
+    );
+
+    const result = await closeOrder(order, {
+      status: ORDER_STATUS.CANCELLED,
+      actor: USER_ROLES.CUSTOMER,
+      updatedBy: order.customer,
+      notes: 'Changed my mind'
+    });
+
+    assert.equal(result.error, undefined);
+    assert.equal(result.order.status, ORDER_STATUS.CANCELLED);
+    assert.equal(promotion.usageCount, 0);
+    assert.equal(await checkCustomerEligibility(promotion, order.customer), null);
+  });
+
+  it('gives the promotion back only once when the order is already closed', async () => {
+    const options = { status: ORDER_STATUS.REJECTED, actor: USER_ROLES.VENDOR, notes: 'Closed' };
+
+    await closeOrder(order, options);
+    const second = await closeOrder(new Order({ ...order.toObject(), status: ORDER_STATUS.PENDING }), options);
+
+    assert.equal(second.error.statusCode, 409);
+    assert.equal(Promotion.updateOne.mock.callCount(), 1);
+  });
+
+  describe('of an order waiting for its online payment', () => {
+    let checkout;
+
+    beforeEach(() => {
+      checkout = { _id: objectId(), customer: order.customer, walletAmount: 40, paymentStatus: PAYMENT_STATUS.PENDING };
+      order.set({ checkout: checkout._id, paymentMethod: PAYMENT_METHOD.ONLINE, walletAmount: 40, status: ORDER_STATUS.PENDING_PAYMENT });
+
+      mock.method(Checkout, 'findOneAndUpdate', async (filter, update) => {
+        if (checkout.paymentStatus !== filter.paymentStatus) return null;
+        checkout.paymentStatus = update.$set.paymentStatus;
+        return checkout;
+      });
+      mock.method(Order, 'find', () => fakeQuery(order.status === ORDER_STATUS.PENDING_PAYMENT ? [order] : []));
+      mock.method(Wallet, 'findOneAndUpdate', async () => ({}));
+    });
+
+    it('lets the customer cancel it, failing the checkout and giving the wallet share back', async () => {
+      const result = await closeOrder(order, {
+        status: ORDER_STATUS.CANCELLED,
+        actor: USER_ROLES.CUSTOMER,
+        updatedBy: order.customer,
+        notes: 'Changed my mind'
+      });
+
+      assert.equal(result.error, undefined);
+      assert.equal(result.refund, null);
+      assert.equal(result.order.status, ORDER_STATUS.CANCELLED);
+      assert.equal(result.order.paymentStatus, PAYMENT_STATUS.FAILED);
+      assert.equal(checkout.paymentStatus, PAYMENT_STATUS.FAILED);
+      assert.equal(Wallet.findOneAndUpdate.mock.calls[0].arguments[1].$inc.balance, 40);
+      assert.equal(Product.updateOne.mock.callCount(), 1);
+      assert.equal(promotion.usageCount, 0);
+    });
+
+    it('leaves it alone once the payment is confirmed', async () => {
+      checkout.paymentStatus = PAYMENT_STATUS.PAID;
+
+      const result = await closeOrder(order, {
+        status: ORDER_STATUS.CANCELLED,
+        actor: USER_ROLES.CUSTOMER,
+        updatedBy: order.customer,
+        notes: 'Changed my mind'
+      });
+
+      assert.equal(result.error.statusCode, 409);
+      assert.equal(order.status, ORDER_STATUS.PENDING_PAYMENT);
+      assert.equal(Wallet.findOneAndUpdate.mock.callCount(), 0);
+    });
+  });
+});
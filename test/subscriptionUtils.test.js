@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Address = require('../src/models/Address');
+const Product = require('../src/models/Product');
+const DeliverySlot = require('../src/models/DeliverySlot');
+const DeliverySlotBooking = require('../src/models/DeliverySlotBooking');
+const SystemSetting = require('../src/models/SystemSetting');
+const { User, USER_STATUS } = require('../src/models/User');
+const { Order, PAYMENT_METHOD } = require('../src/models/Order');
+const { Subscription } = require('../src/models/Subscription');
+const { Wallet } = require('../src/models/Wallet');
+const { generateSubscriptionOrder, processDueSubscriptions } = require('../src/utils/subscriptionUtils');
+const { atSlotTime } = require('../src/utils/deliverySlotUtils');
+const { fakeQuery, mockTransactions, objectId } = require('./helpers');
+
+describe('subscription orders', () => {
+  let subscription;
+  let product;
+  let slot;
+  let booked;
+  let deliveryDate;
+
+  beforeEach(() => {
+    product = { _id: objectId(), name: 'Milk', unit: '1 l', price: 50, discountPrice: 0, inStock: true, quantity: 10 };
+
+    subscription = new Subscription({
+      customer: objectId(),
+      vendor: objectId(),
+      address: objectId(),
+      items: [{ product: product._id, quantity: 2 }],
+      frequency: 'daily',
+      deliverySlot: { start: '07:00', end: '08:00' }
+    });
+    slot = { _id: objectId(), vendor: subscription.vendor, startTime: '06:00', endTime: '09:00', capacity: 1, daysOfWeek: [], isActive: true };
+    booked = 0;
+    deliveryDate = atSlotTime(new Date(Date.now() + 24 * 60 * 60 * 1000), '07:00');
+
+    mockTransactions();
+    mock.method(Address, 'findById', async () => ({ addressLine1: 'a', city: 'c', state: 's', pincode: '1', location: { coordinates: [0, 0] } }));
+    mock.method(User, 'findById', () => fakeQuery({ status: USER_STATUS.ACTIVE }));
+    mock.method(Product, 'find', async () => [product]);
+    mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(SystemSetting, 'findOne', () => fakeQuery(null));
+    mock.method(DeliverySlot, 'find', () => fakeQuery([slot]));
+    mock.method(DeliverySlotBooking, 'updateOne', async (filter, update) => {
+      if (!update.$inc) return { modifiedCount: 0 };
+      if (booked >= filter.booked.$lt) return { modifiedCount: 0 };
+      booked += 1;
+      return { modifiedCount: 1 };
+    });
+    mock.method(Wallet, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Order.prototype, 'save', async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * Make the subscription due, as the job finds it
+   */
+  const mockDueSubscription = () => {
+    subscription.nextDeliveryDate = deliveryDate;
+    mock.method(Subscription, 'find', async () => [subscription]);
+    mock.method(Subscription, 'findOneAndUpdate', async () => subscription);
+    mock.method(Subscription, 'updateOne', async () => ({ modifiedCount: 1 }));
+  };
+
+  it('books the order into the vendor slot covering the subscription window', async () => {
+    const result = await generateSubscriptionOrder(subscription, deliveryDate);
+
+    assert.equal(result.error, undefined);
+    assert.equal(result.order.deliverySlot.slot, slot._id);
+    assert.equal(result.order.paymentDetails.paymentGateway, PAYMENT_METHOD.WALLET);
+    assert.equal(booked, 1);
+  });
+
+  it('fails when the slot is already full', async () => {
+    booked = slot.capacity;
+
+    const result = await generateSubscriptionOrder(subscription, deliveryDate);
+
+    assert.equal(result.error.statusCode, 409);
+    assert.equal(result.error.message, 'The delivery slot is full');
+    assert.equal(Order.prototype.save.mock.callCount(), 0);
+  });
+
+  it('delivers outside slot capacity when no slot covers the window', async () => {
+    DeliverySlot.find.mock.mockImplementation(() => fakeQuery([]));
+
+    const result = await generateSubscriptionOrder(subscription, deliveryDate);
+
+    assert.equal(result.error, undefined);
+    assert.equal(result.order.deliverySlot.slot, undefined);
+    assert.equal(DeliverySlotBooking.updateOne.mock.callCount(), 0);
+  });
+
+  it('reports a skipped delivery for the customer to be told', async () => {
+    mockDueSubscription();
+    Wallet.updateOne.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+
+    const result = await processDueSubscriptions();
+
+    assert.equal(result.failed, 1);
+    assert.equal(result.orders.length, 0);
+    assert.deepEqual(result.failures, [{ subscription, deliveryDate, reason: 'Insufficient wallet balance' }]);
+  });
+
+  it('reports the items left out of an order for the customer to be told', async () => {
+    const missing = { _id: objectId(), name: 'Bread', price: 40, inStock: false, quantity: 0 };
+    subscription.items.push({ product: missing._id, quantity: 1 });
+    Product.find.mock.mockImplementation(async () => [product, missing]);
+    mockDueSubscription();
+
+    const result = await processDueSubscriptions();
+
+    assert.equal(result.created, 1);
+    assert.equal(result.leftOut.length, 1);
+    assert.equal(result.leftOut[0].order, result.orders[0]);
+    assert.deepEqual(result.leftOut[0].items, ['Bread']);
+  });
+});
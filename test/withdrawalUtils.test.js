@@ -0,0 +1,131 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { User, USER_ROLES } = require('../src/models/User');
+const { Withdrawal, WITHDRAWAL_STATUS, WITHDRAWAL_METHODS } = require('../src/models/Withdrawal');
+const { LedgerEntry, LEDGER_ACCOUNTS } = require('../src/models/LedgerEntry');
+const SystemSetting = require('../src/models/SystemSetting');
+const {
+  requestWithdrawal,
+  markWithdrawalFailed,
+  getPayoutBatch
+} = require('../src/utils/withdrawalUtils');
+const { fakeQuery, mockTransactions, objectId } = require('./helpers');
+
+describe('withdrawals', () => {
+  let vendor;
+  let entries;
+  let withdrawals;
+
+  beforeEach(() => {
+    vendor = {
+      _id: objectId(),
+      role: USER_ROLES.VENDOR,
+      bankDetails: { accountNumber: '1234567890', ifscCode: 'HDFC0000001', accountHolderName: 'Fresh Farms' },
+      lastWithdrawalRequestAt: null
+    };
+    // The vendor is owed 300 from settled orders
+    entries = [{ account: LEDGER_ACCOUNTS.VENDOR, user: vendor._id, amount: -300 }];
+    withdrawals = [];
+
+    mockTransactions();
+    mock.method(SystemSetting, 'findOne', () => fakeQuery({ minWithdrawalAmount: 100, withdrawalCooldownHours: 24 }));
+    mock.method(User, 'findById', () => fakeQuery(vendor));
+    mock.method(User, 'findOneAndUpdate', async () => {
+      if (vendor.lastWithdrawalRequestAt) return null;
+      vendor.lastWithdrawalRequestAt = new Date();
+      return vendor;
+    });
+    mock.method(LedgerEntry, 'aggregate', ([match]) => fakeQuery([{
+      total: entries
+        .filter(entry => entry.user && entry.user.equals(match.$match.user))
+        .reduce((total, entry) => total + entry.amount, 0)
+    }]));
+    mock.method(LedgerEntry, 'insertMany', async (lines) => {
+      entries.push(...lines);
+      return lines;
+    });
+    mock.method(Withdrawal, 'create', async ([fields]) => {
+      const withdrawal = new Withdrawal(fields);
+      await withdrawal.validate();
+      withdrawals.push(withdrawal);
+      return [withdrawal];
+    });
+    mock.method(Withdrawal, 'findOneAndUpdate', async (filter, update) => {
+      const withdrawal = withdrawals.find(existing => existing._id.equals(filter._id) &&
+        filter.status.$in.includes(existing.status));
+      if (!withdrawal) return null;
+      withdrawal.set(update.$set);
+      return withdrawal;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('holds the requested amount in the ledger', async () => {
+    const result = await requestWithdrawal(vendor._id, { amount: 250 });
+
+    assert.equal(result.withdrawal.amount, 250);
+    assert.deepEqual(result.withdrawal.payee.toObject(), vendor.bankDetails);
+    assert.equal(entries.reduce((total, entry) => total + entry.amount, 0), -300);
+    assert.equal(entries.find(entry => entry.account === LEDGER_ACCOUNTS.PAYOUTS_PENDING).amount, -250);
+  });
+
+  it('lets only one of two concurrent requests spend the balance', async () => {
+    const results = await Promise.all([
+      requestWithdrawal(vendor._id, { amount: 250 }),
+      requestWithdrawal(vendor._id, { amount: 250 })
+    ]);
+
+    assert.equal(results.filter(result => result.withdrawal).length, 1);
+    assert.equal(results.find(result => result.error).error.statusCode, 429);
+    assert.equal(withdrawals.length, 1);
+  });
+
+  it('refuses more than the balance', async () => {
+    const result = await requestWithdrawal(vendor._id, { amount: 300.01 });
+
+    assert.deepEqual(result.error, { statusCode: 400, message: 'Insufficient balance. Available: 300' });
+    assert.equal(withdrawals.length, 0);
+  });
+
+  it('refuses a bank transfer without bank details', async () => {
+    vendor.bankDetails = { accountNumber: '1234567890' };
+
+    const result = await requestWithdrawal(vendor._id, { amount: 250, method: WITHDRAWAL_METHODS.BANK_TRANSFER });
+
+    assert.equal(result.error.statusCode, 400);
+    assert.equal(User.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('gives the held amount back when the transfer fails', async () => {
+    const { withdrawal } = await requestWithdrawal(vendor._id, { amount: 250 });
+    withdrawal.status = WITHDRAWAL_STATUS.PROCESSING;
+
+    const result = await markWithdrawalFailed(withdrawal._id, 'Account closed');
+
+    assert.equal(result.withdrawal.status, WITHDRAWAL_STATUS.FAILED);
+    const vendorBalance = entries
+      .filter(entry => entry.user && entry.user.equals(vendor._id))
+      .reduce((total, entry) => total + entry.amount, 0);
+    assert.equal(vendorBalance, -300);
+  });
+
+  it('writes payee names a spreadsheet would run as plain text in the NEFT file', async () => {
+    const withdrawal = new Withdrawal({
+      user: vendor._id,
+      role: USER_ROLES.VENDOR,
+      amount: 1250.5,
+      method: WITHDRAWAL_METHODS.BANK_TRANSFER,
+      payee: { accountNumber: '1234567890', ifscCode: 'HDFC0000001', accountHolderName: '=HYPERLINK("x"), Ltd' },
+      exportedAt: new Date(2026, 2, 5)
+    });
+    mock.method(Withdrawal, 'find', () => fakeQuery([withdrawal]));
+
+    const { csv } = await getPayoutBatch('NEFT-1');
+    const [, row] = csv.split('\r\n');
+
+    assert.equal(row, `NEFT,1234567890,"'=HYPERLINK(""x""), Ltd",HDFC0000001,1250.50,05/03/2026,${withdrawal._id},Payout NEFT-1`);
+  });
+});